@@ -0,0 +1,34 @@
+import officeAddins from "eslint-plugin-office-addins";
+import tsParser from "@typescript-eslint/parser";
+
+// The office-addin-lint defaults, plus Node for the command-line tool, which runs outside Office.
+export default [
+  ...officeAddins.configs.recommended,
+  {
+    plugins: {
+      "office-addins": officeAddins,
+    },
+    languageOptions: {
+      parser: tsParser,
+    },
+  },
+  {
+    files: ["src/cli/**/*.js"],
+    languageOptions: {
+      globals: {
+        console: "readonly",
+        process: "readonly",
+        URL: "readonly",
+      },
+    },
+    rules: {
+      "office-addins/call-sync-after-load": "off",
+      "office-addins/call-sync-before-read": "off",
+      "office-addins/load-object-before-read": "off",
+      "office-addins/no-context-sync-in-loop": "off",
+      "office-addins/no-empty-load": "off",
+      "office-addins/no-navigational-load": "off",
+      "office-addins/test-for-null-using-isNullObject": "off",
+    },
+  },
+];
@@ -0,0 +1,162 @@
+/*
+ * AI Translator for Excel - Table Files
+ * Reads CSV and XLSX files into sheets of cells for the command-line tool, and writes them back.
+ * - A CSV file is one sheet. Fields that start with "=" are formulas and numbers are not text, as Excel reads them.
+ *   Written text that Excel would run as a formula ("=", "+", "-" or "@" first) gets an apostrophe in front.
+ * - An XLSX file keeps everything the tool does not write: styles, column widths, merged cells,
+ *   other sheets. Rich text cells are written back as plain text in the cell's style, hyperlinks
+ *   keep their target, and formulas shared by several cells are left alone.
+ * Cell positions are 0-based, like the ranges of the task pane.
+ */
+
+import { readFile, writeFile } from "node:fs/promises";
+import { extname } from "node:path";
+import ExcelJS from "exceljs";
+import { parseCsv, formatCsv } from "../taskpane/csv";
+import { toConstantFormula } from "../taskpane/ranges";
+
+// --- CONSTANTS ---
+export const TABLE_FORMATS = { ".csv": "csv", ".xlsx": "xlsx" };
+const EXCEL_CELL_CHAR_LIMIT = 32767; // Max characters allowed in a single Excel cell
+
+/**
+ * @typedef {{text: string|null, formula: string|null}} TableCell
+ *     `text` for cells that hold text, `formula` (starting with "=") for formulas that may be rewritten.
+ */
+
+/**
+ * @typedef {object} TableSheet
+ * @property {string} name The sheet name (the file name for CSV files).
+ * @property {function(): TableCell[][]} readCells Reads all cells, row by row; rows are as long as the longest row.
+ * @property {function(number, number, string): void} writeText Writes a text into a cell.
+ * @property {function(number, number, string): void} writeFormula Writes a formula (starting with "=") into a cell.
+ * @property {function(number, number): void} insertColumns Inserts empty columns before a column, shifting the cells to its right.
+ */
+
+/**
+ * Returns the format of a table file from its extension.
+ * @param {string} path The file path.
+ * @returns {string} "csv" or "xlsx".
+ * @throws {Error} If the file is neither.
+ */
+export function getTableFormat(path) {
+    const format = TABLE_FORMATS[extname(path).toLowerCase()];
+    if (!format) { throw new Error(`"${path}" is not a CSV or XLSX file.`); }
+    return format;
+}
+
+/**
+ * Reads a CSV or XLSX file.
+ * @param {string} path The file path.
+ * @param {string} sheetName The name to give the sheet of a CSV file.
+ * @returns {Promise<{format: string, sheets: TableSheet[], save: function(string): Promise<void>}>} The sheets, and a
+ *     function that writes the file, with every change, to a path.
+ */
+export async function readTableFile(path, sheetName) {
+    return getTableFormat(path) === "csv" ? readCsvFile(path, sheetName) : readXlsxFile(path);
+}
+
+/**
+ * Returns true if a CSV field is a number, which has no text to translate.
+ * @param {string} value The field.
+ * @returns {boolean}
+ */
+function isNumericField(value) {
+    return value.trim() !== "" && Number.isFinite(Number(value));
+}
+
+/**
+ * Reads a CSV file as one sheet.
+ * @param {string} path The file path.
+ * @param {string} sheetName The name of the sheet.
+ * @returns {Promise<{format: string, sheets: TableSheet[], save: function(string): Promise<void>}>}
+ */
+async function readCsvFile(path, sheetName) {
+    const { rows, delimiter } = parseCsv(await readFile(path, "utf8"));
+    const setField = (row, col, value) => {
+        while (rows.length <= row) { rows.push([]); }
+        while (rows[row].length < col) { rows[row].push(""); }
+        rows[row][col] = value;
+    };
+    const sheet = {
+        name: sheetName,
+        readCells: () => {
+            const width = Math.max(0, ...rows.map((row) => row.length));
+            return rows.map((row) => Array.from({ length: width }, (_, col) => {
+                const value = row[col] ?? "";
+                if (value.startsWith("=")) { return { text: null, formula: value }; }
+                return isNumericField(value) ? { text: null, formula: null } : { text: value, formula: null };
+            }));
+        },
+        writeText: (row, col, text) => setField(row, col, toConstantFormula(text)),
+        writeFormula: setField,
+        insertColumns: (col, count) => {
+            for (const row of rows) {
+                if (row.length > col) { row.splice(col, 0, ...Array(count).fill("")); }
+            }
+        },
+    };
+    return { format: "csv", sheets: [sheet], save: (outputPath) => writeFile(outputPath, formatCsv(rows, delimiter), "utf8") };
+}
+
+/**
+ * Reads the text or formula of an XLSX cell.
+ * @param {ExcelJS.Cell} cell The cell.
+ * @returns {TableCell}
+ */
+function readXlsxCell(cell) {
+    const value = cell.value;
+    switch (cell.type) {
+        case ExcelJS.ValueType.String:
+            return { text: value, formula: null };
+        case ExcelJS.ValueType.RichText:
+            return { text: value.richText.map((run) => run.text).join(""), formula: null };
+        case ExcelJS.ValueType.Hyperlink:
+            return { text: typeof value.text === "string" ? value.text : null, formula: null };
+        case ExcelJS.ValueType.Formula:
+            // Shared formulas are written once for many cells, so rewriting one would change the others.
+            return { text: null, formula: value.formula && !value.shareType ? `=${value.formula}` : null };
+        default:
+            return { text: null, formula: null };
+    }
+}
+
+/**
+ * Reads an XLSX file. Every worksheet is a sheet; chart sheets are left out.
+ * @param {string} path The file path.
+ * @returns {Promise<{format: string, sheets: TableSheet[], save: function(string): Promise<void>}>}
+ */
+async function readXlsxFile(path) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(path);
+    let formulasWritten = false;
+    const sheets = workbook.worksheets.map((worksheet) => ({
+        name: worksheet.name,
+        readCells: () => {
+            const cells = [];
+            for (let row = 1; row <= worksheet.rowCount; row++) {
+                const sheetRow = worksheet.getRow(row);
+                cells.push(Array.from({ length: worksheet.columnCount }, (_, col) => readXlsxCell(sheetRow.getCell(col + 1))));
+            }
+            return cells;
+        },
+        writeText: (row, col, text) => {
+            const cell = worksheet.getCell(row + 1, col + 1);
+            const value = text.substring(0, EXCEL_CELL_CHAR_LIMIT);
+            cell.value = cell.type === ExcelJS.ValueType.Hyperlink ? { ...cell.value, text: value } : value;
+        },
+        writeFormula: (row, col, formula) => {
+            worksheet.getCell(row + 1, col + 1).value = { formula: formula.substring(1) };
+            formulasWritten = true;
+        },
+        insertColumns: (col, count) => {
+            worksheet.spliceColumns(col + 1, 0, ...Array.from({ length: count }, () => []));
+        },
+    }));
+    const save = async (outputPath) => {
+        // Rewritten formulas have no cached result, so Excel calculates the workbook when it is opened.
+        if (formulasWritten) { workbook.calcProperties.fullCalcOnLoad = true; }
+        await workbook.xlsx.writeFile(outputPath);
+    };
+    return { format: "xlsx", sheets, save };
+}
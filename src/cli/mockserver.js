@@ -0,0 +1,94 @@
+/*
+ * AI Translator for Excel - Mock Translation Server
+ * A small OpenAI-compatible server for offline runs and for testing batch jobs without a model or
+ * an API key. It answers the prompts of providers.js without translating anything:
+ * - Translations are the source text with the target language code in front, e.g. "[de] Open". Glossary
+ *   terms sent with the batch are swapped for their target terms, so glossary checks pass.
+ * - Language detection answers "en" for every text with letters and "und" for the rest.
+ * - Quality scores are always 5.
+ * Start it with "npm run mock-server" (port 8787, or --port) and point the tool at
+ * --provider custom --endpoint http://localhost:8787/v1.
+ */
+
+import { createServer } from "node:http";
+import { parseArgs } from "node:util";
+import { toLanguageCode } from "../taskpane/languages";
+
+// --- CONSTANTS ---
+const DEFAULT_PORT = 8787;
+const MODEL_ID = "mock-translator";
+const INPUT_MARKER = "Input: ";
+const GLOSSARY_LINE_PATTERN = /^("(?:[^"\\]|\\.)*") => ("(?:[^"\\]|\\.)*")$/gm;
+
+/**
+ * Reads the glossary terms sent with a translation prompt (see `buildGlossaryInstruction`).
+ * @param {string} prompt The prompt.
+ * @returns {{source: string, target: string}[]}
+ */
+function readGlossaryTerms(prompt) {
+    return Array.from(prompt.matchAll(GLOSSARY_LINE_PATTERN), (match) => ({ source: JSON.parse(match[1]), target: JSON.parse(match[2]) }));
+}
+
+/**
+ * Answers a prompt the way a model would, as a JSON array.
+ * @param {string} prompt The prompt built by providers.js.
+ * @returns {string} The model's reply.
+ */
+function answerPrompt(prompt) {
+    const items = JSON.parse(prompt.substring(prompt.lastIndexOf(INPUT_MARKER) + INPUT_MARKER.length));
+    if (prompt.startsWith("You are a language identification API.")) {
+        return JSON.stringify(items.map((item) => ({ id: item.id, language: /\p{L}/u.test(item.text) ? "en" : "und" })));
+    }
+    if (prompt.startsWith("You are a translation quality reviewer.")) {
+        return JSON.stringify(items.map((item) => ({ id: item.id, score: 5, issue: "" })));
+    }
+    const language = (prompt.match(/in the following JSON array to (.+?)\. /) || [])[1] || "";
+    const terms = readGlossaryTerms(prompt);
+    return JSON.stringify(items.map((item) => {
+        const text = terms.reduce((result, term) => result.split(term.source).join(term.target), item.text);
+        return { id: item.id, translation: `[${toLanguageCode(language)}] ${text}` };
+    }));
+}
+
+/**
+ * Sends a JSON response.
+ * @param {import("node:http").ServerResponse} response The response.
+ * @param {number} status The HTTP status.
+ * @param {object} body The body.
+ */
+function sendJson(response, status, body) {
+    response.writeHead(status, { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*", "Access-Control-Allow-Headers": "*" });
+    response.end(JSON.stringify(body));
+}
+
+/**
+ * Handles a request: the model list and chat completions of the OpenAI API.
+ * @param {import("node:http").IncomingMessage} request The request.
+ * @param {import("node:http").ServerResponse} response The response.
+ */
+async function handleRequest(request, response) {
+    const path = new URL(request.url, "http://localhost").pathname.replace(/\/+$/, "");
+    if (request.method === "OPTIONS") {
+        sendJson(response, 204, {});
+    } else if (request.method === "GET" && path === "/v1/models") {
+        sendJson(response, 200, { object: "list", data: [{ id: MODEL_ID, object: "model" }] });
+    } else if (request.method === "POST" && path === "/v1/chat/completions") {
+        let body = "";
+        for await (const chunk of request) { body += chunk; }
+        try {
+            const messages = JSON.parse(body).messages || [];
+            const content = answerPrompt(messages[messages.length - 1].content);
+            sendJson(response, 200, { object: "chat.completion", model: MODEL_ID, choices: [{ index: 0, message: { role: "assistant", content }, finish_reason: "stop" }] });
+        } catch (error) {
+            sendJson(response, 400, { error: { message: `Could not read the request: ${error.message}` } });
+        }
+    } else {
+        sendJson(response, 404, { error: { message: `Unknown path ${path}` } });
+    }
+}
+
+const { values } = parseArgs({ options: { port: { type: "string", short: "p" } } });
+const port = Number(values.port) || DEFAULT_PORT;
+createServer(handleRequest).listen(port, () => {
+    console.log(`Mock translation server at http://localhost:${port}/v1 (Ctrl+C to stop)`);
+});
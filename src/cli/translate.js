@@ -0,0 +1,450 @@
+/*
+ * AI Translator for Excel - Command-Line Tool
+ * Translates CSV and XLSX files without Excel, for nightly batch jobs. It uses the same engine as the
+ * task pane (see engine.js): translation memory, glossary, token protection, scope filters, prompt
+ * profiles, batching, rate limiting and retries.
+ * - Settings come from a JSON file (--config) and command-line flags, flags winning. API keys are read
+ *   from the AI_TRANSLATOR_API_KEY environment variable, so they stay out of settings files.
+ * - Output modes: "replace" writes the translations over the source text, "besideSource" adds a
+ *   translated column next to each source column and "multiTarget" adds one column per language.
+ * - The input file is never changed; the result goes to --output (by default next to the input).
+ * - Any OpenAI-compatible server works, including a local model or the mock server (mockserver.js)
+ *   for offline runs.
+ * Exit codes: 0 when every text was translated, 1 when some texts failed, 2 when the run could not start.
+ *
+ * Build with "npm run build:cli", then run "node dist/cli/translate.js --help".
+ */
+
+import { readFile } from "node:fs/promises";
+import { existsSync, readFileSync, writeFileSync } from "node:fs";
+import { basename, dirname, extname, join, resolve } from "node:path";
+import { parseArgs } from "node:util";
+import { createTranslationEngine, createRunResult, addRunResult } from "../taskpane/engine";
+import { resolveProviderSettings, validateProviderSettings, getDefaultRateLimitTier } from "../taskpane/providers";
+import { resolveRateLimits, createRateLimiter } from "../taskpane/ratelimit";
+import { useMemoryStorage } from "../taskpane/memory";
+import { parseGlossaryCsv } from "../taskpane/glossary";
+import { compileProtectionRules } from "../taskpane/protection";
+import { normalizeScopeSettings, compileScope, createColumnFilter, createTextFilter } from "../taskpane/scope";
+import { normalizePromptProfile, addTextContext } from "../taskpane/prompts";
+import { resolveLanguageName, toLanguageCode } from "../taskpane/languages";
+import { isFormula, extractFormulaLiterals, replaceFormulaLiterals } from "../taskpane/formulas";
+import { planTranslationColumns, placeTranslationColumns } from "../taskpane/layout";
+import { readTableFile, getTableFormat } from "./files";
+
+// --- CONSTANTS ---
+const API_KEY_VARIABLE = "AI_TRANSLATOR_API_KEY";
+const OUTPUT_MODES = ["replace", "besideSource", "multiTarget"];
+const EXIT_FAILED_TEXTS = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = `Usage: node dist/cli/translate.js <input.csv|input.xlsx> [options]
+
+Options:
+  -c, --config <file>      JSON settings file (see the README for its keys)
+  -o, --output <file>      Where to write the result (default: <input>.<language>.<ext>)
+  -t, --to <language>      Target language, by name or code; comma-separated for --mode multiTarget
+  -f, --from <language>    Source language (default: detected by the model)
+  -m, --mode <mode>        replace, besideSource or multiTarget (default: replace)
+      --provider <id>      gemini, local or custom (default: local)
+      --endpoint <url>     Base URL of the provider, e.g. http://localhost:1234/v1
+      --model <name>       Model name
+  -g, --glossary <file>    CSV glossary: source term, target term, optional target language
+      --memory <file>      JSON file that keeps the translation memory between runs
+  -s, --sheet <name>       Only translate this sheet of an XLSX file (repeatable)
+      --overwrite          Fill translation columns again, even where they already have text
+      --detect-languages   Keep cells that are already in the target language
+      --formula-text       Translate the text literals of formulas
+  -q, --quiet              Only print errors and the summary
+  -h, --help               Show this help
+
+The API key is read from the ${API_KEY_VARIABLE} environment variable.`;
+
+/** The command-line flags and the settings keys they set. */
+const FLAGS = {
+    config: { type: "string", short: "c" },
+    output: { type: "string", short: "o" },
+    to: { type: "string", short: "t" },
+    from: { type: "string", short: "f" },
+    mode: { type: "string", short: "m" },
+    provider: { type: "string" },
+    endpoint: { type: "string" },
+    model: { type: "string" },
+    glossary: { type: "string", short: "g" },
+    memory: { type: "string" },
+    sheet: { type: "string", short: "s", multiple: true },
+    overwrite: { type: "boolean" },
+    "detect-languages": { type: "boolean" },
+    "formula-text": { type: "boolean" },
+    quiet: { type: "boolean", short: "q" },
+    help: { type: "boolean", short: "h" },
+};
+
+/**
+ * @typedef {object} CliSettings The settings of a run, as read from the settings file. Paths are relative to it.
+ * @property {string} [provider] The provider id (see `PROVIDERS`).
+ * @property {string} [endpoint] The provider's base URL.
+ * @property {string} [model] The model.
+ * @property {string|string[]} [targetLanguage] The target language, or several for "multiTarget".
+ * @property {string} [sourceLanguage] The source language.
+ * @property {string} [mode] The output mode.
+ * @property {string} [glossary] The path of a CSV glossary.
+ * @property {string} [memory] The path of the translation memory file.
+ * @property {string[]} [sheets] The sheets to translate (all by default).
+ * @property {boolean} [overwriteExisting] Fill translation columns again.
+ * @property {boolean} [detectLanguages] Detect the language of every text first.
+ * @property {boolean} [translateFormulaText] Translate the text literals of formulas.
+ * @property {object} [scope] The scope filters (see scope.js); "visibleOnly" does not apply to files.
+ * @property {object} [profile] The prompt profile (see prompts.js).
+ * @property {object} [protection] The token protection settings (see protection.js).
+ * @property {object} [rateLimits] The rate limits (see ratelimit.js).
+ */
+
+/**
+ * Prints a status line of the engine to the error stream, so the output stream stays free for the summary.
+ * @param {boolean} quiet True to print errors only.
+ * @returns {function(string, string|null, number|null, boolean=): void}
+ */
+function createStatusPrinter(quiet) {
+    return (message, detail, progress, isError = false) => {
+        if (quiet && !isError) { return; }
+        const percentage = progress != null ? `[${String(Math.round(progress)).padStart(3)}%] ` : "";
+        console.error(`${percentage}${message}${detail ? ` ${detail}` : ""}`);
+    };
+}
+
+/**
+ * Reads the settings file and applies the command-line flags on top of it.
+ * @param {object} flags The parsed flags.
+ * @returns {Promise<{settings: CliSettings, baseDir: string}>} The settings, and the folder their paths are relative to.
+ */
+async function loadSettings(flags) {
+    let settings = {};
+    let baseDir = process.cwd();
+    if (flags.config) {
+        const configPath = resolve(flags.config);
+        try {
+            settings = JSON.parse(await readFile(configPath, "utf8"));
+        } catch (error) {
+            throw new Error(`Could not read the settings file "${flags.config}": ${error.message}`);
+        }
+        baseDir = dirname(configPath);
+    }
+    // Paths given as flags are relative to the working directory, so they are made absolute here.
+    const overrides = {
+        provider: flags.provider,
+        endpoint: flags.endpoint,
+        model: flags.model,
+        targetLanguage: flags.to,
+        sourceLanguage: flags.from,
+        mode: flags.mode,
+        glossary: flags.glossary && resolve(flags.glossary),
+        memory: flags.memory && resolve(flags.memory),
+        sheets: flags.sheet,
+        overwriteExisting: flags.overwrite,
+        detectLanguages: flags["detect-languages"],
+        translateFormulaText: flags["formula-text"],
+    };
+    for (const [key, value] of Object.entries(overrides)) {
+        if (value !== undefined) { settings[key] = value; }
+    }
+    return { settings, baseDir };
+}
+
+/**
+ * Turns the settings into the options the engine takes, and checks them.
+ * @param {CliSettings} settings The settings.
+ * @param {string} baseDir The folder paths in the settings are relative to.
+ * @returns {Promise<object>} The translation options (see `translateRange` in taskpane.js), plus `targetLanguages`.
+ * @throws {Error} If a setting is missing or invalid.
+ */
+async function buildOptions(settings, baseDir) {
+    const mode = settings.mode || "replace";
+    if (!OUTPUT_MODES.includes(mode)) { throw new Error(`Unknown mode "${mode}". Use ${OUTPUT_MODES.join(", ")}.`); }
+    const requested = Array.isArray(settings.targetLanguage) ? settings.targetLanguage : String(settings.targetLanguage || "").split(",");
+    const targetLanguages = requested.map(resolveLanguageName).filter(Boolean);
+    if (targetLanguages.length === 0) { throw new Error("Choose a target language (--to)."); }
+    if (mode !== "multiTarget" && targetLanguages.length > 1) { throw new Error(`Several target languages need --mode multiTarget.`); }
+
+    const provider = resolveProviderSettings(settings.provider || "local", {
+        endpoint: settings.endpoint,
+        model: settings.model,
+        apiKey: process.env[API_KEY_VARIABLE],
+    });
+    const validationError = validateProviderSettings(provider);
+    if (validationError) { throw new Error(validationError); }
+
+    let glossary = [];
+    if (settings.glossary) {
+        const glossaryPath = resolve(baseDir, settings.glossary);
+        try {
+            glossary = parseGlossaryCsv(await readFile(glossaryPath, "utf8"));
+        } catch (error) {
+            throw new Error(`Could not read the glossary "${settings.glossary}": ${error.message}`);
+        }
+    }
+    if (settings.memory) {
+        const memoryPath = resolve(baseDir, settings.memory);
+        useMemoryStorage({
+            getItem: () => (existsSync(memoryPath) ? readFileSync(memoryPath, "utf8") : null),
+            setItem: (key, value) => writeFileSync(memoryPath, value, "utf8"),
+        });
+    }
+
+    const promptProfile = normalizePromptProfile(settings.profile);
+    return {
+        provider,
+        limiter: createRateLimiter(resolveRateLimits(getDefaultRateLimitTier(provider), settings.rateLimits)),
+        mode,
+        targetLanguage: targetLanguages[0],
+        targetLanguages,
+        sourceLanguage: resolveLanguageName(settings.sourceLanguage),
+        detectLanguages: Boolean(settings.detectLanguages),
+        overwriteExisting: Boolean(settings.overwriteExisting),
+        useMemory: settings.useMemory !== false,
+        translateFormulaText: Boolean(settings.translateFormulaText),
+        glossary,
+        protectionRules: compileProtectionRules(settings.protection),
+        scope: compileScope(normalizeScopeSettings(settings.scope)),
+        promptProfile,
+        textContexts: promptProfile.sendContext ? new Map() : undefined,
+    };
+}
+
+/**
+ * Returns the header of every column: the text of the first row.
+ * @param {import("./files").TableCell[][]} cells The cells of the sheet.
+ * @returns {string[]}
+ */
+function readHeaders(cells) {
+    return (cells[0] || []).map((cell) => (cell.text || "").trim());
+}
+
+/**
+ * Returns true if a cell holds text to translate.
+ * @param {import("./files").TableCell} cell The cell.
+ * @returns {boolean}
+ */
+function isSourceCell(cell) {
+    return Boolean(cell && cell.text && cell.text.trim() !== "");
+}
+
+/**
+ * Translates the text cells of a sheet in place ("replace" mode). Formulas keep their place; with
+ * `options.translateFormulaText`, their text literals are translated.
+ * @param {ReturnType<typeof createTranslationEngine>} engine The engine.
+ * @param {import("./files").TableSheet} sheet The sheet.
+ * @param {object} options The translation options (see `buildOptions`).
+ * @returns {Promise<object>} The result of the sheet (see `createRunResult`).
+ */
+async function translateSheetInPlace(engine, sheet, options) {
+    const cells = sheet.readCells();
+    const headers = readHeaders(cells);
+    const acceptsColumn = createColumnFilter(options.scope, headers);
+    const acceptsText = createTextFilter(options.scope);
+    const describePlace = (i, j) => (i === 0 ? "a column header" : headers[j] ? `column "${headers[j]}"` : "");
+    const cellsToTranslate = [];
+    const uniqueTexts = new Set();
+    cells.forEach((row, i) => row.forEach((cell, j) => {
+        if (i < options.scope.settings.headerRows || !acceptsColumn(j)) { return; }
+        if (cell.formula && isFormula(cell.formula)) {
+            if (!options.translateFormulaText) { return; }
+            const literals = extractFormulaLiterals(cell.formula).filter((literal) => acceptsText(literal.text, options.targetLanguage));
+            if (literals.length === 0) { return; }
+            literals.forEach((literal) => {
+                uniqueTexts.add(literal.text);
+                addTextContext(options.textContexts, literal.text, describePlace(i, j), sheet.name);
+            });
+            cellsToTranslate.push({ row: i, col: j, formula: cell.formula, literals });
+        } else if (isSourceCell(cell) && acceptsText(cell.text, options.targetLanguage)) {
+            uniqueTexts.add(cell.text);
+            addTextContext(options.textContexts, cell.text, describePlace(i, j), sheet.name);
+            cellsToTranslate.push({ row: i, col: j, text: cell.text });
+        }
+    }));
+    if (cellsToTranslate.length === 0) { return createRunResult({ cells: 0 }); }
+
+    const { translations, details, ...result } = await engine.translateTexts(Array.from(uniqueTexts), options, 0, 100);
+    const isSkipped = (text) => Boolean(details.get(text) && details.get(text).skipped);
+    result.cells = 0;
+    for (const cell of cellsToTranslate) {
+        // Texts already in the target language are left in place.
+        if (cell.formula) {
+            if (cell.literals.every((literal) => isSkipped(literal.text))) { continue; }
+            const newFormula = replaceFormulaLiterals(cell.formula, cell.literals, (text) => translations.get(text));
+            if (newFormula) { sheet.writeFormula(cell.row, cell.col, newFormula); result.cells++; }
+            continue;
+        }
+        const translatedText = translations.get(cell.text);
+        if (translatedText && !isSkipped(cell.text)) {
+            sheet.writeText(cell.row, cell.col, translatedText);
+            result.cells++;
+        }
+    }
+    return result;
+}
+
+/**
+ * Finds or inserts the translation columns of a sheet ("besideSource" and "multiTarget" modes), laid out
+ * the same way as in the task pane (see layout.js). The first row is the header row.
+ * @param {import("./files").TableSheet} sheet The sheet.
+ * @param {import("./files").TableCell[][]} cells The cells of the sheet, read before any insertion.
+ * @param {{language: string, code: string}[]} languages The target languages.
+ * @param {object} options The translation options (see `buildOptions`).
+ * @returns {(import("../taskpane/layout").TranslationColumn & {readCol: number|null})[]}
+ *     The translation columns. `column` is where it is written after the insertions; `readCol` is where an
+ *     existing column is in `cells`, or null for a new column.
+ */
+function prepareTranslationColumns(sheet, cells, languages, options) {
+    const headers = readHeaders(cells);
+    // Only columns with text to translate get translation columns; numbers and dates have no text.
+    const textColumns = new Set(headers.map((_, j) => j).filter((j) => cells.some((row, i) => i > 0 && isSourceCell(row[j]))));
+    // New language columns go after the last column that has anything in it.
+    const usedWidth = cells.reduce((width, row) => Math.max(width, row.findLastIndex((cell) => cell.text || cell.formula) + 1), 0);
+    const layout = planTranslationColumns({
+        mode: options.mode, languages, headers, textColumns, acceptsColumn: createColumnFilter(options.scope, headers),
+        columnIndex: 0, sheetHeaders: headers, appendAt: usedWidth,
+    });
+    for (const column of layout.columns) { column.readCol = column.column; }
+
+    const insertions = placeTranslationColumns(layout);
+    // Unlike Excel, the tool does not rewrite cell references when it inserts columns.
+    if (insertions.some(({ position }) => position < usedWidth) && cells.some((row) => row.some((cell) => cell.formula))) {
+        console.error(`Warning: Columns were inserted on sheet "${sheet.name}"; formulas that refer to the columns to their right are not updated.`);
+    }
+    for (const { position, count } of insertions) { sheet.insertColumns(position, count); }
+    return layout.columns;
+}
+
+/**
+ * Writes translations into their own columns ("besideSource" and "multiTarget" modes). Rows that
+ * already have a translation are skipped unless `options.overwriteExisting` is set.
+ * @param {ReturnType<typeof createTranslationEngine>} engine The engine.
+ * @param {import("./files").TableSheet} sheet The sheet.
+ * @param {object} options The translation options (see `buildOptions`).
+ * @returns {Promise<object>} The result of the sheet (see `createRunResult`).
+ */
+async function translateSheetIntoColumns(engine, sheet, options) {
+    const result = createRunResult({ cells: 0 });
+    const cells = sheet.readCells();
+    if (cells.length < 2) { return result; } // Only a header row
+    const languages = options.targetLanguages.map((language) => ({ language, code: toLanguageCode(language) }));
+    const columns = prepareTranslationColumns(sheet, cells, languages, options);
+    const headers = readHeaders(cells);
+    const acceptsText = createTextFilter(options.scope);
+    const firstRow = Math.max(1, options.scope.settings.headerRows);
+
+    for (const { language } of languages) {
+        const pending = []; // [column, row] pairs that still need a translation
+        const uniqueTexts = new Set();
+        for (const column of columns) {
+            if (column.language !== language) { continue; }
+            if (column.readCol === null) { sheet.writeText(0, column.column, column.header); }
+            for (let i = firstRow; i < cells.length; i++) {
+                const source = cells[i][column.sourceCol];
+                if (!isSourceCell(source) || !acceptsText(source.text, language)) { continue; }
+                const existing = column.readCol === null ? null : cells[i][column.readCol];
+                if (!options.overwriteExisting && existing && (existing.text || existing.formula)) { continue; }
+                pending.push([column, i]);
+                uniqueTexts.add(source.text);
+                addTextContext(options.textContexts, source.text, headers[column.sourceCol] ? `column "${headers[column.sourceCol]}"` : "", sheet.name);
+            }
+        }
+        if (pending.length === 0) { continue; }
+
+        const { translations, details, ...languageResult } = await engine.translateTexts(Array.from(uniqueTexts), { ...options, targetLanguage: language }, 0, 100);
+        languageResult.cells = 0;
+        for (const [column, i] of pending) {
+            // Failed cells stay empty and are filled by the next run. Texts with nothing to translate
+            // (only protected tokens) are copied, so they are not sent again.
+            const source = cells[i][column.sourceCol].text;
+            const detail = details.get(source);
+            if (detail && detail.error) { continue; }
+            sheet.writeText(i, column.column, translations.get(source) || source);
+            languageResult.cells++;
+        }
+        addRunResult(result, languageResult);
+    }
+    return result;
+}
+
+/**
+ * Returns the default output path: next to the input, with the language code (or "translated") before the extension.
+ * @param {string} inputPath The input file.
+ * @param {object} options The translation options.
+ * @returns {string}
+ */
+function getDefaultOutputPath(inputPath, options) {
+    const extension = extname(inputPath);
+    const suffix = options.targetLanguages.length === 1 ? toLanguageCode(options.targetLanguage) : "translated";
+    return join(dirname(inputPath), `${basename(inputPath, extension)}.${suffix}${extension}`);
+}
+
+/**
+ * Runs the tool.
+ * @param {string[]} argv The command-line arguments, without the program names.
+ * @returns {Promise<number>} The exit code.
+ */
+async function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: FLAGS, allowPositionals: true });
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return EXIT_USAGE;
+    }
+    const { values: flags, positionals } = parsed;
+    if (flags.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (positionals.length !== 1) {
+        console.error(USAGE);
+        return EXIT_USAGE;
+    }
+
+    const inputPath = resolve(positionals[0]);
+    let settings;
+    let options;
+    let outputPath;
+    try {
+        getTableFormat(inputPath);
+        const loaded = await loadSettings(flags);
+        settings = loaded.settings;
+        options = await buildOptions(settings, loaded.baseDir);
+        outputPath = flags.output ? resolve(flags.output) : getDefaultOutputPath(inputPath, options);
+        if (getTableFormat(outputPath) !== getTableFormat(inputPath)) { throw new Error("The output file must have the same format as the input file."); }
+        if (outputPath === inputPath) { throw new Error("The output file must not be the input file."); }
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        return EXIT_USAGE;
+    }
+
+    const engine = createTranslationEngine({ report: createStatusPrinter(flags.quiet) });
+    const file = await readTableFile(inputPath, basename(inputPath, extname(inputPath)));
+    const wanted = settings.sheets && settings.sheets.length > 0 ? new Set(settings.sheets.map((name) => name.toLowerCase())) : null;
+    const sheets = wanted ? file.sheets.filter((sheet) => wanted.has(sheet.name.toLowerCase())) : file.sheets;
+    if (sheets.length === 0) {
+        console.error(`Error: The file has none of the sheets ${settings.sheets.map((name) => `"${name}"`).join(", ")}.`);
+        return EXIT_USAGE;
+    }
+
+    const result = createRunResult({ cells: 0 });
+    for (const sheet of sheets) {
+        if (!flags.quiet) { console.error(`Sheet "${sheet.name}"`); }
+        addRunResult(result, options.mode === "replace" ? await translateSheetInPlace(engine, sheet, options) : await translateSheetIntoColumns(engine, sheet, options));
+    }
+    await file.save(outputPath);
+
+    console.log(`Translated ${result.cells.toLocaleString()} cells into ${options.targetLanguages.join(", ")}: ${outputPath}`);
+    if (result.totalErrors > 0) { console.log(`${result.totalErrors} texts could not be translated. First error: ${result.firstErrorMessage}`); }
+    if (result.glossaryViolations > 0) { console.log(`${result.glossaryViolations} translations broke the glossary and were not written. ${result.firstGlossaryMessage}`); }
+    return result.totalErrors > 0 || result.glossaryViolations > 0 ? EXIT_FAILED_TEXTS : 0;
+}
+
+main(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+}, (error) => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = EXIT_USAGE;
+});
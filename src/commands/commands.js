@@ -1,35 +1,80 @@
+/* global Office */
+
 /*
- * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
- * See LICENSE in the project root for license information.
+ * AI Translator for Excel - Ribbon and Context Menu Commands
+ * "Translate Selection", "Translate Sheet" and "Translate Sheet Name" on the ribbon and in the cell
+ * context menu run routine jobs without opening the task pane:
+ * - The commands run in the shared runtime, so they use the task pane's pipeline and the choices
+ *   last made in it (target language, mode, memory, quality checks, ...).
+ * - The outcome is shown in a small notification dialog. Successful runs close it on their own.
  */
 
-/* global Office */
+// --- CONSTANTS ---
+const NOTIFICATION_PAGE = "notification.html";
+const NOTIFICATION_HEIGHT = 25; // Percent of the screen height
+const NOTIFICATION_WIDTH = 30; // Percent of the screen width
 
-Office.onReady(() => {
-  // If needed, Office.js is ready to be called.
-});
+// --- STATE ---
+/** @type {Office.Dialog|null} The notification on screen, or null. Office allows only one dialog at a time. */
+let openNotification = null;
 
 /**
- * Shows a notification when the add-in command is executed.
- * @param event {Office.AddinCommands.Event}
+ * @typedef {{message: string, detail: string|null, isError: boolean}} CommandOutcome
  */
-function action(event) {
-  const message = {
-    type: Office.MailboxEnums.ItemNotificationMessageType.InformationalMessage,
-    message: "Performed action.",
-    icon: "Icon.80x80",
-    persistent: true,
-  };
 
-  // Show a notification message.
-  Office.context.mailbox.item.notificationMessages.replaceAsync(
-    "ActionPerformanceNotification",
-    message
-  );
-
-  // Be sure to indicate when the add-in command function is complete.
-  event.completed();
+/**
+ * Shows the outcome of a command in a notification dialog, replacing one that is still open.
+ * @param {CommandOutcome} outcome What to show.
+ * @returns {Promise<void>} Resolves once the dialog is open (or could not be opened).
+ */
+function showNotification(outcome) {
+    if (openNotification) {
+        openNotification.close();
+        openNotification = null;
+    }
+    const url = new URL(NOTIFICATION_PAGE, window.location.href);
+    url.searchParams.set("message", outcome.message);
+    if (outcome.detail) { url.searchParams.set("detail", outcome.detail); }
+    if (outcome.isError) { url.searchParams.set("error", "1"); }
+    return new Promise((resolve) => {
+        Office.context.ui.displayDialogAsync(url.href, { height: NOTIFICATION_HEIGHT, width: NOTIFICATION_WIDTH, displayInIframe: true }, (result) => {
+            if (result.status !== Office.AsyncResultStatus.Succeeded) {
+                console.warn("Could not show the notification:", result.error.message, outcome.message);
+                resolve();
+                return;
+            }
+            const dialog = result.value;
+            openNotification = dialog;
+            // The page asks to be closed when its button is clicked or its time is up.
+            dialog.addEventHandler(Office.EventType.DialogMessageReceived, () => {
+                dialog.close();
+                if (openNotification === dialog) { openNotification = null; }
+            });
+            dialog.addEventHandler(Office.EventType.DialogEventReceived, () => {
+                if (openNotification === dialog) { openNotification = null; }
+            });
+            resolve();
+        });
+    });
 }
 
-// Register the function with Office.
-Office.actions.associate("action", action);
+/**
+ * Registers the ribbon and context menu commands with Office. Each handler runs the job and returns
+ * what to tell the user. Does nothing where add-in commands are not available.
+ * @param {{translateSelection: function(): Promise<CommandOutcome>, translateSheet: function(): Promise<CommandOutcome>, translateSheetName: function(): Promise<CommandOutcome>}} handlers
+ */
+export function registerCommands(handlers) {
+    if (typeof Office === "undefined" || !Office.actions) { return; }
+    for (const [name, handler] of Object.entries(handlers)) {
+        Office.actions.associate(name, async (event) => {
+            try {
+                await showNotification(await handler());
+            } catch (error) {
+                await showNotification({ message: "An unexpected error occurred.", detail: `${error.name}: ${error.message}`, isError: true });
+            } finally {
+                // Office waits for this before the command can be used again.
+                event.completed();
+            }
+        });
+    }
+}
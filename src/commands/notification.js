@@ -0,0 +1,27 @@
+/* global Office */
+
+/*
+ * AI Translator for Excel - Command Notification
+ * The dialog that shows the outcome of a ribbon or context menu command. The message comes in the
+ * page's query string. Successful runs close after a few seconds, errors stay until "OK" is clicked.
+ */
+
+// --- CONSTANTS ---
+const AUTO_CLOSE_DELAY = 8000; // How long a success message stays open, in ms
+
+/**
+ * Asks the add-in to close this dialog.
+ */
+function closeNotification() {
+    Office.context.ui.messageParent("close");
+}
+
+Office.onReady(() => {
+    const params = new URLSearchParams(window.location.search);
+    const isError = params.get("error") === "1";
+    document.getElementById("notification-message").textContent = params.get("message") || "";
+    document.getElementById("notification-detail").textContent = params.get("detail") || "";
+    document.body.classList.toggle("error", isError);
+    document.getElementById("notification-close-button").onclick = closeNotification;
+    if (!isError) { setTimeout(closeNotification, AUTO_CLOSE_DELAY); }
+});
@@ -0,0 +1,65 @@
+/* global Excel */
+
+/*
+ * AI Translator for Excel - Translation Columns
+ * The "Insert Next to Source" and "Multiple Languages" modes write translations into their own
+ * columns and leave the source text alone. The first row of the range is the header row.
+ * - Next to source: every source column gets a column on its right, headed "<header> [de]".
+ * - Multiple languages: one column per language after the range, headed with the language code
+ *   ("de", "fr", ...). With several source columns the headers are "<header> [de]" as well.
+ * Existing translation columns are found again by their header, so a later run only fills the rows
+ * that are still empty (e.g. new source rows) unless overwriting is requested.
+ */
+
+import { isFormula } from "./formulas";
+import { recordInsertedColumns } from "./history";
+import { placeTranslationColumns, planTranslationColumns } from "./layout";
+
+/** @typedef {import("./layout").TranslationColumn} TranslationColumn */
+
+/**
+ * Returns true if a source cell holds text to translate. Formula results are not copied into
+ * translation columns, since they change whenever the formula's inputs do.
+ * @param {any} value The cell value.
+ * @param {any} formula The cell formula.
+ * @returns {boolean}
+ */
+export function isSourceText(value, formula) {
+    return typeof value === "string" && value.trim() !== "" && !isFormula(formula);
+}
+
+/**
+ * Finds or inserts the translation columns of a range. Must be called before anything is read by
+ * worksheet position, since inserted columns shift the columns to their right.
+ * @param {Excel.RequestContext} context The request context.
+ * @param {Excel.Range} range The source range, with `rowIndex`, `columnIndex` and `worksheet` loaded.
+ * @param {{mode: string, languages: {language: string, code: string}[], headers: any[], textColumns: Set<number>, history?: object, acceptsColumn?: function(number): boolean, dryRun?: boolean}} plan
+ *     `mode` is "besideSource" or "multiTarget"; `headers` is the first row of the range and `textColumns` holds the
+ *     columns with source text below it (see `isSourceText`). The run in `history` records inserted columns. `acceptsColumn`
+ *     tells which columns of the range may be translated (see scope.js). A dry run inserts nothing, and
+ *     its new columns have a `column` of null.
+ * @returns {Promise<TranslationColumn[]>} The translation columns, or an empty array if there is nothing to translate.
+ */
+export async function prepareTranslationColumns(context, range, plan) {
+    // Read the whole header row of the sheet, so existing translation columns are found wherever they are.
+    const sheet = range.worksheet;
+    const usedRange = sheet.getUsedRange(true);
+    usedRange.load(["columnIndex", "columnCount"]);
+    await context.sync();
+    const headerRow = sheet.getRangeByIndexes(range.rowIndex, 0, 1, usedRange.columnIndex + usedRange.columnCount);
+    headerRow.load("values");
+    await context.sync();
+
+    const layout = planTranslationColumns({ ...plan, columnIndex: range.columnIndex, sheetHeaders: headerRow.values[0], appendAt: range.columnIndex + plan.headers.length });
+    if (layout.columns.length === 0 || plan.dryRun) { return layout.columns; }
+
+    const insertions = placeTranslationColumns(layout);
+    for (const { position, count } of insertions) {
+        sheet.getRangeByIndexes(0, position, 1, count).getEntireColumn().insert(Excel.InsertShiftDirection.right);
+    }
+    if (insertions.length > 0) { await context.sync(); }
+    if (plan.history) {
+        recordInsertedColumns(plan.history, sheet.id, layout.columns.filter((column) => column.isNew).map((column) => column.column));
+    }
+    return layout.columns;
+}
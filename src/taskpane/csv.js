@@ -0,0 +1,68 @@
+/*
+ * AI Translator for Excel - CSV
+ * Reads and writes the CSV files used for glossaries and, in the command-line tool, for tables.
+ * - Fields are separated by commas, semicolons (Excel in locales with a decimal comma) or tabs;
+ *   the separator is guessed from the first line.
+ * - Fields may be quoted with double quotes; quotes inside are doubled.
+ * Files are written with a byte order mark, which Excel needs to open UTF-8 text correctly.
+ */
+
+// --- CONSTANTS ---
+const DELIMITERS = [",", ";", "\t"];
+const BYTE_ORDER_MARK = "\uFEFF";
+
+/**
+ * Parses CSV text into rows of fields.
+ * @param {string} csvText The file contents.
+ * @returns {{rows: string[][], delimiter: string}} The rows, and the separator that was found.
+ */
+export function parseCsv(csvText) {
+    const text = csvText.replace(/^\uFEFF/, "");
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = DELIMITERS.reduce((best, candidate) => (firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best), ",");
+
+    const rows = [];
+    let row = [];
+    let field = "";
+    let inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (char === '"') { inQuotes = false; }
+            else { field += char; }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && text[i + 1] === "\n") { i++; }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = "";
+        } else {
+            field += char;
+        }
+    }
+    if (field !== "" || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return { rows, delimiter };
+}
+
+/**
+ * Writes rows of fields as CSV text. Fields with the separator, quotes or line breaks are quoted.
+ * @param {Array<Array<any>>} rows The rows.
+ * @param {string} [delimiter] The separator.
+ * @returns {string} The file contents, with a byte order mark and Windows line endings.
+ */
+export function formatCsv(rows, delimiter = ",") {
+    const formatField = (value) => {
+        const text = String(value ?? "");
+        return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return BYTE_ORDER_MARK + rows.map((row) => row.map(formatField).join(delimiter)).join("\r\n") + "\r\n";
+}
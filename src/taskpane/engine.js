@@ -0,0 +1,386 @@
+/*
+ * AI Translator for Excel - Translation Engine
+ * The host-independent core of a run: it turns a list of unique texts into checked translations and
+ * knows nothing about Excel, Office.js or the task pane.
+ * - Texts are looked up in the translation memory first, protected tokens are masked, and the rest
+ *   is sent in batches limited by cell and character count, several at a time as the rate limiter allows.
+ * - Every result is unmasked and checked against the glossary; failures are counted, never written.
+ * - With language detection, texts already in the target language are kept as they are.
+ * The host decides how progress is shown and how a run is paused and checkpointed (see `EngineHost`):
+ * the task pane shows its status bar and uses jobs.js, the command-line tool (src/cli) prints to the console.
+ */
+
+import { getEngineId, lookupTranslation, storeTranslation, saveTranslationMemory } from "./memory";
+import { findRelevantTerms, checkGlossary, describeGlossaryViolation } from "./glossary";
+import { TOKEN_ERROR_PREFIX, maskText, unmaskText } from "./protection";
+import { describeTextContext } from "./prompts";
+import { toLanguageCode, isSameLanguage } from "./languages";
+import { callProviderBatch, callProviderDetection } from "./providers";
+
+// --- CONSTANTS ---
+export const BATCH_CELL_LIMIT = 100; // Max number of cells per batch
+export const BATCH_CHAR_LIMIT = 15000; // Max total characters per batch to keep API request size safe
+const MAX_DETECTED_LANGUAGES = 5000; // Detected languages kept for =AI.DETECTLANGUAGE recalculations and detection before runs
+
+/** The host of background work (custom functions): nothing is shown, and runs cannot be paused or resumed. */
+const BACKGROUND_HOST = {};
+
+// --- STATE ---
+/** @type {Map<string, string>} Detected language codes by text, for the session. */
+const detectedLanguages = new Map();
+
+/**
+ * @typedef {object} EngineHost What the engine needs from the program it runs in. Every hook is optional.
+ * @property {function(string, string|null, number|null, boolean=): void} [report] Shows a status message with a detail
+ *     line and a progress percentage (null for none); the last argument marks errors.
+ * @property {number} [noticeDelay] How long (ms) notices such as "Found 20 translations in translation memory" stay
+ *     before the run goes on.
+ * @property {function(): Promise<void>} [waitAtBatchBoundary] Called before every batch: waits while the run is paused
+ *     and throws if it was cancelled.
+ * @property {function(string, string): string|undefined} [getCheckpointedTranslation] The translation of a text into a
+ *     language that an interrupted run already holds.
+ * @property {function(string, Array<[string, string]>): void} [recordBatch] Called with the target language and the
+ *     checked translations of every finished batch.
+ */
+
+/**
+ * Returns true if a batch result is an error message rather than a translation.
+ * @param {any} result One entry of the array returned for a batch.
+ * @returns {boolean}
+ */
+export function isTranslationError(result) {
+    return typeof result === 'string' && ["API Error", "Blocked", "Network Error", TOKEN_ERROR_PREFIX].some((prefix) => result.startsWith(prefix));
+}
+
+/**
+ * Splits texts into batches that stay within the cell and character limits of a request.
+ * @param {string[]} texts The texts to send.
+ * @returns {string[][]} The batches, in order.
+ */
+export function splitIntoBatches(texts) {
+    const allBatches = [];
+    let currentBatch = [];
+    let currentCharCount = 0;
+    for (const text of texts) {
+        const textLength = text.length;
+        if (textLength > BATCH_CHAR_LIMIT) {
+            if(currentBatch.length > 0) { allBatches.push(currentBatch); }
+            allBatches.push([text]);
+            currentBatch = [];
+            currentCharCount = 0;
+            continue;
+        }
+        if (currentBatch.length > 0 && (currentCharCount + textLength > BATCH_CHAR_LIMIT || currentBatch.length >= BATCH_CELL_LIMIT)) {
+            allBatches.push(currentBatch);
+            currentBatch = [];
+            currentCharCount = 0;
+        }
+        currentBatch.push(text);
+        currentCharCount += textLength;
+    }
+    if (currentBatch.length > 0) { allBatches.push(currentBatch); }
+    return allBatches;
+}
+
+/**
+ * Returns an empty result for a translation run.
+ * @param {Object<string, number>} [counters] Counters of the host's own, e.g. the command-line tool's `cells`, starting at 0.
+ * @returns {{totalErrors: number, firstErrorMessage: string|null, glossaryViolations: number, firstGlossaryMessage: string|null, qaFlagged: number}}
+ */
+export function createRunResult(counters = {}) {
+    return { totalErrors: 0, firstErrorMessage: null, glossaryViolations: 0, firstGlossaryMessage: null, qaFlagged: 0, ...counters };
+}
+
+/**
+ * Adds one part of a run (a sheet, a language) to the run's total: counts are summed, and the first
+ * error and glossary messages are kept.
+ * @param {object} total The result being collected. Updated in place.
+ * @param {object} part The result to add.
+ */
+export function addRunResult(total, part) {
+    for (const [key, value] of Object.entries(part)) {
+        if (typeof value === "number") {
+            total[key] = (total[key] || 0) + value;
+        } else if (key.startsWith("first")) {
+            total[key] = total[key] || value;
+        }
+    }
+}
+
+/**
+ * Tells whether the language of a text was detected earlier in the session.
+ * @param {string} text The text.
+ * @returns {boolean}
+ */
+export function hasDetectedLanguage(text) {
+    return detectedLanguages.has(text);
+}
+
+/**
+ * A simple promise-based delay function.
+ * @param {number} ms Milliseconds to wait.
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Creates an engine that reports to a host.
+ * @param {EngineHost} [host] The host's hooks.
+ * @returns {{translateTexts: function, detectTextLanguages: function, translateBatch: function}} See the functions below.
+ */
+export function createTranslationEngine(host = {}) {
+    /**
+     * Returns the hooks for a run. Background runs (custom functions) use none of them.
+     * @param {{background?: boolean}} options The translation options.
+     * @returns {EngineHost}
+     */
+    const getHost = (options) => (options.background ? BACKGROUND_HOST : host);
+
+    /**
+     * Shows a notice and leaves it up for the host's notice delay.
+     * @param {EngineHost} runHost The hooks of the run.
+     * @param {string} message The notice.
+     * @param {number} progress The progress percentage.
+     * @returns {Promise<void>}
+     */
+    const notify = async (runHost, message, progress) => {
+        if (!runHost.report) { return; }
+        runHost.report(message, "Checking for new text...", progress);
+        if (runHost.noticeDelay) { await sleep(runHost.noticeDelay); }
+    };
+
+    /**
+     * Sends a batch of texts to the provider, reporting rate-limit waits to the host.
+     * @param {string[]} texts An array of unique strings to be translated.
+     * @param {{provider: object, limiter: object, targetLanguage: string, sourceLanguage?: string, promptProfile?: object, background?: boolean}} options The translation options.
+     * @param {number} progress The current progress percentage for status updates.
+     * @param {object[]} [glossaryTerms] Glossary terms that occur in the texts.
+     * @param {boolean} [hasProtectedTokens] True if the texts contain protected-token markers.
+     * @param {Map<string, string>} [contexts] Where the texts come from, by text (see prompts.js).
+     * @returns {Promise<string[]>} A promise that resolves to an array of translated strings or error messages.
+     */
+    function translateBatch(texts, options, progress, glossaryTerms = [], hasProtectedTokens = false, contexts = undefined) {
+        const { report } = getHost(options);
+        return callProviderBatch(texts, options.provider, {
+            targetLanguage: options.targetLanguage,
+            sourceLanguage: options.sourceLanguage,
+            glossaryTerms,
+            hasProtectedTokens,
+            contexts,
+            profile: options.promptProfile,
+            limiter: options.limiter,
+            onRetry: report ? (message) => report("Translating...", message, progress, false) : undefined,
+        });
+    }
+
+    /**
+     * Asks the model for the language of each text. Detected languages are kept for the session, so a text
+     * is only sent once.
+     * @param {string[]} texts The unique texts to identify.
+     * @param {{provider: object, limiter: object, background?: boolean}} options The provider and limiter to use. With
+     *     `background`, nothing is reported.
+     * @param {number} [progress] The progress percentage to show while waiting.
+     * @returns {Promise<Map<string, string|Error>>} The language code of each text ("und" if it has none), or the reason it failed.
+     */
+    async function detectTextLanguages(texts, options, progress = null) {
+        const results = new Map(texts.filter((text) => detectedLanguages.has(text)).map((text) => [text, detectedLanguages.get(text)]));
+        const missing = texts.filter((text) => !results.has(text));
+        if (missing.length === 0) { return results; }
+
+        const { report } = getHost(options);
+        const onRetry = report ? (message) => report("Detecting languages...", message, progress, false) : undefined;
+        if (report) { report("Detecting languages...", `${missing.length.toLocaleString()} texts`, progress); }
+        const batches = [];
+        for (let i = 0; i < missing.length; i += BATCH_CELL_LIMIT) { batches.push(missing.slice(i, i + BATCH_CELL_LIMIT)); }
+        const answers = await Promise.all(batches.map((batch) => callProviderDetection(batch, options.provider, { limiter: options.limiter, onRetry })));
+        batches.forEach((batch, index) => batch.forEach((text, position) => {
+            const answer = answers[index][position];
+            if (isTranslationError(answer)) {
+                results.set(text, new Error(answer));
+                return;
+            }
+            results.set(text, answer);
+            if (detectedLanguages.size >= MAX_DETECTED_LANGUAGES) { detectedLanguages.delete(detectedLanguages.keys().next().value); }
+            detectedLanguages.set(text, answer);
+        }));
+        return results;
+    }
+
+    /**
+     * Translates a list of unique texts into `options.targetLanguage`: reuses the translation memory,
+     * masks protected tokens, sends the rest in batches and checks every result.
+     * With `options.background` (custom functions), nothing is reported and the batches are not tied to
+     * the running job, so pausing or cancelling a run does not affect them.
+     * Texts found in `options.pretranslated` (see `runWorkbookJob` in taskpane.js) are taken from there.
+     * With `options.detectLanguages`, the language of every text to send is detected first.
+     * @param {string[]} texts The unique texts to translate.
+     * @param {object} options The translation options (see `translateRange` in taskpane.js): at least provider, limiter and
+     *     targetLanguage, and optionally sourceLanguage, useMemory, glossary, protectionRules, promptProfile and textContexts.
+     * @param {number} progressStart The progress percentage when this step starts.
+     * @param {number} progressSpan The share of the progress bar this step may use.
+     * @returns {Promise<{translations: Map<string, string|null>, details: Map<string, {error: string|null, cached: boolean, skipped?: boolean}>, totalErrors: number, firstErrorMessage: string|null, glossaryViolations: number, firstGlossaryMessage: string|null}>}
+     *     The translation of each text (null if it failed or broke a rule) and the error and glossary violation counts.
+     *     `details` tells for each text that was looked up or sent why it failed and whether it came from the translation
+     *     memory, for the run report. Texts that are nothing but protected tokens have no entry. With `options.detectLanguages`,
+     *     texts detected in the target language are their own translation and are marked `skipped`.
+     */
+    async function translateTexts(texts, options, progressStart, progressSpan) {
+        // Check the translation memory for existing translations. Remembered translations that break
+        // the glossary (e.g. stored before a term was added) are fetched again.
+        const runHost = getHost(options);
+        const report = runHost.report || (() => {});
+        const engine = getEngineId(options.provider);
+        const glossary = options.glossary || [];
+        const translations = new Map(texts.map((text) => [text, null]));
+        const details = new Map();
+        let textsToFetchFromApi = [];
+        const masks = new Map();
+        let cachedCount = 0;
+        let resumedCount = 0;
+        const planned = options.pretranslated ? options.pretranslated.get(options.targetLanguage) : undefined;
+        for (const text of texts) {
+            // A workbook run translates its texts before it writes any sheet. Failed texts are not sent again;
+            // they were counted when they failed.
+            if (planned && planned.translations.has(text)) {
+                translations.set(text, planned.translations.get(text));
+                if (planned.details.has(text)) { details.set(text, planned.details.get(text)); }
+                continue;
+            }
+            // Texts translated before the job was interrupted are not sent again.
+            const checkpointed = runHost.getCheckpointedTranslation ? runHost.getCheckpointedTranslation(text, options.targetLanguage) : undefined;
+            if (checkpointed !== undefined) {
+                translations.set(text, checkpointed);
+                details.set(text, { error: null, cached: false });
+                resumedCount++;
+                continue;
+            }
+            const remembered = options.useMemory ? lookupTranslation(text, options.targetLanguage, engine) : undefined;
+            if (remembered !== undefined && checkGlossary(text, remembered, findRelevantTerms(glossary, [text], options.targetLanguage)).length === 0) {
+                translations.set(text, remembered);
+                details.set(text, { error: null, cached: true });
+                cachedCount++;
+                continue;
+            }
+            // Mask protected tokens. Texts that are nothing but tokens (a URL, an e-mail, a SKU) are kept as they are.
+            const mask = maskText(text, options.protectionRules);
+            if (mask.hasTranslatableText) {
+                masks.set(text, mask);
+                textsToFetchFromApi.push(text);
+            }
+        }
+
+        if (resumedCount > 0) {
+            await notify(runHost, `Reusing ${resumedCount} translations from the interrupted job.`, progressStart);
+        }
+        if (cachedCount > 0) {
+            await notify(runHost, `Found ${cachedCount} translations in translation memory.`, progressStart);
+        }
+
+        // With language detection, texts that are already in the target language are kept as they are.
+        // Texts whose language could not be detected are translated.
+        if (options.detectLanguages && textsToFetchFromApi.length > 0) {
+            const targetCode = toLanguageCode(options.targetLanguage);
+            const languages = await detectTextLanguages(textsToFetchFromApi, options, progressStart);
+            const inTarget = new Set(textsToFetchFromApi.filter((text) => {
+                const code = languages.get(text);
+                return typeof code === "string" && isSameLanguage(code, targetCode);
+            }));
+            for (const text of inTarget) {
+                translations.set(text, text);
+                details.set(text, { error: null, cached: false, skipped: true });
+            }
+            textsToFetchFromApi = textsToFetchFromApi.filter((text) => !inTarget.has(text));
+            if (inTarget.size > 0) {
+                await notify(runHost, `${inTarget.size} texts are already in ${options.targetLanguage} and are kept.`, progressStart);
+            }
+        }
+
+        let totalErrors = 0;
+        let firstErrorMessage = null;
+        let glossaryViolations = 0;
+        let firstGlossaryMessage = null;
+
+        if (textsToFetchFromApi.length > 0) {
+            // Smart batching based on both cell count and total characters
+            const allBatches = splitIntoBatches(textsToFetchFromApi);
+
+            // Process all batches. Several run at the same time when the rate limiter allows it.
+            const totalBatches = allBatches.length;
+            let nextBatch = 0;
+            let finishedBatches = 0;
+            const processBatch = async (batch) => {
+                const glossaryTerms = findRelevantTerms(glossary, batch, options.targetLanguage);
+                const maskedBatch = batch.map((text) => masks.get(text));
+                const hasProtectedTokens = maskedBatch.some((mask) => mask.tokens.length > 0);
+                const contexts = options.textContexts ? new Map(batch.map((text) => [masks.get(text).masked, describeTextContext(options.textContexts.get(text))])) : undefined;
+                const progress = progressStart + (finishedBatches / totalBatches) * progressSpan;
+                const translatedBatch = await translateBatch(maskedBatch.map((mask) => mask.masked), options, progress, glossaryTerms, hasProtectedTokens, contexts);
+
+                const batchResults = [];
+                for (let j = 0; j < batch.length; j++) {
+                    const originalText = batch[j];
+                    let translatedResult = translatedBatch[j];
+                    if (!isTranslationError(translatedResult)) {
+                        // Put the protected tokens back. A cell that lost or gained a token becomes an error.
+                        const restored = unmaskText(translatedResult, maskedBatch[j].tokens);
+                        translatedResult = restored.error || restored.text;
+                    }
+                    const violations = isTranslationError(translatedResult) ? [] : checkGlossary(originalText, translatedResult, glossaryTerms);
+
+                    // CRITICAL: Check for errors. If an error is returned, do not write it to the cell.
+                    if (isTranslationError(translatedResult)) {
+                        details.set(originalText, { error: translatedResult, cached: false });
+                        totalErrors++;
+                        if (!firstErrorMessage) {
+                            firstErrorMessage = translatedResult; // Save the first error message to display
+                        }
+                    } else if (violations.length > 0) {
+                        // Glossary violations are reported, never silently written.
+                        glossaryViolations++;
+                        const message = describeGlossaryViolation(originalText, violations);
+                        details.set(originalText, { error: message, cached: false });
+                        if (!firstGlossaryMessage) {
+                            firstGlossaryMessage = message;
+                        }
+                    } else {
+                        // This is a valid translation.
+                        const finalText = translatedResult || originalText; // Fallback to original
+                        translations.set(originalText, finalText);
+                        details.set(originalText, { error: null, cached: false });
+                        batchResults.push([originalText, finalText]);
+                        if (options.useMemory) { storeTranslation(originalText, finalText, options.targetLanguage, engine); }
+                    }
+                }
+                if (options.useMemory) { saveTranslationMemory(); }
+                if (runHost.recordBatch) { runHost.recordBatch(options.targetLanguage, batchResults); }
+                finishedBatches++;
+                report(`Translating...`, `Finished batch ${finishedBatches} of ${totalBatches}`, progressStart + (finishedBatches / totalBatches) * progressSpan);
+            };
+            // The limiter decides how many requests are actually in flight; after a 429 some workers simply wait.
+            const worker = async () => {
+                while (nextBatch < totalBatches) {
+                    if (runHost.waitAtBatchBoundary) { await runHost.waitAtBatchBoundary(); }
+                    // Claim the batch only after the wait: during a pause every worker waits here, and the
+                    // other workers may have taken the last batches by the time this one goes on.
+                    const index = nextBatch++;
+                    if (index >= totalBatches) { break; }
+                    await processBatch(allBatches[index]);
+                }
+            };
+
+            report(`Translating...`, `Sending ${totalBatches} batches to the API`, progressStart);
+            const workers = [];
+            for (let w = 0; w < Math.min(totalBatches, options.limiter.maxConcurrency); w++) {
+                workers.push(worker());
+            }
+            // Let the running batches finish (and be checkpointed) before a cancellation or error is passed on.
+            const outcomes = await Promise.allSettled(workers);
+            const failure = outcomes.find((outcome) => outcome.status === "rejected");
+            if (failure) { throw failure.reason; }
+        }
+        return { translations, details, totalErrors, firstErrorMessage, glossaryViolations, firstGlossaryMessage };
+    }
+
+    return { translateTexts, detectTextLanguages, translateBatch };
+}
@@ -0,0 +1,103 @@
+/*
+ * AI Translator for Excel - Run Estimate
+ * Before a workbook run starts, the texts it will send are turned into an estimate of requests,
+ * tokens, time and cost, so the user can decide whether to go ahead.
+ * - Tokens are measured with the provider's tokenizer on a sample of the texts where the provider
+ *   offers one (Gemini's countTokens), and estimated from the character count otherwise.
+ * - Time follows from the rate limits and the number of parallel requests.
+ * - Cost uses the list prices of known Gemini models. Local servers and the free tier cost nothing;
+ *   for other servers the cost is unknown.
+ */
+
+import { getProvider, isLocalEndpoint, countProviderTokens } from "./providers";
+import { CHARS_PER_TOKEN, PROMPT_OVERHEAD_TOKENS } from "./ratelimit";
+
+// --- CONSTANTS ---
+const TOKEN_SAMPLE_CHARS = 50000; // Characters sent to the tokenizer to measure the token ratio
+const SECONDS_PER_REQUEST = 10; // Typical time until a batch comes back
+
+/**
+ * List prices of Gemini models in US dollars per million tokens (paid tier, prompts up to 128k tokens).
+ * A model id matches the longest entry it starts with, so "gemini-1.5-flash-002" uses "gemini-1.5-flash".
+ * @type {Object<string, {input: number, output: number}>}
+ */
+const MODEL_PRICES = {
+    "gemini-1.5-flash": { input: 0.075, output: 0.3 },
+    "gemini-1.5-flash-8b": { input: 0.0375, output: 0.15 },
+    "gemini-1.5-pro": { input: 1.25, output: 5 },
+    "gemini-2.0-flash": { input: 0.1, output: 0.4 },
+    "gemini-2.0-flash-lite": { input: 0.075, output: 0.3 },
+    "gemini-2.5-flash": { input: 0.3, output: 2.5 },
+    "gemini-2.5-flash-lite": { input: 0.1, output: 0.4 },
+    "gemini-2.5-pro": { input: 1.25, output: 10 },
+};
+
+/**
+ * @typedef {{requests: number, inputTokens: number, outputTokens: number, seconds: number, cost: number|null, measured: boolean}} RunEstimate
+ *     `cost` is in US dollars, null if unknown. `measured` is true if the tokens were counted by the provider.
+ */
+
+/**
+ * Measures how many characters make up one token for the texts of a run.
+ * @param {string[]} texts The texts to send.
+ * @param {{providerId: string, endpoint: string, apiKey: string, model: string}} settings The resolved provider settings.
+ * @returns {Promise<{charsPerToken: number, measured: boolean}>}
+ */
+export async function measureCharsPerToken(texts, settings) {
+    let sample = "";
+    for (const text of texts) {
+        if (sample.length >= TOKEN_SAMPLE_CHARS) { break; }
+        sample += `${text}\n`;
+    }
+    if (sample === "") { return { charsPerToken: CHARS_PER_TOKEN, measured: false }; }
+    try {
+        const tokens = await countProviderTokens(sample, settings);
+        if (tokens > 0) { return { charsPerToken: sample.length / tokens, measured: true }; }
+    } catch (error) {
+        console.warn("Could not count tokens, estimating from characters:", error);
+    }
+    return { charsPerToken: CHARS_PER_TOKEN, measured: false };
+}
+
+/**
+ * Returns the price of a model, or null if it is not known.
+ * @param {string} model The model id.
+ * @returns {{input: number, output: number}|null}
+ */
+function findModelPrice(model) {
+    const match = Object.keys(MODEL_PRICES).filter((id) => model.startsWith(id)).sort((a, b) => b.length - a.length)[0];
+    return match ? MODEL_PRICES[match] : null;
+}
+
+/**
+ * Estimates what sending a list of batches will take.
+ * @param {string[][]} batches The batches, as they will be sent.
+ * @param {{charsPerToken: number, measured: boolean}} ratio The token ratio (see `measureCharsPerToken`).
+ * @param {{providerId: string, endpoint: string, model: string}} settings The resolved provider settings.
+ * @param {{tier: string, requestsPerMinute: number, tokensPerMinute: number, concurrency: number}} limits The rate limits.
+ * @returns {RunEstimate}
+ */
+export function estimateRun(batches, ratio, settings, limits) {
+    let inputTokens = 0;
+    let outputTokens = 0;
+    for (const batch of batches) {
+        const textTokens = Math.ceil(batch.reduce((sum, text) => sum + text.length, 0) / ratio.charsPerToken);
+        inputTokens += PROMPT_OVERHEAD_TOKENS + textTokens;
+        outputTokens += textTokens; // A translation about as long as its source
+    }
+    const requests = batches.length;
+    const seconds = Math.max(
+        (requests * SECONDS_PER_REQUEST) / Math.max(1, limits.concurrency),
+        limits.requestsPerMinute > 0 ? (requests / limits.requestsPerMinute) * 60 : 0,
+        limits.tokensPerMinute > 0 ? ((inputTokens + outputTokens) / limits.tokensPerMinute) * 60 : 0,
+    );
+
+    let cost = null;
+    if (isLocalEndpoint(settings) || limits.tier === "free" || limits.tier === "local") {
+        cost = 0;
+    } else if (getProvider(settings.providerId).kind === "gemini") {
+        const price = findModelPrice(settings.model);
+        if (price) { cost = (inputTokens * price.input + outputTokens * price.output) / 1e6; }
+    }
+    return { requests, inputTokens, outputTokens, seconds, cost, measured: ratio.measured };
+}
@@ -0,0 +1,153 @@
+/* global Office */
+
+/*
+ * AI Translator for Excel - Script-Aware Formatting
+ * Writing a translation only changes the cell content, so Arabic or Hebrew text would stay left-aligned
+ * in a left-to-right reading order, and Japanese or Chinese text would keep a font without its glyphs.
+ * - Right-to-left targets (Arabic, Hebrew, Persian, Urdu and others written in their scripts): translated
+ *   cells get the right-to-left reading order, and cells aligned "General" or "Left" are aligned right.
+ *   Centered or justified cells keep their alignment. A new sheet gets the right-to-left reading order throughout.
+ * - Optional font substitution: translated cells in CJK and right-to-left scripts get a font with their glyphs.
+ * - The formats of overwritten cells are read first and kept in the run history, so reverting restores them.
+ * - Add-ins cannot switch a whole sheet to right-to-left; that stays with Page Layout > Sheet Right-to-Left.
+ * Cell formats need ExcelApi 1.9. Older hosts write the content only.
+ */
+
+import { toLanguageCode } from "./languages";
+import { groupCellRuns, getRunRange } from "./ranges";
+
+// --- CONSTANTS ---
+const FORMAT_API_VERSION = "1.9";
+const RTL_LANGUAGE_CODES = ["ar", "he", "fa", "ur", "yi", "ps", "sd", "ug", "dv", "ckb"];
+const LEFT_ALIGNMENTS = ["General", "Left"]; // Alignments that are turned to the right for right-to-left text
+const RIGHT_TO_LEFT = "RightToLeft";
+
+/** Fonts with the glyphs of each script, by lower-case language code. The most specific code wins. */
+const SCRIPT_FONTS = {
+    ja: "Yu Gothic",
+    ko: "Malgun Gothic",
+    zh: "Microsoft YaHei",
+    "zh-hans": "Microsoft YaHei",
+    "zh-hant": "Microsoft JhengHei",
+    "zh-tw": "Microsoft JhengHei",
+    "zh-hk": "Microsoft JhengHei",
+    ar: "Arial",
+    fa: "Tahoma",
+    ur: "Arial",
+    he: "Arial",
+    yi: "Arial",
+};
+
+/** The cell properties read before a cell is formatted. */
+const FORMAT_PROPERTIES = { format: { horizontalAlignment: true, readingOrder: true, font: { name: true } } };
+
+/**
+ * Splits the code of a language into its lower-case parts, e.g. "Chinese (Traditional)" into zh / hant.
+ * @param {string} language The language name or code.
+ * @returns {string[]}
+ */
+function getCodeParts(language) {
+    return String(toLanguageCode(language) || "").toLowerCase().replace(/_/g, "-").split("-").filter(Boolean);
+}
+
+/**
+ * Tells whether a language is written from right to left.
+ * @param {string} language The language name or code.
+ * @returns {boolean}
+ */
+export function isRightToLeft(language) {
+    return RTL_LANGUAGE_CODES.includes(getCodeParts(language)[0]);
+}
+
+/**
+ * Returns the font used for a language's script when fonts are substituted.
+ * @param {string} language The language name or code.
+ * @returns {string|null} The font, or null if the language keeps the cell's font.
+ */
+export function getScriptFont(language) {
+    const parts = getCodeParts(language);
+    for (let n = parts.length; n > 0; n--) {
+        const font = SCRIPT_FONTS[parts.slice(0, n).join("-")];
+        if (font) { return font; }
+    }
+    return null;
+}
+
+/**
+ * Returns how cells translated into a language are formatted.
+ * @param {string} language The target language.
+ * @param {{rtlLayout?: boolean, scriptFonts?: boolean}} options The translation options.
+ * @returns {{rightToLeft: boolean, fontName: string|null}|null} The format, or null if only the content is written.
+ */
+export function getScriptFormat(language, options) {
+    if (!Office.context.requirements.isSetSupported("ExcelApi", FORMAT_API_VERSION)) { return null; }
+    const rightToLeft = Boolean(options.rtlLayout) && isRightToLeft(language);
+    const fontName = options.scriptFonts ? getScriptFont(language) : null;
+    return rightToLeft || fontName ? { rightToLeft, fontName } : null;
+}
+
+/**
+ * Queues the read of the formats of the cells about to be written, for `prepareScriptFormat`.
+ * @param {Excel.Range} targetRange The range the row/column indexes refer to.
+ * @param {{row: number, col: number}[]} changes The cells about to be written, in row-major order.
+ * @param {{rightToLeft: boolean, fontName: string|null}|null} format The format (see `getScriptFormat`).
+ * @returns {{runs: object[][], properties: OfficeExtension.ClientResult<object[][]>[]}|null} The queued reads, or null
+ *     if there is no format or nothing to write.
+ */
+export function loadCellFormats(targetRange, changes, format) {
+    if (!format || changes.length === 0) { return null; }
+    const runs = groupCellRuns(changes);
+    return { runs, properties: runs.map((run) => getRunRange(targetRange, run).getCellProperties(FORMAT_PROPERTIES)) };
+}
+
+/**
+ * Works out the new formats of the cells about to be written, once their formats are read (see `loadCellFormats`).
+ * Each change gets `cellFormat` (see `writeScriptFormat`) and `originalFormat`, the properties it replaces, for
+ * the run history. Must be called before the snapshot is recorded.
+ * @param {{runs: object[][], properties: OfficeExtension.ClientResult<object[][]>[]}|null} cellFormats The loaded formats.
+ *     Their changes are updated in place. Nothing is done without them.
+ * @param {{rightToLeft: boolean, fontName: string|null}|null} format The format (see `getScriptFormat`).
+ */
+export function prepareScriptFormat(cellFormats, format) {
+    if (!cellFormats) { return; }
+    const { runs, properties } = cellFormats;
+    runs.forEach((run, r) => run.forEach((change, i) => {
+        const current = properties[r].value[0][i].format;
+        const cellFormat = {};
+        const originalFormat = {};
+        if (format.rightToLeft) {
+            cellFormat.readingOrder = RIGHT_TO_LEFT;
+            originalFormat.readingOrder = current.readingOrder;
+            if (LEFT_ALIGNMENTS.includes(current.horizontalAlignment)) {
+                cellFormat.horizontalAlignment = "Right";
+                originalFormat.horizontalAlignment = current.horizontalAlignment;
+            }
+        }
+        if (format.fontName) {
+            cellFormat.font = { name: format.fontName };
+            originalFormat.font = { name: current.font.name };
+        }
+        change.cellFormat = cellFormat;
+        change.originalFormat = originalFormat;
+    }));
+}
+
+/**
+ * Queues the formats worked out by `prepareScriptFormat`. Cells without one are left as they are.
+ * @param {Excel.Range} targetRange The range the row/column indexes refer to.
+ * @param {{row: number, col: number, cellFormat?: object}[]} changes The written cells, in row-major order.
+ */
+export function writeScriptFormat(targetRange, changes) {
+    for (const run of groupCellRuns(changes.filter((change) => change.cellFormat))) {
+        getRunRange(targetRange, run).setCellProperties([run.map((change) => ({ format: change.cellFormat }))]);
+    }
+}
+
+/**
+ * Gives every cell of a new sheet the right-to-left reading order, if its translations are written right to left.
+ * @param {Excel.Worksheet} sheet The sheet created by the run.
+ * @param {{rightToLeft: boolean}|null} format The format (see `getScriptFormat`).
+ */
+export function writeSheetReadingOrder(sheet, format) {
+    if (format && format.rightToLeft) { sheet.getRange().format.readingOrder = RIGHT_TO_LEFT; }
+}
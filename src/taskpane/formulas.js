@@ -0,0 +1,137 @@
+/*
+ * AI Translator for Excel - Formula Handling
+ * Formula cells are never replaced by their values. Optionally, the string literals inside a
+ * formula (e.g. the "Yes" and "No" in =IF(A1>0,"Yes","No")) are translated and the rest of the
+ * formula is kept exactly as it was.
+ * - Literals that Excel reads as data rather than display text (format codes, references, lookup
+ *   keys, criteria and comparisons) are left alone, since translating them would change the result.
+ */
+
+// --- CONSTANTS ---
+const FORMULA_LITERAL_LIMIT = 255; // Max characters in a string literal inside an Excel formula
+const FORMULA_LENGTH_LIMIT = 8192; // Max characters in an Excel formula
+
+/** Functions whose string arguments are codes, references, lookup keys or criteria. */
+const DATA_ARGUMENT_FUNCTIONS = new Set([
+    "TEXT", "INDIRECT", "ADDRESS", "CELL", "INFO", "DATEVALUE", "TIMEVALUE", "VALUE", "NUMBERVALUE",
+    "COUNTIF", "COUNTIFS", "SUMIF", "SUMIFS", "AVERAGEIF", "AVERAGEIFS", "MAXIFS", "MINIFS",
+    "MATCH", "XMATCH", "VLOOKUP", "HLOOKUP", "XLOOKUP", "LOOKUP", "SEARCH", "SEARCHB", "FIND", "FINDB",
+    "SUBSTITUTE", "GETPIVOTDATA", "CUBEVALUE", "CUBEMEMBER", "WEBSERVICE", "FILTERXML", "RTD", "TEXTSPLIT",
+    "TEXTBEFORE", "TEXTAFTER", "REGEXTEST", "REGEXEXTRACT", "REGEXREPLACE", "SWITCH", "ENCODEURL",
+]);
+
+/** Functions where only some arguments are display text: function name -> index of the display argument. */
+const DISPLAY_ARGUMENT_ONLY = { HYPERLINK: 1 };
+
+/**
+ * Returns true if a cell's formula (as returned by `range.formulas`) is a formula rather than a constant.
+ * @param {any} formula The entry from `range.formulas`.
+ * @returns {boolean}
+ */
+export function isFormula(formula) {
+    return typeof formula === "string" && formula.startsWith("=");
+}
+
+/**
+ * Finds the string literals of a formula that hold display text.
+ * @param {string} formula The formula, starting with "=".
+ * @returns {{start: number, end: number, text: string}[]} The literals, with the position of their
+ *     quotes in the formula and their unescaped text.
+ */
+export function extractFormulaLiterals(formula) {
+    const literals = [];
+    const calls = []; // Stack of { name, argIndex } for the function calls we are inside.
+    let i = 1; // Skip the leading "="
+
+    while (i < formula.length) {
+        const char = formula[i];
+
+        if (char === '"') {
+            let end = i + 1;
+            let text = "";
+            while (end < formula.length) {
+                if (formula[end] === '"' && formula[end + 1] === '"') { text += '"'; end += 2; continue; }
+                if (formula[end] === '"') { break; }
+                text += formula[end];
+                end++;
+            }
+            const call = calls[calls.length - 1];
+            if (isDisplayLiteral(text, call, formula, i, end)) {
+                literals.push({ start: i, end, text });
+            }
+            i = end + 1;
+            continue;
+        }
+
+        if (char === "'") {
+            // Quoted sheet name, e.g. 'My Sheet'!A1. Skip it so its contents are not mistaken for code.
+            i++;
+            while (i < formula.length) {
+                if (formula[i] === "'" && formula[i + 1] === "'") { i += 2; continue; }
+                if (formula[i] === "'") { break; }
+                i++;
+            }
+            i++;
+            continue;
+        }
+
+        const nameMatch = /^[A-Za-z_][A-Za-z0-9_.]*\(/.exec(formula.substring(i));
+        if (nameMatch) {
+            const name = nameMatch[0].slice(0, -1).toUpperCase().replace(/^_XLFN\.|^_XLWS\./, "");
+            calls.push({ name, argIndex: 0 });
+            i += nameMatch[0].length;
+            continue;
+        }
+
+        if (char === "(") { calls.push({ name: "", argIndex: 0 }); }
+        else if (char === ")") { calls.pop(); }
+        else if (char === "," && calls.length > 0) { calls[calls.length - 1].argIndex++; }
+        i++;
+    }
+    return literals;
+}
+
+/**
+ * Decides whether a string literal is display text that can be translated.
+ * @param {string} text The unescaped literal.
+ * @param {{name: string, argIndex: number}|undefined} call The innermost function call around the literal.
+ * @param {string} formula The whole formula.
+ * @param {number} start The index of the opening quote.
+ * @param {number} end The index of the closing quote.
+ * @returns {boolean}
+ */
+function isDisplayLiteral(text, call, formula, start, end) {
+    if (!/\p{L}/u.test(text)) { return false; } // Numbers, separators, empty strings
+    if (call && DATA_ARGUMENT_FUNCTIONS.has(call.name)) { return false; }
+    if (call && call.name in DISPLAY_ARGUMENT_ONLY && call.argIndex !== DISPLAY_ARGUMENT_ONLY[call.name]) { return false; }
+    // Literals compared with something (A1="Yes", "No"<>B2) must match the data, so keep them.
+    const before = formula.substring(0, start).trimEnd();
+    const after = formula.substring(end + 1).trimStart();
+    return !/[=<>]$/.test(before) && !/^[=<>]/.test(after);
+}
+
+/**
+ * Rebuilds a formula with some of its literals replaced. Literals without a usable translation keep their original text.
+ * @param {string} formula The original formula.
+ * @param {{start: number, end: number, text: string}[]} literals The literals found by `extractFormulaLiterals`.
+ * @param {function(string): (string|null|undefined)} getTranslation Returns the translation of a literal's text, if any.
+ * @returns {string|null} The new formula, or null if nothing changed or the result would be too long for Excel.
+ */
+export function replaceFormulaLiterals(formula, literals, getTranslation) {
+    let result = "";
+    let position = 0;
+    let changed = false;
+    for (const literal of literals) {
+        const translation = getTranslation(literal.text);
+        result += formula.substring(position, literal.start);
+        if (typeof translation === "string" && translation !== literal.text && translation.length <= FORMULA_LITERAL_LIMIT) {
+            result += `"${translation.replace(/"/g, '""')}"`;
+            changed = true;
+        } else {
+            result += formula.substring(literal.start, literal.end + 1);
+        }
+        position = literal.end + 1;
+    }
+    result += formula.substring(position);
+    return changed && result.length <= FORMULA_LENGTH_LIMIT ? result : null;
+}
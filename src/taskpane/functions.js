@@ -0,0 +1,138 @@
+/* global CustomFunctions */
+
+/*
+ * AI Translator for Excel - Custom Functions
+ * =AI.TRANSLATE(text, targetLanguage, [sourceLanguage]) and =AI.DETECTLANGUAGE(text) for worksheet formulas.
+ * The add-in runs in a shared runtime, so these functions live in the task pane's page and use its
+ * translation pipeline (translation memory, token protection, batching, rate limiting).
+ * - Calls that arrive within a short window are collected and answered together, one request list per
+ *   language pair, so recalculating thousands of formulas makes a few batched requests instead of one per cell.
+ * - A text that occurs in many formulas is sent once.
+ */
+
+// --- CONSTANTS ---
+const COLLECT_DELAY = 250; // How long calls are collected before they are sent, in ms
+const MAX_ERROR_LENGTH = 255; // Longer messages are cut, Excel only shows the start of them anyway
+
+/**
+ * @typedef {{translate: function(string[], {targetLanguage: string, sourceLanguage: string}): Promise<Map<string, string|Error>>, detect: function(string[]): Promise<Map<string, string|Error>>}} FunctionHandlers
+ *     `translate` and `detect` answer a list of unique texts with a result or an error for each text.
+ */
+
+/**
+ * Creates a queue that collects calls for `COLLECT_DELAY` ms and then answers them with one call to
+ * `send` per group. Calls with the same arguments are in the same group; equal texts are sent once.
+ * @param {function(string[], object): Promise<Map<string, string|Error>>} send Answers the texts of a group.
+ * @returns {function(string, object): Promise<string>} Queues a text with its group arguments.
+ */
+function createCallQueue(send) {
+    const groups = new Map(); // Group key -> {args, waiters: Map<text, {resolve, reject}[]>}
+    let timer = null;
+
+    const answerGroup = async (group) => {
+        let answers = new Map();
+        let failure = null;
+        try {
+            answers = await send(Array.from(group.waiters.keys()), group.args);
+        } catch (error) {
+            failure = error;
+        }
+        for (const [text, waiters] of group.waiters) {
+            const answer = answers.get(text) ?? failure ?? new Error("No answer was received.");
+            for (const waiter of waiters) {
+                if (answer instanceof Error) {
+                    waiter.reject(answer);
+                } else {
+                    waiter.resolve(answer);
+                }
+            }
+        }
+    };
+
+    const flush = () => {
+        timer = null;
+        const pending = Array.from(groups.values());
+        groups.clear();
+        // The groups share the rate limiter, so they can safely be sent side by side.
+        pending.forEach(answerGroup);
+    };
+
+    return (text, args) => new Promise((resolve, reject) => {
+        const key = JSON.stringify(args);
+        if (!groups.has(key)) { groups.set(key, { args, waiters: new Map() }); }
+        const waiters = groups.get(key).waiters;
+        if (!waiters.has(text)) { waiters.set(text, []); }
+        waiters.get(text).push({ resolve, reject });
+        if (timer === null) { timer = setTimeout(flush, COLLECT_DELAY); }
+    });
+}
+
+/**
+ * Turns an error into a custom function error, which Excel shows as #N/A with the message as a tooltip.
+ * @param {any} error The error.
+ * @param {string} [code] The `CustomFunctions.ErrorCode` to use. Defaults to "not available".
+ * @returns {CustomFunctions.Error}
+ */
+function toFunctionError(error, code = CustomFunctions.ErrorCode.notAvailable) {
+    const message = String((error && error.message) || error || "Unknown error");
+    return new CustomFunctions.Error(code, message.slice(0, MAX_ERROR_LENGTH));
+}
+
+/**
+ * Returns the text of a function argument, or null for an empty cell. Numbers and booleans are used as text.
+ * @param {any} value The argument.
+ * @returns {string|null}
+ */
+function toArgumentText(value) {
+    if (value === null || value === undefined) { return null; }
+    const text = String(value);
+    return text.trim() === "" ? null : text;
+}
+
+/**
+ * Registers the custom functions with Excel. Does nothing where custom functions are not available
+ * (e.g. when the page is opened outside Excel).
+ * @param {FunctionHandlers} handlers Answer the collected calls.
+ */
+export function registerCustomFunctions(handlers) {
+    if (typeof CustomFunctions === "undefined") { return; }
+    const queueTranslation = createCallQueue(handlers.translate);
+    const queueDetection = createCallQueue(handlers.detect);
+
+    /**
+     * =AI.TRANSLATE(text, targetLanguage, [sourceLanguage])
+     * @param {any} text The text to translate.
+     * @param {string} targetLanguage The language to translate into, as a name ("German") or code ("de").
+     * @param {string} [sourceLanguage] The language of the text. Detected by the model if omitted.
+     * @returns {Promise<string>} The translation.
+     */
+    const translate = async (text, targetLanguage, sourceLanguage) => {
+        const source = toArgumentText(text);
+        if (source === null) { return ""; }
+        const target = toArgumentText(targetLanguage);
+        if (target === null) { throw toFunctionError("Enter the language to translate into.", CustomFunctions.ErrorCode.invalidValue); }
+        try {
+            return await queueTranslation(source, { targetLanguage: target.trim(), sourceLanguage: (toArgumentText(sourceLanguage) || "").trim() });
+        } catch (error) {
+            throw toFunctionError(error);
+        }
+    };
+
+    /**
+     * =AI.DETECTLANGUAGE(text)
+     * @param {any} text The text to identify.
+     * @returns {Promise<string>} The BCP-47 code of the text's language, or "und" if it has none.
+     */
+    const detectLanguage = async (text) => {
+        const source = toArgumentText(text);
+        if (source === null) { return ""; }
+        try {
+            return await queueDetection(source, {});
+        } catch (error) {
+            throw toFunctionError(error);
+        }
+    };
+
+    CustomFunctions.associate("TRANSLATE", translate);
+    CustomFunctions.associate("DETECTLANGUAGE", detectLanguage);
+}
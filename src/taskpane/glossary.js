@@ -0,0 +1,126 @@
+/*
+ * AI Translator for Excel - Glossary
+ * Term pairs that must always be translated the same way. A glossary is read from a worksheet
+ * (by default one named "Glossary") or from an imported CSV file with the columns:
+ *   Source term | Target term | Target language (optional, empty = any language)
+ * Only the terms found in a batch are sent with it, and every result is checked afterwards.
+ */
+
+import { parseCsv } from "./csv";
+
+// --- CONSTANTS ---
+export const DEFAULT_GLOSSARY_SHEET = "Glossary";
+const MAX_TERMS_PER_BATCH = 200; // Keeps the prompt small even for very large glossaries
+const HEADER_NAMES = ["source", "source term", "term", "target", "target term", "translation", "language", "target language"];
+
+/**
+ * @typedef {{source: string, target: string, language: string}} GlossaryTerm
+ */
+
+/**
+ * Turns rows of cells (from a worksheet or a CSV file) into glossary terms. A first row that
+ * looks like a header is skipped, as are rows without both a source and a target term.
+ * @param {Array<Array<any>>} rows The rows to read.
+ * @returns {GlossaryTerm[]} The terms.
+ */
+export function parseGlossaryRows(rows) {
+    const terms = [];
+    rows.forEach((row, index) => {
+        const source = String(row[0] ?? "").trim();
+        const target = String(row[1] ?? "").trim();
+        const language = String(row[2] ?? "").trim();
+        if (!source || !target) { return; }
+        if (index === 0 && HEADER_NAMES.includes(source.toLowerCase()) && HEADER_NAMES.includes(target.toLowerCase())) { return; }
+        terms.push({ source, target, language });
+    });
+    return terms;
+}
+
+/**
+ * Parses CSV text (comma, semicolon or tab separated, with optional double quotes) into glossary terms.
+ * @param {string} csvText The file contents.
+ * @returns {GlossaryTerm[]} The terms.
+ */
+export function parseGlossaryCsv(csvText) {
+    return parseGlossaryRows(parseCsv(csvText).rows);
+}
+
+/**
+ * Escapes a string for literal use inside a regular expression.
+ * @param {string} text The text to escape.
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Returns true if a term occurs in a text as a whole word (case-insensitive).
+ * @param {string} text The text to search.
+ * @param {string} term The term to look for.
+ * @returns {boolean}
+ */
+function containsTerm(text, term) {
+    if (!text.toLowerCase().includes(term.toLowerCase())) { return false; }
+    return new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(term)}($|[^\\p{L}\\p{N}])`, "iu").test(text);
+}
+
+/**
+ * Returns true if a term applies to the chosen target language.
+ * @param {GlossaryTerm} term The term.
+ * @param {string} targetLanguage The target language.
+ * @returns {boolean}
+ */
+function appliesToLanguage(term, targetLanguage) {
+    return !term.language || term.language.toLowerCase() === targetLanguage.toLowerCase();
+}
+
+/**
+ * Selects the glossary terms that occur in at least one of the texts of a batch.
+ * @param {GlossaryTerm[]} glossary The full glossary.
+ * @param {string[]} texts The texts of the batch.
+ * @param {string} targetLanguage The target language.
+ * @returns {GlossaryTerm[]} The relevant terms, longest first.
+ */
+export function findRelevantTerms(glossary, texts, targetLanguage) {
+    if (!glossary || glossary.length === 0) { return []; }
+    return glossary
+        .filter((term) => appliesToLanguage(term, targetLanguage) && texts.some((text) => containsTerm(text, term.source)))
+        .sort((a, b) => b.source.length - a.source.length)
+        .slice(0, MAX_TERMS_PER_BATCH);
+}
+
+/**
+ * Builds the prompt section that tells the model which terms to use.
+ * @param {GlossaryTerm[]} terms The relevant terms.
+ * @returns {string} The instruction, or an empty string if there are no terms.
+ */
+export function buildGlossaryInstruction(terms) {
+    if (!terms || terms.length === 0) { return ""; }
+    const lines = terms.map((term) => `${JSON.stringify(term.source)} => ${JSON.stringify(term.target)}`);
+    return `Use this glossary. Whenever a source term appears, translate it exactly as given (keep the target term's spelling and capitalization):\n${lines.join("\n")}`;
+}
+
+/**
+ * Checks a translation against the glossary terms that occur in its source text.
+ * @param {string} source The source text.
+ * @param {string} translation The translation.
+ * @param {GlossaryTerm[]} terms The terms to check (usually the relevant terms of the batch).
+ * @returns {GlossaryTerm[]} The terms whose required translation is missing.
+ */
+export function checkGlossary(source, translation, terms) {
+    if (!terms || terms.length === 0 || typeof translation !== "string") { return []; }
+    const lowerTranslation = translation.toLowerCase();
+    return terms.filter((term) => containsTerm(source, term.source) && !lowerTranslation.includes(term.target.toLowerCase()));
+}
+
+/**
+ * Formats a glossary violation for the status bar.
+ * @param {string} source The source text.
+ * @param {GlossaryTerm[]} violations The terms that were not respected.
+ * @returns {string}
+ */
+export function describeGlossaryViolation(source, violations) {
+    const rules = violations.map((term) => `"${term.source}" must be "${term.target}"`).join(", ");
+    return `Glossary: ${rules} (in "${source.length > 40 ? source.substring(0, 40) + "..." : source}")`;
+}
@@ -0,0 +1,333 @@
+/* global Office, Excel */
+
+/*
+ * AI Translator for Excel - Run History
+ * Excel's undo stack does not cover add-in writes, so every run keeps its own snapshot.
+ * - Before translated cells are written, their original formulas/values are copied to a very
+ *   hidden worksheet, one row per cell: run id | sheet id | row | column | original | written | format.
+ *   The format column holds the cell formats a run changed (see formatting.js) as JSON, or nothing.
+ * - The list of runs is kept in the document settings. Only the last few runs are kept.
+ * - Reverting restores the cells of the newest run, deletes the columns and sheets it created, and warns
+ *   about cells that were edited after the translation.
+ */
+
+import { isFormula } from "./formulas";
+import { toConstantFormula, writeCellChanges, readRowBlocks, getChangeBlocks, groupCellRuns, getRunRange } from "./ranges";
+import { writeScriptFormat } from "./formatting";
+
+// --- CONSTANTS ---
+export const HISTORY_SHEET_NAME = "AI Translator History";
+const HISTORY_SETTINGS_KEY = "translationHistory";
+const MAX_HISTORY_RUNS = 5;
+const HISTORY_COLUMNS = 7;
+const EXCEL_CELL_CHAR_LIMIT = 32767;
+
+// --- STATE ---
+/** @type {WeakMap<HistoryRun, number>} The history sheet row of each run's next snapshot, once the sheet was read. */
+const nextSnapshotRows = new WeakMap();
+
+/**
+ * @typedef {{id: string, label: string, timestamp: string, createdSheets: string[], insertedColumns: {sheetId: string, column: number}[], cellCount: number}} HistoryRun
+ */
+
+/**
+ * Returns the runs that can still be reverted, oldest first.
+ * @returns {HistoryRun[]}
+ */
+export function getHistoryRuns() {
+    return Office.context.document.settings.get(HISTORY_SETTINGS_KEY) || [];
+}
+
+/**
+ * Stores the list of runs in the document settings.
+ * @param {HistoryRun[]} runs The runs, oldest first.
+ */
+function saveHistoryRuns(runs) {
+    Office.context.document.settings.set(HISTORY_SETTINGS_KEY, runs);
+    Office.context.document.settings.saveAsync((result) => {
+        if (result.status !== Office.AsyncResultStatus.Succeeded) {
+            console.error("Could not save the translation history:", result.error.message);
+        }
+    });
+}
+
+/**
+ * Starts recording a new run. Nothing is stored until the run writes its first cell.
+ * @param {string} label A short description, e.g. "Selection → German".
+ * @returns {HistoryRun}
+ */
+export function beginHistoryRun(label) {
+    return { id: `${Date.now()}`, label, timestamp: new Date().toISOString(), createdSheets: [], insertedColumns: [], cellCount: 0 };
+}
+
+/**
+ * Returns the history sheet, creating it (very hidden, formatted as text) if needed.
+ * @param {Excel.RequestContext} context The request context.
+ * @returns {Promise<Excel.Worksheet>}
+ */
+async function getHistorySheet(context) {
+    let sheet = context.workbook.worksheets.getItemOrNullObject(HISTORY_SHEET_NAME);
+    await context.sync();
+    if (sheet.isNullObject) {
+        sheet = context.workbook.worksheets.add(HISTORY_SHEET_NAME);
+        sheet.visibility = Excel.SheetVisibility.veryHidden;
+        // Text format keeps Excel from turning stored values such as "1/2" or "TRUE" into dates or booleans.
+        sheet.getRange("A:G").numberFormat = "@";
+        await context.sync();
+    }
+    return sheet;
+}
+
+/**
+ * Serializes a cell's formula/value for the history sheet.
+ * @param {any} value The entry from `range.formulas`.
+ * @returns {string}
+ */
+function serializeCell(value) {
+    const json = JSON.stringify(value);
+    return json.length <= EXCEL_CELL_CHAR_LIMIT ? json : String(value);
+}
+
+/**
+ * Reads a cell's formula/value back from the history sheet.
+ * @param {any} stored The stored text.
+ * @returns {any}
+ */
+function deserializeCell(stored) {
+    try {
+        return JSON.parse(String(stored));
+    } catch (e) {
+        return String(stored); // Very long text is stored without JSON quoting.
+    }
+}
+
+/**
+ * Copies the original content of cells that are about to be overwritten into the history sheet. The copy is
+ * queued, so it is written by the same sync as the cells; it must be awaited before the new values are queued.
+ * Only the first snapshot of a run looks up the history sheet; later ones are appended below it.
+ * @param {Excel.RequestContext} context The request context.
+ * @param {HistoryRun} run The current run.
+ * @param {string} sheetId The id of the worksheet that holds the cells.
+ * @param {number} rowOffset The worksheet row index of the range's first row.
+ * @param {number} colOffset The worksheet column index of the range's first column.
+ * @param {{row: number, col: number, original: any, formula: any, originalFormat?: object}[]} changes The cells about to be written,
+ *     one block at a time (see `getChangeBlocks`). `originalFormat` holds the cell properties a run is about to change, if any.
+ */
+export async function recordSnapshot(context, run, sheetId, rowOffset, colOffset, changes) {
+    if (changes.length === 0) { return; }
+    let nextRow = nextSnapshotRows.get(run);
+    let sheet;
+    if (nextRow === undefined) {
+        sheet = await getHistorySheet(context);
+        const usedRange = sheet.getUsedRangeOrNullObject(true);
+        usedRange.load(["rowIndex", "rowCount"]);
+        await context.sync();
+        nextRow = usedRange.isNullObject ? 0 : usedRange.rowIndex + usedRange.rowCount;
+    } else {
+        sheet = context.workbook.worksheets.getItem(HISTORY_SHEET_NAME);
+    }
+
+    const rows = changes.map((change) => [run.id, sheetId, rowOffset + change.row, colOffset + change.col, serializeCell(change.original), serializeCell(change.formula),
+        change.originalFormat && Object.keys(change.originalFormat).length > 0 ? JSON.stringify(change.originalFormat) : ""]);
+    sheet.getRangeByIndexes(nextRow, 0, rows.length, HISTORY_COLUMNS).values = rows;
+    nextSnapshotRows.set(run, nextRow + rows.length);
+    run.cellCount += changes.length;
+}
+
+/**
+ * Remembers a sheet created by the run, so reverting can delete it.
+ * @param {HistoryRun} run The current run.
+ * @param {string} sheetId The id of the new worksheet.
+ */
+export function recordCreatedSheet(run, sheetId) {
+    run.createdSheets.push(sheetId);
+}
+
+/**
+ * Remembers columns inserted by the run, so reverting can delete them.
+ * @param {HistoryRun} run The current run.
+ * @param {string} sheetId The id of the worksheet.
+ * @param {number[]} columns The worksheet column indexes of the new columns.
+ */
+export function recordInsertedColumns(run, sheetId, columns) {
+    for (const column of columns) { run.insertedColumns.push({ sheetId, column }); }
+}
+
+/**
+ * Finishes a run: stores it in the run list and drops the snapshots of runs beyond the history limit.
+ * Runs that did not change anything are not stored.
+ * @param {Excel.RequestContext} context The request context.
+ * @param {HistoryRun} run The finished run.
+ */
+export async function finishHistoryRun(context, run) {
+    if (run.cellCount === 0 && run.createdSheets.length === 0 && run.insertedColumns.length === 0) { return; }
+    const runs = [...getHistoryRuns(), run];
+    const dropped = runs.splice(0, Math.max(0, runs.length - MAX_HISTORY_RUNS));
+    saveHistoryRuns(runs);
+    if (dropped.length === 0) { return; }
+
+    const droppedIds = new Set(dropped.map((item) => item.id));
+    const idColumn = await loadIdColumn(context);
+    if (!idColumn) { return; }
+    // Runs are appended in order, so the snapshots of the oldest runs are the first rows.
+    let count = 0;
+    while (count < idColumn.values.length && droppedIds.has(String(idColumn.values[count][0]))) { count++; }
+    if (count > 0) {
+        idColumn.sheet.getRangeByIndexes(0, 0, count, HISTORY_COLUMNS).delete(Excel.DeleteShiftDirection.up);
+        await context.sync();
+    }
+}
+
+/**
+ * Loads the run-id column of the history sheet, in blocks of rows.
+ * @param {Excel.RequestContext} context The request context.
+ * @returns {Promise<{sheet: Excel.Worksheet, values: any[][]}|null>} Null if there is no history sheet.
+ */
+async function loadIdColumn(context) {
+    const sheet = context.workbook.worksheets.getItemOrNullObject(HISTORY_SHEET_NAME);
+    await context.sync();
+    if (sheet.isNullObject) { return null; }
+    const usedRange = sheet.getUsedRangeOrNullObject(true);
+    usedRange.load(["rowIndex", "rowCount"]);
+    await context.sync();
+    if (usedRange.isNullObject) { return null; }
+    const values = [];
+    const loadBlock = (rowOffset, rowCount) => {
+        const block = sheet.getRangeByIndexes(rowOffset, 0, rowCount, 1);
+        block.load("values");
+        return block;
+    };
+    for await (const { loaded: block } of readRowBlocks(context, usedRange.rowIndex + usedRange.rowCount, 1, loadBlock)) {
+        values.push(...block.values);
+    }
+    return { sheet, values };
+}
+
+/**
+ * Loads the snapshot rows of a run, in blocks of rows.
+ * @param {Excel.RequestContext} context The request context.
+ * @param {string} runId The run id.
+ * @returns {Promise<{firstRow: number, records: {sheetId: string, row: number, col: number, original: any, written: any, originalFormat: object|null}[]}>}
+ */
+async function loadRunRecords(context, runId) {
+    const idColumn = await loadIdColumn(context);
+    if (!idColumn) { return { firstRow: 0, records: [] }; }
+    const firstRow = idColumn.values.findIndex((row) => String(row[0]) === runId);
+    if (firstRow < 0) { return { firstRow: 0, records: [] }; }
+    let lastRow = firstRow;
+    while (lastRow + 1 < idColumn.values.length && String(idColumn.values[lastRow + 1][0]) === runId) { lastRow++; }
+
+    const rows = [];
+    const loadBlock = (rowOffset, rowCount) => {
+        const block = idColumn.sheet.getRangeByIndexes(firstRow + rowOffset, 0, rowCount, HISTORY_COLUMNS);
+        block.load("values");
+        return block;
+    };
+    for await (const { loaded: block } of readRowBlocks(context, lastRow - firstRow + 1, HISTORY_COLUMNS, loadBlock)) {
+        rows.push(...block.values);
+    }
+    const records = rows.map((row) => ({
+        sheetId: String(row[1]),
+        row: Number(row[2]),
+        col: Number(row[3]),
+        original: deserializeCell(row[4]),
+        written: deserializeCell(row[5]),
+        // Snapshots taken before formats were recorded have no format column.
+        originalFormat: row[6] ? JSON.parse(row[6]) : null,
+    }));
+    return { firstRow, records };
+}
+
+/**
+ * Reverts the newest run, or only checks what reverting it would do. The cells of a run are read and
+ * written in blocks (see `getChangeBlocks`), so large runs stay within the Office.js payload limits.
+ * @param {Excel.RequestContext} context The request context.
+ * @param {{dryRun?: boolean, overwriteEdited?: boolean}} options With `dryRun`, nothing is changed.
+ *     Without `overwriteEdited`, cells edited after the translation are kept.
+ * @returns {Promise<{run: HistoryRun|null, restored: number, edited: number, missing: number, deletedColumns: number, deletedSheets: number}>}
+ */
+export async function revertLastRun(context, options = {}) {
+    const runs = getHistoryRuns();
+    const run = runs[runs.length - 1] || null;
+    const summary = { run, restored: 0, edited: 0, missing: 0, deletedColumns: 0, deletedSheets: 0 };
+    if (!run) { return summary; }
+
+    const { firstRow, records } = await loadRunRecords(context, run.id);
+    const bySheet = new Map();
+    for (const record of records) {
+        if (!bySheet.has(record.sheetId)) { bySheet.set(record.sheetId, []); }
+        bySheet.get(record.sheetId).push(record);
+    }
+
+    // Runs saved before columns were tracked have no `insertedColumns`. Delete from right to left so indexes stay valid.
+    const insertedColumns = [...(run.insertedColumns || [])].sort((a, b) => b.column - a.column);
+    // Look up every sheet the run changed at once; sheets deleted since are null objects.
+    const sheets = new Map();
+    for (const sheetId of [...bySheet.keys(), ...insertedColumns.map((item) => item.sheetId), ...run.createdSheets]) {
+        if (!sheets.has(sheetId)) { sheets.set(sheetId, context.workbook.worksheets.getItemOrNullObject(sheetId)); }
+    }
+    await context.sync();
+
+    for (const [sheetId, sheetRecords] of bySheet) {
+        const sheet = sheets.get(sheetId);
+        if (sheet.isNullObject) {
+            summary.missing += sheetRecords.length;
+            continue;
+        }
+
+        // Positions are worksheet indexes, so they are taken relative to A1. Only the recorded cells are read,
+        // neighbouring cells in a row together. Each block is written by the sync that reads the next one.
+        const origin = sheet.getRange("A1");
+        sheetRecords.sort((a, b) => a.row - b.row || a.col - b.col);
+        for (const block of getChangeBlocks(sheetRecords)) {
+            const cellRuns = groupCellRuns(block);
+            const runRanges = cellRuns.map((cellRun) => {
+                const runRange = getRunRange(origin, cellRun);
+                runRange.load("formulas");
+                return runRange;
+            });
+            // eslint-disable-next-line office-addins/no-context-sync-in-loop -- One sync per block keeps each request within the payload limits.
+            await context.sync();
+
+            const changes = [];
+            cellRuns.forEach((cellRun, r) => cellRun.forEach((record, i) => {
+                const current = runRanges[r].formulas[0][i];
+                if (String(current) !== String(record.written).replace(/^'/, "")) {
+                    summary.edited++;
+                    if (!options.overwriteEdited) { return; }
+                }
+                const original = typeof record.original === "string" && !isFormula(record.original) ? toConstantFormula(record.original) : record.original;
+                changes.push({ row: record.row, col: record.col, formula: original, cellFormat: record.originalFormat });
+            }));
+            summary.restored += changes.length;
+            if (!options.dryRun && changes.length > 0) {
+                writeCellChanges(origin, changes);
+                writeScriptFormat(origin, changes);
+            }
+        }
+    }
+
+    for (const { sheetId, column } of insertedColumns) {
+        const sheet = sheets.get(sheetId);
+        if (sheet.isNullObject) { continue; }
+        summary.deletedColumns++;
+        if (!options.dryRun) { sheet.getRangeByIndexes(0, column, 1, 1).getEntireColumn().delete(Excel.DeleteShiftDirection.left); }
+    }
+
+    for (const sheetId of run.createdSheets) {
+        const sheet = sheets.get(sheetId);
+        if (sheet.isNullObject) { continue; }
+        summary.deletedSheets++;
+        if (!options.dryRun) { sheet.delete(); }
+    }
+
+    if (!options.dryRun) {
+        if (records.length > 0) {
+            context.workbook.worksheets.getItem(HISTORY_SHEET_NAME).getRangeByIndexes(firstRow, 0, records.length, HISTORY_COLUMNS).delete(Excel.DeleteShiftDirection.up);
+        }
+        // Writes the last block of cells and deletes the columns, sheets and snapshot rows queued above.
+        await context.sync();
+        saveHistoryRuns(runs.slice(0, -1));
+    }
+    return summary;
+}
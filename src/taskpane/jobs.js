@@ -0,0 +1,227 @@
+/* global Office */
+
+/*
+ * AI Translator for Excel - Job Control
+ * A running translation can be paused and cancelled. Both take effect at the next batch boundary,
+ * so a batch that is already on its way is never thrown away.
+ * A workbook job also keeps a checkpoint after every batch:
+ * - The progress (sheets done, batches done, the options and the history run) is stored in the
+ *   document settings, so it belongs to this workbook.
+ * - The translations of the sheet in progress are stored in browser storage, since they can be
+ *   too large for the document settings.
+ * When the task pane is reopened, the checkpoint is offered as "Resume interrupted job".
+ */
+
+// --- CONSTANTS ---
+const JOB_SETTINGS_KEY = "translationJob";
+const JOB_STORAGE_PREFIX = "aiTranslator.job.";
+const JOB_CANCELLED = "JobCancelled";
+
+/**
+ * @typedef {{id: string, label: string, startedAt: string, options: object, history: object|null, sheetsDone: string[], createdSheets: string[], batchesDone: number}} JobCheckpoint
+ *     `history` is the history run while the job is running. It is only needed if the task pane
+ *     closes before the run is saved to the history list.
+ */
+
+// --- STATE ---
+/** The running job, or null. Only one job runs at a time. */
+let activeJob = null;
+
+/**
+ * Starts controlling a run. With `persistent`, a checkpoint is written after every batch.
+ * @param {{label: string, options: object, history?: object, persistent?: boolean, checkpoint?: JobCheckpoint}} settings
+ *     `options` are the translation options to restore on resume, `history` is the run's history entry
+ *     (saved with every checkpoint), and `checkpoint` continues an interrupted job.
+ * @returns {{checkpoint: JobCheckpoint, persistent: boolean, translations: Object<string, Object<string, string>>}} The job.
+ */
+export function startJob({ label, options, history = null, persistent = false, checkpoint = null }) {
+    const resumed = checkpoint !== null;
+    if (resumed) { checkpoint.history = history; }
+    activeJob = {
+        checkpoint: checkpoint || { id: `${Date.now()}`, label, startedAt: new Date().toISOString(), options, history, sheetsDone: [], createdSheets: [], batchesDone: 0 },
+        persistent,
+        translations: resumed ? loadCheckpointTranslations(checkpoint.id) : {},
+        paused: false,
+        cancelled: false,
+        resumeWaiters: [],
+    };
+    return activeJob;
+}
+
+/**
+ * Returns the running job, or null.
+ */
+export function getActiveJob() {
+    return activeJob;
+}
+
+/**
+ * Pauses the running job at the next batch boundary.
+ */
+export function pauseJob() {
+    if (activeJob) { activeJob.paused = true; }
+}
+
+/**
+ * Continues a paused job.
+ */
+export function resumeJob() {
+    if (!activeJob) { return; }
+    activeJob.paused = false;
+    activeJob.resumeWaiters.splice(0).forEach((resolve) => resolve());
+}
+
+/**
+ * Cancels the running job at the next batch boundary.
+ */
+export function cancelJob() {
+    if (!activeJob) { return; }
+    activeJob.cancelled = true;
+    activeJob.resumeWaiters.splice(0).forEach((resolve) => resolve());
+}
+
+/**
+ * Returns true if an error was thrown because the user cancelled the job.
+ * @param {any} error The caught error.
+ * @returns {boolean}
+ */
+export function isJobCancelled(error) {
+    return Boolean(error) && error.code === JOB_CANCELLED;
+}
+
+/**
+ * Called between batches: waits while the job is paused and stops it if it was cancelled.
+ * @param {function(boolean): void} [onPauseChange] Called with true when the job starts waiting and false when it continues.
+ * @throws {Error} An error recognized by `isJobCancelled` if the job was cancelled.
+ */
+export async function waitAtBatchBoundary(onPauseChange) {
+    const job = activeJob;
+    if (!job) { return; }
+    if (job.paused && !job.cancelled) {
+        if (onPauseChange) { onPauseChange(true); }
+        while (job.paused && !job.cancelled) {
+            await new Promise((resolve) => job.resumeWaiters.push(resolve));
+        }
+        if (onPauseChange) { onPauseChange(false); }
+    }
+    if (job.cancelled) {
+        const error = new Error("The translation was cancelled.");
+        error.code = JOB_CANCELLED;
+        throw error;
+    }
+}
+
+/**
+ * Ends the running job, after its history run was saved. A finished or cancelled job's checkpoint is
+ * removed; an interrupted one (e.g. by an error) is kept so it can be resumed.
+ * @param {boolean} keepCheckpoint True to keep the checkpoint.
+ */
+export function endJob(keepCheckpoint) {
+    const job = activeJob;
+    activeJob = null;
+    if (!job || !job.persistent) { return; }
+    if (keepCheckpoint) {
+        job.checkpoint.history = null;
+        saveCheckpoint(job);
+    } else {
+        discardInterruptedJob();
+    }
+}
+
+/**
+ * Returns the translation a checkpoint already holds for a text, if any.
+ * @param {string} text The source text.
+ * @param {string} language The target language.
+ * @returns {string|undefined}
+ */
+export function getCheckpointedTranslation(text, language) {
+    if (!activeJob || !activeJob.translations[language]) { return undefined; }
+    const translation = activeJob.translations[language][text];
+    return typeof translation === "string" ? translation : undefined;
+}
+
+/**
+ * Records the results of a finished batch and writes the checkpoint.
+ * @param {string} language The target language.
+ * @param {Array<[string, string]>} pairs The source texts with their (checked) translations.
+ */
+export function recordBatch(language, pairs) {
+    const job = activeJob;
+    if (!job) { return; }
+    if (!job.translations[language]) { job.translations[language] = {}; }
+    for (const [text, translation] of pairs) { job.translations[language][text] = translation; }
+    job.checkpoint.batchesDone++;
+    saveCheckpoint(job);
+}
+
+/**
+ * Marks a sheet as done and writes the checkpoint. The translations kept for that sheet are dropped.
+ * @param {string} sheetId The id of the finished worksheet.
+ * @param {string[]} createdSheets The ids of the sheets the job created so far, which a resumed job must not translate.
+ */
+export function markSheetDone(sheetId, createdSheets) {
+    const job = activeJob;
+    if (!job) { return; }
+    job.checkpoint.sheetsDone.push(sheetId);
+    for (const id of createdSheets) {
+        if (!job.checkpoint.createdSheets.includes(id)) { job.checkpoint.createdSheets.push(id); }
+    }
+    job.translations = {};
+    saveCheckpoint(job);
+}
+
+/**
+ * Returns the checkpoint of an interrupted workbook job in this document, or null.
+ * @returns {JobCheckpoint|null}
+ */
+export function getInterruptedJob() {
+    return Office.context.document.settings.get(JOB_SETTINGS_KEY) || null;
+}
+
+/**
+ * Removes the checkpoint of an interrupted job.
+ */
+export function discardInterruptedJob() {
+    const checkpoint = getInterruptedJob();
+    if (!checkpoint) { return; }
+    try {
+        localStorage.removeItem(JOB_STORAGE_PREFIX + checkpoint.id);
+    } catch (e) {
+        console.warn("Could not remove the job translations:", e);
+    }
+    Office.context.document.settings.remove(JOB_SETTINGS_KEY);
+    Office.context.document.settings.saveAsync();
+}
+
+/**
+ * Writes the checkpoint of a persistent job.
+ * @param {object} job The job.
+ */
+function saveCheckpoint(job) {
+    if (!job.persistent) { return; }
+    try {
+        localStorage.setItem(JOB_STORAGE_PREFIX + job.checkpoint.id, JSON.stringify(job.translations));
+    } catch (e) {
+        // Browser storage is full. The job can still be resumed, the sheet in progress is just translated again.
+        console.warn("Could not store the job translations:", e);
+    }
+    Office.context.document.settings.set(JOB_SETTINGS_KEY, job.checkpoint);
+    Office.context.document.settings.saveAsync((result) => {
+        if (result.status !== Office.AsyncResultStatus.Succeeded) {
+            console.error("Could not save the job checkpoint:", result.error.message);
+        }
+    });
+}
+
+/**
+ * Loads the translations stored with a checkpoint.
+ * @param {string} jobId The job id.
+ * @returns {Object<string, Object<string, string>>} Translations by target language and source text.
+ */
+function loadCheckpointTranslations(jobId) {
+    try {
+        return JSON.parse(localStorage.getItem(JOB_STORAGE_PREFIX + jobId)) || {};
+    } catch (e) {
+        return {};
+    }
+}
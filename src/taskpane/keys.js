@@ -0,0 +1,107 @@
+/* global OfficeRuntime */
+
+/*
+ * AI Translator for Excel - API Key Storage
+ * API keys belong to the user, not to the workbook: a key saved in the document settings would travel
+ * inside every copy of the file that is shared.
+ * - Keys are kept per provider in OfficeRuntime.storage, which belongs to the add-in and the user on
+ *   this computer. Where it is not available (e.g. the page opened outside Office), browser storage is used.
+ * - The keys are read once when the add-in loads and kept in memory, so settings can be resolved synchronously.
+ * - Workbooks saved by older versions still hold their key. It is moved into the user's storage and
+ *   removed from the workbook when the workbook is opened.
+ */
+
+// --- CONSTANTS ---
+const KEY_STORAGE_PREFIX = "aiTranslator.apiKey.";
+
+// --- STATE ---
+/** @type {Map<string, string>} The stored keys, by provider id. */
+const keys = new Map();
+/** @type {Promise<void>|null} Resolves once the stored keys were read. */
+let loading = null;
+
+/**
+ * Returns the storage used for keys: OfficeRuntime.storage, or a promise-based wrapper around browser storage.
+ * @returns {{getItem: function(string): Promise<string|null>, setItem: function(string, string): Promise<void>, removeItem: function(string): Promise<void>}}
+ */
+function getKeyStorage() {
+    if (typeof OfficeRuntime !== "undefined" && OfficeRuntime.storage) {
+        return OfficeRuntime.storage;
+    }
+    return {
+        getItem: async (key) => localStorage.getItem(key),
+        setItem: async (key, value) => localStorage.setItem(key, value),
+        removeItem: async (key) => localStorage.removeItem(key),
+    };
+}
+
+/**
+ * Reads the stored keys of the given providers. Later calls return the same promise.
+ * @param {string[]} providerIds The provider ids.
+ * @returns {Promise<void>}
+ */
+export function loadApiKeys(providerIds) {
+    if (!loading) {
+        const storage = getKeyStorage();
+        loading = Promise.all(providerIds.map(async (providerId) => {
+            try {
+                const apiKey = await storage.getItem(KEY_STORAGE_PREFIX + providerId);
+                if (apiKey) { keys.set(providerId, apiKey); }
+            } catch (e) {
+                console.warn(`Could not read the API key of ${providerId}:`, e);
+            }
+        })).then(() => undefined);
+    }
+    return loading;
+}
+
+/**
+ * Returns the stored key of a provider, or an empty string. `loadApiKeys` must have finished.
+ * @param {string} providerId The provider id.
+ * @returns {string}
+ */
+export function getApiKey(providerId) {
+    return keys.get(providerId) || "";
+}
+
+/**
+ * Stores the key of a provider for this user. An empty key removes it.
+ * @param {string} providerId The provider id.
+ * @param {string} apiKey The key.
+ * @returns {Promise<void>}
+ */
+export async function setApiKey(providerId, apiKey) {
+    if (!apiKey) {
+        await removeApiKey(providerId);
+        return;
+    }
+    await getKeyStorage().setItem(KEY_STORAGE_PREFIX + providerId, apiKey);
+    keys.set(providerId, apiKey);
+}
+
+/**
+ * Removes the stored key of a provider.
+ * @param {string} providerId The provider id.
+ * @returns {Promise<void>}
+ */
+export async function removeApiKey(providerId) {
+    await getKeyStorage().removeItem(KEY_STORAGE_PREFIX + providerId);
+    keys.delete(providerId);
+}
+
+/**
+ * Moves keys found in the workbook's provider settings into the user's storage and removes them
+ * from the settings. A key the user already stored is kept; the workbook's copy is dropped either way.
+ * @param {{providers: Object<string, {apiKey?: string}>}} providerSettings The provider settings read from the document. Updated in place.
+ * @returns {Promise<number>} The number of keys removed from the settings. The caller saves the document settings.
+ */
+export async function migrateDocumentKeys(providerSettings) {
+    let removed = 0;
+    for (const [providerId, saved] of Object.entries(providerSettings.providers)) {
+        if (!saved || !saved.apiKey) { continue; }
+        if (!getApiKey(providerId)) { await setApiKey(providerId, saved.apiKey); }
+        delete saved.apiKey;
+        removed++;
+    }
+    return removed;
+}
@@ -0,0 +1,204 @@
+/*
+ * AI Translator for Excel - Languages
+ * The languages offered in the task pane, with their BCP-47 codes, and the helpers that move between
+ * names and codes.
+ * - Languages are identified by their English name throughout the add-in (translation memory, prompts,
+ *   quality checks); the code is used for column headers, TMX and resource files and language detection.
+ * - Regional and script variants such as "Portuguese (Brazil)" (pt-BR) or "Chinese (Traditional)" (zh-Hant)
+ *   are languages of their own. Checks that only depend on the language use its base language.
+ * - Any other language can be typed in. A typed code such as "sw-KE" is kept as the code; a typed name
+ *   is sent to the model as it is.
+ */
+
+// --- CONSTANTS ---
+/** @type {{name: string, code: string}[]} */
+export const LANGUAGES = [
+    { name: "Afrikaans", code: "af" },
+    { name: "Albanian", code: "sq" },
+    { name: "Amharic", code: "am" },
+    { name: "Arabic", code: "ar" },
+    { name: "Armenian", code: "hy" },
+    { name: "Azerbaijani", code: "az" },
+    { name: "Basque", code: "eu" },
+    { name: "Belarusian", code: "be" },
+    { name: "Bengali", code: "bn" },
+    { name: "Bosnian", code: "bs" },
+    { name: "Bulgarian", code: "bg" },
+    { name: "Catalan", code: "ca" },
+    { name: "Chinese", code: "zh" },
+    { name: "Chinese (Simplified)", code: "zh-Hans" },
+    { name: "Chinese (Traditional)", code: "zh-Hant" },
+    { name: "Croatian", code: "hr" },
+    { name: "Czech", code: "cs" },
+    { name: "Danish", code: "da" },
+    { name: "Dutch", code: "nl" },
+    { name: "English", code: "en" },
+    { name: "English (UK)", code: "en-GB" },
+    { name: "English (US)", code: "en-US" },
+    { name: "Estonian", code: "et" },
+    { name: "Filipino", code: "fil" },
+    { name: "Finnish", code: "fi" },
+    { name: "French", code: "fr" },
+    { name: "French (Canada)", code: "fr-CA" },
+    { name: "Galician", code: "gl" },
+    { name: "Georgian", code: "ka" },
+    { name: "German", code: "de" },
+    { name: "German (Switzerland)", code: "de-CH" },
+    { name: "Greek", code: "el" },
+    { name: "Gujarati", code: "gu" },
+    { name: "Hebrew", code: "he" },
+    { name: "Hindi", code: "hi" },
+    { name: "Hungarian", code: "hu" },
+    { name: "Icelandic", code: "is" },
+    { name: "Indonesian", code: "id" },
+    { name: "Irish", code: "ga" },
+    { name: "Italian", code: "it" },
+    { name: "Japanese", code: "ja" },
+    { name: "Kannada", code: "kn" },
+    { name: "Kazakh", code: "kk" },
+    { name: "Korean", code: "ko" },
+    { name: "Latvian", code: "lv" },
+    { name: "Lithuanian", code: "lt" },
+    { name: "Macedonian", code: "mk" },
+    { name: "Malay", code: "ms" },
+    { name: "Malayalam", code: "ml" },
+    { name: "Maltese", code: "mt" },
+    { name: "Marathi", code: "mr" },
+    { name: "Mongolian", code: "mn" },
+    { name: "Norwegian", code: "nb" },
+    { name: "Persian", code: "fa" },
+    { name: "Polish", code: "pl" },
+    { name: "Portuguese", code: "pt" },
+    { name: "Portuguese (Brazil)", code: "pt-BR" },
+    { name: "Portuguese (Portugal)", code: "pt-PT" },
+    { name: "Punjabi", code: "pa" },
+    { name: "Romanian", code: "ro" },
+    { name: "Russian", code: "ru" },
+    { name: "Serbian", code: "sr" },
+    { name: "Slovak", code: "sk" },
+    { name: "Slovenian", code: "sl" },
+    { name: "Spanish", code: "es" },
+    { name: "Spanish (Latin America)", code: "es-419" },
+    { name: "Spanish (Mexico)", code: "es-MX" },
+    { name: "Spanish (Spain)", code: "es-ES" },
+    { name: "Swahili", code: "sw" },
+    { name: "Swedish", code: "sv" },
+    { name: "Tamil", code: "ta" },
+    { name: "Telugu", code: "te" },
+    { name: "Thai", code: "th" },
+    { name: "Turkish", code: "tr" },
+    { name: "Ukrainian", code: "uk" },
+    { name: "Urdu", code: "ur" },
+    { name: "Uzbek", code: "uz" },
+    { name: "Vietnamese", code: "vi" },
+    { name: "Welsh", code: "cy" },
+];
+export const UNDETERMINED_CODE = "und";
+/** Languages written in more than one script, where a code without a script says nothing about it. */
+const MULTI_SCRIPT_LANGUAGES = new Set(["az", "bs", "sr", "uz", "zh"]);
+
+/**
+ * Splits a language code into its parts, e.g. "zh-Hant-TW" into zh / hant / tw.
+ * @param {string} code The code.
+ * @returns {{language: string, script: string, region: string}} The parts in lower case ("" where missing).
+ */
+function parseLanguageCode(code) {
+    const [language = "", ...rest] = String(code || "").toLowerCase().split(/[-_]/);
+    return {
+        language,
+        script: rest.find((part) => /^[a-z]{4}$/.test(part)) || "",
+        region: rest.find((part) => /^(?:[a-z]{2}|\d{3})$/.test(part)) || "",
+    };
+}
+
+/**
+ * Finds an offered language by name or code, ignoring case.
+ * @param {string} nameOrCode The name ("Portuguese (Brazil)") or code ("pt-BR", "pt_br").
+ * @returns {{name: string, code: string}|null}
+ */
+export function findLanguage(nameOrCode) {
+    const wanted = String(nameOrCode || "").trim().toLowerCase().replace(/_/g, "-");
+    if (!wanted) { return null; }
+    return LANGUAGES.find((language) => language.name.toLowerCase() === wanted || language.code.toLowerCase() === wanted) || null;
+}
+
+/**
+ * Returns the name used for a language typed or chosen in the task pane. Known names and codes are
+ * turned into the offered name; anything else is kept as typed.
+ * @param {string} input The name or code.
+ * @returns {string} The name, or "" if the input is empty.
+ */
+export function resolveLanguageName(input) {
+    const language = findLanguage(input);
+    return language ? language.name : String(input || "").trim();
+}
+
+/**
+ * Returns the BCP-47 code for a language name. Typed codes are returned as they are; other unknown
+ * names are returned as-is.
+ * @param {string} language The language name.
+ * @returns {string}
+ */
+export function toLanguageCode(language) {
+    const known = findLanguage(language);
+    return known ? known.code : language;
+}
+
+/**
+ * Returns the language name for a code (e.g. "de-DE" -> "German", "pt-BR" -> "Portuguese (Brazil)").
+ * A code with a variant that is not offered falls back to its base language. Unknown codes are returned as-is.
+ * @param {string} code The language code.
+ * @returns {string}
+ */
+export function fromLanguageCode(code) {
+    const exact = findLanguage(code);
+    if (exact) { return exact.name; }
+    const base = findLanguage(parseLanguageCode(code).language);
+    return base ? base.name : code;
+}
+
+/**
+ * Returns the base language of a variant, e.g. "Portuguese" for "Portuguese (Brazil)". Scripts and
+ * common words are looked up by the base language.
+ * @param {string} language The language name.
+ * @returns {string}
+ */
+export function getBaseLanguage(language) {
+    const known = findLanguage(language);
+    if (!known) { return language; }
+    const base = findLanguage(parseLanguageCode(known.code).language);
+    return base ? base.name : language;
+}
+
+/**
+ * Tells whether a detected language is the same as a wanted one. The base languages must match, and
+ * where both codes name a script or a region, those must match too: a text detected as "pt-PT" is not
+ * yet in "pt-BR", but a text detected as "pt" is. For languages written in several scripts, a wanted
+ * script must be detected: a text detected as "zh" may still be in Simplified Chinese, so it is not yet in "zh-Hant".
+ * @param {string} detectedCode The detected code.
+ * @param {string} wantedCode The code of the wanted language.
+ * @returns {boolean}
+ */
+export function isSameLanguage(detectedCode, wantedCode) {
+    const detected = parseLanguageCode(detectedCode);
+    const wanted = parseLanguageCode(wantedCode);
+    if (!detected.language || detected.language === UNDETERMINED_CODE || detected.language !== wanted.language) { return false; }
+    if (wanted.script && (detected.script ? detected.script !== wanted.script : MULTI_SCRIPT_LANGUAGES.has(wanted.language))) { return false; }
+    return !(detected.region && wanted.region && detected.region !== wanted.region);
+}
+
+/**
+ * Describes the detected languages of a range, most frequent first, e.g.
+ * "English (en): 120 cells (60%)".
+ * @param {Map<string, number>} counts The number of cells per detected code.
+ * @returns {string[]} One line per language.
+ */
+export function describeLanguageMix(counts) {
+    const total = Array.from(counts.values()).reduce((sum, count) => sum + count, 0);
+    return Array.from(counts.entries())
+        .sort((a, b) => b[1] - a[1])
+        .map(([code, count]) => {
+            const name = code === UNDETERMINED_CODE ? "No language (numbers, codes)" : `${fromLanguageCode(code)} (${code})`;
+            return `${name}: ${count.toLocaleString()} ${count === 1 ? "cell" : "cells"} (${Math.round((count / total) * 100)}%)`;
+        });
+}
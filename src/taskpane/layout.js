@@ -0,0 +1,108 @@
+/*
+ * AI Translator for Excel - Translation Column Layout
+ * Works out the translation columns of a table for the "Insert Next to Source" and "Multiple Languages"
+ * modes, without reading or writing anything, so the task pane (see columns.js) and the command-line
+ * tool lay out their columns the same way. The first row of the table is the header row.
+ * - Next to source: every source column gets a column on its right, headed "<header> [de]".
+ * - Multiple languages: one column per language after the table, headed with the language code
+ *   ("de", "fr", ...). With several source columns the headers are "<header> [de]" as well.
+ * Existing translation columns are found again by their header, anywhere to the right of their source column.
+ */
+
+// --- CONSTANTS ---
+const TRANSLATION_HEADER_PATTERN = /\[[A-Za-z]{2,3}(?:-[A-Za-z0-9]{2,8})*\]$/;
+
+/**
+ * @typedef {{sourceCol: number, language: string, code: string, header: string, column: number|null, isNew: boolean}} TranslationColumn
+ *     `sourceCol` is relative to the table, `column` is the sheet column index after any insertions (null for a
+ *     new column that is not placed yet).
+ */
+
+/**
+ * @typedef {{columns: TranslationColumn[], insertions: Map<number, number>, placements: Map<TranslationColumn, {insertAt: number, offset: number}>}} ColumnLayout
+ *     `insertions` holds the number of new columns per sheet column they are inserted at, `placements` where each
+ *     new column goes among them.
+ */
+
+/**
+ * Builds the header of a translation column.
+ * @param {string} sourceHeader The header of the source column.
+ * @param {string} code The language code.
+ * @param {boolean} codeOnly True for a bare language code header.
+ * @returns {string}
+ */
+export function buildColumnHeader(sourceHeader, code, codeOnly) {
+    if (codeOnly) { return code; }
+    return sourceHeader ? `${sourceHeader} [${code}]` : `[${code}]`;
+}
+
+/**
+ * Returns true if a header marks a translation column, so it is not translated again.
+ * @param {string} header The column header.
+ * @param {string[]} codes The language codes of the current run.
+ * @returns {boolean}
+ */
+export function isTranslationHeader(header, codes) {
+    return TRANSLATION_HEADER_PATTERN.test(header) || codes.some((code) => header === code || header.endsWith(`[${code}]`));
+}
+
+/**
+ * Works out the translation columns of a table: its source columns, the translation columns that already
+ * exist and the ones to insert.
+ * @param {object} table The table.
+ * @param {string} table.mode "besideSource" or "multiTarget".
+ * @param {{language: string, code: string}[]} table.languages The target languages.
+ * @param {any[]} table.headers The first row of the table.
+ * @param {Set<number>} table.textColumns The columns of the table with source text below the header row.
+ * @param {function(number): boolean} [table.acceptsColumn] Which columns of the table may be translated (see scope.js).
+ * @param {number} table.columnIndex The sheet column index of the table's first column.
+ * @param {any[]} table.sheetHeaders The whole header row of the sheet, where existing translation columns are looked for.
+ * @param {number} table.appendAt The sheet column index where "multiTarget" columns are inserted.
+ * @returns {ColumnLayout} The layout. It has no columns if there is nothing to translate.
+ */
+export function planTranslationColumns(table) {
+    const codes = table.languages.map((item) => item.code);
+    const headers = table.headers.map((header) => String(header ?? "").trim());
+    const sheetHeaders = table.sheetHeaders.map((header) => String(header ?? "").trim().toLowerCase());
+    const sourceCols = headers.map((_, j) => j).filter((j) => table.textColumns.has(j) && !isTranslationHeader(headers[j], codes) && (!table.acceptsColumn || table.acceptsColumn(j)));
+
+    const codeOnly = table.mode === "multiTarget" && sourceCols.length === 1;
+    const layout = { columns: [], insertions: new Map(), placements: new Map() };
+    for (const sourceCol of sourceCols) {
+        const sourceIndex = table.columnIndex + sourceCol;
+        for (const { language, code } of table.languages) {
+            const header = buildColumnHeader(headers[sourceCol], code, codeOnly);
+            const existing = sheetHeaders.findIndex((value, index) => index > sourceIndex && value === header.toLowerCase());
+            const column = { sourceCol, language, code, header, column: existing >= 0 ? existing : null, isNew: existing < 0 };
+            layout.columns.push(column);
+            if (column.isNew) {
+                const insertAt = table.mode === "besideSource" ? sourceIndex + 1 : table.appendAt;
+                const offset = layout.insertions.get(insertAt) || 0;
+                layout.insertions.set(insertAt, offset + 1);
+                layout.placements.set(column, { insertAt, offset });
+            }
+        }
+    }
+    return layout;
+}
+
+/**
+ * Gives every translation column its sheet column once the new columns are inserted. Existing columns
+ * to the right of an insertion move along with it.
+ * @param {ColumnLayout} layout The layout (see `planTranslationColumns`). Its columns are updated in place.
+ * @returns {{position: number, count: number}[]} The insertions, right to left: made in this order, the
+ *     positions of the remaining insertions stay valid.
+ */
+export function placeTranslationColumns(layout) {
+    const insertions = [...layout.insertions].map(([position, count]) => ({ position, count })).sort((a, b) => b.position - a.position);
+    const shiftBefore = (index, inclusive) => insertions.reduce((sum, { position, count }) => ((inclusive ? position <= index : position < index) ? sum + count : sum), 0);
+    for (const column of layout.columns) {
+        if (column.isNew) {
+            const { insertAt, offset } = layout.placements.get(column);
+            column.column = insertAt + shiftBefore(insertAt, false) + offset;
+        } else {
+            column.column += shiftBefore(column.column, true);
+        }
+    }
+    return insertions;
+}
@@ -0,0 +1,332 @@
+/*
+ * AI Translator for Excel - Translation Memory
+ * A persistent store of translations kept in browser storage, so approved wording is reused
+ * across runs, workbooks and (through TMX files) teammates.
+ * - Entries are keyed by (target language, engine, source text). The engine is "provider/model".
+ * - Entries that were edited by hand or imported are "approved" and are reused by every engine.
+ */
+
+import { toLanguageCode, fromLanguageCode } from "./languages";
+
+// --- CONSTANTS ---
+const STORAGE_KEY = "aiTranslator.translationMemory";
+const MEMORY_VERSION = 1;
+const KEY_SEPARATOR = "\u0001";
+const TMX_CREATION_TOOL = "AI Translator for Excel";
+
+// --- STATE ---
+/** @type {Map<string, {source: string, target: string, targetLanguage: string, engine: string, approved: boolean, updated: string}>|null} */
+let entries = null;
+/** @type {Map<string, string>|null} Index of approved entries by (target language, source text). */
+let approvedIndex = null;
+let isDirty = false;
+/** @type {{getItem: function(string): string|null, setItem: function(string, string): void}|null} Storage chosen by the host instead of browser storage. */
+let hostStorage = null;
+
+// --- STORAGE ---
+
+/**
+ * Keeps the memory somewhere other than browser storage, e.g. in a file for the command-line tool.
+ * The memory is read again from the new storage on its next use.
+ * @param {{getItem: function(string): string|null, setItem: function(string, string): void}} storage A storage with the
+ *     `getItem` and `setItem` methods of browser storage.
+ */
+export function useMemoryStorage(storage) {
+    hostStorage = storage;
+    entries = null;
+    approvedIndex = null;
+    isDirty = false;
+}
+
+/**
+ * Returns the storage used for the memory, or null where none is available.
+ * @returns {Storage|null}
+ */
+function getStorage() {
+    if (hostStorage) { return hostStorage; }
+    try {
+        return typeof localStorage !== "undefined" ? localStorage : null;
+    } catch (e) {
+        return null; // Storage can be blocked by the host's privacy settings.
+    }
+}
+
+/**
+ * Loads the memory from storage on first use.
+ */
+function ensureLoaded() {
+    if (entries) { return; }
+    entries = new Map();
+    approvedIndex = new Map();
+    const storage = getStorage();
+    if (!storage) { return; }
+    try {
+        const stored = JSON.parse(storage.getItem(STORAGE_KEY) || "null");
+        if (stored && stored.version === MEMORY_VERSION && Array.isArray(stored.entries)) {
+            for (const entry of stored.entries) { putEntry(entry); }
+        }
+    } catch (error) {
+        console.error("Could not read the translation memory:", error);
+    }
+}
+
+/**
+ * Writes pending changes back to storage.
+ * @returns {boolean} False if the memory could not be saved (e.g. the storage quota is full).
+ */
+export function saveTranslationMemory() {
+    if (!entries || !isDirty) { return true; }
+    const storage = getStorage();
+    if (!storage) { return false; }
+    try {
+        storage.setItem(STORAGE_KEY, JSON.stringify({ version: MEMORY_VERSION, entries: Array.from(entries.values()) }));
+        isDirty = false;
+        return true;
+    } catch (error) {
+        console.error("Could not save the translation memory:", error);
+        return false;
+    }
+}
+
+// --- ENTRIES ---
+
+/**
+ * Returns the engine id ("provider/model") that produced translations for the given provider settings.
+ * @param {{providerId: string, model: string}} providerSettings The resolved provider settings.
+ * @returns {string}
+ */
+export function getEngineId(providerSettings) {
+    return `${providerSettings.providerId}/${providerSettings.model || "default"}`;
+}
+
+/**
+ * Builds the storage key of an entry.
+ * @param {string} source The source text.
+ * @param {string} targetLanguage The target language.
+ * @param {string} engine The engine id.
+ * @returns {string}
+ */
+function entryKey(source, targetLanguage, engine) {
+    return [targetLanguage, engine, source].join(KEY_SEPARATOR);
+}
+
+/**
+ * Adds an entry to the in-memory maps without marking the memory as changed.
+ * @param {object} entry The entry to add.
+ */
+function putEntry(entry) {
+    const key = entryKey(entry.source, entry.targetLanguage, entry.engine);
+    entries.set(key, entry);
+    if (entry.approved) {
+        approvedIndex.set(entryKey(entry.source, entry.targetLanguage, ""), key);
+    }
+}
+
+/**
+ * Looks up a translation. An entry from the same engine wins; otherwise an approved entry from any engine is used.
+ * @param {string} source The source text.
+ * @param {string} targetLanguage The target language.
+ * @param {string} engine The engine id.
+ * @returns {string|undefined} The stored translation, if any.
+ */
+export function lookupTranslation(source, targetLanguage, engine) {
+    ensureLoaded();
+    const exact = entries.get(entryKey(source, targetLanguage, engine));
+    if (exact) { return exact.target; }
+    const approvedKey = approvedIndex.get(entryKey(source, targetLanguage, ""));
+    return approvedKey && entries.has(approvedKey) ? entries.get(approvedKey).target : undefined;
+}
+
+/**
+ * Stores a translation. Call `saveTranslationMemory` afterwards to persist it.
+ * @param {string} source The source text.
+ * @param {string} target The translation.
+ * @param {string} targetLanguage The target language.
+ * @param {string} engine The engine id.
+ * @param {boolean} [approved=false] True for translations checked by a person.
+ */
+export function storeTranslation(source, target, targetLanguage, engine, approved = false) {
+    ensureLoaded();
+    const existing = entries.get(entryKey(source, targetLanguage, engine));
+    // Never let a machine translation overwrite wording a person approved.
+    if (existing && existing.approved && !approved) { return; }
+    putEntry({ source, target, targetLanguage, engine, approved, updated: new Date().toISOString() });
+    isDirty = true;
+}
+
+/**
+ * Returns a stable id for an entry, used by the management UI.
+ * @param {{source: string, targetLanguage: string, engine: string}} entry The entry.
+ * @returns {string}
+ */
+export function getEntryId(entry) {
+    return entryKey(entry.source, entry.targetLanguage, entry.engine);
+}
+
+/**
+ * Searches source and target texts. Newest entries come first.
+ * @param {string} query Case-insensitive text to look for. An empty query matches everything.
+ * @param {number} [limit=50] The maximum number of results.
+ * @returns {{total: number, results: object[]}} The number of matches and the first `limit` of them.
+ */
+export function searchEntries(query, limit = 50) {
+    ensureLoaded();
+    const needle = (query || "").toLowerCase();
+    const matches = Array.from(entries.values()).filter((entry) => !needle || entry.source.toLowerCase().includes(needle) || entry.target.toLowerCase().includes(needle));
+    matches.sort((a, b) => b.updated.localeCompare(a.updated));
+    return { total: matches.length, results: matches.slice(0, limit) };
+}
+
+/**
+ * Replaces the translation of an entry. Edited entries become approved.
+ * @param {string} id The entry id.
+ * @param {string} target The corrected translation.
+ * @returns {boolean} False if the entry no longer exists.
+ */
+export function updateEntry(id, target) {
+    ensureLoaded();
+    const entry = entries.get(id);
+    if (!entry) { return false; }
+    putEntry({ ...entry, target, approved: true, updated: new Date().toISOString() });
+    isDirty = true;
+    return saveTranslationMemory();
+}
+
+/**
+ * Deletes an entry.
+ * @param {string} id The entry id.
+ * @returns {boolean} False if the entry no longer exists.
+ */
+export function deleteEntry(id) {
+    ensureLoaded();
+    const entry = entries.get(id);
+    if (!entry) { return false; }
+    entries.delete(id);
+    const approvedKey = entryKey(entry.source, entry.targetLanguage, "");
+    if (approvedIndex.get(approvedKey) === id) {
+        approvedIndex.delete(approvedKey);
+        // Fall back to an approved translation of the same text from another engine, if there is one.
+        for (const other of entries.values()) {
+            if (other.approved && other.source === entry.source && other.targetLanguage === entry.targetLanguage) {
+                approvedIndex.set(approvedKey, getEntryId(other));
+                break;
+            }
+        }
+    }
+    isDirty = true;
+    return saveTranslationMemory();
+}
+
+/**
+ * Deletes every entry.
+ */
+export function clearTranslationMemory() {
+    entries = new Map();
+    approvedIndex = new Map();
+    isDirty = true;
+    saveTranslationMemory();
+}
+
+/**
+ * Returns the number of entries in the memory.
+ * @returns {number}
+ */
+export function getMemorySize() {
+    ensureLoaded();
+    return entries.size;
+}
+
+// --- TMX IMPORT / EXPORT ---
+
+/**
+ * Escapes text for use in XML content and attributes.
+ * @param {string} text The text to escape.
+ * @returns {string}
+ */
+function escapeXml(text) {
+    return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+/**
+ * Formats a date the way TMX expects it (e.g. "20240131T094500Z").
+ * @param {string} isoDate An ISO 8601 date.
+ * @returns {string}
+ */
+function toTmxDate(isoDate) {
+    return isoDate.replace(/[-:]/g, "").replace(/\.\d+Z$/, "Z");
+}
+
+/**
+ * Serializes the memory (or a subset of it) as a TMX 1.4 document. The source language is
+ * detected by the model and therefore unknown, so source segments are marked "und".
+ * @param {object[]} [selection] The entries to export. Defaults to all entries.
+ * @returns {string} The TMX document.
+ */
+export function exportTmx(selection) {
+    ensureLoaded();
+    const list = selection || Array.from(entries.values());
+    const units = list.map((entry) => [
+        `    <tu creationdate="${toTmxDate(entry.updated)}">`,
+        `      <prop type="x-engine">${escapeXml(entry.engine)}</prop>`,
+        `      <prop type="x-approved">${entry.approved ? "yes" : "no"}</prop>`,
+        `      <tuv xml:lang="und"><seg>${escapeXml(entry.source)}</seg></tuv>`,
+        `      <tuv xml:lang="${escapeXml(toLanguageCode(entry.targetLanguage))}"><seg>${escapeXml(entry.target)}</seg></tuv>`,
+        `    </tu>`,
+    ].join("\n"));
+
+    return [
+        `<?xml version="1.0" encoding="UTF-8"?>`,
+        `<tmx version="1.4">`,
+        `  <header creationtool="${TMX_CREATION_TOOL}" creationtoolversion="1.0.0" segtype="block" o-tmf="aitranslator" adminlang="en" srclang="*all*" datatype="plaintext"/>`,
+        `  <body>`,
+        ...units,
+        `  </body>`,
+        `</tmx>`,
+        ``,
+    ].join("\n");
+}
+
+/**
+ * Imports the translation units of a TMX document. Imported entries are approved. In each unit,
+ * the segment in the header's source language (or the first segment) is the source and every
+ * other segment is stored as its translation.
+ * @param {string} xmlText The TMX document.
+ * @returns {number} The number of entries imported.
+ */
+export function importTmx(xmlText) {
+    ensureLoaded();
+    const doc = new DOMParser().parseFromString(xmlText, "application/xml");
+    if (doc.getElementsByTagName("parsererror").length > 0 || !doc.getElementsByTagName("tmx").length) {
+        throw new Error("The file is not a valid TMX document.");
+    }
+
+    const header = doc.getElementsByTagName("header")[0];
+    const sourceLanguage = (header && header.getAttribute("srclang")) || "*all*";
+    let imported = 0;
+
+    for (const unit of Array.from(doc.getElementsByTagName("tu"))) {
+        const variants = Array.from(unit.getElementsByTagName("tuv")).map((tuv) => {
+            const seg = tuv.getElementsByTagName("seg")[0];
+            return { lang: tuv.getAttribute("xml:lang") || tuv.getAttribute("lang") || "", text: seg ? seg.textContent : "" };
+        });
+        if (variants.length < 2) { continue; }
+
+        const engineProp = Array.from(unit.getElementsByTagName("prop")).find((prop) => prop.getAttribute("type") === "x-engine");
+        const engine = engineProp ? engineProp.textContent : "imported";
+        let sourceIndex = variants.findIndex((variant) => variant.lang.toLowerCase() === sourceLanguage.toLowerCase());
+        if (sourceIndex < 0) { sourceIndex = 0; }
+        const source = variants[sourceIndex].text;
+        if (!source.trim()) { continue; }
+
+        variants.forEach((variant, index) => {
+            if (index === sourceIndex || !variant.text.trim()) { return; }
+            storeTranslation(source, variant.text, fromLanguageCode(variant.lang), engine, true);
+            imported++;
+        });
+    }
+
+    if (!saveTranslationMemory()) {
+        throw new Error("The translation memory is full. Delete some entries and try again.");
+    }
+    return imported;
+}
@@ -0,0 +1,369 @@
+/* global Office, Excel */
+
+/*
+ * AI Translator for Excel - Sheet Objects
+ * Text that does not live in cell values: chart and axis titles, text in shapes and text boxes, notes,
+ * threaded comments, names of table columns, data validation lists and messages, and headers and footers.
+ * - Each kind is read from a worksheet into a list of entries. An entry holds one or more texts and
+ *   knows how to write their translations back.
+ * - Each kind is read with as few syncs as it allows, and all writes are sent together. If the writes fail
+ *   (e.g. a comment that may not be edited), the entries are written one by one, so a single failure does
+ *   not keep the others from being written.
+ * - Kinds that need a newer Excel API than the host offers are skipped. Objects that cannot be read are
+ *   skipped and reported with the run's result.
+ */
+
+// --- CONSTANTS ---
+/** The kinds of objects that can be translated, with the Excel API version they need. */
+export const OBJECT_KINDS = [
+    { id: "charts", label: "Chart and axis titles", api: "1.7" },
+    { id: "shapes", label: "Shapes and text boxes", api: "1.9" },
+    { id: "notes", label: "Notes", api: "1.18" },
+    { id: "comments", label: "Threaded comments", api: "1.12" },
+    { id: "tables", label: "Table column names", api: "1.3" },
+    { id: "validation", label: "Data validation lists and messages", api: "1.9" },
+    { id: "headersFooters", label: "Headers and footers", api: "1.9" },
+];
+/** Header and footer codes (&P, &D, &"Arial,Bold", &12, &KFF0000, ...) that must survive translation. */
+export const FORMAT_CODE_RULE = /&(?:"[^"]*"|K[0-9A-Fa-f]{6}|K\d{2}[+-]\d{3}|\d{1,3}|[A-Za-z&])/g;
+const CHART_TYPES_WITHOUT_AXES = /Pie|Doughnut|Treemap|Sunburst|Funnel|RegionMap/;
+const HEADER_FOOTER_SECTIONS = ["leftHeader", "centerHeader", "rightHeader", "leftFooter", "centerFooter", "rightFooter"];
+const HEADER_FOOTER_GROUPS = {
+    Default: ["defaultForAllPages"],
+    FirstAndDefault: ["firstPage", "defaultForAllPages"],
+    OddAndEven: ["oddPages", "evenPages"],
+    FirstOddAndEven: ["firstPage", "oddPages", "evenPages"],
+};
+const VALIDATION_LIST_LIMIT = 255; // Max length of a data validation list typed into the rule
+
+/**
+ * @typedef {{kind: string, label: string, texts: string[], codes?: boolean, apply: function(string[]): void}} ObjectText
+ *     `apply` queues the writes for the translated texts (same order as `texts`; untranslated texts are
+ *     passed unchanged). `codes` marks texts with header and footer codes (see `FORMAT_CODE_RULE`).
+ */
+
+/**
+ * Returns true if a text is worth translating.
+ * @param {any} text The text.
+ * @returns {boolean}
+ */
+function hasText(text) {
+    return typeof text === "string" && text.trim() !== "";
+}
+
+/**
+ * Reads the chart titles and the titles of the category and value axes. The axes of all charts are read
+ * together; if that fails, chart by chart, and the charts whose axes cannot be read are skipped.
+ * @param {Excel.RequestContext} context The request context.
+ * @param {Excel.Worksheet} sheet The worksheet.
+ * @param {string[]} skipped Collects why objects were left out.
+ * @returns {Promise<ObjectText[]>}
+ */
+async function collectChartTexts(context, sheet, skipped) {
+    const charts = sheet.charts;
+    charts.load("items/name, items/chartType, items/title/text");
+    await context.sync();
+    const entries = [];
+    const withAxes = [];
+    for (const chart of charts.items) {
+        if (hasText(chart.title.text)) {
+            entries.push({ kind: "charts", label: `Title of chart "${chart.name}"`, texts: [chart.title.text], apply: ([text]) => { chart.title.text = text; } });
+        }
+        if (CHART_TYPES_WITHOUT_AXES.test(chart.chartType)) { continue; }
+        const axes = [chart.axes.categoryAxis, chart.axes.valueAxis];
+        axes.forEach((axis) => axis.title.load("text"));
+        withAxes.push({ chart, axes });
+    }
+    if (withAxes.length === 0) { return entries; }
+
+    let readable = withAxes;
+    try {
+        await context.sync();
+    } catch {
+        readable = [];
+        for (const item of withAxes) {
+            item.axes.forEach((axis) => axis.title.load("text"));
+            try {
+                // eslint-disable-next-line office-addins/no-context-sync-in-loop -- Only after the joint read failed, to find the charts that fail.
+                await context.sync();
+                readable.push(item);
+            } catch (chartError) {
+                skipped.push(`The axis titles of chart "${item.chart.name}" could not be read: ${chartError.message}`);
+            }
+        }
+    }
+    for (const { chart, axes } of readable) {
+        for (const axis of axes) {
+            if (hasText(axis.title.text)) {
+                entries.push({ kind: "charts", label: `Axis title of chart "${chart.name}"`, texts: [axis.title.text], apply: ([text]) => { axis.title.text = text; } });
+            }
+        }
+    }
+    return entries;
+}
+
+/**
+ * Reads the text of shapes and text boxes. Grouped shapes, lines and pictures are left out.
+ * @param {Excel.RequestContext} context The request context.
+ * @param {Excel.Worksheet} sheet The worksheet.
+ * @returns {Promise<ObjectText[]>}
+ */
+async function collectShapeTexts(context, sheet) {
+    const shapes = sheet.shapes;
+    shapes.load("items/name, items/type");
+    await context.sync();
+    const textShapes = shapes.items.filter((shape) => shape.type === Excel.ShapeType.geometricShape);
+    textShapes.forEach((shape) => shape.textFrame.load("hasText"));
+    await context.sync();
+    const withText = textShapes.filter((shape) => shape.textFrame.hasText);
+    withText.forEach((shape) => shape.textFrame.textRange.load("text"));
+    await context.sync();
+    return withText.filter((shape) => hasText(shape.textFrame.textRange.text)).map((shape) => ({
+        kind: "shapes",
+        label: `Shape "${shape.name}"`,
+        texts: [shape.textFrame.textRange.text],
+        apply: ([text]) => { shape.textFrame.textRange.text = text; },
+    }));
+}
+
+/**
+ * Reads the notes (the yellow cell notes, formerly called comments).
+ * @param {Excel.RequestContext} context The request context.
+ * @param {Excel.Worksheet} sheet The worksheet.
+ * @returns {Promise<ObjectText[]>}
+ */
+async function collectNoteTexts(context, sheet) {
+    const notes = sheet.notes;
+    notes.load("items/content");
+    await context.sync();
+    const items = notes.items.filter((note) => hasText(note.content));
+    const locations = items.map((note) => note.getLocation().load("address"));
+    await context.sync();
+    return items.map((note, i) => ({
+        kind: "notes",
+        label: `Note in ${locations[i].address}`,
+        texts: [note.content],
+        apply: ([text]) => { note.content = text; },
+    }));
+}
+
+/**
+ * Reads threaded comments and their replies. Comments that mention people are left out, since
+ * writing plain text would remove the mentions.
+ * @param {Excel.RequestContext} context The request context.
+ * @param {Excel.Worksheet} sheet The worksheet.
+ * @returns {Promise<ObjectText[]>}
+ */
+async function collectCommentTexts(context, sheet) {
+    const comments = sheet.comments;
+    comments.load("items/content, items/contentType");
+    await context.sync();
+    const locations = comments.items.map((comment) => comment.getLocation().load("address"));
+    comments.items.forEach((comment) => comment.replies.load("items/content, items/contentType"));
+    await context.sync();
+    const entries = [];
+    comments.items.forEach((comment, i) => {
+        for (const item of [comment, ...comment.replies.items]) {
+            if (item.contentType !== Excel.ContentType.plain || !hasText(item.content)) { continue; }
+            entries.push({ kind: "comments", label: `Comment in ${locations[i].address}`, texts: [item.content], apply: ([text]) => { item.content = text; } });
+        }
+    });
+    return entries;
+}
+
+/**
+ * Reads the column names of tables whose header row is hidden. Visible header rows are cells and are
+ * translated with the other cell values.
+ * @param {Excel.RequestContext} context The request context.
+ * @param {Excel.Worksheet} sheet The worksheet.
+ * @returns {Promise<ObjectText[]>}
+ */
+async function collectTableTexts(context, sheet) {
+    const tables = sheet.tables;
+    tables.load("items/name, items/showHeaders");
+    await context.sync();
+    const hidden = tables.items.filter((table) => !table.showHeaders);
+    hidden.forEach((table) => table.columns.load("items/name"));
+    await context.sync();
+    const entries = [];
+    for (const table of hidden) {
+        for (const column of table.columns.items) {
+            if (!hasText(column.name)) { continue; }
+            entries.push({ kind: "tables", label: `Column "${column.name}" of table "${table.name}"`, texts: [column.name], apply: ([text]) => { column.name = text; } });
+        }
+    }
+    return entries;
+}
+
+/**
+ * Creates the entry for one data validation: the items of a typed-in list and the input and error messages.
+ * Lists that refer to cells (e.g. "=$A$1:$A$5") are left alone; those cells are translated as cell values.
+ * @param {Excel.Range} area The range that shares the validation.
+ * @param {Excel.DataValidation} validation The loaded validation.
+ * @returns {ObjectText|null}
+ */
+function createValidationEntry(area, validation) {
+    const list = validation.type === Excel.DataValidationType.list ? validation.rule.list : null;
+    const items = list && !String(list.source).startsWith("=") ? String(list.source).split(",").map((item) => item.trim()) : [];
+    const messages = [validation.prompt.title, validation.prompt.message, validation.errorAlert.title, validation.errorAlert.message].map((text) => text || "");
+    const texts = [...items, ...messages];
+    if (!texts.some(hasText)) { return null; }
+    return {
+        kind: "validation",
+        label: `Data validation in ${area.address}`,
+        texts,
+        apply: (translated) => {
+            const [promptTitle, promptMessage, errorTitle, errorMessage] = translated.slice(items.length);
+            if (items.length > 0) {
+                // An item must not contain the list separator, and the list has a length limit.
+                const newItems = translated.slice(0, items.length).map((text, i) => (text.includes(",") ? items[i] : text));
+                const source = newItems.join(",");
+                if (source.length > VALIDATION_LIST_LIMIT) {
+                    throw new Error(`The translated list in ${area.address} is longer than ${VALIDATION_LIST_LIMIT} characters.`);
+                }
+                // A list rule can only be replaced after the validation is cleared, which also clears the messages.
+                area.dataValidation.clear();
+                area.dataValidation.rule = { list: { inCellDropDown: list.inCellDropDown, source } };
+                area.dataValidation.ignoreBlanks = validation.ignoreBlanks;
+            }
+            area.dataValidation.prompt = { ...validation.prompt, title: promptTitle, message: promptMessage };
+            area.dataValidation.errorAlert = { ...validation.errorAlert, title: errorTitle, message: errorMessage };
+        },
+    };
+}
+
+/**
+ * Reads the data validations of the used range. Blocks of cells with different validations are split
+ * into columns; columns that still mix validations are skipped.
+ * @param {Excel.RequestContext} context The request context.
+ * @param {Excel.Worksheet} sheet The worksheet.
+ * @param {string[]} skipped Collects why objects were left out.
+ * @returns {Promise<ObjectText[]>}
+ */
+async function collectValidationTexts(context, sheet, skipped) {
+    const usedRange = sheet.getUsedRangeOrNullObject();
+    await context.sync();
+    if (usedRange.isNullObject) { return []; }
+    const validated = usedRange.getSpecialCellsOrNullObject(Excel.SpecialCellType.dataValidations);
+    await context.sync();
+    if (validated.isNullObject) { return []; }
+    validated.areas.load("items/address, items/columnCount");
+    await context.sync();
+
+    const loadValidations = async (areas) => {
+        areas.forEach((area) => area.dataValidation.load("type, rule, prompt, errorAlert, ignoreBlanks"));
+        await context.sync();
+        return areas;
+    };
+    const areas = await loadValidations(validated.areas.items);
+    const consistent = areas.filter((area) => area.dataValidation.type !== Excel.DataValidationType.inconsistent);
+    const columns = [];
+    for (const area of areas.filter((item) => item.dataValidation.type === Excel.DataValidationType.inconsistent)) {
+        for (let c = 0; c < area.columnCount; c++) { columns.push(area.getColumn(c).load("address")); }
+    }
+    for (const column of await loadValidations(columns)) {
+        if (column.dataValidation.type === Excel.DataValidationType.inconsistent) {
+            skipped.push(`The data validations in ${column.address} were skipped: its cells have different data validations.`);
+            continue;
+        }
+        consistent.push(column);
+    }
+    return consistent.map((area) => createValidationEntry(area, area.dataValidation)).filter(Boolean);
+}
+
+/**
+ * Reads the page headers and footers that are in use.
+ * @param {Excel.RequestContext} context The request context.
+ * @param {Excel.Worksheet} sheet The worksheet.
+ * @returns {Promise<ObjectText[]>}
+ */
+async function collectHeaderFooterTexts(context, sheet) {
+    const headersFooters = sheet.pageLayout.headersFooters;
+    headersFooters.load("state");
+    await context.sync();
+    const groups = (HEADER_FOOTER_GROUPS[headersFooters.state] || HEADER_FOOTER_GROUPS.Default).map((name) => headersFooters[name].load(HEADER_FOOTER_SECTIONS));
+    await context.sync();
+    const entries = [];
+    for (const group of groups) {
+        for (const section of HEADER_FOOTER_SECTIONS) {
+            if (!hasText(group[section])) { continue; }
+            entries.push({ kind: "headersFooters", label: "Page header or footer", texts: [group[section]], codes: true, apply: ([text]) => { group[section] = text; } });
+        }
+    }
+    return entries;
+}
+
+const COLLECTORS = {
+    charts: collectChartTexts,
+    shapes: collectShapeTexts,
+    notes: collectNoteTexts,
+    comments: collectCommentTexts,
+    tables: collectTableTexts,
+    validation: collectValidationTexts,
+    headersFooters: collectHeaderFooterTexts,
+};
+
+/**
+ * Returns the kinds the host supports, in the order of `OBJECT_KINDS`.
+ * @param {string[]} kinds The ids of the chosen kinds.
+ * @returns {string[]}
+ */
+export function getSupportedObjectKinds(kinds) {
+    return OBJECT_KINDS.filter((kind) => kinds.includes(kind.id) && Office.context.requirements.isSetSupported("ExcelApi", kind.api)).map((kind) => kind.id);
+}
+
+/**
+ * Reads the texts of the chosen kinds of objects on a worksheet. Each kind needs the results of its own
+ * reads before it knows what else to read, so the kinds are read one after the other.
+ * @param {Excel.RequestContext} context The request context.
+ * @param {Excel.Worksheet} sheet The worksheet.
+ * @param {string[]} kinds The ids of the kinds to read (see `OBJECT_KINDS`).
+ * @returns {Promise<{entries: ObjectText[], skipped: string[]}>} The entries, and why objects that could not be read were left out.
+ */
+export async function collectObjectTexts(context, sheet, kinds) {
+    const entries = [];
+    const skipped = [];
+    for (const kind of getSupportedObjectKinds(kinds)) {
+        entries.push(...await COLLECTORS[kind](context, sheet, skipped));
+    }
+    return { entries, skipped };
+}
+
+/**
+ * Writes the translations of object texts. Entries without any translated text are left alone.
+ * @param {Excel.RequestContext} context The request context.
+ * @param {ObjectText[]} entries The entries read by `collectObjectTexts`.
+ * @param {function(string): (string|null)} translate Returns the translation of a text, or null if there is none.
+ * @returns {Promise<{written: number, failed: number, firstErrorMessage: string|null, errors: Map<ObjectText, string>}>}
+ *     `errors` holds the reason for each entry that could not be written.
+ */
+export async function writeObjectTexts(context, entries, translate) {
+    const outcome = { written: 0, failed: 0, firstErrorMessage: null, errors: new Map() };
+    const pending = entries.map((entry) => ({ entry, translated: entry.texts.map((text) => (hasText(text) && translate(text)) || text) }))
+        .filter(({ entry, translated }) => translated.some((text, i) => text !== entry.texts[i]));
+
+    const fail = (entry, error) => {
+        outcome.failed++;
+        outcome.errors.set(entry, error.message);
+        outcome.firstErrorMessage = outcome.firstErrorMessage || `${entry.label}: ${error.message}`;
+    };
+    if (pending.length === 0) { return outcome; }
+    try {
+        pending.forEach(({ entry, translated }) => entry.apply(translated));
+        await context.sync();
+        outcome.written = pending.length;
+    } catch {
+        // Find the entries that fail by writing them one by one. Rewriting the others is harmless.
+        for (const { entry, translated } of pending) {
+            try {
+                entry.apply(translated);
+                // eslint-disable-next-line office-addins/no-context-sync-in-loop -- Only after the joint write failed, to find the entries that fail.
+                await context.sync();
+                outcome.written++;
+            } catch (entryError) {
+                fail(entry, entryError);
+            }
+        }
+    }
+    return outcome;
+}
@@ -0,0 +1,125 @@
+/*
+ * AI Translator for Excel - Prompt Context and Profiles
+ * Short cells such as "Open", "Close" or "Bank" are ambiguous on their own. Every text is therefore
+ * sent with a short note on where it comes from, and every batch with the workbook's project brief:
+ * - Context: the column header of a cell (the first row of the sheet's used range), the sheet name,
+ *   the key of a resource string or the kind of object ("Title of chart ..."). A text used in several
+ *   places is sent once, with up to three of its places.
+ * - Prompt profiles: named project briefs with the domain, the audience, formal or informal address,
+ *   the tone and free style rules. One profile is active; all are saved with the workbook.
+ * The translation memory does not know about profiles: a text translated before is reused as it is,
+ * so switch the memory off to translate again with another profile.
+ */
+
+// --- CONSTANTS ---
+export const PROMPT_PROFILES_KEY = "promptProfiles";
+export const DEFAULT_PROFILE_NAME = "Default";
+const MAX_CONTEXT_PLACES = 3; // Places listed per text; more are left out
+const MAX_CONTEXT_LABEL_LENGTH = 80; // Longer headers and labels are cut
+
+/** How the reader is addressed, with examples that tell the model what is meant. */
+export const FORMALITY_OPTIONS = {
+    unspecified: { label: "Not specified", instruction: "" },
+    formal: { label: "Formal", instruction: "Address the reader formally (for example \"Sie\" in German, \"vous\" in French, \"usted\" in Spanish, \"siz\" in Turkish)." },
+    informal: { label: "Informal", instruction: "Address the reader informally (for example \"du\" in German, \"tu\" in French, \"tú\" in Spanish, \"sen\" in Turkish)." },
+};
+
+/**
+ * @typedef {{name: string, domain: string, audience: string, formality: string, tone: string, styleRules: string, sendContext: boolean}} PromptProfile
+ *     `sendContext` sends the column header, sheet name or object of each text along with it.
+ */
+
+/**
+ * Returns a profile with defaults for anything not set.
+ * @param {object} [stored] The profile read from the document.
+ * @returns {PromptProfile}
+ */
+export function normalizePromptProfile(stored = {}) {
+    return {
+        name: String(stored.name || DEFAULT_PROFILE_NAME).trim() || DEFAULT_PROFILE_NAME,
+        domain: stored.domain || "",
+        audience: stored.audience || "",
+        formality: FORMALITY_OPTIONS[stored.formality] ? stored.formality : "unspecified",
+        tone: stored.tone || "",
+        styleRules: stored.styleRules || "",
+        sendContext: stored.sendContext !== false,
+    };
+}
+
+/**
+ * Returns the saved profiles with defaults. There is always at least the "Default" profile, and the
+ * active profile always exists.
+ * @param {object} [stored] The settings read from the document.
+ * @returns {{active: string, profiles: PromptProfile[]}}
+ */
+export function normalizePromptProfiles(stored = {}) {
+    const profiles = (stored.profiles || []).map(normalizePromptProfile);
+    if (profiles.length === 0) { profiles.push(normalizePromptProfile()); }
+    const active = profiles.some((profile) => profile.name === stored.active) ? stored.active : profiles[0].name;
+    return { active, profiles };
+}
+
+/**
+ * Builds the project brief of a profile for the translation prompt.
+ * @param {PromptProfile|undefined} profile The active profile.
+ * @returns {string} The instruction, or an empty string if the profile sets nothing.
+ */
+export function buildProfileInstruction(profile) {
+    if (!profile) { return ""; }
+    const lines = [
+        profile.domain ? `- Domain: ${profile.domain}` : "",
+        profile.audience ? `- Audience: ${profile.audience}` : "",
+        FORMALITY_OPTIONS[profile.formality].instruction ? `- ${FORMALITY_OPTIONS[profile.formality].instruction}` : "",
+        profile.tone ? `- Tone: ${profile.tone}` : "",
+        ...profile.styleRules.split("\n").map((rule) => rule.trim()).filter(Boolean).map((rule) => `- ${rule}`),
+    ].filter(Boolean);
+    return lines.length > 0 ? `Project brief. Follow it in every translation:\n${lines.join("\n")}` : "";
+}
+
+/**
+ * Notes a place where a text occurs, for the context sent with it.
+ * @param {Map<string, {places: Set<string>, sheets: Set<string>}>|undefined} contexts The contexts of a run, by text. Nothing is noted without one.
+ * @param {string} text The text.
+ * @param {string} place What the text is, e.g. `column "Status"` or `Title of chart "Sales"`. Empty if unknown.
+ * @param {string} sheetName The name of the sheet the text is on.
+ */
+export function addTextContext(contexts, text, place, sheetName) {
+    if (!contexts) { return; }
+    if (!contexts.has(text)) { contexts.set(text, { places: new Set(), sheets: new Set() }); }
+    const context = contexts.get(text);
+    if (place && context.places.size < MAX_CONTEXT_PLACES) { context.places.add(place.substring(0, MAX_CONTEXT_LABEL_LENGTH)); }
+    if (sheetName && context.sheets.size < MAX_CONTEXT_PLACES) { context.sheets.add(sheetName); }
+}
+
+/**
+ * Describes where a text occurs, e.g. `column "Status" on sheet "Orders"`.
+ * @param {{places: Set<string>, sheets: Set<string>}|undefined} context The context noted with `addTextContext`.
+ * @returns {string} The description, or an empty string if nothing is known.
+ */
+export function describeTextContext(context) {
+    if (!context) { return ""; }
+    const places = Array.from(context.places).join("; ");
+    const sheets = Array.from(context.sheets).map((name) => `"${name}"`).join(", ");
+    if (!sheets) { return places; }
+    const onSheets = `${context.sheets.size > 1 ? "sheets" : "sheet"} ${sheets}`;
+    return places ? `${places} on ${onSheets}` : onSheets;
+}
+
+/**
+ * Reads the column headers for the cells of a range: the first row of the sheet's used range, which is
+ * where tables usually keep them.
+ * @param {Excel.RequestContext} context The request context.
+ * @param {Excel.Range} range The range, with `columnIndex`, `columnCount` and `worksheet` loaded.
+ * @returns {Promise<{rowIndex: number, headers: string[]}|null>} The worksheet row index of the header row and
+ *     one header per column of the range ("" where there is none), or null if the sheet is empty.
+ */
+export async function readColumnHeaders(context, range) {
+    const usedRange = range.worksheet.getUsedRangeOrNullObject(true);
+    usedRange.load("rowIndex");
+    await context.sync();
+    if (usedRange.isNullObject) { return null; }
+    const headerRow = range.worksheet.getRangeByIndexes(usedRange.rowIndex, range.columnIndex, 1, range.columnCount);
+    headerRow.load("values");
+    await context.sync();
+    return { rowIndex: usedRange.rowIndex, headers: headerRow.values[0].map((value) => (typeof value === "string" ? value.trim() : String(value ?? ""))) };
+}
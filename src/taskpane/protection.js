@@ -0,0 +1,138 @@
+/*
+ * AI Translator for Excel - Token Protection
+ * Placeholders, markup and codes ({0}, %s, {{name}}, <b>, URLs, e-mails, SKUs) must survive
+ * translation unchanged. Before a batch is sent, every protected token is replaced by a numbered
+ * marker such as ⟦0⟧. After the response, the markers are swapped back and each cell is checked:
+ * a translation that lost, duplicated or invented a marker is rejected.
+ */
+
+// --- CONSTANTS ---
+const MARKER_PATTERN = /⟦(\d+)⟧/g;
+export const TOKEN_ERROR_PREFIX = "Token Error";
+
+/**
+ * The built-in protection rules. Each can be switched off in the task pane.
+ * @type {{id: string, label: string, pattern: string, flags: string}[]}
+ */
+export const BUILT_IN_RULES = [
+    { id: "url", label: "URLs", pattern: "(?:https?|ftp):\\/\\/[^\\s<>\"']+|www\\.[^\\s<>\"']+", flags: "gi" },
+    { id: "email", label: "E-mail addresses", pattern: "[\\w.+-]+@[\\w-]+(?:\\.[\\w-]+)+", flags: "g" },
+    { id: "html", label: "HTML/XML tags", pattern: "<\\/?[A-Za-z][^<>]*>|&(?:[a-z]+|#\\d+|#x[0-9a-f]+);", flags: "gi" },
+    { id: "mustache", label: "Template variables ({{name}}, ${name})", pattern: "\\{\\{[^{}]+\\}\\}|\\$\\{[^{}]+\\}", flags: "g" },
+    { id: "braces", label: "Indexed/named placeholders ({0}, {name})", pattern: "\\{[A-Za-z0-9_.]+(?:[:,][^{}\\s]*)?\\}", flags: "g" },
+    { id: "printf", label: "printf placeholders (%s, %d, %1$s)", pattern: "%(?:\\d+\\$)?[-+ 0#]*\\d*(?:\\.\\d+)?[sdifuxXoeEgGc@]|%%", flags: "g" },
+    { id: "sku", label: "Product codes (e.g. ABC-1234)", pattern: "\\b[A-Z]{2,}[-_]?\\d{2,}[A-Z0-9-]*\\b", flags: "g" },
+];
+
+/**
+ * Compiles the enabled built-in rules and the user's own patterns.
+ * @param {{disabled?: string[], custom?: string[]}} settings The protection settings.
+ * @returns {RegExp[]} The rules, ready to use.
+ * @throws {Error} If a custom pattern is not a valid regular expression.
+ */
+export function compileProtectionRules(settings = {}) {
+    const disabled = new Set(settings.disabled || []);
+    const rules = BUILT_IN_RULES.filter((rule) => !disabled.has(rule.id)).map((rule) => new RegExp(rule.pattern, rule.flags));
+    for (const pattern of settings.custom || []) {
+        if (!pattern.trim()) { continue; }
+        try {
+            rules.push(new RegExp(pattern, "g"));
+        } catch (error) {
+            throw new Error(`Invalid protection pattern "${pattern}": ${error.message}`);
+        }
+    }
+    return rules;
+}
+
+/**
+ * Finds the protected tokens of a text. Where rules overlap, the earliest and then longest match wins.
+ * @param {string} text The text to scan.
+ * @param {RegExp[]} rules The compiled rules.
+ * @returns {{start: number, end: number, value: string}[]} The tokens in order of appearance.
+ */
+function findTokens(text, rules) {
+    const matches = [];
+    for (const rule of rules) {
+        rule.lastIndex = 0;
+        let match;
+        while ((match = rule.exec(text)) !== null) {
+            if (match[0].length === 0) { rule.lastIndex++; continue; }
+            matches.push({ start: match.index, end: match.index + match[0].length, value: match[0] });
+        }
+    }
+    matches.sort((a, b) => a.start - b.start || b.end - a.end);
+
+    const tokens = [];
+    let position = 0;
+    for (const match of matches) {
+        if (match.start >= position) {
+            tokens.push(match);
+            position = match.end;
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Replaces the protected tokens of a text with numbered markers.
+ * @param {string} text The original text.
+ * @param {RegExp[]} rules The compiled rules.
+ * @returns {{masked: string, tokens: string[], hasTranslatableText: boolean}} The masked text, the
+ *     tokens in marker order, and whether anything besides tokens is left to translate.
+ */
+export function maskText(text, rules) {
+    if (!rules || rules.length === 0 || text.includes("⟦")) {
+        return { masked: text, tokens: [], hasTranslatableText: true };
+    }
+    const found = findTokens(text, rules);
+    let masked = "";
+    let position = 0;
+    found.forEach((token, index) => {
+        masked += text.substring(position, token.start) + `⟦${index}⟧`;
+        position = token.end;
+    });
+    masked += text.substring(position);
+    const remainder = masked.replace(MARKER_PATTERN, "");
+    return { masked, tokens: found.map((token) => token.value), hasTranslatableText: /\p{L}/u.test(remainder) };
+}
+
+/**
+ * Restores the tokens in a translation and verifies that every marker came back exactly once.
+ * @param {string} translation The translated, still masked text.
+ * @param {string[]} tokens The tokens returned by `maskText`.
+ * @returns {{text: string|null, error: string|null}} The restored text, or an error describing what went wrong.
+ */
+export function unmaskText(translation, tokens) {
+    if (tokens.length === 0 || typeof translation !== "string") {
+        return { text: translation, error: null };
+    }
+    const counts = new Array(tokens.length).fill(0);
+    const unknown = [];
+    const restored = translation.replace(MARKER_PATTERN, (marker, index) => {
+        const position = Number(index);
+        if (position >= tokens.length) {
+            unknown.push(marker);
+            return marker;
+        }
+        counts[position]++;
+        return tokens[position];
+    });
+
+    const missing = tokens.filter((token, index) => counts[index] === 0);
+    const duplicated = tokens.filter((token, index) => counts[index] > 1);
+    if (missing.length > 0) {
+        return { text: null, error: `${TOKEN_ERROR_PREFIX}: ${missing.map((token) => `"${token}"`).join(", ")} missing from the translation.` };
+    }
+    if (duplicated.length > 0 || unknown.length > 0) {
+        return { text: null, error: `${TOKEN_ERROR_PREFIX}: ${[...duplicated, ...unknown].map((token) => `"${token}"`).join(", ")} appeared more often than in the source.` };
+    }
+    return { text: restored, error: null };
+}
+
+/**
+ * Builds the prompt section that explains the markers to the model.
+ * @returns {string}
+ */
+export function buildProtectionInstruction() {
+    return "Some strings contain markers like ⟦0⟧ that stand for placeholders, markup or codes. Copy every marker exactly as it is, exactly once, and place it where it belongs in the translated sentence. Never translate, renumber, remove or add markers.";
+}
@@ -0,0 +1,614 @@
+/*
+ * AI Translator for Excel - Translation Providers
+ * Every provider turns a batch of strings into a request for its own API and reads the
+ * translations back out of the response. The engine only talks to `callProviderBatch`.
+ * - Every string is sent with an id and every translation is mapped back by its id, never by position.
+ * - Strings can carry a note on where they come from, and batches the workbook's project brief (see prompts.js).
+ * - A batch whose answer cannot be matched up is split in half and retried, until only the
+ *   strings that really fail are marked as failed.
+ * - The same machinery grades finished translations for the quality checks (`callProviderScoring`)
+ *   and identifies the language of texts for =AI.DETECTLANGUAGE (`callProviderDetection`).
+ * - `countProviderTokens` measures texts for the estimate shown before a workbook run.
+ * - "gemini": Google Gemini (generativelanguage.googleapis.com).
+ * - "local": An OpenAI-compatible server on this machine (LM Studio, Ollama, vLLM).
+ * - "custom": Any other OpenAI-compatible `/v1/chat/completions` server.
+ */
+
+import { buildGlossaryInstruction } from "./glossary";
+import { buildProtectionInstruction } from "./protection";
+import { buildProfileInstruction } from "./prompts";
+import { estimateBatchTokens } from "./ratelimit";
+
+// --- CONSTANTS ---
+export const STANDARD_MODEL = "gemini-1.5-flash";
+export const PRO_MODEL = "gemini-1.5-pro";
+const MAX_RETRIES = 5;
+const RETRYABLE_STATUSES = [429, 503]; // Rate limited, or the model is overloaded
+const MAX_WAIT_NOTICE = 1000; // Rate-limit waits shorter than this are not shown
+const INVALID_FORMAT_ERROR = "API Error: Invalid format from AI.";
+
+/**
+ * The registry of supported providers. `kind` selects the wire format used for requests.
+ * @type {Object<string, {id: string, label: string, kind: string, defaultEndpoint: string, defaultModel: string, requiresKey: boolean, models: string[], help: string}>}
+ */
+export const PROVIDERS = {
+    gemini: {
+        id: "gemini",
+        label: "Google Gemini",
+        kind: "gemini",
+        defaultEndpoint: "https://generativelanguage.googleapis.com/v1beta",
+        defaultModel: STANDARD_MODEL,
+        requiresKey: true,
+        models: [STANDARD_MODEL, PRO_MODEL],
+        help: "Enter your Google AI API key to start.",
+    },
+    local: {
+        id: "local",
+        label: "Local model (LM Studio / Ollama / vLLM)",
+        kind: "openai",
+        defaultEndpoint: "http://localhost:1234/v1",
+        defaultModel: "",
+        requiresKey: false,
+        models: [],
+        help: "Text never leaves this machine. LM Studio listens on http://localhost:1234/v1, Ollama on http://localhost:11434/v1, vLLM on http://localhost:8000/v1.",
+    },
+    custom: {
+        id: "custom",
+        label: "Custom OpenAI-compatible server",
+        kind: "openai",
+        defaultEndpoint: "",
+        defaultModel: "",
+        requiresKey: false,
+        models: [],
+        help: "Any server that implements /v1/chat/completions. Enter its base URL (ending in /v1) and a key if it needs one.",
+    },
+};
+
+export const DEFAULT_PROVIDER_ID = "gemini";
+
+/**
+ * Returns the provider definition for an id, falling back to the default provider.
+ * @param {string} providerId The provider id.
+ * @returns {object} The provider definition.
+ */
+export function getProvider(providerId) {
+    return PROVIDERS[providerId] || PROVIDERS[DEFAULT_PROVIDER_ID];
+}
+
+/**
+ * Fills in the defaults of a provider for any setting the user left empty.
+ * @param {string} providerId The provider id.
+ * @param {{endpoint?: string, apiKey?: string, model?: string}} settings The saved settings, if any.
+ * @returns {{providerId: string, endpoint: string, apiKey: string, model: string}} The complete settings.
+ */
+export function resolveProviderSettings(providerId, settings = {}) {
+    const provider = getProvider(providerId);
+    return {
+        providerId: provider.id,
+        endpoint: normalizeEndpoint(settings.endpoint || provider.defaultEndpoint),
+        apiKey: (settings.apiKey || "").trim(),
+        model: (settings.model || provider.defaultModel).trim(),
+    };
+}
+
+/**
+ * Validates provider settings before a run. Returns a message for the first problem found.
+ * @param {{providerId: string, endpoint: string, apiKey: string, model: string}} settings The resolved settings.
+ * @returns {string|null} An error message, or null if the settings are usable.
+ */
+export function validateProviderSettings(settings) {
+    const provider = getProvider(settings.providerId);
+    if (!settings.endpoint) {
+        return `Please enter the endpoint URL for ${provider.label}.`;
+    }
+    if (!/^https?:\/\//i.test(settings.endpoint)) {
+        return "The endpoint must start with http:// or https://.";
+    }
+    if (provider.requiresKey && !settings.apiKey) {
+        return `${provider.label} requires an API key.`;
+    }
+    if (provider.kind === "gemini" && !settings.model) {
+        return "Please choose a model.";
+    }
+    return null;
+}
+
+/**
+ * Returns true when requests for these settings stay on the user's own machine.
+ * @param {{endpoint: string}} settings The resolved settings.
+ * @returns {boolean}
+ */
+export function isLocalEndpoint(settings) {
+    return /^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])(:\d+)?(\/|$)/i.test(settings.endpoint || "");
+}
+
+/**
+ * Returns true when the settings point at the free-tier Gemini model, which needs a delay between batches.
+ * @param {{providerId: string, model: string}} settings The provider settings.
+ * @returns {boolean}
+ */
+export function isRateLimitedModel(settings) {
+    return getProvider(settings.providerId).kind === "gemini" && settings.model === STANDARD_MODEL;
+}
+
+/**
+ * Returns the rate limit tier that fits a provider and model when the user has not chosen one.
+ * @param {{providerId: string, endpoint: string, model: string}} settings The provider settings.
+ * @returns {string} A key of `RATE_LIMIT_TIERS` (see ratelimit.js).
+ */
+export function getDefaultRateLimitTier(settings) {
+    if (getProvider(settings.providerId).kind === "gemini") {
+        return isRateLimitedModel(settings) ? "free" : "paid";
+    }
+    return isLocalEndpoint(settings) ? "local" : "server";
+}
+
+/**
+ * Strips trailing slashes and a pasted "/chat/completions" suffix from an endpoint URL.
+ * @param {string} endpoint The endpoint as entered by the user.
+ * @returns {string} The base URL.
+ */
+function normalizeEndpoint(endpoint) {
+    return (endpoint || "")
+        .trim()
+        .replace(/\/+$/, "")
+        .replace(/\/chat\/completions$/i, "");
+}
+
+/** The JSON schema Gemini must follow: one object per input string, matched back by `id`. */
+const RESPONSE_SCHEMA = {
+    type: "ARRAY",
+    items: {
+        type: "OBJECT",
+        properties: { id: { type: "STRING" }, translation: { type: "STRING" } },
+        required: ["id", "translation"],
+    },
+};
+
+/** The JSON schema of a grading answer: one score per translation, matched back by `id`. */
+const SCORE_SCHEMA = {
+    type: "ARRAY",
+    items: {
+        type: "OBJECT",
+        properties: { id: { type: "STRING" }, score: { type: "INTEGER" }, issue: { type: "STRING" } },
+        required: ["id", "score"],
+    },
+};
+
+/** The JSON schema of a language detection answer: one language code per input string, matched back by `id`. */
+const DETECTION_SCHEMA = {
+    type: "ARRAY",
+    items: {
+        type: "OBJECT",
+        properties: { id: { type: "STRING" }, language: { type: "STRING" } },
+        required: ["id", "language"],
+    },
+};
+
+/**
+ * Builds the translation prompt shared by all providers.
+ * @param {string[]} texts The strings to translate. The id of each string is its index.
+ * @param {{targetLanguage: string, sourceLanguage?: string, glossaryTerms?: object[], hasProtectedTokens?: boolean, contexts?: Map<string, string>, profile?: object}} request
+ *     What to translate into (and from, if known), which terms to enforce, whether the texts contain protected-token markers,
+ *     where the texts come from (by text, since batches are split up when retried) and the active prompt profile.
+ * @returns {string} The prompt.
+ */
+export function buildTranslationPrompt(texts, request) {
+    const source = request.sourceLanguage ? `The source language is ${request.sourceLanguage}.` : "Detect the source language.";
+    const instructions = `You are a translation API. Your only function is to translate text. Translate the "text" of each item in the following JSON array to ${request.targetLanguage}. ${source} Your response MUST BE ONLY a valid JSON array with one object {"id": ..., "translation": ...} for every input item, using the item's id unchanged. Do not include any other text, markdown, or explanations.`;
+    const contexts = texts.map((text) => (request.contexts && request.contexts.get(text)) || "");
+    const sections = [
+        buildProfileInstruction(request.profile),
+        contexts.some(Boolean) ? `Some items have a "context" that tells where the text comes from, such as its column header or sheet. Use it to choose the right meaning and terminology. Translate only the "text"; never translate or include the context.` : "",
+        request.hasProtectedTokens ? buildProtectionInstruction() : "",
+        buildGlossaryInstruction(request.glossaryTerms),
+    ].filter(Boolean);
+    const items = texts.map((text, index) => (contexts[index] ? { id: String(index), text, context: contexts[index] } : { id: String(index), text }));
+    return `${instructions}${sections.length > 0 ? `\n\n${sections.join("\n\n")}\n\n` : " "}Input: ${JSON.stringify(items)}`;
+}
+
+/**
+ * Builds the prompt that asks the model to grade translations.
+ * @param {{source: string, translation: string}[]} pairs The translations to grade. The id of each pair is its index.
+ * @param {{targetLanguage: string}} request The language the texts were translated into.
+ * @returns {string} The prompt.
+ */
+export function buildScoringPrompt(pairs, request) {
+    const instructions = `You are a translation quality reviewer. For each item in the following JSON array, grade how well "translation" renders "source" in ${request.targetLanguage}: 5 = correct and natural, 4 = correct with minor style issues, 3 = understandable but partly wrong, 2 = wrong meaning, 1 = not a translation. Your response MUST BE ONLY a valid JSON array with one object {"id": ..., "score": ..., "issue": ...} for every input item, using the item's id unchanged. "issue" names the main problem in a few words, or is empty. Do not include any other text, markdown, or explanations.`;
+    const items = pairs.map((pair, index) => ({ id: String(index), source: pair.source, translation: pair.translation }));
+    return `${instructions} Input: ${JSON.stringify(items)}`;
+}
+
+/**
+ * Builds the prompt that asks the model for the language of each text.
+ * @param {string[]} texts The strings to identify. The id of each string is its index.
+ * @returns {string} The prompt.
+ */
+export function buildDetectionPrompt(texts) {
+    const instructions = `You are a language identification API. For each item in the following JSON array, name the language of "text" as a BCP-47 code, such as "en", "de", "pt-BR" or "zh-Hant". For Chinese, Serbian and other languages written in more than one script, always name the script, such as "zh-Hans", "zh-Hant", "sr-Cyrl" or "sr-Latn". Use "und" if the text has no language (numbers, codes, symbols). Your response MUST BE ONLY a valid JSON array with one object {"id": ..., "language": ...} for every input item, using the item's id unchanged. Do not include any other text, markdown, or explanations.`;
+    const items = texts.map((text, index) => ({ id: String(index), text }));
+    return `${instructions} Input: ${JSON.stringify(items)}`;
+}
+
+/**
+ * What a batch request asks for: translations, grades of finished translations or the languages of texts.
+ * `measure` returns the texts whose size counts against the token budget.
+ */
+const TRANSLATION_TASK = { buildPrompt: buildTranslationPrompt, parse: parseTranslationResponse, schema: RESPONSE_SCHEMA, measure: (texts) => texts };
+const SCORING_TASK = { buildPrompt: buildScoringPrompt, parse: parseScoringResponse, schema: SCORE_SCHEMA, measure: (pairs) => pairs.flatMap((pair) => [pair.source, pair.translation]) };
+const DETECTION_TASK = { buildPrompt: buildDetectionPrompt, parse: parseDetectionResponse, schema: DETECTION_SCHEMA, measure: (texts) => texts };
+
+/**
+ * Builds the fetch arguments for a batch request.
+ * @param {string} prompt The prompt to send.
+ * @param {{providerId: string, endpoint: string, apiKey: string, model: string}} settings The resolved settings.
+ * @param {object} [schema] The JSON schema Gemini must follow. Defaults to the translation schema.
+ * @returns {{url: string, init: RequestInit}}
+ */
+function buildRequest(prompt, settings, schema = RESPONSE_SCHEMA) {
+    const provider = getProvider(settings.providerId);
+    if (provider.kind === "gemini") {
+        return {
+            url: `${settings.endpoint}/models/${settings.model}:generateContent?key=${encodeURIComponent(settings.apiKey)}`,
+            init: {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({
+                    contents: [{ parts: [{ text: prompt }] }],
+                    generationConfig: { responseMimeType: "application/json", responseSchema: schema },
+                }),
+            },
+        };
+    }
+
+    // No response_format here: not every OpenAI-compatible server accepts a JSON schema, and the ids are checked anyway.
+    const headers = { "Content-Type": "application/json" };
+    if (settings.apiKey) {
+        headers["Authorization"] = `Bearer ${settings.apiKey}`;
+    }
+    const body = { messages: [{ role: "user", content: prompt }], temperature: 0, stream: false };
+    if (settings.model) {
+        body.model = settings.model;
+    }
+    return { url: `${settings.endpoint}/chat/completions`, init: { method: "POST", headers, body: JSON.stringify(body) } };
+}
+
+/**
+ * Reads the model's text out of a successful response body.
+ * @param {object} data The parsed response body.
+ * @param {{providerId: string}} settings The resolved settings.
+ * @returns {{text: string|null, blockReason: string|null}}
+ */
+function extractResponseText(data, settings) {
+    if (getProvider(settings.providerId).kind === "gemini") {
+        if (!data.candidates || data.candidates.length === 0) {
+            return { text: null, blockReason: data.promptFeedback?.blockReason || "Safety Filter" };
+        }
+        const parts = data.candidates[0].content?.parts || [];
+        return { text: parts.map((part) => part.text || "").join(""), blockReason: null };
+    }
+
+    const choice = data.choices && data.choices[0];
+    if (!choice) {
+        return { text: null, blockReason: "Empty response" };
+    }
+    if (choice.finish_reason === "content_filter") {
+        return { text: null, blockReason: "Content Filter" };
+    }
+    return { text: choice.message?.content ?? choice.text ?? "", blockReason: null };
+}
+
+/**
+ * Reads an error message out of a failed response body. OpenAI-compatible servers disagree on the shape.
+ * @param {object|null} data The parsed response body, if it was JSON.
+ * @param {string} rawText The raw response body.
+ * @returns {string}
+ */
+function extractErrorMessage(data, rawText) {
+    const error = data?.error;
+    if (typeof error === "string") {
+        return error;
+    }
+    return error?.message || data?.message || data?.detail || rawText || "Unknown error";
+}
+
+/**
+ * Parses the JSON in a model's answer, ignoring markdown fences around it.
+ * @param {string} responseText The raw text returned by the model.
+ * @returns {any} The parsed value, or undefined if the answer is not valid JSON.
+ */
+function parseJsonAnswer(responseText) {
+    // Reasoning models served through LM Studio or Ollama may prepend a <think> block, before any code fence.
+    const answer = responseText.trim().replace(/^<think>[\s\S]*?<\/think>\s*/, "");
+    const cleaned = answer.replace(/^```(?:json)?\s*/, "").replace(/\s*```$/, "").trim();
+    try {
+        return JSON.parse(cleaned);
+    } catch (e) {
+        return undefined;
+    }
+}
+
+/**
+ * Parses the model's answer and maps every translation back to its input string by id.
+ * @param {string} responseText The raw text returned by the model.
+ * @param {string[]} texts The strings that were sent.
+ * @returns {Array<string|null>} One translation per input string, or null where the answer had no
+ *     usable translation (missing, duplicated or not a string). All null if the answer is not valid JSON.
+ */
+export function parseTranslationResponse(responseText, texts) {
+    const parsed = parseJsonAnswer(responseText);
+    if (parsed === undefined) { return texts.map(() => null); }
+    // A single string cannot be misaligned, so a bare answer is fine for it.
+    if (texts.length === 1) {
+        if (typeof parsed === "string") { return [parsed]; }
+        if (Array.isArray(parsed) && parsed.length === 1 && typeof parsed[0] === "string") { return [parsed[0]]; }
+    }
+    if (!Array.isArray(parsed)) { return texts.map(() => null); }
+
+    const results = texts.map(() => null);
+    const seen = new Set();
+    for (const item of parsed) {
+        const index = Number(item?.id);
+        if (!Number.isInteger(index) || index < 0 || index >= texts.length || typeof item.translation !== "string") { continue; }
+        // An id that comes back twice is ambiguous, so neither answer is used.
+        results[index] = seen.has(index) ? null : item.translation;
+        seen.add(index);
+    }
+    return results;
+}
+
+/**
+ * Parses a grading answer and maps every score back to its translation by id.
+ * @param {string} responseText The raw text returned by the model.
+ * @param {object[]} pairs The translations that were graded.
+ * @returns {Array<{score: number, issue: string}|null>} One grade per translation, or null where the answer had no usable grade.
+ */
+export function parseScoringResponse(responseText, pairs) {
+    const parsed = parseJsonAnswer(responseText);
+    const results = pairs.map(() => null);
+    if (!Array.isArray(parsed)) { return results; }
+    const seen = new Set();
+    for (const item of parsed) {
+        const index = Number(item?.id);
+        const score = Math.round(Number(item?.score));
+        if (!Number.isInteger(index) || index < 0 || index >= pairs.length || !(score >= 1 && score <= 5)) { continue; }
+        results[index] = seen.has(index) ? null : { score, issue: typeof item.issue === "string" ? item.issue.trim() : "" };
+        seen.add(index);
+    }
+    return results;
+}
+
+/**
+ * Parses a language detection answer and maps every language code back to its text by id.
+ * @param {string} responseText The raw text returned by the model.
+ * @param {string[]} texts The strings that were identified.
+ * @returns {Array<string|null>} One language code per text, or null where the answer had no usable code.
+ */
+export function parseDetectionResponse(responseText, texts) {
+    const parsed = parseJsonAnswer(responseText);
+    const results = texts.map(() => null);
+    if (!Array.isArray(parsed)) { return results; }
+    const seen = new Set();
+    for (const item of parsed) {
+        const index = Number(item?.id);
+        const language = typeof item?.language === "string" ? item.language.trim() : "";
+        if (!Number.isInteger(index) || index < 0 || index >= texts.length || !/^[A-Za-z]{2,3}(?:-[A-Za-z0-9]{2,8})*$/.test(language)) { continue; }
+        results[index] = seen.has(index) ? null : language;
+        seen.add(index);
+    }
+    return results;
+}
+
+/**
+ * Reads how long the server wants us to wait before retrying, from the `Retry-After` header
+ * (seconds or a date), OpenAI's `retry-after-ms`, or the RetryInfo in Gemini's error details.
+ * @param {Response} response The failed response.
+ * @param {object|null} data The parsed response body, if it was JSON.
+ * @returns {number|null} The delay in ms, or null if the server did not say.
+ */
+export function getRetryDelay(response, data) {
+    const retryAfterMs = Number(response.headers.get("retry-after-ms"));
+    if (retryAfterMs > 0) { return retryAfterMs; }
+    const retryAfter = response.headers.get("retry-after");
+    if (retryAfter) {
+        const seconds = Number(retryAfter);
+        if (!Number.isNaN(seconds)) { return seconds * 1000; }
+        const date = Date.parse(retryAfter);
+        if (!Number.isNaN(date)) { return Math.max(0, date - Date.now()); }
+    }
+    const retryInfo = (data?.error?.details || []).find((detail) => String(detail["@type"] || "").endsWith("google.rpc.RetryInfo"));
+    const match = /^([\d.]+)s$/.exec(retryInfo?.retryDelay || "");
+    return match ? Number(match[1]) * 1000 : null;
+}
+
+/**
+ * Sends a batch of texts to the configured provider. Strings the answer has no usable translation
+ * for are retried in smaller batches: a batch that fails as a whole is split in half, otherwise
+ * only the failed strings are sent again. A string that fails on its own gets an error message.
+ * @param {string[]} texts An array of unique strings to be translated.
+ * @param {{providerId: string, endpoint: string, apiKey: string, model: string}} settings The resolved provider settings.
+ * @param {object} request The translation request.
+ * @param {string} request.targetLanguage The language to translate the texts into.
+ * @param {string} [request.sourceLanguage] The language of the texts. Detected by the model if not given.
+ * @param {object[]} [request.glossaryTerms] Glossary terms that occur in the texts.
+ * @param {boolean} [request.hasProtectedTokens] True if the texts contain protected-token markers.
+ * @param {Map<string, string>} [request.contexts] Where the texts come from, e.g. their column header, by text.
+ * @param {object} [request.profile] The active prompt profile (see prompts.js).
+ * @param {object} [request.limiter] The run's rate limiter (see `createRateLimiter`).
+ * @param {function(string): void} [request.onRetry] Called with a message before waiting out a rate limit.
+ * @returns {Promise<string[]>} A promise that resolves to an array of translated strings or error messages.
+ */
+export function callProviderBatch(texts, settings, request) {
+    return callTask(TRANSLATION_TASK, texts, settings, request);
+}
+
+/**
+ * Asks the model to grade finished translations from 1 (not a translation) to 5 (correct and natural).
+ * Batches are split up and retried like translation batches.
+ * @param {{source: string, translation: string}[]} pairs The source texts with their translations.
+ * @param {{providerId: string, endpoint: string, apiKey: string, model: string}} settings The resolved provider settings.
+ * @param {{targetLanguage: string, limiter?: object, onRetry?: function(string): void}} request The language of the
+ *     translations, the run's rate limiter and the retry callback (see `callProviderBatch`).
+ * @returns {Promise<Array<{score: number, issue: string}|string>>} A grade or an error message for every pair.
+ */
+export function callProviderScoring(pairs, settings, request) {
+    return callTask(SCORING_TASK, pairs, settings, request);
+}
+
+/**
+ * Asks the model for the language of each text, as a BCP-47 code ("und" if it has none).
+ * Batches are split up and retried like translation batches.
+ * @param {string[]} texts The unique strings to identify.
+ * @param {{providerId: string, endpoint: string, apiKey: string, model: string}} settings The resolved provider settings.
+ * @param {{limiter?: object, onRetry?: function(string): void}} request The rate limiter and the retry callback (see `callProviderBatch`).
+ * @returns {Promise<string[]>} A language code or an error message for every text.
+ */
+export function callProviderDetection(texts, settings, request) {
+    return callTask(DETECTION_TASK, texts, settings, request);
+}
+
+/**
+ * Sends a batch for a task and retries the items without a usable answer (see `callProviderBatch`).
+ * @param {object} task The task (`TRANSLATION_TASK`, `SCORING_TASK` or `DETECTION_TASK`).
+ * @param {any[]} items The items of the batch.
+ * @param {{providerId: string, endpoint: string, apiKey: string, model: string}} settings The resolved provider settings.
+ * @param {object} request The request (see `callProviderBatch`).
+ * @returns {Promise<any[]>} One answer or error message per item.
+ */
+async function callTask(task, items, settings, request) {
+    const outcome = await sendBatch(task, items, settings, request);
+    if (outcome.error) {
+        return items.map(() => outcome.error);
+    }
+    const failed = outcome.results.map((result, index) => (result === null ? index : -1)).filter((index) => index >= 0);
+    if (failed.length === 0) {
+        return outcome.results;
+    }
+    if (items.length === 1) {
+        return [outcome.retryableError];
+    }
+
+    if (failed.length === items.length) {
+        const middle = Math.ceil(items.length / 2);
+        const [first, second] = await Promise.all([
+            callTask(task, items.slice(0, middle), settings, request),
+            callTask(task, items.slice(middle), settings, request),
+        ]);
+        return [...first, ...second];
+    }
+    const retried = await callTask(task, failed.map((index) => items[index]), settings, request);
+    const results = [...outcome.results];
+    failed.forEach((index, position) => { results[index] = retried[position]; });
+    return results;
+}
+
+/**
+ * Sends one request for a batch. Waits for the rate limiter before every attempt and retries
+ * when the server is rate limited or overloaded.
+ * @param {object} task The task (`TRANSLATION_TASK`, `SCORING_TASK` or `DETECTION_TASK`).
+ * @param {any[]} items The items of the batch: unique strings to translate, or pairs to grade.
+ * @param {{providerId: string, endpoint: string, apiKey: string, model: string}} settings The resolved provider settings.
+ * @param {object} request The translation request (see `callProviderBatch`).
+ * @returns {Promise<{error: string|null, results: Array<any|null>, retryableError: string|null}>}
+ *     `error` fails the whole batch (network, authentication, exhausted retries). Otherwise `results` has
+ *     one answer per item, or null where smaller batches may still succeed; `retryableError`
+ *     describes why.
+ */
+async function sendBatch(task, items, settings, request) {
+    const { onRetry, limiter } = request;
+    const { url, init } = buildRequest(task.buildPrompt(items, request), settings, task.schema);
+    const tokens = estimateBatchTokens(task.measure(items));
+    let attempt = 0;
+
+    while (attempt < MAX_RETRIES) {
+        if (limiter) {
+            await limiter.acquire(tokens, (wait) => { if (onRetry && wait >= MAX_WAIT_NOTICE) { onRetry(`Waiting for the rate limit... Next request in ${(wait / 1000).toFixed(1)}s`); } });
+        }
+        let response;
+        let rawText;
+        try {
+            response = await fetch(url, init);
+            rawText = await response.text();
+        } catch (error) {
+            return { error: `Network Error: ${error.message}` };
+        } finally {
+            if (limiter) { limiter.release(); }
+        }
+        let data = null;
+        try { data = JSON.parse(rawText); } catch (e) { data = null; }
+
+        if (RETRYABLE_STATUSES.includes(response.status)) {
+            attempt++;
+            if (attempt >= MAX_RETRIES) { return { error: `API Error: Rate limit exceeded after ${MAX_RETRIES} retries.` }; }
+            const delay = getRetryDelay(response, data) ?? Math.pow(2, attempt) * 1000;
+            if (limiter) { limiter.onRateLimited(delay); }
+            if (onRetry) {
+                onRetry(`Rate limit hit. Waiting ${(delay / 1000).toFixed(1)}s before retrying... (Attempt ${attempt}/${MAX_RETRIES})`);
+            }
+            // With a limiter, the wait happens in `acquire`, which also holds back the other running batches.
+            if (!limiter) { await new Promise((resolve) => setTimeout(resolve, delay)); }
+            continue; // Retry the request
+        }
+
+        if (!response.ok) {
+            const errorMessage = extractErrorMessage(data, rawText);
+            if (errorMessage.toLowerCase().includes("request payload size") || response.status === 413) {
+                return { error: null, results: items.map(() => null), retryableError: "API Error: Request size is too large." };
+            }
+            return { error: `API Error: ${response.status} - ${errorMessage}` };
+        }
+        if (limiter) { limiter.onSuccess(); }
+        if (!data) {
+            return { error: null, results: items.map(() => null), retryableError: INVALID_FORMAT_ERROR };
+        }
+
+        // A blocked batch is split up as well, so only the strings that trip the filter fail.
+        const { text, blockReason } = extractResponseText(data, settings);
+        if (blockReason) {
+            return { error: null, results: items.map(() => null), retryableError: `Blocked: ${blockReason}` };
+        }
+        return { error: null, results: task.parse(text, items), retryableError: INVALID_FORMAT_ERROR };
+    }
+    return { error: "API Error: Failed after all retries." };
+}
+
+/**
+ * Lists the models a provider offers. OpenAI-compatible servers expose them at `/models`.
+ * @param {{providerId: string, endpoint: string, apiKey: string}} settings The resolved provider settings.
+ * @returns {Promise<string[]>} The model ids.
+ */
+export async function fetchModelList(settings) {
+    const provider = getProvider(settings.providerId);
+    if (provider.kind === "gemini") {
+        const response = await fetch(`${settings.endpoint}/models?key=${encodeURIComponent(settings.apiKey)}`);
+        const data = await response.json();
+        if (!response.ok) { throw new Error(extractErrorMessage(data, "")); }
+        return (data.models || [])
+            .filter((model) => (model.supportedGenerationMethods || []).includes("generateContent"))
+            .map((model) => model.name.replace(/^models\//, ""));
+    }
+
+    const headers = settings.apiKey ? { Authorization: `Bearer ${settings.apiKey}` } : {};
+    const response = await fetch(`${settings.endpoint}/models`, { headers });
+    const data = await response.json();
+    if (!response.ok) { throw new Error(extractErrorMessage(data, "")); }
+    return (data.data || data.models || []).map((model) => model.id || model.name).filter(Boolean);
+}
+
+/**
+ * Counts the tokens of a text with the provider's tokenizer. Only Gemini offers this (`countTokens`).
+ * @param {string} text The text.
+ * @param {{providerId: string, endpoint: string, apiKey: string, model: string}} settings The resolved provider settings.
+ * @returns {Promise<number|null>} The token count, or null if the provider cannot count tokens.
+ */
+export async function countProviderTokens(text, settings) {
+    if (getProvider(settings.providerId).kind !== "gemini") { return null; }
+    const response = await fetch(`${settings.endpoint}/models/${settings.model}:countTokens?key=${encodeURIComponent(settings.apiKey)}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ contents: [{ parts: [{ text }] }] }),
+    });
+    const data = await response.json();
+    if (!response.ok) { throw new Error(extractErrorMessage(data, "")); }
+    return data.totalTokens;
+}
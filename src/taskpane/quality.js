@@ -0,0 +1,338 @@
+/* global Office */
+
+/*
+ * AI Translator for Excel - Quality Checks
+ * An optional pass after translation that flags suspicious results:
+ * - Untranslated: the translation is the same as the source.
+ * - Length ratio: the translation is much shorter or longer than the source.
+ * - Wrong script: most letters are not written in the target language's script.
+ * - Numbers: the translation does not contain the same numbers as the source.
+ * - Model score: the model grades each translation (optional, since it costs extra requests).
+ * Flagged cells are highlighted and get a note that explains the problem. The flags are kept in the
+ * document settings, so the task pane can step through them and clear them again later.
+ */
+
+import { getCellAddress } from "./ranges";
+import { findLanguage, getBaseLanguage } from "./languages";
+
+// --- CONSTANTS ---
+const QA_SETTINGS_KEY = "qaFlags";
+const MAX_QA_FLAGS = 1000;
+export const QA_FILL_COLOR = "#FCE8B2";
+const NOTE_HEADING = "AI Translator quality check:";
+const MIN_RATIO_LENGTH = 12; // Shorter texts vary too much in length to judge
+const MIN_LENGTH_RATIO = 0.33;
+const MAX_LENGTH_RATIO = 3;
+const WIDE_CHAR_WEIGHT = 2.5; // A CJK character carries about as much as 2-3 Latin letters
+const MIN_SCRIPT_LETTERS = 4; // Fewer letters are not enough to tell the script
+const MIN_SCRIPT_SHARE = 0.5;
+export const MIN_MODEL_SCORE = 4; // Model scores below this (on a 1-5 scale) are flagged
+
+/** The script(s) a translation into each language is expected to use, by base language (see languages.js). */
+const LANGUAGE_SCRIPTS = {
+    Japanese: /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u,
+    Chinese: /\p{Script=Han}/u,
+    Korean: /[\p{Script=Hangul}\p{Script=Han}]/u,
+    Russian: /\p{Script=Cyrillic}/u,
+    Ukrainian: /\p{Script=Cyrillic}/u,
+    Bulgarian: /\p{Script=Cyrillic}/u,
+    Belarusian: /\p{Script=Cyrillic}/u,
+    Macedonian: /\p{Script=Cyrillic}/u,
+    Kazakh: /\p{Script=Cyrillic}/u,
+    Mongolian: /\p{Script=Cyrillic}/u,
+    Serbian: /[\p{Script=Cyrillic}\p{Script=Latin}]/u,
+    Arabic: /\p{Script=Arabic}/u,
+    Persian: /\p{Script=Arabic}/u,
+    Urdu: /\p{Script=Arabic}/u,
+    Hebrew: /\p{Script=Hebrew}/u,
+    Greek: /\p{Script=Greek}/u,
+    Hindi: /\p{Script=Devanagari}/u,
+    Marathi: /\p{Script=Devanagari}/u,
+    Bengali: /\p{Script=Bengali}/u,
+    Gujarati: /\p{Script=Gujarati}/u,
+    Punjabi: /\p{Script=Gurmukhi}/u,
+    Tamil: /\p{Script=Tamil}/u,
+    Telugu: /\p{Script=Telugu}/u,
+    Kannada: /\p{Script=Kannada}/u,
+    Malayalam: /\p{Script=Malayalam}/u,
+    Armenian: /\p{Script=Armenian}/u,
+    Georgian: /\p{Script=Georgian}/u,
+    Amharic: /\p{Script=Ethiopic}/u,
+    Thai: /\p{Script=Thai}/u,
+};
+const LATIN_SCRIPT = /\p{Script=Latin}/u;
+const WIDE_CHAR = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+const DIGIT_ZEROS = [0x0660, 0x06f0, 0x0966, 0x0e50, 0xff10]; // Arabic-Indic, Persian, Devanagari, Thai and full-width digits
+
+/**
+ * @typedef {{sheetId: string, address: string, problems: string[], fill: string|null, note: string|null}} QaFlag
+ *     `address` is relative to the sheet, `fill` is the cell's fill before it was highlighted, and
+ *     `note` is "note" or "comment" if the add-in added one.
+ */
+
+/**
+ * Measures a text, counting CJK characters as several letters.
+ * @param {string} text The text.
+ * @returns {number}
+ */
+function visualLength(text) {
+    let length = 0;
+    for (const char of text.trim()) { length += WIDE_CHAR.test(char) ? WIDE_CHAR_WEIGHT : 1; }
+    return length;
+}
+
+/**
+ * Returns the numbers in a text as digit strings, sorted. Separators are dropped, so "1,000.5" and
+ * "1.000,5" are the same number, and Arabic-Indic and full-width digits count as their ASCII digits.
+ * @param {string} text The text.
+ * @returns {string[]}
+ */
+function extractNumbers(text) {
+    let normalized = text;
+    for (const zero of DIGIT_ZEROS) {
+        const pattern = new RegExp(`[\\u${zero.toString(16).padStart(4, "0")}-\\u${(zero + 9).toString(16).padStart(4, "0")}]`, "g");
+        normalized = normalized.replace(pattern, (digit) => String(digit.charCodeAt(0) - zero));
+    }
+    // Spaces only group thousands ("1 000"), so "3 4" stays two numbers.
+    return (normalized.match(/\d+(?:[.,]\d+|[\u00a0\u202f ]\d{3}(?!\d))*/g) || []).map((number) => number.replace(/\D/g, "")).sort();
+}
+
+/**
+ * Returns true if a language is written in a script of its own rather than the Latin alphabet.
+ * @param {string} language The language name.
+ * @returns {boolean}
+ */
+export function hasOwnScript(language) {
+    return Boolean(LANGUAGE_SCRIPTS[getBaseLanguage(language)]);
+}
+
+/**
+ * Tells whether most letters of a text are in the script used for a language.
+ * @param {string} text The text.
+ * @param {string} language The language name.
+ * @returns {boolean|null} Null if the text has too few letters to tell, or the language is not known.
+ */
+export function matchesLanguageScript(text, language) {
+    const letters = [...text].filter((char) => /\p{L}/u.test(char));
+    if (letters.length < MIN_SCRIPT_LETTERS) { return null; }
+    // Languages typed in by the user are not known, so their script cannot be checked.
+    const script = LANGUAGE_SCRIPTS[getBaseLanguage(language)] || (findLanguage(language) ? LATIN_SCRIPT : null);
+    if (!script) { return null; }
+    return letters.filter((char) => script.test(char)).length / letters.length >= MIN_SCRIPT_SHARE;
+}
+
+/**
+ * Runs the local checks on one translation.
+ * @param {string} source The source text.
+ * @param {string} translation The translation that was written.
+ * @param {string} targetLanguage The target language.
+ * @returns {string[]} A description of every problem found, empty if none.
+ */
+export function checkTranslation(source, translation, targetLanguage) {
+    const problems = [];
+    const letters = [...translation].filter((char) => /\p{L}/u.test(char));
+
+    if (source.trim() === translation.trim() && letters.length >= MIN_SCRIPT_LETTERS) {
+        problems.push("The translation is identical to the source (untranslated).");
+    }
+
+    const sourceLength = visualLength(source);
+    if (sourceLength >= MIN_RATIO_LENGTH) {
+        const ratio = visualLength(translation) / sourceLength;
+        if (ratio < MIN_LENGTH_RATIO || ratio > MAX_LENGTH_RATIO) {
+            problems.push(`The translation is ${ratio < 1 ? "much shorter" : "much longer"} than the source (${Math.round(ratio * 100)}% of its length).`);
+        }
+    }
+
+    if (matchesLanguageScript(translation, targetLanguage) === false) {
+        problems.push(`Most letters are not in the script used for ${targetLanguage}.`);
+    }
+
+    const sourceNumbers = extractNumbers(source);
+    const targetNumbers = extractNumbers(translation);
+    if (sourceNumbers.join(" ") !== targetNumbers.join(" ")) {
+        const missing = sourceNumbers.filter((number) => !targetNumbers.includes(number));
+        const added = targetNumbers.filter((number) => !sourceNumbers.includes(number));
+        const details = [missing.length > 0 ? `missing ${missing.join(", ")}` : "", added.length > 0 ? `added ${added.join(", ")}` : ""].filter(Boolean);
+        problems.push(`The numbers differ from the source${details.length > 0 ? ` (${details.join("; ")})` : ""}.`);
+    }
+    return problems;
+}
+
+/**
+ * Describes a low model score.
+ * @param {{score: number, issue?: string}} grade The model's grade.
+ * @returns {string|null} The problem, or null if the score is good enough.
+ */
+export function describeModelScore(grade) {
+    if (!grade || grade.score >= MIN_MODEL_SCORE) { return null; }
+    return `The model scored this translation ${grade.score}/5${grade.issue ? `: ${grade.issue}` : "."}`;
+}
+
+/**
+ * Returns the flagged cells of this document, in the order they were flagged.
+ * @returns {QaFlag[]}
+ */
+export function getQaFlags() {
+    return Office.context.document.settings.get(QA_SETTINGS_KEY) || [];
+}
+
+/**
+ * Stores the flags in the document settings.
+ * @param {QaFlag[]} flags The flags.
+ */
+function saveQaFlags(flags) {
+    Office.context.document.settings.set(QA_SETTINGS_KEY, flags);
+    Office.context.document.settings.saveAsync((result) => {
+        if (result.status !== Office.AsyncResultStatus.Succeeded) {
+            console.error("Could not save the quality flags:", result.error.message);
+        }
+    });
+}
+
+/**
+ * Returns how problems can be attached to a cell. Excel versions without notes get a comment instead.
+ * @returns {string|null} "note", "comment", or null if neither is supported.
+ */
+function getNoteKind() {
+    if (Office.context.requirements.isSetSupported("ExcelApi", "1.18")) { return "note"; }
+    if (Office.context.requirements.isSetSupported("ExcelApi", "1.10")) { return "comment"; }
+    return null;
+}
+
+/**
+ * Queues the read of the notes or comments of a worksheet, for `getCellNotes`.
+ * @param {Excel.Worksheet} sheet The worksheet.
+ * @param {string} kind "note" or "comment".
+ * @returns {Excel.NoteCollection|Excel.CommentCollection}
+ */
+function loadNotes(sheet, kind) {
+    const notes = kind === "note" ? sheet.notes : sheet.comments;
+    notes.load("items/content");
+    return notes;
+}
+
+/**
+ * Finds the cells of loaded notes or comments (see `loadNotes`), so notes are only added to cells
+ * without one and only removed where they still are. Takes one sync for all collections.
+ * @param {Excel.RequestContext} context The request context.
+ * @param {(Excel.NoteCollection|Excel.CommentCollection)[]} collections The loaded collections.
+ * @returns {Promise<Map<string, Excel.Note|Excel.Comment>[]>} For each collection, its notes by cell address (relative to the sheet).
+ */
+async function getCellNotes(context, collections) {
+    if (collections.length === 0) { return []; }
+    const located = collections.map((notes) => notes.items.map((note) => ({ note, location: note.getLocation().load("address") })));
+    await context.sync();
+    return located.map((items) => new Map(items.map(({ note, location }) => [location.address.split("!").pop(), note])));
+}
+
+/**
+ * Highlights cells that failed a check and adds a note listing the problems. A cell that was flagged
+ * before gets its note replaced and keeps the fill it had before the first flag. A cell that already has a
+ * note or comment (e.g. written by a person) keeps it and gets none; its problems are listed in the task pane.
+ * @param {Excel.RequestContext} context The request context.
+ * @param {Excel.Worksheet} sheet The worksheet, with `id` loaded.
+ * @param {{rowIndex: number, columnIndex: number, problems: string[]}[]} cells The cells to flag, by worksheet position.
+ */
+export async function flagCells(context, sheet, cells) {
+    if (cells.length === 0) { return; }
+    const flags = getQaFlags();
+    const entries = cells.map((cell) => {
+        const address = getCellAddress(cell.rowIndex, cell.columnIndex);
+        const previous = flags.find((flag) => flag.sheetId === sheet.id && flag.address === address);
+        const range = sheet.getRange(address);
+        range.format.fill.load("color");
+        return { address, previous, range, problems: cell.problems };
+    });
+    const kind = getNoteKind();
+    // Old flags may have got the other kind of note, on a host with other API versions.
+    const kinds = [...new Set([kind, ...entries.map((entry) => entry.previous && entry.previous.note)].filter(Boolean))];
+    const collections = kinds.map((noteKind) => loadNotes(sheet, noteKind));
+    await context.sync();
+    const notesByKind = new Map((await getCellNotes(context, collections)).map((notes, k) => [kinds[k], notes]));
+
+    const taken = new Set(kind ? notesByKind.get(kind).keys() : []);
+    for (const entry of entries) {
+        entry.fill = entry.previous ? entry.previous.fill : entry.range.format.fill.color;
+        entry.range.format.fill.color = QA_FILL_COLOR;
+        const previousNote = entry.previous && entry.previous.note ? notesByKind.get(entry.previous.note).get(entry.address) : null;
+        if (previousNote) {
+            previousNote.delete();
+            if (entry.previous.note === kind) { taken.delete(entry.address); }
+        }
+        entry.noteKind = kind && !taken.has(entry.address) ? kind : null;
+        const text = [NOTE_HEADING, ...entry.problems.map((problem) => `- ${problem}`)].join("\n");
+        if (entry.noteKind === "note") {
+            sheet.notes.add(entry.range, text);
+        } else if (entry.noteKind === "comment") {
+            context.workbook.comments.add(entry.range, text);
+        }
+    }
+    await context.sync();
+
+    for (const entry of entries) {
+        if (entry.previous) { flags.splice(flags.indexOf(entry.previous), 1); }
+        flags.push({
+            sheetId: sheet.id,
+            address: entry.address,
+            problems: entry.problems,
+            fill: entry.fill,
+            note: entry.noteKind,
+        });
+    }
+    saveQaFlags(flags.slice(-MAX_QA_FLAGS));
+}
+
+/**
+ * Removes all flags: restores the fill of every flagged cell and deletes the notes the add-in added.
+ * Cells on sheets that were deleted since are skipped, and so are notes that were deleted by hand.
+ * @param {Excel.RequestContext} context The request context.
+ * @returns {Promise<{cleared: number, failedNotes: number, firstErrorMessage: string|null}>} The number of flags removed,
+ *     and the number of notes that could not be deleted with the reason of the first.
+ */
+export async function clearQaFlags(context) {
+    const flags = getQaFlags();
+    const sheets = new Map();
+    for (const flag of flags) {
+        if (!sheets.has(flag.sheetId)) { sheets.set(flag.sheetId, context.workbook.worksheets.getItemOrNullObject(flag.sheetId)); }
+    }
+    await context.sync();
+
+    const lookups = new Map(); // "<sheet id>|<kind>" -> index into `collections`
+    const collections = [];
+    for (const flag of flags) {
+        const sheet = sheets.get(flag.sheetId);
+        if (sheet.isNullObject) { continue; }
+        const fill = sheet.getRange(flag.address).format.fill;
+        // A cell without a fill reports white.
+        if (!flag.fill || flag.fill.toUpperCase() === "#FFFFFF") { fill.clear(); } else { fill.color = flag.fill; }
+        const key = `${flag.sheetId}|${flag.note}`;
+        if (flag.note && !lookups.has(key)) {
+            lookups.set(key, collections.length);
+            collections.push(loadNotes(sheet, flag.note));
+        }
+    }
+    await context.sync();
+
+    const notes = await getCellNotes(context, collections);
+    const deleted = [];
+    for (const flag of flags) {
+        const key = `${flag.sheetId}|${flag.note}`;
+        const note = lookups.has(key) ? notes[lookups.get(key)].get(flag.address) : null;
+        if (note) {
+            note.delete();
+            deleted.push(note);
+        }
+    }
+    const outcome = { cleared: flags.length, failedNotes: 0, firstErrorMessage: null };
+    if (deleted.length > 0) {
+        try {
+            await context.sync();
+        } catch (error) {
+            outcome.failedNotes = deleted.length;
+            outcome.firstErrorMessage = error.message;
+        }
+    }
+    saveQaFlags([]);
+    return outcome;
+}
@@ -0,0 +1,168 @@
+/*
+ * AI Translator for Excel - Range Helpers
+ * Shared helpers for writing individual cells without touching their neighbours and for naming them
+ * (A1 addresses and column letters).
+ * Large ranges are read and written in blocks of rows, one block per sync, so no request comes near the
+ * Office.js payload limits (about 5 MB in Excel on the web) and only one block of cells is held at a time.
+ */
+
+// --- CONSTANTS ---
+const BLOCK_CELL_LIMIT = 10000; // Cells read or written per sync
+
+/**
+ * Turns text into an entry for `range.formulas`. Text that Excel would read as a formula
+ * is prefixed with an apostrophe so it stays text.
+ * @param {string} text The text to write.
+ * @returns {string}
+ */
+export function toConstantFormula(text) {
+    return /^[=+\-@]/.test(text) ? `'${text}` : text;
+}
+
+/**
+ * Splits the rows of a range into blocks of at most `BLOCK_CELL_LIMIT` cells. A block has at least one row.
+ * @param {number} rowCount The number of rows of the range.
+ * @param {number} columnCount The number of columns of the range.
+ * @returns {{rowOffset: number, rowCount: number}[]} The blocks, top to bottom; `rowOffset` is relative to the range.
+ */
+export function getRowBlocks(rowCount, columnCount) {
+    const blockRows = Math.max(1, Math.floor(BLOCK_CELL_LIMIT / Math.max(1, columnCount)));
+    const blocks = [];
+    for (let rowOffset = 0; rowOffset < rowCount; rowOffset += blockRows) {
+        blocks.push({ rowOffset, rowCount: Math.min(blockRows, rowCount - rowOffset) });
+    }
+    return blocks;
+}
+
+/**
+ * Reads rows block by block (see `getRowBlocks`). Each block is loaded with one sync, and only one block
+ * is held at a time.
+ * @template T
+ * @param {Excel.RequestContext} context The request context.
+ * @param {number} rowCount The number of rows to read.
+ * @param {number} columnCount The number of columns of each row.
+ * @param {function(number, number): T} loadBlock Queues the loads of a block, given its row offset and row count,
+ *     and returns the objects it loads.
+ * @returns {AsyncGenerator<{rowOffset: number, rowCount: number, index: number, count: number, loaded: T}>} The blocks,
+ *     top to bottom, once they are loaded; `index` and `count` are for progress messages.
+ */
+export async function* readRowBlocks(context, rowCount, columnCount, loadBlock) {
+    const blocks = getRowBlocks(rowCount, columnCount);
+    for (const [index, block] of blocks.entries()) {
+        const loaded = loadBlock(block.rowOffset, block.rowCount);
+        // eslint-disable-next-line office-addins/no-context-sync-in-loop -- One sync per block keeps each request within the payload limits.
+        await context.sync();
+        yield { ...block, index, count: blocks.length, loaded };
+    }
+}
+
+/**
+ * Writes rows of values below each other, block by block (see `getRowBlocks`). Every block but the last
+ * is written by a sync of its own; the last one is only queued, for the caller's next sync.
+ * @param {Excel.RequestContext} context The request context.
+ * @param {Excel.Worksheet} sheet The worksheet.
+ * @param {number} rowIndex The worksheet row index of the first row, which starts in column A.
+ * @param {any[][]} rows The rows, all of the same length.
+ * @returns {Promise<void>}
+ */
+export async function writeRowBlocks(context, sheet, rowIndex, rows) {
+    if (rows.length === 0) { return; }
+    const columnCount = rows[0].length;
+    for (const [index, { rowOffset, rowCount }] of getRowBlocks(rows.length, columnCount).entries()) {
+        if (index > 0) {
+            // eslint-disable-next-line office-addins/no-context-sync-in-loop -- One sync per block keeps each request within the payload limits.
+            await context.sync();
+        }
+        sheet.getRangeByIndexes(rowIndex + rowOffset, 0, rowCount, columnCount).values = rows.slice(rowOffset, rowOffset + rowCount);
+    }
+}
+
+/**
+ * Splits the changed cells of a run into blocks of at most `BLOCK_CELL_LIMIT` cells, in their order.
+ * @param {object[]} changes The changed cells, in row-major order.
+ * @returns {object[][]}
+ */
+export function getChangeBlocks(changes) {
+    const blocks = [];
+    for (let start = 0; start < changes.length; start += BLOCK_CELL_LIMIT) { blocks.push(changes.slice(start, start + BLOCK_CELL_LIMIT)); }
+    return blocks;
+}
+
+/**
+ * Splits the changed cells of a range into runs of neighbouring cells in a row, so each run can be
+ * read or written with one range.
+ * @param {{row: number, col: number}[]} changes The changed cells, in row-major order.
+ * @returns {{row: number, col: number}[][]} The runs, each in column order.
+ */
+export function groupCellRuns(changes) {
+    const runs = [];
+    let run = [];
+    for (const change of changes) {
+        const previous = run[run.length - 1];
+        if (previous && (previous.row !== change.row || previous.col + 1 !== change.col)) {
+            runs.push(run);
+            run = [];
+        }
+        run.push(change);
+    }
+    if (run.length > 0) { runs.push(run); }
+    return runs;
+}
+
+/**
+ * Returns the range that holds a run of cells (see `groupCellRuns`).
+ * @param {Excel.Range} targetRange The range the row/column indexes refer to.
+ * @param {{row: number, col: number}[]} run The run.
+ * @returns {Excel.Range}
+ */
+export function getRunRange(targetRange, run) {
+    return targetRange.getCell(run[0].row, run[0].col).getResizedRange(0, run.length - 1);
+}
+
+/**
+ * Queues writes for the changed cells of a range. Neighbouring cells in a row are written together;
+ * every other cell is left as it is.
+ * @param {Excel.Range} targetRange The range the row/column indexes refer to.
+ * @param {{row: number, col: number, formula: any}[]} changes The cells to write, in row-major order.
+ */
+export function writeCellChanges(targetRange, changes) {
+    for (const run of groupCellRuns(changes)) {
+        getRunRange(targetRange, run).formulas = [run.map((change) => change.formula)];
+    }
+}
+
+/**
+ * Returns the letters of a column, e.g. "AB".
+ * @param {number} columnIndex The zero-based worksheet column index.
+ * @returns {string}
+ */
+export function getColumnLetters(columnIndex) {
+    let letters = "";
+    for (let n = columnIndex + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+    }
+    return letters;
+}
+
+/**
+ * Returns the A1 address of a cell, e.g. "B3".
+ * @param {number} rowIndex The zero-based worksheet row index.
+ * @param {number} columnIndex The zero-based worksheet column index.
+ * @returns {string}
+ */
+export function getCellAddress(rowIndex, columnIndex) {
+    return `${getColumnLetters(columnIndex)}${rowIndex + 1}`;
+}
+
+/**
+ * Reads the position of a cell from its address, with or without a sheet name and $ signs.
+ * @param {string} address The address, e.g. "B3" or "'My Sheet'!$B$3".
+ * @returns {{rowIndex: number, columnIndex: number}|null} The zero-based position, or null if it is not a single cell.
+ */
+export function parseCellAddress(address) {
+    const match = /^\$?([A-Z]+)\$?(\d+)$/i.exec(address.substring(address.lastIndexOf("!") + 1));
+    if (!match) { return null; }
+    let columnIndex = 0;
+    for (const letter of match[1].toUpperCase()) { columnIndex = columnIndex * 26 + (letter.charCodeAt(0) - 64); }
+    return { rowIndex: Number(match[2]) - 1, columnIndex: columnIndex - 1 };
+}
@@ -0,0 +1,153 @@
+/*
+ * AI Translator for Excel - Rate Limiting
+ * Batches are scheduled by a token-bucket limiter instead of a fixed delay:
+ * - Requests per minute and tokens per minute each have a bucket that refills continuously.
+ * - Several batches run at the same time, up to the concurrency limit.
+ * - A 429 response halves the request rate and the concurrency and blocks all requests until
+ *   the server's retry delay has passed. A streak of successful requests raises them again,
+ *   up to the configured limits.
+ * Limits come from a tier preset (free, paid, local) or are set per provider and model.
+ */
+
+// --- CONSTANTS ---
+export const CHARS_PER_TOKEN = 4; // Rough average, good enough for budgeting
+export const PROMPT_OVERHEAD_TOKENS = 300; // Instructions sent with every batch
+const SPEED_UP_AFTER = 5; // Successful requests in a row before the limiter speeds up again
+const SPEED_UP_FACTOR = 1.25;
+const MAX_WAIT_STEP = 1000; // Waits are split into steps so progress can be shown
+
+/**
+ * The tier presets. A limit of 0 means "no limit".
+ * @type {Object<string, {label: string, requestsPerMinute: number, tokensPerMinute: number, concurrency: number}>}
+ */
+export const RATE_LIMIT_TIERS = {
+    free: { label: "Free tier", requestsPerMinute: 15, tokensPerMinute: 250000, concurrency: 1 },
+    paid: { label: "Paid tier", requestsPerMinute: 1000, tokensPerMinute: 2000000, concurrency: 4 },
+    local: { label: "Local server", requestsPerMinute: 0, tokensPerMinute: 0, concurrency: 1 },
+    server: { label: "Other server", requestsPerMinute: 60, tokensPerMinute: 0, concurrency: 2 },
+};
+
+/**
+ * @typedef {{tier: string, requestsPerMinute: number, tokensPerMinute: number, concurrency: number}} RateLimits
+ */
+
+/**
+ * Works out the limits for a run. "auto" picks the tier that fits the provider and model.
+ * @param {string} defaultTier The tier to use for "auto".
+ * @param {{tier?: string, requestsPerMinute?: number, tokensPerMinute?: number, concurrency?: number}} [saved]
+ *     The limits saved for the provider and model, if any. The "custom" tier uses the saved numbers.
+ * @returns {RateLimits}
+ */
+export function resolveRateLimits(defaultTier, saved = {}) {
+    const tier = saved.tier && saved.tier !== "auto" ? saved.tier : defaultTier;
+    if (tier !== "custom") {
+        const preset = RATE_LIMIT_TIERS[tier] || RATE_LIMIT_TIERS[defaultTier];
+        return { tier, requestsPerMinute: preset.requestsPerMinute, tokensPerMinute: preset.tokensPerMinute, concurrency: preset.concurrency };
+    }
+    return {
+        tier,
+        requestsPerMinute: Math.max(0, Number(saved.requestsPerMinute) || 0),
+        tokensPerMinute: Math.max(0, Number(saved.tokensPerMinute) || 0),
+        concurrency: Math.max(1, Math.floor(Number(saved.concurrency) || 1)),
+    };
+}
+
+/**
+ * Estimates the tokens a batch uses, counting the input and a translation of the same length.
+ * @param {string[]} texts The texts of the batch.
+ * @returns {number}
+ */
+export function estimateBatchTokens(texts) {
+    const characters = texts.reduce((sum, text) => sum + text.length, 0);
+    return PROMPT_OVERHEAD_TOKENS + Math.ceil((characters * 2) / CHARS_PER_TOKEN);
+}
+
+/**
+ * Creates a limiter for one run.
+ * @param {RateLimits} limits The configured limits.
+ * @returns {{maxConcurrency: number, acquire: function(number, function(number): void=): Promise<void>, release: function(): void, onSuccess: function(): void, onRateLimited: function(number): void}}
+ */
+export function createRateLimiter(limits) {
+    const maxConcurrency = Math.max(1, limits.concurrency);
+    let concurrency = maxConcurrency;
+    let requestsPerMinute = limits.requestsPerMinute;
+    let requestBucket = requestsPerMinute;
+    let tokenBucket = limits.tokensPerMinute;
+    let lastRefill = Date.now();
+    let blockedUntil = 0;
+    let active = 0;
+    let successStreak = 0;
+
+    const refill = () => {
+        const now = Date.now();
+        const elapsed = now - lastRefill;
+        lastRefill = now;
+        if (requestsPerMinute > 0) { requestBucket = Math.min(requestsPerMinute, requestBucket + (elapsed * requestsPerMinute) / 60000); }
+        if (limits.tokensPerMinute > 0) { tokenBucket = Math.min(limits.tokensPerMinute, tokenBucket + (elapsed * limits.tokensPerMinute) / 60000); }
+    };
+
+    return {
+        /** The most requests that will ever run at the same time. */
+        maxConcurrency,
+
+        /**
+         * Waits until a request may be sent, then takes its share of the buckets.
+         * @param {number} tokens The estimated tokens of the request.
+         * @param {function(number): void} [onWait] Called with the remaining wait in ms while waiting for the rate limit.
+         */
+        async acquire(tokens, onWait) {
+            // A request larger than the whole budget would wait forever, so it only waits for a full bucket.
+            const needed = limits.tokensPerMinute > 0 ? Math.min(tokens, limits.tokensPerMinute) : 0;
+            for (;;) {
+                refill();
+                let wait = 0;
+                let isRateWait = true;
+                if (Date.now() < blockedUntil) {
+                    wait = blockedUntil - Date.now();
+                } else if (active >= concurrency) {
+                    wait = 100; // Wait for a running request to finish.
+                    isRateWait = false;
+                } else if (requestsPerMinute > 0 && requestBucket < 1) {
+                    wait = ((1 - requestBucket) * 60000) / requestsPerMinute;
+                } else if (needed > 0 && tokenBucket < needed) {
+                    wait = ((needed - tokenBucket) * 60000) / limits.tokensPerMinute;
+                } else {
+                    if (requestsPerMinute > 0) { requestBucket -= 1; }
+                    if (needed > 0) { tokenBucket -= needed; }
+                    active++;
+                    return;
+                }
+                if (isRateWait && onWait) { onWait(wait); }
+                await new Promise((resolve) => setTimeout(resolve, Math.min(Math.ceil(wait), MAX_WAIT_STEP)));
+            }
+        },
+
+        /** Frees the request slot taken by `acquire`. */
+        release() {
+            active = Math.max(0, active - 1);
+        },
+
+        /** Counts a successful request; after a streak, raises the rate and concurrency again. */
+        onSuccess() {
+            successStreak++;
+            if (successStreak < SPEED_UP_AFTER) { return; }
+            successStreak = 0;
+            if (limits.requestsPerMinute > 0) { requestsPerMinute = Math.min(limits.requestsPerMinute, requestsPerMinute * SPEED_UP_FACTOR); }
+            concurrency = Math.min(maxConcurrency, concurrency + 1);
+        },
+
+        /**
+         * Slows down after a 429 response.
+         * @param {number} retryAfter The delay the server asked for, in ms.
+         */
+        onRateLimited(retryAfter) {
+            successStreak = 0;
+            concurrency = Math.max(1, Math.floor(concurrency / 2));
+            if (requestsPerMinute > 0) {
+                requestsPerMinute = Math.max(1, requestsPerMinute / 2);
+                requestBucket = Math.min(requestBucket, 0);
+            }
+            blockedUntil = Math.max(blockedUntil, Date.now() + retryAfter);
+        },
+    };
+}
@@ -0,0 +1,170 @@
+/* global Office, Excel */
+
+/*
+ * AI Translator for Excel - Run Reports
+ * Every run keeps a log with one entry per translated item (a cell, or an object such as a chart title).
+ * - On request, the log is written to a new worksheet after the run, one row per item: sheet, address,
+ *   source text, translation, model, error reason, cache hit and timestamp.
+ * - The cells that failed in the last run are kept in a very hidden worksheet, one row per cell:
+ *   sheet id | address | language | kind | expected content | source text. "Retry Failed Cells" sends
+ *   only those again and writes a cell only if it still holds what the run left in it.
+ * - Report sheets and the failures sheet are never translated themselves.
+ */
+
+import { writeRowBlocks } from "./ranges";
+
+// --- CONSTANTS ---
+export const FAILURES_SHEET_NAME = "AI Translator Failures";
+const REPORT_HEADERS = ["Sheet", "Address", "Source", "Translation", "Model", "Error", "Cache Hit", "Timestamp"];
+const REPORT_SHEETS_KEY = "reportSheets";
+const FAILURES_SETTINGS_KEY = "lastRunFailures";
+const EXCEL_CELL_CHAR_LIMIT = 32767;
+
+/**
+ * @typedef {{sheetId: string, sheetName: string, address: string, source: string, translation: string, error: string|null, cached: boolean, timestamp?: string, retry?: {language: string, kind: string, expected: string}|null}} RunLogItem
+ *     `retry` is set for cells that failed and can be sent again: `kind` is "text" or "formula", and
+ *     `expected` is what the cell held after the run.
+ */
+
+/**
+ * Starts the log of a run.
+ * @param {string} label A short description of the run, e.g. "Selection → German".
+ * @param {string} model The provider and model of the run.
+ * @returns {{label: string, model: string, items: RunLogItem[]}}
+ */
+export function createRunLog(label, model) {
+    return { label, model, items: [] };
+}
+
+/**
+ * Adds an item to a run log.
+ * @param {{items: RunLogItem[]}} log The log.
+ * @param {RunLogItem} item The item.
+ */
+export function logRunItem(log, item) {
+    log.items.push({ ...item, timestamp: new Date().toISOString() });
+}
+
+/**
+ * Saves the document settings after a change to the report sheets or the failed cells.
+ */
+function saveReportSettings() {
+    Office.context.document.settings.saveAsync((result) => {
+        if (result.status !== Office.AsyncResultStatus.Succeeded) {
+            console.error("Could not save the run report settings:", result.error.message);
+        }
+    });
+}
+
+/**
+ * Returns true if a worksheet was created as a run report.
+ * @param {string} sheetId The worksheet id.
+ * @returns {boolean}
+ */
+export function isReportSheet(sheetId) {
+    return (Office.context.document.settings.get(REPORT_SHEETS_KEY) || []).includes(sheetId);
+}
+
+/**
+ * Returns a sheet name that is not taken yet, e.g. "Report 2024-05-01 14.30 (2)".
+ * @param {Excel.RequestContext} context The request context.
+ * @param {string} baseName The preferred name.
+ * @returns {Promise<string>}
+ */
+async function getFreeSheetName(context, baseName) {
+    const worksheets = context.workbook.worksheets;
+    worksheets.load("items/name");
+    await context.sync();
+    const taken = new Set(worksheets.items.map((sheet) => sheet.name.toLowerCase()));
+    let name = baseName;
+    for (let n = 2; taken.has(name.toLowerCase()); n++) { name = `${baseName} (${n})`; }
+    return name;
+}
+
+/**
+ * Writes a run log to a new worksheet at the end of the workbook.
+ * @param {Excel.RequestContext} context The request context.
+ * @param {{label: string, model: string, items: RunLogItem[]}} log The log.
+ * @returns {Promise<string>} The name of the new sheet.
+ */
+export async function writeReportSheet(context, log) {
+    const stamp = new Date().toISOString().slice(0, 16).replace("T", " ").replace(":", ".");
+    const sheet = context.workbook.worksheets.add(await getFreeSheetName(context, `Report ${stamp}`));
+    sheet.load("id, name");
+    // Text format keeps Excel from reading sources such as "=A1" or "1/2" as formulas or dates.
+    sheet.getRange("A:H").numberFormat = "@";
+    const header = sheet.getRangeByIndexes(0, 0, 1, REPORT_HEADERS.length);
+    header.values = [REPORT_HEADERS];
+    header.format.font.bold = true;
+    sheet.freezePanes.freezeRows(1);
+
+    // The new sheet goes out with the first block of rows, and the column widths with the last.
+    const fit = (text) => String(text ?? "").substring(0, EXCEL_CELL_CHAR_LIMIT);
+    const rows = log.items.map((item) => [item.sheetName, item.address, fit(item.source), fit(item.translation), log.model, item.error || "", item.cached ? "Yes" : "No", item.timestamp]);
+    await writeRowBlocks(context, sheet, 1, rows);
+    sheet.getRange("A:B").format.autofitColumns();
+    sheet.getRange("E:H").format.autofitColumns();
+    sheet.getRange("C:D").format.columnWidth = 250;
+    await context.sync();
+
+    Office.context.document.settings.set(REPORT_SHEETS_KEY, [...(Office.context.document.settings.get(REPORT_SHEETS_KEY) || []), sheet.id]);
+    saveReportSettings();
+    return sheet.name;
+}
+
+/**
+ * Returns the number of failed cells kept from the last run and its label, or null if there are none.
+ * @returns {{count: number, label: string}|null}
+ */
+export function getFailedCellSummary() {
+    return Office.context.document.settings.get(FAILURES_SETTINGS_KEY) || null;
+}
+
+/**
+ * Keeps the cells that failed in a run, replacing those of the previous run. A log without items
+ * (e.g. a run cancelled before its first batch) keeps the previous failures.
+ * @param {Excel.RequestContext} context The request context.
+ * @param {{label: string, items: RunLogItem[]}} log The log of the run.
+ * @returns {Promise<number>} The number of failed cells kept.
+ */
+export async function saveFailedCells(context, log) {
+    if (log.items.length === 0) { return getFailedCellSummary() ? getFailedCellSummary().count : 0; }
+    const failed = log.items.filter((item) => item.retry);
+    // The old sheet is deleted by the same sync that creates the new one.
+    const oldSheet = context.workbook.worksheets.getItemOrNullObject(FAILURES_SHEET_NAME);
+    await context.sync();
+    if (!oldSheet.isNullObject) { oldSheet.delete(); }
+    if (failed.length === 0) {
+        await context.sync();
+        Office.context.document.settings.remove(FAILURES_SETTINGS_KEY);
+        saveReportSettings();
+        return 0;
+    }
+
+    const sheet = context.workbook.worksheets.add(FAILURES_SHEET_NAME);
+    sheet.visibility = Excel.SheetVisibility.veryHidden;
+    sheet.getRange("A:F").numberFormat = "@";
+    await writeRowBlocks(context, sheet, 0, failed.map((item) => [item.sheetId, item.address, item.retry.language, item.retry.kind, item.retry.expected, item.source]));
+    await context.sync();
+    Office.context.document.settings.set(FAILURES_SETTINGS_KEY, { count: failed.length, label: log.label });
+    saveReportSettings();
+    return failed.length;
+}
+
+/**
+ * Reads the failed cells of the last run.
+ * @param {Excel.RequestContext} context The request context.
+ * @returns {Promise<{sheetId: string, address: string, language: string, kind: string, expected: string, source: string}[]>}
+ */
+export async function loadFailedCells(context) {
+    const sheet = context.workbook.worksheets.getItemOrNullObject(FAILURES_SHEET_NAME);
+    await context.sync();
+    if (sheet.isNullObject) { return []; }
+    const usedRange = sheet.getUsedRangeOrNullObject(true);
+    usedRange.load("values");
+    await context.sync();
+    if (usedRange.isNullObject) { return []; }
+    return usedRange.values.map(([sheetId, address, language, kind, expected, source]) => ({
+        sheetId: String(sheetId), address: String(address), language: String(language), kind: String(kind), expected: String(expected), source: String(source),
+    }));
+}
@@ -0,0 +1,664 @@
+/* global Office */
+
+/*
+ * AI Translator for Excel - Resource Files
+ * Developers keep their strings in XLIFF 1.2/2.0, gettext PO and nested JSON files. Such a file is
+ * imported into a sheet of its own with the columns Key | Source | Target | Notes, translated there
+ * like any other sheet (only the Target column is written), and exported again in its own format.
+ * - The original file is kept with the sheet in the document settings, so everything the sheet does
+ *   not show (headers, comments, attributes, non-text values) is written back unchanged.
+ * - Rows are matched back by key, so the sheet can be sorted or filtered in between.
+ * - Plural forms get a row each: "key[0]", "key[1]", ...
+ * - Inline XLIFF markup (<x/>, <g>, <pc>, ...) is shown as tags, which token protection keeps intact.
+ */
+
+// --- CONSTANTS ---
+const RESOURCE_SETTINGS_KEY = "resourceFiles";
+export const RESOURCE_HEADERS = ["Key", "Source", "Target", "Notes"];
+export const RESOURCE_KEY_COLUMN = 0;
+export const RESOURCE_SOURCE_COLUMN = 1;
+export const RESOURCE_TARGET_COLUMN = 2;
+const MAX_TEMPLATE_LENGTH = 1000000; // The document settings of an add-in hold about 2 MB
+const MAX_SHEET_NAME_LENGTH = 31;
+const INLINE_TAG_PATTERN = /<\/?[A-Za-z][^<>]*>/g;
+const LANGUAGE_FILE_NAME = /^[a-z]{2}(?:[-_][A-Za-z0-9]{2,8})*$/; // "en", "pt-BR", "zh_Hans"
+export const RESOURCE_FORMAT_LABELS = { xliff12: "XLIFF 1.2", xliff20: "XLIFF 2.0", po: "gettext PO", json: "JSON" };
+
+/**
+ * @typedef {{key: string, source: string, target: string, notes: string}} ResourceEntry
+ * @typedef {{fileName: string, format: string, template: string, targetLanguage: string}} ResourceFile
+ *     `template` is the imported file, `targetLanguage` the code of the language last translated into.
+ */
+
+// --- FORMAT DETECTION ---
+
+/**
+ * Works out the format of a resource file from its name and contents.
+ * @param {string} fileName The file name.
+ * @param {string} text The file contents.
+ * @returns {string} "xliff12", "xliff20", "po" or "json".
+ * @throws {Error} If the file is none of the supported formats.
+ */
+export function detectResourceFormat(fileName, text) {
+    const extension = (fileName.split(".").pop() || "").toLowerCase();
+    const start = text.replace(/^\uFEFF/, "").trimStart();
+    if (extension === "json" || start.startsWith("{")) { return "json"; }
+    if (extension === "po" || extension === "pot") { return "po"; }
+    if (start.startsWith("<")) {
+        const version = /<xliff\b[^>]*\bversion\s*=\s*["']([\d.]+)["']/.exec(start);
+        if (version && version[1] === "1.2") { return "xliff12"; }
+        if (version && version[1].startsWith("2.")) { return "xliff20"; }
+        throw new Error(version ? `XLIFF ${version[1]} is not supported. Use XLIFF 1.2 or 2.0.` : "The file is not an XLIFF document.");
+    }
+    if (/^msgid\s/m.test(start)) { return "po"; }
+    throw new Error("Unsupported file. Import an XLIFF 1.2/2.0 (.xlf, .xliff), gettext (.po, .pot) or JSON (.json) file.");
+}
+
+/**
+ * Reads the strings of a resource file.
+ * @param {string} format The format (see `detectResourceFormat`).
+ * @param {string} text The file contents.
+ * @returns {{entries: ResourceEntry[], targetLanguage: string}} The strings, and the target language the file names, if any.
+ */
+export function parseResource(format, text) {
+    if (format === "json") { return parseJsonResource(text); }
+    if (format === "po") { return parsePoResource(text); }
+    return parseXliffResource(format, text);
+}
+
+/**
+ * Writes a resource file: the imported file with the translations of the sheet filled in.
+ * @param {string} format The format (see `detectResourceFormat`).
+ * @param {string} template The imported file.
+ * @param {Map<string, string>} targets The Target column, by key. Keys that are missing keep the file's own translation.
+ * @param {string} targetLanguage The language code to record in the file, or "" to leave it alone.
+ * @returns {string} The file contents.
+ */
+export function serializeResource(format, template, targets, targetLanguage) {
+    if (format === "json") { return serializeJsonResource(template, targets); }
+    if (format === "po") { return serializePoResource(template, targets, targetLanguage); }
+    return serializeXliffResource(format, template, targets, targetLanguage);
+}
+
+// --- JSON ---
+
+/**
+ * Builds the key of a JSON string from its path. Dots inside a name are escaped, so "a.b" as one
+ * name differs from "a" > "b".
+ * @param {Array<string|number>} path The object names and array indexes leading to the string.
+ * @returns {string}
+ */
+function toJsonKey(path) {
+    return path.map((segment) => String(segment).replace(/[\\.]/g, "\\$&")).join(".");
+}
+
+/**
+ * Copies a JSON value, passing every string through `visit`.
+ * @param {any} value The value.
+ * @param {Array<string|number>} path The path of the value.
+ * @param {function(string, string): string} visit Called with the key and text of every string; returns the new text.
+ * @returns {any} The copy.
+ */
+function mapJsonStrings(value, path, visit) {
+    if (typeof value === "string") { return visit(toJsonKey(path), value); }
+    if (Array.isArray(value)) { return value.map((item, index) => mapJsonStrings(item, [...path, index], visit)); }
+    if (value && typeof value === "object") {
+        const copy = {};
+        for (const [name, item] of Object.entries(value)) { copy[name] = mapJsonStrings(item, [...path, name], visit); }
+        return copy;
+    }
+    return value;
+}
+
+/**
+ * Parses a JSON file as text, with a readable error.
+ * @param {string} text The file contents.
+ * @returns {any}
+ */
+function parseJsonFile(text) {
+    try {
+        return JSON.parse(text.replace(/^\uFEFF/, ""));
+    } catch (error) {
+        throw new Error(`The file is not valid JSON: ${error.message}`);
+    }
+}
+
+/**
+ * Reads the strings of a nested JSON locale file. A JSON file holds one language, so targets start empty.
+ * @param {string} text The file contents.
+ * @returns {{entries: ResourceEntry[], targetLanguage: string}}
+ */
+function parseJsonResource(text) {
+    const entries = [];
+    mapJsonStrings(parseJsonFile(text), [], (key, value) => {
+        if (value.trim() !== "") { entries.push({ key, source: value, target: "", notes: "" }); }
+        return value;
+    });
+    return { entries, targetLanguage: "" };
+}
+
+/**
+ * Writes a JSON locale file with the same structure and indentation as the imported one. Strings
+ * without a translation keep the source text, so the file stays complete.
+ * @param {string} template The imported file.
+ * @param {Map<string, string>} targets The translations by key.
+ * @returns {string}
+ */
+function serializeJsonResource(template, targets) {
+    const translated = mapJsonStrings(parseJsonFile(template), [], (key, value) => targets.get(key) || value);
+    const indent = /^([ \t]+)"/m.exec(template);
+    return JSON.stringify(translated, null, indent ? indent[1] : 2) + (template.endsWith("\n") ? "\n" : "");
+}
+
+// --- GETTEXT PO ---
+
+/**
+ * Reads a quoted PO string.
+ * @param {string} quoted The string with its quotes, e.g. "\"Hello\\n\"".
+ * @returns {string}
+ */
+function unquotePo(quoted) {
+    const escapes = { n: "\n", t: "\t", r: "\r", '"': '"', "\\": "\\" };
+    return quoted.trim().slice(1, -1).replace(/\\(.)/g, (match, char) => escapes[char] ?? char);
+}
+
+/**
+ * Quotes a string for a PO file.
+ * @param {string} text The text.
+ * @returns {string}
+ */
+function quotePo(text) {
+    return `"${text.replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n").replace(/\t/g, "\\t").replace(/\r/g, "\\r")}"`;
+}
+
+/**
+ * Writes a PO field. Text with line breaks is split after each break, like msgcat does.
+ * @param {string} name The field name, e.g. "msgstr" or "msgstr[1]".
+ * @param {string} text The text.
+ * @returns {string[]} The lines.
+ */
+function formatPoField(name, text) {
+    const lines = text.match(/[^\n]*\n|[^\n]+$/g) || [""];
+    if (lines.length === 1) { return [`${name} ${quotePo(text)}`]; }
+    return [`${name} ""`, ...lines.map(quotePo)];
+}
+
+/**
+ * Splits a PO file into entries. Every entry keeps its lines up to the first msgstr, so comments,
+ * context and ids are written back exactly as they were.
+ * @param {string} text The file contents.
+ * @returns {{lines: string[], headLength: number, comments: string[], obsolete: boolean, msgctxt?: string, msgid?: string, msgidPlural?: string, msgstr: string[]}[]}
+ */
+function parsePoEntries(text) {
+    const blocks = text.replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n").split(/\n[ \t]*\n/).map((block) => block.split("\n").filter((line) => line.trim() !== ""));
+    return blocks.filter((lines) => lines.length > 0).map((lines) => {
+        const entry = { lines, headLength: lines.length, comments: [], obsolete: false, msgstr: [] };
+        let field = null;
+        lines.forEach((line, index) => {
+            if (line.startsWith("#~")) { entry.obsolete = true; return; }
+            if (line.startsWith("#")) { entry.comments.push(line); return; }
+            const keyword = /^(msgctxt|msgid_plural|msgid|msgstr(?:\[(\d+)\])?)\s+(".*")\s*$/.exec(line);
+            if (keyword) {
+                field = keyword[1].startsWith("msgstr") ? `msgstr${keyword[2] || 0}` : keyword[1];
+                if (field.startsWith("msgstr") && entry.headLength === lines.length) { entry.headLength = index; }
+            } else if (!line.trim().startsWith('"') || !field) {
+                return;
+            }
+            const value = unquotePo(keyword ? keyword[3] : line);
+            if (field.startsWith("msgstr")) {
+                const plural = Number(field.slice(6));
+                entry.msgstr[plural] = (entry.msgstr[plural] || "") + value;
+            } else {
+                const name = { msgctxt: "msgctxt", msgid: "msgid", msgid_plural: "msgidPlural" }[field];
+                entry[name] = (entry[name] || "") + value;
+            }
+        });
+        return entry;
+    });
+}
+
+/**
+ * Returns true for the header entry (empty msgid), which holds the file's metadata.
+ * @param {object} entry The PO entry.
+ * @returns {boolean}
+ */
+function isPoHeader(entry) {
+    return entry.msgid === "" && entry.msgctxt === undefined;
+}
+
+/**
+ * Builds the key of a PO entry: its msgid, prefixed with its context if it has one.
+ * @param {object} entry The PO entry.
+ * @returns {string}
+ */
+function getPoKey(entry) {
+    return entry.msgctxt !== undefined ? `${entry.msgctxt}::${entry.msgid}` : entry.msgid;
+}
+
+/**
+ * Returns how many plural forms to write for an entry: as many as it has, at least the header's nplurals.
+ * @param {object} entry The PO entry.
+ * @param {number} pluralForms The nplurals of the header.
+ * @returns {number} 1 for an entry without plural forms.
+ */
+function getPoPluralCount(entry, pluralForms) {
+    return entry.msgidPlural === undefined ? 1 : Math.max(entry.msgstr.length, pluralForms);
+}
+
+/**
+ * Reads the nplurals of the header entry.
+ * @param {object[]} entries The PO entries.
+ * @returns {number}
+ */
+function getPoPluralForms(entries) {
+    const header = entries.find(isPoHeader);
+    const match = header && /nplurals\s*=\s*(\d+)/.exec(header.msgstr[0] || "");
+    return match ? Number(match[1]) : 2;
+}
+
+/**
+ * Turns the comments of a PO entry into readable notes.
+ * @param {string[]} comments The comment lines.
+ * @returns {string}
+ */
+function describePoComments(comments) {
+    const prefixes = { ":": "Used in: ", ",": "Flags: ", "|": "Previous: ", ".": "" };
+    return comments.map((line) => {
+        const kind = line.charAt(1);
+        return kind in prefixes ? prefixes[kind] + line.slice(2).trim() : line.slice(1).trim();
+    }).filter(Boolean).join("\n");
+}
+
+/**
+ * Reads the strings of a PO or POT file. Each plural form becomes an entry of its own.
+ * @param {string} text The file contents.
+ * @returns {{entries: ResourceEntry[], targetLanguage: string}}
+ */
+function parsePoResource(text) {
+    const poEntries = parsePoEntries(text);
+    const pluralForms = getPoPluralForms(poEntries);
+    const header = poEntries.find(isPoHeader);
+    const language = header && /(?:^|\n)Language:[ \t]*([^\n]*)/.exec(header.msgstr[0] || "");
+    const entries = [];
+    for (const entry of poEntries) {
+        if (entry.obsolete || entry.msgid === undefined || isPoHeader(entry)) { continue; }
+        const key = getPoKey(entry);
+        const notes = describePoComments(entry.comments);
+        const count = getPoPluralCount(entry, pluralForms);
+        if (count === 1) {
+            entries.push({ key, source: entry.msgid, target: entry.msgstr[0] || "", notes });
+            continue;
+        }
+        for (let form = 0; form < count; form++) {
+            entries.push({
+                key: `${key}[${form}]`,
+                source: form === 0 ? entry.msgid : entry.msgidPlural,
+                target: entry.msgstr[form] || "",
+                notes: [notes, `Plural form ${form} of ${count}`].filter(Boolean).join("\n"),
+            });
+        }
+    }
+    return { entries, targetLanguage: language ? language[1].trim() : "" };
+}
+
+/**
+ * Writes a PO file: the imported entries with new msgstr lines. An empty "Language:" header is filled in.
+ * @param {string} template The imported file.
+ * @param {Map<string, string>} targets The translations by key.
+ * @param {string} targetLanguage The language code.
+ * @returns {string}
+ */
+function serializePoResource(template, targets, targetLanguage) {
+    const poEntries = parsePoEntries(template);
+    const pluralForms = getPoPluralForms(poEntries);
+    const blocks = poEntries.map((entry) => {
+        if (isPoHeader(entry)) {
+            return entry.lines.map((line) => (targetLanguage && /^"Language:\s*\\n"$/.test(line.trim()) ? `"Language: ${targetLanguage}\\n"` : line));
+        }
+        if (entry.obsolete || entry.msgid === undefined) { return entry.lines; }
+        const key = getPoKey(entry);
+        const count = getPoPluralCount(entry, pluralForms);
+        const head = entry.lines.slice(0, entry.headLength);
+        if (count === 1) {
+            return [...head, ...formatPoField("msgstr", targets.has(key) ? targets.get(key) : entry.msgstr[0] || "")];
+        }
+        const forms = [];
+        for (let form = 0; form < count; form++) {
+            const formKey = `${key}[${form}]`;
+            forms.push(...formatPoField(`msgstr[${form}]`, targets.has(formKey) ? targets.get(formKey) : entry.msgstr[form] || ""));
+        }
+        return [...head, ...forms];
+    });
+    return blocks.map((lines) => lines.join("\n")).join("\n\n") + "\n";
+}
+
+// --- XLIFF ---
+
+/**
+ * Parses an XML file, with a readable error.
+ * @param {string} text The file contents.
+ * @returns {Document}
+ */
+function parseXmlFile(text) {
+    const doc = new DOMParser().parseFromString(text.replace(/^\uFEFF/, ""), "application/xml");
+    if (doc.getElementsByTagName("parsererror").length > 0) {
+        throw new Error("The file is not well-formed XML.");
+    }
+    return doc;
+}
+
+/**
+ * Returns the child elements of an element.
+ * @param {Element} parent The parent element.
+ * @returns {Element[]}
+ */
+function childElements(parent) {
+    return Array.from(parent.childNodes).filter((node) => node.nodeType === 1);
+}
+
+/**
+ * Returns the first child element with a local name.
+ * @param {Element} parent The parent element.
+ * @param {string} name The local name.
+ * @returns {Element|undefined}
+ */
+function childElement(parent, name) {
+    return childElements(parent).find((child) => child.localName === name);
+}
+
+/**
+ * Returns the nearest ancestor with a local name.
+ * @param {Element} element The element.
+ * @param {string} name The local name.
+ * @returns {Element|null}
+ */
+function ancestorElement(element, name) {
+    let node = element.parentNode;
+    while (node && node.localName !== name) { node = node.parentNode; }
+    return node || null;
+}
+
+/**
+ * Returns true if a source element contains inline markup.
+ * @param {Element} source The source element.
+ * @returns {boolean}
+ */
+function hasInlineMarkup(source) {
+    return Array.from(source.childNodes).some((node) => node.nodeType === 1);
+}
+
+/**
+ * Reads the content of a source or target element. Inline elements are kept as tags.
+ * @param {Element} element The element.
+ * @param {boolean} markup True to keep inline elements as tags.
+ * @returns {string}
+ */
+function readXliffContent(element, markup) {
+    if (!markup) { return element.textContent; }
+    const serializer = new XMLSerializer();
+    const namespace = element.namespaceURI ? ` xmlns="${element.namespaceURI}"` : "";
+    return Array.from(element.childNodes).map((node) => {
+        if (node.nodeType === 1) { return serializer.serializeToString(node).split(namespace).join(""); }
+        return node.nodeType === 3 || node.nodeType === 4 ? node.nodeValue : "";
+    }).join("");
+}
+
+/**
+ * Replaces the content of a target element. With markup, tags in the text become inline elements again;
+ * if they do not form valid XML, the text is written as plain text.
+ * @param {Element} element The target element.
+ * @param {string} text The translation.
+ * @param {boolean} markup True if the source contains inline markup.
+ */
+function writeXliffContent(element, text, markup) {
+    const doc = element.ownerDocument;
+    while (element.firstChild) { element.removeChild(element.firstChild); }
+    if (markup) {
+        const escape = (part) => part.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+        let xml = "";
+        let last = 0;
+        for (const match of text.matchAll(INLINE_TAG_PATTERN)) {
+            xml += escape(text.slice(last, match.index)) + match[0];
+            last = match.index + match[0].length;
+        }
+        xml += escape(text.slice(last));
+        const fragment = new DOMParser().parseFromString(`<fragment xmlns="${element.namespaceURI || ""}">${xml}</fragment>`, "application/xml");
+        if (fragment.getElementsByTagName("parsererror").length === 0) {
+            Array.from(fragment.documentElement.childNodes).forEach((node) => element.appendChild(doc.importNode(node, true)));
+            return;
+        }
+    }
+    element.textContent = text;
+}
+
+/**
+ * Lists the translatable segments of an XLIFF document.
+ * @param {string} format "xliff12" or "xliff20".
+ * @param {Document} doc The parsed document.
+ * @returns {{key: string, container: Element, source: Element, target: Element|undefined, notes: string, markup: boolean}[]}
+ *     `container` is the 1.2 trans-unit or the 2.0 segment the source and target belong to.
+ */
+function listXliffSegments(format, doc) {
+    const multipleFiles = doc.getElementsByTagName("file").length > 1;
+    const segments = [];
+    const unitName = format === "xliff12" ? "trans-unit" : "unit";
+    for (const unit of Array.from(doc.getElementsByTagName(unitName))) {
+        if (unit.getAttribute("translate") === "no") { continue; }
+        const file = ancestorElement(unit, "file");
+        const filePrefix = multipleFiles && file ? `${file.getAttribute(format === "xliff12" ? "original" : "id")}#` : "";
+        const baseKey = filePrefix + unit.getAttribute("id");
+        const notesParent = format === "xliff12" ? unit : childElement(unit, "notes");
+        const notes = notesParent ? childElements(notesParent).filter((child) => child.localName === "note").map((note) => note.textContent.trim()).join("\n") : "";
+        const containers = format === "xliff12" ? [unit] : childElements(unit).filter((child) => child.localName === "segment");
+        containers.forEach((container, index) => {
+            const source = childElement(container, "source");
+            if (!source) { return; }
+            const key = containers.length > 1 ? `${baseKey}#${container.getAttribute("id") || index}` : baseKey;
+            segments.push({ key, container, source, target: childElement(container, "target"), notes, markup: hasInlineMarkup(source) });
+        });
+    }
+    return segments;
+}
+
+/**
+ * Reads the segments of an XLIFF 1.2 or 2.0 file.
+ * @param {string} format "xliff12" or "xliff20".
+ * @param {string} text The file contents.
+ * @returns {{entries: ResourceEntry[], targetLanguage: string}}
+ */
+function parseXliffResource(format, text) {
+    const doc = parseXmlFile(text);
+    const entries = listXliffSegments(format, doc)
+        .map((segment) => ({
+            key: segment.key,
+            source: readXliffContent(segment.source, segment.markup),
+            target: segment.target ? readXliffContent(segment.target, segment.markup) : "",
+            notes: segment.notes,
+        }))
+        .filter((entry) => entry.source.trim() !== "");
+    const file = doc.getElementsByTagName("file")[0];
+    const targetLanguage = format === "xliff12" ? (file && file.getAttribute("target-language")) : doc.documentElement.getAttribute("trgLang");
+    return { entries, targetLanguage: targetLanguage || "" };
+}
+
+/**
+ * Writes an XLIFF file: the imported document with target elements added or updated. Changed targets
+ * are marked as translated, and the target language is recorded where the file has none.
+ * @param {string} format "xliff12" or "xliff20".
+ * @param {string} template The imported file.
+ * @param {Map<string, string>} targets The translations by key. Empty translations leave the segment as it was.
+ * @param {string} targetLanguage The language code.
+ * @returns {string}
+ */
+function serializeXliffResource(format, template, targets, targetLanguage) {
+    const doc = parseXmlFile(template);
+    if (targetLanguage) {
+        if (format === "xliff12") {
+            Array.from(doc.getElementsByTagName("file")).forEach((file) => { if (!file.getAttribute("target-language")) { file.setAttribute("target-language", targetLanguage); } });
+        } else if (!doc.documentElement.getAttribute("trgLang")) {
+            doc.documentElement.setAttribute("trgLang", targetLanguage);
+        }
+    }
+
+    for (const segment of listXliffSegments(format, doc)) {
+        const text = targets.get(segment.key);
+        if (!text) { continue; }
+        let target = segment.target;
+        if (target && readXliffContent(target, segment.markup) === text) { continue; }
+        if (!target) {
+            target = doc.createElementNS(segment.source.namespaceURI, "target");
+            segment.container.insertBefore(target, segment.source.nextSibling);
+        }
+        writeXliffContent(target, text, segment.markup);
+        if (format === "xliff12") {
+            target.setAttribute("state", "translated");
+        } else if (!segment.container.getAttribute("state") || segment.container.getAttribute("state") === "initial") {
+            segment.container.setAttribute("state", "translated");
+        }
+    }
+
+    const declaration = /^\uFEFF?\s*(<\?xml[^>]*\?>)/.exec(template);
+    const xml = new XMLSerializer().serializeToString(doc);
+    return (declaration && !xml.startsWith("<?xml") ? `${declaration[1]}\n` : "") + xml + (template.endsWith("\n") ? "\n" : "");
+}
+
+// --- RESOURCE SHEETS ---
+
+/**
+ * Returns the resource files imported into this workbook, by sheet id.
+ * @returns {Object<string, ResourceFile>}
+ */
+function getResourceFiles() {
+    return Office.context.document.settings.get(RESOURCE_SETTINGS_KEY) || {};
+}
+
+/**
+ * Stores the resource files in the document settings.
+ * @param {Object<string, ResourceFile>} files The files by sheet id.
+ */
+function saveResourceFiles(files) {
+    Office.context.document.settings.set(RESOURCE_SETTINGS_KEY, files);
+    Office.context.document.settings.saveAsync((result) => {
+        if (result.status !== Office.AsyncResultStatus.Succeeded) {
+            console.error("Could not save the resource files:", result.error.message);
+        }
+    });
+}
+
+/**
+ * Returns the resource file imported into a sheet, or null if the sheet is an ordinary sheet.
+ * @param {string} sheetId The worksheet id.
+ * @returns {ResourceFile|null}
+ */
+export function getResourceFile(sheetId) {
+    return getResourceFiles()[sheetId] || null;
+}
+
+/**
+ * Records the language a resource sheet was translated into, for the exported file.
+ * @param {string} sheetId The worksheet id.
+ * @param {string} languageCode The language code.
+ */
+export function setResourceTargetLanguage(sheetId, languageCode) {
+    const files = getResourceFiles();
+    if (!files[sheetId] || files[sheetId].targetLanguage === languageCode) { return; }
+    files[sheetId].targetLanguage = languageCode;
+    saveResourceFiles(files);
+}
+
+/**
+ * Imports a resource file into a new sheet named after the file.
+ * @param {Excel.RequestContext} context The request context.
+ * @param {string} fileName The file name.
+ * @param {string} text The file contents.
+ * @returns {Promise<{sheetName: string, format: string, count: number}>} The new sheet, the detected format and the number of rows.
+ */
+export async function importResourceFile(context, fileName, text) {
+    if (text.length > MAX_TEMPLATE_LENGTH) {
+        throw new Error(`The file is too large to keep with the workbook (more than ${MAX_TEMPLATE_LENGTH / 1000000} MB).`);
+    }
+    const format = detectResourceFormat(fileName, text);
+    const { entries, targetLanguage } = parseResource(format, text);
+    if (entries.length === 0) {
+        throw new Error("The file contains no strings to translate.");
+    }
+
+    const worksheets = context.workbook.worksheets;
+    worksheets.load("items/name, items/id");
+    await context.sync();
+    const names = new Set(worksheets.items.map((sheet) => sheet.name.toLowerCase()));
+    const baseName = fileName.replace(/[[\]:*?/\\]/g, "_").slice(0, MAX_SHEET_NAME_LENGTH);
+    let sheetName = baseName;
+    for (let n = 2; names.has(sheetName.toLowerCase()); n++) {
+        const suffix = ` (${n})`;
+        sheetName = baseName.slice(0, MAX_SHEET_NAME_LENGTH - suffix.length) + suffix;
+    }
+
+    const sheet = worksheets.add(sheetName);
+    sheet.load("id");
+    // Text format keeps Excel from turning strings such as "1/2" or "=total" into dates or formulas.
+    sheet.getRange("A:D").numberFormat = "@";
+    const rows = [RESOURCE_HEADERS, ...entries.map((entry) => [entry.key, entry.source, entry.target, entry.notes])];
+    sheet.getRangeByIndexes(0, 0, rows.length, RESOURCE_HEADERS.length).values = rows;
+    sheet.getRange("A1:D1").format.font.bold = true;
+    sheet.getRange("B:C").format.columnWidth = 240;
+    sheet.getRange("B:D").format.wrapText = true;
+    sheet.freezePanes.freezeRows(1);
+    sheet.activate();
+    await context.sync();
+
+    // Drop the files of sheets that were deleted since.
+    const sheetIds = new Set(worksheets.items.map((item) => item.id));
+    const files = Object.fromEntries(Object.entries(getResourceFiles()).filter(([id]) => sheetIds.has(id)));
+    files[sheet.id] = { fileName, format, template: text, targetLanguage };
+    saveResourceFiles(files);
+    return { sheetName, format, count: entries.length };
+}
+
+/**
+ * Builds the name of an exported file. A file named after its language ("en.json") is renamed to
+ * the target language ("de.json"); other names get the language code added ("messages.de.po").
+ * @param {string} fileName The imported file name.
+ * @param {string} languageCode The target language code, or "".
+ * @returns {string}
+ */
+function getExportFileName(fileName, languageCode) {
+    if (!languageCode) { return fileName; }
+    const dot = fileName.lastIndexOf(".");
+    const base = dot > 0 ? fileName.slice(0, dot) : fileName;
+    const extension = dot > 0 ? fileName.slice(dot) : "";
+    if (LANGUAGE_FILE_NAME.test(base)) { return `${languageCode}${extension}`; }
+    return `${base}.${languageCode}${extension.toLowerCase() === ".pot" ? ".po" : extension}`;
+}
+
+/**
+ * Exports a resource sheet in the format it was imported from.
+ * @param {Excel.RequestContext} context The request context.
+ * @param {Excel.Worksheet} sheet The resource sheet, with `id` loaded.
+ * @returns {Promise<{fileName: string, text: string, count: number}>} The file and the number of translated rows.
+ */
+export async function exportResourceSheet(context, sheet) {
+    const file = getResourceFile(sheet.id);
+    if (!file) {
+        throw new Error("This sheet was not imported from a resource file.");
+    }
+    const usedRange = sheet.getUsedRange(true);
+    usedRange.load("values, rowIndex, columnIndex");
+    await context.sync();
+    if (usedRange.rowIndex !== 0 || usedRange.columnIndex !== 0) {
+        throw new Error("The Key column and header row of the resource sheet are missing.");
+    }
+
+    const targets = new Map();
+    for (const row of usedRange.values.slice(1)) {
+        const key = String(row[0] ?? "");
+        if (key === "") { continue; }
+        targets.set(key, String(row[RESOURCE_TARGET_COLUMN] ?? ""));
+    }
+    const count = Array.from(targets.values()).filter((target) => target !== "").length;
+    return {
+        fileName: getExportFileName(file.fileName, file.targetLanguage),
+        text: serializeResource(file.format, file.template, targets, file.targetLanguage),
+        count,
+    };
+}
@@ -0,0 +1,182 @@
+/*
+ * AI Translator for Excel - Translation Scope
+ * Filters that decide which cells of a range are translated at all, so SKU codes, IDs, helper
+ * columns and rows hidden by a filter are left alone and cost nothing:
+ * - Only visible cells: rows and columns hidden by hand or by an AutoFilter are skipped.
+ * - Columns: only or never translate columns given by letter ("C", "AA") or by header text
+ *   (the first row of the range).
+ * - Patterns: only or never translate texts that match regular expressions.
+ * - Header rows: the first rows of the range are skipped.
+ * - Minimum length: shorter texts (after trimming) are skipped.
+ * - Target language: texts that already look like the target language are skipped. Languages with a
+ *   script of their own are recognized by their script, Latin-script languages by common words.
+ * The filters are saved per workbook, since columns and patterns belong to its data.
+ */
+
+import { getColumnLetters, parseCellAddress } from "./ranges";
+import { hasOwnScript, matchesLanguageScript } from "./quality";
+import { getBaseLanguage } from "./languages";
+
+// --- CONSTANTS ---
+export const SCOPE_SETTINGS_KEY = "scopeSettings";
+const MIN_COMMON_WORDS = 2; // Common words a text needs before it is taken to be in a Latin-script language
+
+/** Frequent short words of Latin-script languages, used to tell them apart without asking the model. */
+const COMMON_WORDS = {
+    English: ["the", "and", "of", "to", "is", "in", "for", "with", "this", "that", "are", "you", "not", "be", "on"],
+    German: ["der", "die", "das", "und", "ist", "nicht", "mit", "ein", "eine", "für", "von", "zu", "den", "auf", "sie"],
+    Spanish: ["el", "la", "los", "las", "y", "de", "es", "que", "en", "un", "una", "por", "para", "con", "no"],
+    French: ["le", "la", "les", "et", "de", "des", "est", "un", "une", "pour", "dans", "avec", "que", "pas", "sur"],
+    Italian: ["il", "lo", "la", "gli", "le", "e", "di", "che", "è", "un", "una", "per", "con", "non", "sono"],
+    Turkish: ["ve", "bir", "bu", "için", "ile", "de", "da", "değil", "olarak", "çok", "gibi", "daha", "ne", "mi", "var"],
+};
+
+/**
+ * @typedef {{visibleOnly: boolean, includeColumns: string, excludeColumns: string, includePatterns: string[], excludePatterns: string[], headerRows: number, minLength: number, skipTargetLanguage: boolean}} ScopeSettings
+ *     The filters as saved. Columns are comma-separated letters or header texts.
+ */
+
+/**
+ * Returns the saved settings with defaults for anything not set: every cell is in scope.
+ * @param {object} [stored] The settings read from the document.
+ * @returns {ScopeSettings}
+ */
+export function normalizeScopeSettings(stored = {}) {
+    return {
+        visibleOnly: Boolean(stored.visibleOnly),
+        includeColumns: stored.includeColumns || "",
+        excludeColumns: stored.excludeColumns || "",
+        includePatterns: stored.includePatterns || [],
+        excludePatterns: stored.excludePatterns || [],
+        headerRows: Math.max(0, Math.floor(Number(stored.headerRows) || 0)),
+        minLength: Math.max(0, Math.floor(Number(stored.minLength) || 0)),
+        skipTargetLanguage: Boolean(stored.skipTargetLanguage),
+    };
+}
+
+/**
+ * Splits a comma-separated column list into lower-case entries.
+ * @param {string} list The list, e.g. "A, C, Product name".
+ * @returns {string[]}
+ */
+function parseColumnList(list) {
+    return list.split(",").map((entry) => entry.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Compiles the scope settings for a run.
+ * @param {ScopeSettings} settings The settings.
+ * @returns {{settings: ScopeSettings, includeColumns: string[], excludeColumns: string[], includePatterns: RegExp[], excludePatterns: RegExp[]}}
+ * @throws {Error} If a pattern is not a valid regular expression.
+ */
+export function compileScope(settings) {
+    const compile = (pattern) => {
+        try {
+            return new RegExp(pattern);
+        } catch (error) {
+            throw new Error(`Invalid pattern "${pattern}": ${error.message}`);
+        }
+    };
+    return {
+        settings,
+        includeColumns: parseColumnList(settings.includeColumns),
+        excludeColumns: parseColumnList(settings.excludeColumns),
+        includePatterns: settings.includePatterns.map(compile),
+        excludePatterns: settings.excludePatterns.map(compile),
+    };
+}
+
+/**
+ * Guesses whether a text is already written in a language. Errs on the side of "no", so a text is
+ * only skipped when it clearly is in the target language.
+ * @param {string} text The text.
+ * @param {string} language The language name.
+ * @returns {boolean}
+ */
+export function looksLikeLanguage(text, language) {
+    if (hasOwnScript(language)) {
+        return matchesLanguageScript(text, language) === true;
+    }
+    const base = getBaseLanguage(language);
+    if (!COMMON_WORDS[base] || matchesLanguageScript(text, language) !== true) { return false; }
+    const words = text.toLowerCase().split(/[^\p{L}]+/u).filter(Boolean);
+    const hits = Object.fromEntries(Object.entries(COMMON_WORDS).map(([name, list]) => [name, words.filter((word) => list.includes(word)).length]));
+    const best = Math.max(...Object.values(hits));
+    return hits[base] >= MIN_COMMON_WORDS && hits[base] === best;
+}
+
+/**
+ * Returns the text filters of a scope: minimum length, patterns and the target language check.
+ * @param {object} scope The compiled scope (see `compileScope`).
+ * @returns {function(string, string): boolean} Takes a text and the target language; true if the text is translated.
+ */
+export function createTextFilter(scope) {
+    const { settings } = scope;
+    return (text, targetLanguage) => {
+        if (text.trim().length < Math.max(1, settings.minLength)) { return false; }
+        if (scope.includePatterns.length > 0 && !scope.includePatterns.some((pattern) => pattern.test(text))) { return false; }
+        if (scope.excludePatterns.some((pattern) => pattern.test(text))) { return false; }
+        return !(settings.skipTargetLanguage && looksLikeLanguage(text, targetLanguage));
+    };
+}
+
+/**
+ * Returns the column filter of a scope: the columns to translate and the columns to leave alone.
+ * @param {object} scope The compiled scope (see `compileScope`).
+ * @param {any[]} headers The first row of the range, for columns given by header text.
+ * @param {number} [columnIndex] The worksheet index of the range's first column, for columns given by letter.
+ * @returns {function(number): boolean} Takes a column index relative to the range; true if the column is translated.
+ */
+export function createColumnFilter(scope, headers, columnIndex = 0) {
+    const names = headers.map((header) => String(header ?? "").trim().toLowerCase());
+    const matchesColumn = (list, col) => list.includes(getColumnLetters(columnIndex + col).toLowerCase()) || (Boolean(names[col]) && list.includes(names[col]));
+    return (col) => (scope.includeColumns.length === 0 || matchesColumn(scope.includeColumns, col)) && !matchesColumn(scope.excludeColumns, col);
+}
+
+/**
+ * Queues the read of the visible cells of a range, for "only visible cells". It is loaded with the range
+ * and passed to `createScopeFilter`.
+ * @param {Excel.Range} range The range, or one block of rows of a larger range.
+ * @param {object} scope The compiled scope (see `compileScope`).
+ * @returns {Excel.RangeView|null} The visible view with `cellAddresses` queued, or null if the scope takes hidden cells too.
+ */
+export function loadVisibleView(range, scope) {
+    if (!scope.settings.visibleOnly) { return null; }
+    const view = range.getVisibleView();
+    view.load("cellAddresses");
+    return view;
+}
+
+/**
+ * Prepares the cell and text filters for one range, or for one block of rows of a larger range.
+ * @param {Excel.Range} range The range, with `values`, `rowIndex` and `columnIndex` loaded.
+ * @param {object} scope The compiled scope (see `compileScope`).
+ * @param {{rowOffset?: number, headers?: any[], view?: Excel.RangeView|null}} [block] For a block of rows: the number of rows
+ *     of the whole range above it, and the first row of the whole range (for header rows and column names). By default the
+ *     range is whole. `view` is the visible view loaded with the range (see `loadVisibleView`), for "only visible cells".
+ * @returns {{acceptsCell: function(number, number): boolean, acceptsColumn: function(number): boolean, acceptsText: function(string, string): boolean}}
+ *     `acceptsCell` and `acceptsColumn` take row and column indexes relative to the range; `acceptsText`
+ *     takes a text and the target language, for skipping texts already in it.
+ */
+export function createScopeFilter(range, scope, block = {}) {
+    const { settings } = scope;
+    let visibleCells = null;
+    if (settings.visibleOnly && block.view) {
+        visibleCells = new Set();
+        for (const row of block.view.cellAddresses) {
+            for (const address of row) {
+                const cell = parseCellAddress(address);
+                if (cell) { visibleCells.add(`${cell.rowIndex - range.rowIndex},${cell.columnIndex - range.columnIndex}`); }
+            }
+        }
+    }
+
+    const rowOffset = block.rowOffset || 0;
+    const acceptsColumn = createColumnFilter(scope, block.headers || range.values[0] || [], range.columnIndex);
+
+    return {
+        acceptsColumn,
+        acceptsCell: (row, col) => rowOffset + row >= settings.headerRows && acceptsColumn(col) && (!visibleCells || visibleCells.has(`${row},${col}`)),
+        acceptsText: createTextFilter(scope),
+    };
+}
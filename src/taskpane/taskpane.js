@@ -4,26 +4,157 @@
  * Features:
  * - Translates selected range or entire workbook.
  * - Two modes: "Replace in Place" or "Translate to New Sheet".
- * - Supports Gemini Flash (free tier) and Pro models.
+ * - Pluggable providers: Google Gemini (Flash/Pro) or any OpenAI-compatible server, including local LM Studio, Ollama and vLLM.
+ * - API keys are stored per user on this computer, never in the workbook.
+ * - Scope filters (visible cells, columns, patterns, header rows, length, target language) with a count before sending.
+ * - Context-aware prompts: column header, sheet name or object of each text, plus named per-workbook prompt profiles (domain, audience, formality, tone, style rules).
+ * - Searchable list of languages with BCP-47 codes and regional variants (pt-BR, zh-Hant, ...); any other language can be typed in.
+ * - Optional fixed source language, per-cell language detection that skips cells already in the target language, and a language mix report.
  * - Smart batching system based on cell and character count to handle large data.
- * - Session-based caching to avoid re-translating text.
+ * - Large ranges are read and written in blocks of rows; multi-area (Ctrl+click) selections are translated in one run.
+ * - Workbook runs are planned first: one set of unique texts across all sheets, with an estimate of requests, tokens, time and cost to confirm.
+ * - Persistent translation memory (per language and engine) with TMX import/export.
+ * - Glossary enforcement from a workbook sheet or an imported CSV file.
+ * - Formula-safe: formulas are never flattened to values; optionally their text literals are translated.
+ * - Placeholder, markup and code protection with post-translation verification.
+ * - One-click revert of the last translation runs from snapshots in a hidden sheet.
+ * - Optional report sheet per run (one row per cell or object) and a retry of only the cells that failed in the last run.
+ * - Workbook runs can include chart titles, shapes, notes, comments, table columns, data validation and headers/footers.
+ * - Right-to-left reading order and alignment for Arabic, Hebrew, Persian and Urdu, and optional fonts for CJK and RTL scripts.
+ * - Bilingual (translation next to each source column) and multi-language column output.
+ * - Optional review step: proposed translations can be edited, accepted or rejected before writing.
+ * - Optional quality checks (untranslated, length, script, numbers, model grade) that highlight and annotate cells.
+ * - XLIFF 1.2/2.0, gettext PO and JSON resource files: import into a sheet, translate, export in the same format.
+ * - =AI.TRANSLATE and =AI.DETECTLANGUAGE worksheet functions, batched across recalculations (shared runtime).
+ * - Ribbon and cell context menu commands that run with the last task pane choices, without opening the pane.
+ * - The translation core is a host-independent engine (engine.js), shared with a Node command-line tool for CSV/XLSX files.
+ * - Pause and cancel at batch boundaries; interrupted workbook jobs resume from a checkpoint.
+ * - Adaptive token-bucket rate limiting with parallel batches, per provider/model or API tier.
  * - Automatic retry (exponential backoff) for API rate limit errors (429).
  * - Visual countdown timer for rate limit delays.
  * - Robust error handling to protect cell data.
  * - Google Material Design theme with light/dark mode support.
  */
 
+import {
+    PROVIDERS,
+    DEFAULT_PROVIDER_ID,
+    getProvider,
+    resolveProviderSettings,
+    validateProviderSettings,
+    isLocalEndpoint,
+    isRateLimitedModel,
+    getDefaultRateLimitTier,
+    callProviderScoring,
+    fetchModelList,
+} from "./providers";
+import {
+    getEngineId,
+    lookupTranslation,
+    storeTranslation,
+    saveTranslationMemory,
+    getEntryId,
+    searchEntries,
+    updateEntry,
+    deleteEntry,
+    clearTranslationMemory,
+    getMemorySize,
+    exportTmx,
+    importTmx,
+} from "./memory";
+import {
+    DEFAULT_GLOSSARY_SHEET,
+    parseGlossaryRows,
+    parseGlossaryCsv,
+    findRelevantTerms,
+} from "./glossary";
+import { isFormula, extractFormulaLiterals, replaceFormulaLiterals } from "./formulas";
+import { toConstantFormula, writeCellChanges, getCellAddress, parseCellAddress, readRowBlocks, getChangeBlocks } from "./ranges";
+import { isSourceText, prepareTranslationColumns } from "./columns";
+import {
+    startJob,
+    getActiveJob,
+    pauseJob,
+    resumeJob,
+    cancelJob,
+    isJobCancelled,
+    waitAtBatchBoundary,
+    endJob,
+    getCheckpointedTranslation,
+    recordBatch,
+    markSheetDone,
+    getInterruptedJob,
+    discardInterruptedJob,
+} from "./jobs";
+import { HISTORY_SHEET_NAME, getHistoryRuns, beginHistoryRun, recordSnapshot, recordCreatedSheet, finishHistoryRun, revertLastRun } from "./history";
+import { BUILT_IN_RULES, compileProtectionRules, maskText } from "./protection";
+import { RATE_LIMIT_TIERS, resolveRateLimits, createRateLimiter } from "./ratelimit";
+import { checkTranslation, describeModelScore, getQaFlags, flagCells, clearQaFlags } from "./quality";
+import {
+    RESOURCE_FORMAT_LABELS,
+    RESOURCE_KEY_COLUMN,
+    RESOURCE_SOURCE_COLUMN,
+    RESOURCE_TARGET_COLUMN,
+    getResourceFile,
+    setResourceTargetLanguage,
+    importResourceFile,
+    exportResourceSheet,
+} from "./resources";
+import { registerCustomFunctions } from "./functions";
+import { OBJECT_KINDS, FORMAT_CODE_RULE, collectObjectTexts, writeObjectTexts } from "./objects";
+import { measureCharsPerToken, estimateRun } from "./estimate";
+import { SCOPE_SETTINGS_KEY, normalizeScopeSettings, compileScope, loadVisibleView, createScopeFilter, createColumnFilter, createTextFilter } from "./scope";
+import { loadApiKeys, getApiKey, setApiKey, removeApiKey, migrateDocumentKeys } from "./keys";
+import { PROMPT_PROFILES_KEY, FORMALITY_OPTIONS, normalizePromptProfile, normalizePromptProfiles, addTextContext, readColumnHeaders } from "./prompts";
+import { LANGUAGES, UNDETERMINED_CODE, resolveLanguageName, toLanguageCode, fromLanguageCode, describeLanguageMix } from "./languages";
+import { FAILURES_SHEET_NAME, createRunLog, logRunItem, isReportSheet, writeReportSheet, getFailedCellSummary, saveFailedCells, loadFailedCells } from "./report";
+import { getScriptFormat, loadCellFormats, prepareScriptFormat, writeScriptFormat, writeSheetReadingOrder } from "./formatting";
+import { isTranslationError, splitIntoBatches, hasDetectedLanguage, createTranslationEngine, createRunResult, addRunResult } from "./engine";
+import { registerCommands } from "../commands/commands";
+
 // --- CONSTANTS ---
-const STANDARD_MODEL = "gemini-1.5-flash";
-const PRO_MODEL = "gemini-1.5-pro";
-const BATCH_CELL_LIMIT = 100; // Max number of cells per batch
-const BATCH_CHAR_LIMIT = 15000; // Max total characters per batch to keep API request size safe
-const SAFE_MODE_DELAY = 1200; // Delay in ms for the Flash model to respect the 60 RPM limit
 const EXCEL_CELL_CHAR_LIMIT = 32767; // Max characters allowed in a single Excel cell
+const MEMORY_PAGE_SIZE = 50; // Max number of entries listed in the translation memory manager
+const MAX_CONCURRENCY = 16; // Upper bound for the "Parallel requests" setting
+const REVIEW_PAGE_SIZE = 20; // Proposed translations shown per review page
+const QA_BATCH_SIZE = 50; // Translations graded per request by the model
+/** The options a workbook job saves with its checkpoint. Provider, limits, rules, scope and profile are read again on resume. */
+const JOB_OPTION_KEYS = ["targetLanguage", "targetLanguages", "sourceLanguage", "detectLanguages", "mode", "overwriteExisting", "useMemory", "translateFormulaText", "rtlLayout", "scriptFonts", "review", "qualityChecks", "qualityScoring", "reportSheet", "objectKinds"];
+const CHOICE_INPUT_IDS = ["target-language-input", "multi-target-other-input", "source-language-input", "detect-language-checkbox", "overwrite-existing-checkbox", "use-memory-checkbox", "translate-formula-text-checkbox", "rtl-layout-checkbox", "script-font-checkbox", "review-checkbox", "quality-checks-checkbox", "quality-scoring-checkbox", "report-sheet-checkbox"];
+
+// --- STATE ---
+/** @type {string|null} The run whose revert the user was warned about (cells edited since). A second click confirms. */
+let pendingRevertRunId = null;
+/** @type {{items: object[], page: number, resolve: function(boolean): void}|null} The review in progress, or null. */
+let activeReview = null;
+/** @type {number} The position of the flagged cell shown last by "Next Flagged Cell", or -1. */
+let qaFlagPosition = -1;
+/** @type {{key: string, limiter: object}|null} The rate limiter shared by all custom function requests. */
+let functionLimiter = null;
+/** The translation engine, reporting to the status bar and checkpointing workbook jobs (see engine.js). */
+const translationEngine = createTranslationEngine({
+    report: updateStatus,
+    noticeDelay: 500,
+    waitAtBatchBoundary: () => waitAtBatchBoundary(showPauseStatus),
+    getCheckpointedTranslation,
+    recordBatch,
+});
+/** @type {Promise<number>|null} Resolves once the user's API keys were read and workbook keys moved out (see `prepareApiKeys`). */
+let apiKeysReady = null;
+/** @type {boolean} True while a run started from the task pane or a command is in progress. */
+let isBusy = false;
+/** @type {{message: string, detail: string|null, isError: boolean}} The last status shown, which commands report when they finish. */
+let lastStatus = { message: "", detail: null, isError: false };
+/** @type {function(boolean): void|null} Answers the confirmation of a workbook run while it is shown. */
+let resolvePlanConfirmation = null;
 
-// --- CACHE ---
-/** @type {Map<string, string>} Session-only cache for translations. Cleared on language change or reload. */
-const translationCache = new Map();
+// Custom functions and commands must be registered when the shared runtime loads, before Excel calls them.
+registerCustomFunctions({ translate: translateForFunctions, detect: detectForFunctions });
+registerCommands({
+    translateSelection: () => runCommand(() => runRangeTranslation("selection")),
+    translateSheet: () => runCommand(() => runRangeTranslation("sheet")),
+    translateSheetName: () => runCommand(runTranslateSheetName),
+});
 
 /**
  * Office.onReady is called when the Office platform is ready to host the add-in.
@@ -40,22 +171,81 @@ Office.onReady((info) => {
       // Assign event listeners to all interactive elements.
       document.getElementById("save-key-button").onclick = saveApiKey;
       document.getElementById("edit-key-button").onclick = editApiKey;
+      document.getElementById("remove-key-button").onclick = removeStoredApiKey;
+      document.getElementById("test-key-button").onclick = testProviderSettings;
+      document.getElementById("load-models-button").onclick = loadModelList;
+      document.getElementById("provider-select").onchange = () => renderProviderFields(document.getElementById("provider-select").value);
       document.getElementById("translate-workbook-button").onclick = runWorkbookTranslation;
-      document.getElementById("translate-selection-button").onclick = runSelectionTranslation;
+      document.getElementById("translate-selection-button").onclick = () => runRangeTranslation("selection");
       document.getElementById("translate-sheet-name-button").onclick = runTranslateSheetName;
-      document.getElementById("model-selection-select").onchange = updateModelDescription;
-      document.getElementById("target-language-select").onchange = clearCache;
+      document.getElementById("revert-button").onclick = runRevertLastTranslation;
+      document.getElementById("retry-failed-button").onclick = runRetryFailedCells;
+      document.getElementById("pause-button").onclick = togglePause;
+      document.getElementById("cancel-button").onclick = cancelRunningJob;
+      document.getElementById("resume-job-button").onclick = runResumeInterruptedJob;
+      document.getElementById("discard-job-button").onclick = discardInterruptedJobAndRefresh;
+      document.getElementById("plan-start-button").onclick = () => finishPlanConfirmation(true);
+      document.getElementById("plan-cancel-button").onclick = () => finishPlanConfirmation(false);
+      document.getElementById("review-prev-button").onclick = () => showReviewPage(activeReview.page - 1);
+      document.getElementById("review-next-button").onclick = () => showReviewPage(activeReview.page + 1);
+      document.getElementById("review-accept-all-button").onclick = acceptAllReviewItems;
+      document.getElementById("review-write-button").onclick = () => finishReview(true);
+      document.getElementById("review-discard-button").onclick = () => finishReview(false);
+      document.getElementById("quality-checks-checkbox").onchange = updateQualityOptions;
+      document.getElementById("qa-next-button").onclick = goToNextFlaggedCell;
+      document.getElementById("qa-clear-button").onclick = runClearQaFlags;
+      document.querySelectorAll('input[name="translation-mode"]').forEach((input) => { input.onchange = updateModeOptions; });
+      document.getElementById("glossary-source-select").onchange = saveGlossarySettings;
+      document.getElementById("glossary-sheet-input").onchange = saveGlossarySettings;
+      document.getElementById("glossary-import-input").onchange = importGlossaryFile;
+      document.getElementById("protection-save-button").onclick = saveProtectionSettings;
+      document.getElementById("scope-save-button").onclick = saveScopeSettings;
+      document.getElementById("scope-count-button").onclick = runScopeCount;
+      document.getElementById("multi-target-filter-input").oninput = filterMultiTargetOptions;
+      document.getElementById("language-mix-button").onclick = runLanguageMix;
+      document.getElementById("profile-select").onchange = selectPromptProfile;
+      document.getElementById("profile-save-button").onclick = savePromptProfile;
+      document.getElementById("profile-delete-button").onclick = deletePromptProfile;
+      document.getElementById("rate-limit-tier-select").onchange = renderRateLimitFields;
+      document.getElementById("rate-limit-save-button").onclick = saveRateLimitSettings;
+      document.getElementById("memory-search-input").oninput = renderMemoryEntries;
+      document.getElementById("memory-import-input").onchange = importMemoryFile;
+      document.getElementById("memory-export-button").onclick = exportMemoryFile;
+      document.getElementById("resource-import-input").onchange = importResourceFileFromPicker;
+      document.getElementById("resource-export-button").onclick = exportActiveResourceSheet;
+      document.getElementById("memory-clear-button").onclick = clearMemory;
+      CHOICE_INPUT_IDS.forEach((id) => document.getElementById(id).addEventListener("change", saveTranslationChoices));
+      document.querySelectorAll('input[name="translation-mode"]').forEach((input) => input.addEventListener("change", saveTranslationChoices));
       
-      // Populate the model selection dropdown.
-      const modelSelect = document.getElementById("model-selection-select");
-      modelSelect.innerHTML = `
-          <option value="${STANDARD_MODEL}">Flash (Standard)</option>
-          <option value="${PRO_MODEL}">Pro (Fast)</option>
-      `;
+      // Populate the provider selection dropdown.
+      const providerSelect = document.getElementById("provider-select");
+      providerSelect.innerHTML = Object.values(PROVIDERS)
+          .map((provider) => `<option value="${provider.id}">${provider.label}</option>`)
+          .join("");
       
-      // Load initial state.
-      loadApiKey();
-      updateModelDescription();
+      // Load initial state. The provider form waits for the user's API keys.
+      prepareApiKeys().then((movedKeys) => {
+          loadApiKey();
+          if (movedKeys > 0) {
+              updateStatus("The API key was moved out of this workbook.", "It is now stored for your user on this computer. Save the workbook to remove the key from the file.", null, false);
+          }
+      }).catch((error) => updateStatus("Error: Could not read the stored API keys.", error.message, null, true));
+      loadGlossarySettings();
+      loadProtectionSettings();
+      loadScopeSettings();
+      renderFormalityOptions();
+      renderPromptProfiles();
+      renderMemoryEntries();
+      renderHistoryRuns();
+      renderFailedCells();
+      renderQaFlags();
+      renderLanguageOptions();
+      renderMultiTargetOptions();
+      renderObjectKindOptions();
+      loadTranslationChoices();
+      updateModeOptions();
+      updateQualityOptions();
+      renderInterruptedJob();
     } catch (error) {
       console.error("Initialization error:", error);
       updateStatus("Error during startup.", error.message, null, true);
@@ -63,25 +253,62 @@ Office.onReady((info) => {
   }
 });
 
-// --- CACHE MANAGEMENT ---
+// --- UI & DATA MANAGEMENT ---
 
 /**
- * Clears the session translation cache. Typically called when the target language changes.
+ * Reads the provider settings stored in the document. Workbooks saved before providers existed
+ * only have a bare "apiKey" setting, which is taken over as the Gemini key. Keys are only found in
+ * workbooks saved before keys moved to the user's storage; `prepareApiKeys` moves them out.
+ * @returns {{activeProvider: string, providers: Object<string, {endpoint: string, apiKey?: string, model: string}>}}
  */
-function clearCache() {
-    translationCache.clear();
-    console.log("Translation cache cleared due to language change.");
+function getStoredProviderSettings() {
+    const stored = Office.context.document.settings.get("providerSettings") || {};
+    const settings = { activeProvider: stored.activeProvider || DEFAULT_PROVIDER_ID, providers: { ...(stored.providers || {}) } };
+    const legacyKey = Office.context.document.settings.get("apiKey");
+    if (legacyKey && !settings.providers[DEFAULT_PROVIDER_ID]) {
+        settings.providers[DEFAULT_PROVIDER_ID] = { apiKey: legacyKey };
+    }
+    return settings;
 }
 
-// --- UI & DATA MANAGEMENT ---
+/**
+ * Returns the complete settings of the provider currently used for translation.
+ * @returns {{providerId: string, endpoint: string, apiKey: string, model: string}}
+ */
+function getActiveProviderSettings() {
+    const stored = getStoredProviderSettings();
+    return resolveProviderSettings(stored.activeProvider, { ...stored.providers[stored.activeProvider], apiKey: getApiKey(stored.activeProvider) });
+}
+
+/**
+ * Reads the user's API keys and moves any key still saved in this workbook into the user's storage.
+ * Runs once; later calls return the same promise. Commands and custom functions wait for it too.
+ * @returns {Promise<number>} The number of keys moved out of the workbook.
+ */
+function prepareApiKeys() {
+    if (!apiKeysReady) {
+        apiKeysReady = (async () => {
+            await loadApiKeys(Object.values(PROVIDERS).map((provider) => provider.id));
+            const stored = getStoredProviderSettings();
+            const movedKeys = await migrateDocumentKeys(stored);
+            if (movedKeys === 0) { return 0; }
+            Office.context.document.settings.set("providerSettings", stored);
+            Office.context.document.settings.remove("apiKey");
+            await new Promise((resolve) => Office.context.document.settings.saveAsync(resolve));
+            return movedKeys;
+        })();
+    }
+    return apiKeysReady;
+}
 
 /**
- * Loads the API key from document settings and updates the UI.
+ * Loads the provider settings from document settings and updates the UI.
  */
 function loadApiKey() {
-    const apiKey = Office.context.document.settings.get("apiKey");
-    if (apiKey && apiKey.trim() !== "") {
-        document.getElementById("masked-key").textContent = maskApiKey(apiKey);
+    const settings = getActiveProviderSettings();
+    renderProviderFields(settings.providerId);
+    if (validateProviderSettings(settings) === null) {
+        showProviderSummary(settings);
         showDisplayMode();
     } else {
         showInputMode();
@@ -89,38 +316,155 @@ function loadApiKey() {
 }
 
 /**
- * Saves the API key from the input field to the current document's settings.
+ * Fills the provider form with the saved settings of a provider (or its defaults).
+ * @param {string} providerId The provider to show.
  */
-function saveApiKey() {
-    const apiKeyInput = document.getElementById("api-key-input");
-    const apiKey = apiKeyInput.value.trim();
-    if (apiKey) {
-        Office.context.document.settings.set("apiKey", apiKey);
-        Office.context.document.settings.saveAsync((result) => {
-            if (result.status === Office.AsyncResultStatus.Succeeded) {
-                document.getElementById("masked-key").textContent = maskApiKey(apiKey);
-                showDisplayMode();
-                updateStatus("API Key saved successfully.", null, null, false);
-            } else {
-                console.error("Failed to save API key:", result.error.message);
-                updateStatus("Error: Could not save API key.", result.error.message, null, true);
-            }
-        });
+function renderProviderFields(providerId) {
+    const provider = getProvider(providerId);
+    const saved = getStoredProviderSettings().providers[provider.id] || {};
+    const settings = resolveProviderSettings(provider.id, saved);
+    const storedKey = getApiKey(provider.id);
+
+    document.getElementById("provider-select").value = provider.id;
+    document.getElementById("provider-help").textContent = provider.help;
+    document.getElementById("gemini-key-link").style.display = provider.kind === "gemini" ? "block" : "none";
+    document.getElementById("provider-endpoint-input").value = settings.endpoint;
+    document.getElementById("provider-endpoint-input").placeholder = provider.defaultEndpoint || "https://your-server/v1";
+    // A saved key is never put back into the form; leaving the field empty keeps it.
+    document.getElementById("api-key-input").value = "";
+    if (storedKey) {
+        document.getElementById("api-key-input").placeholder = `Saved (${maskApiKey(storedKey)}). Leave empty to keep it.`;
     } else {
-        updateStatus("Please enter a valid API key.", null, null, true);
+        document.getElementById("api-key-input").placeholder = provider.requiresKey ? "Paste your API key here" : "Optional";
+    }
+    document.getElementById("provider-model-input").value = settings.model;
+    document.getElementById("provider-model-input").placeholder = provider.requiresKey ? "" : "Leave empty to use the loaded model";
+    fillModelList(provider.models);
+}
+
+/**
+ * Replaces the model suggestions offered by the model input.
+ * @param {string[]} models The model ids to suggest.
+ */
+function fillModelList(models) {
+    document.getElementById("provider-model-list").innerHTML = models.map((model) => `<option value="${model}"></option>`).join("");
+}
+
+/**
+ * Reads the provider form into a settings object. An empty key field stands for the saved key.
+ * @returns {{providerId: string, endpoint: string, apiKey: string, model: string}}
+ */
+function readProviderFields() {
+    const providerId = document.getElementById("provider-select").value;
+    return resolveProviderSettings(providerId, {
+        endpoint: document.getElementById("provider-endpoint-input").value,
+        apiKey: document.getElementById("api-key-input").value.trim() || getApiKey(providerId),
+        model: document.getElementById("provider-model-input").value,
+    });
+}
+
+/**
+ * Asks the provider in the form for its available models and offers them as suggestions.
+ */
+async function loadModelList() {
+    const settings = readProviderFields();
+    updateStatus("Loading models...", settings.endpoint, null, false);
+    try {
+        const models = await fetchModelList(settings);
+        fillModelList(models);
+        if (!settings.model && models.length > 0) {
+            document.getElementById("provider-model-input").value = models[0];
+        }
+        updateStatus(`Found ${models.length} models.`, null, null, false);
+    } catch (error) {
+        updateStatus("Could not load the model list.", error.message, null, true);
+    }
+}
+
+/**
+ * Checks the provider settings in the form by asking the provider for its models, which fails
+ * for a wrong key or endpoint. Also warns if the chosen model is not offered.
+ */
+async function testProviderSettings() {
+    const settings = readProviderFields();
+    const validationError = validateProviderSettings(settings);
+    if (validationError) {
+        updateStatus(validationError, null, null, true);
+        return;
+    }
+    updateStatus("Testing the connection...", settings.endpoint, null, false);
+    try {
+        const models = await fetchModelList(settings);
+        if (settings.model && models.length > 0 && !models.includes(settings.model)) {
+            updateStatus("The provider accepted the key, but does not offer this model.", `"${settings.model}" is not among its ${models.length} models. Click "Load Models" to pick one.`, null, true);
+            return;
+        }
+        updateStatus("The connection works.", settings.apiKey ? "The provider accepted the key." : null, null, false);
+    } catch (error) {
+        updateStatus("The provider rejected the settings.", error.message, null, true);
+    }
+}
+
+/**
+ * Saves the provider settings from the form: the key in the user's storage, everything else in the
+ * current document's settings.
+ */
+async function saveApiKey() {
+    const settings = readProviderFields();
+    const validationError = validateProviderSettings(settings);
+    if (validationError) {
+        updateStatus(validationError, null, null, true);
+        return;
+    }
+    try {
+        await setApiKey(settings.providerId, settings.apiKey);
+    } catch (error) {
+        updateStatus("Error: Could not store the API key.", error.message, null, true);
+        return;
+    }
+
+    const stored = getStoredProviderSettings();
+    stored.activeProvider = settings.providerId;
+    stored.providers[settings.providerId] = { endpoint: settings.endpoint, model: settings.model };
+    Office.context.document.settings.set("providerSettings", stored);
+    Office.context.document.settings.remove("apiKey");
+    Office.context.document.settings.saveAsync((result) => {
+        if (result.status === Office.AsyncResultStatus.Succeeded) {
+            showProviderSummary(settings);
+            showDisplayMode();
+            updateStatus("Provider settings saved successfully.", null, null, false);
+        } else {
+            console.error("Failed to save provider settings:", result.error.message);
+            updateStatus("Error: Could not save provider settings.", result.error.message, null, true);
+        }
+    });
+}
+
+/**
+ * Removes the active provider's key from the user's storage on this computer.
+ */
+async function removeStoredApiKey() {
+    const providerId = getStoredProviderSettings().activeProvider;
+    try {
+        await removeApiKey(providerId);
+    } catch (error) {
+        updateStatus("Error: Could not remove the API key.", error.message, null, true);
+        return;
     }
+    loadApiKey();
+    updateStatus("The API key was removed from this computer.", null, null, false);
 }
 
 /**
- * Switches the UI to allow editing of the API key.
+ * Switches the UI to allow editing of the provider settings.
  */
 function editApiKey() {
-    document.getElementById("api-key-input").value = Office.context.document.settings.get("apiKey") || "";
+    renderProviderFields(getStoredProviderSettings().activeProvider);
     showInputMode();
 }
 
 /**
- * Shows the UI section for entering an API key.
+ * Shows the UI section for entering provider settings.
  */
 function showInputMode() {
     document.getElementById("key-input-section").style.display = "block";
@@ -137,6 +481,19 @@ function showDisplayMode() {
     document.getElementById("translation-section").style.display = "block";
 }
 
+/**
+ * Shows which provider, model and key are in use, and describes the chosen model.
+ * @param {{providerId: string, endpoint: string, apiKey: string, model: string}} settings The saved settings.
+ */
+function showProviderSummary(settings) {
+    const provider = getProvider(settings.providerId);
+    document.getElementById("provider-summary").textContent = `${provider.label} · ${settings.model || "loaded model"}`;
+    document.getElementById("masked-key").textContent = settings.apiKey ? maskApiKey(settings.apiKey) : settings.endpoint;
+    document.getElementById("remove-key-button").style.display = settings.apiKey ? "inline-block" : "none";
+    updateModelDescription(settings);
+    loadRateLimitSettings(settings);
+}
+
 /**
  * Masks an API key for display purposes (e.g., "AIza...J8ZU").
  * @param {string} apiKey The API key to mask.
@@ -150,15 +507,19 @@ function maskApiKey(apiKey) {
 }
 
 /**
- * Updates the descriptive text below the AI model dropdown based on the current selection.
+ * Updates the descriptive text in the settings section based on the active provider and model.
+ * @param {{providerId: string, endpoint: string, model: string}} settings The provider settings.
  */
-function updateModelDescription() {
-    const model = document.getElementById("model-selection-select").value;
+function updateModelDescription(settings) {
     const descriptionEl = document.getElementById("model-recommendation");
-    if (model === STANDARD_MODEL) {
-        descriptionEl.innerHTML = "<b>Ideal for free API keys.</b> Due to a 60 requests/minute limit, this add-in uses a smart delay and retry system to translate large files safely.";
+    if (isRateLimitedModel(settings)) {
+        descriptionEl.innerHTML = "<b>Ideal for free API keys.</b> Requests are paced to the free tier's per-minute limits and slow down automatically whenever the API asks for it, so large files translate safely.";
+    } else if (getProvider(settings.providerId).kind === "gemini") {
+        descriptionEl.innerHTML = "<b>For users paying for API usage.</b> Offers the highest speed and most powerful translation performance, with several batches sent in parallel.";
+    } else if (isLocalEndpoint(settings)) {
+        descriptionEl.innerHTML = "<b>Running on this machine.</b> Cell contents are only sent to your local server and never leave your computer.";
     } else {
-        descriptionEl.innerHTML = "<b>For users paying for API usage.</b> Offers the highest speed and most powerful translation performance without limits.";
+        descriptionEl.innerHTML = "<b>Custom server.</b> Cell contents are sent to the endpoint above. Speed depends on your server.";
     }
 }
 
@@ -170,6 +531,7 @@ function updateModelDescription() {
  * @param {boolean} isError If true, the message is styled as an error.
  */
 function updateStatus(message, detail, progress, isError = false) {
+    lastStatus = { message, detail, isError };
     document.getElementById("status-text").innerText = message;
     document.getElementById("status-text").style.color = isError ? "#ff4d4d" : "inherit";
     document.getElementById("status-detail-text").innerText = detail || "";
@@ -196,395 +558,2618 @@ function sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+// --- GLOSSARY MANAGEMENT ---
+
 /**
- * Displays a visual countdown timer in the status bar for a given duration.
- * @param {number} duration The duration of the countdown in milliseconds.
+ * Reads the glossary settings stored in the document.
+ * @returns {{source: string, sheetName: string}} The source is "none", "sheet" or "csv".
  */
-function startCountdownTimer(duration) {
-    return new Promise(resolve => {
-        let timeLeft = duration;
-        const statusDetailEl = document.getElementById("status-detail-text");
-        const intervalId = setInterval(() => {
-            timeLeft -= 100;
-            if (timeLeft <= 0) {
-                clearInterval(intervalId);
-                statusDetailEl.innerText = "";
-                resolve();
-            } else {
-                statusDetailEl.innerText = `Next request in ${(timeLeft / 1000).toFixed(1)}s...`;
-            }
-        }, 100);
-    });
+function getGlossarySettings() {
+    const stored = Office.context.document.settings.get("glossarySettings") || {};
+    return { source: stored.source || "none", sheetName: stored.sheetName || DEFAULT_GLOSSARY_SHEET };
 }
 
-// --- CORE TRANSLATION LOGIC ---
-
 /**
- * The main translation engine. It reads a range, checks the cache, calls the API for new text,
- * processes results, and writes them back to the sheet.
- * @param {Excel.RequestContext} context The request context.
- * @param {Excel.Range} range The Excel range to process.
- * @param {object} options An object containing apiKey, targetLanguage, model, and mode.
- * @returns {Promise<{totalErrors: number, firstErrorMessage: string|null}>} An object with the error count and the first error message.
+ * Shows the stored glossary settings in the task pane.
  */
-async function translateRange(context, range, options) {
-    updateStatus("Reading data from sheet...", null, 0);
-    range.load(["values", "address", "worksheet"]);
-    await context.sync();
+function loadGlossarySettings() {
+    const settings = getGlossarySettings();
+    document.getElementById("glossary-source-select").value = settings.source;
+    document.getElementById("glossary-sheet-input").value = settings.sheetName;
+    renderGlossaryOptions();
+}
 
-    const originalValues = range.values;
-    const cellsToTranslate = [];
-    const uniqueTexts = new Map();
-
-    for (let i = 0; i < originalValues.length; i++) {
-        for (let j = 0; j < originalValues[i].length; j++) {
-            const cellValue = originalValues[i][j];
-            if (typeof cellValue === 'string' && cellValue.trim() !== "") {
-                if (!uniqueTexts.has(cellValue)) { uniqueTexts.set(cellValue, null); }
-                cellsToTranslate.push({ row: i, col: j, text: cellValue });
-            }
-        }
-    }
+/**
+ * Shows the controls that belong to the chosen glossary source and a summary of the glossary.
+ */
+function renderGlossaryOptions() {
+    const settings = getGlossarySettings();
+    document.getElementById("glossary-sheet-options").style.display = settings.source === "sheet" ? "block" : "none";
+    document.getElementById("glossary-csv-options").style.display = settings.source === "csv" ? "block" : "none";
 
-    if (cellsToTranslate.length === 0) {
-        return { totalErrors: 0, firstErrorMessage: null };
+    const summaryEl = document.getElementById("glossary-summary");
+    if (settings.source === "sheet") {
+        summaryEl.textContent = `Terms are read from the "${settings.sheetName}" sheet (Source | Target | Language) when a run starts.`;
+    } else if (settings.source === "csv") {
+        const terms = Office.context.document.settings.get("glossaryTerms") || [];
+        summaryEl.textContent = `${terms.length} terms imported.`;
+    } else {
+        summaryEl.textContent = "";
     }
+}
 
-    // Check cache for existing translations
-    const uniqueTextArray = Array.from(uniqueTexts.keys());
-    const textsToFetchFromApi = [];
-    for (const text of uniqueTextArray) {
-        if (translationCache.has(text)) {
-            uniqueTexts.set(text, translationCache.get(text));
-        } else {
-            textsToFetchFromApi.push(text);
+/**
+ * Saves the glossary settings chosen in the task pane to the document.
+ */
+function saveGlossarySettings() {
+    const sheetName = document.getElementById("glossary-sheet-input").value.trim() || DEFAULT_GLOSSARY_SHEET;
+    Office.context.document.settings.set("glossarySettings", {
+        source: document.getElementById("glossary-source-select").value,
+        sheetName,
+    });
+    Office.context.document.settings.saveAsync((result) => {
+        if (result.status !== Office.AsyncResultStatus.Succeeded) {
+            updateStatus("Error: Could not save glossary settings.", result.error.message, null, true);
         }
-    }
+    });
+    renderGlossaryOptions();
+}
 
-    const cachedCount = uniqueTextArray.length - textsToFetchFromApi.length;
-    if (cachedCount > 0) {
-        updateStatus(`Found ${cachedCount} translations in cache.`, "Checking for new text...", 10);
-        await sleep(500);
-    }
-    
-    let totalErrors = 0;
-    let firstErrorMessage = null;
-
-    if (textsToFetchFromApi.length > 0) {
-        // Smart batching based on both cell count and total characters
-        const allBatches = [];
-        let currentBatch = [];
-        let currentCharCount = 0;
-        for (const text of textsToFetchFromApi) {
-            const textLength = text.length;
-            if (textLength > BATCH_CHAR_LIMIT) {
-                if(currentBatch.length > 0) { allBatches.push(currentBatch); }
-                allBatches.push([text]);
-                currentBatch = [];
-                currentCharCount = 0;
-                continue;
-            }
-            if (currentBatch.length > 0 && (currentCharCount + textLength > BATCH_CHAR_LIMIT || currentBatch.length >= BATCH_CELL_LIMIT)) {
-                allBatches.push(currentBatch);
-                currentBatch = [];
-                currentCharCount = 0;
-            }
-            currentBatch.push(text);
-            currentCharCount += textLength;
+/**
+ * Imports a CSV glossary chosen in the file picker and stores its terms in the document.
+ */
+async function importGlossaryFile() {
+    const input = document.getElementById("glossary-import-input");
+    const file = input.files && input.files[0];
+    if (!file) { return; }
+    try {
+        const terms = parseGlossaryCsv(await file.text());
+        if (terms.length === 0) {
+            throw new Error("No term pairs found. Expected the columns: source term, target term, language (optional).");
         }
-        if (currentBatch.length > 0) { allBatches.push(currentBatch); }
-
-        // Process all batches
-        const totalBatches = allBatches.length;
-        for (let i = 0; i < totalBatches; i++) {
-            const batch = allBatches[i];
-            const overallProgress = 10 + ((i + 1) / totalBatches) * 80;
-            updateStatus(`Translating...`, `Processing batch ${i + 1} of ${totalBatches} from API`, overallProgress);
-            
-            const translatedBatch = await callGeminiBatch(batch, options.apiKey, options.targetLanguage, options.model, overallProgress);
-            
-            for (let j = 0; j < batch.length; j++) {
-                const originalText = batch[j];
-                const translatedResult = translatedBatch[j];
-
-                // CRITICAL: Check for errors. If an error is returned, do not write it to the cell.
-                if (typeof translatedResult === 'string' && (translatedResult.startsWith("API Error") || translatedResult.startsWith("Blocked"))) {
-                    totalErrors++;
-                    if (!firstErrorMessage) {
-                        firstErrorMessage = translatedResult; // Save the first error message to display
-                    }
-                } else {
-                    // This is a valid translation.
-                    const finalText = translatedResult || originalText; // Fallback to original
-                    uniqueTexts.set(originalText, finalText);
-                    translationCache.set(originalText, finalText);
-                }
-            }
-
-            // If using the free model, wait with a visual countdown timer.
-            if (options.model === STANDARD_MODEL && totalBatches > 1 && i < totalBatches - 1) {
-                updateStatus("Waiting for API rate limit...", null, overallProgress);
-                await startCountdownTimer(SAFE_MODE_DELAY);
+        Office.context.document.settings.set("glossaryTerms", terms);
+        Office.context.document.settings.saveAsync((result) => {
+            if (result.status === Office.AsyncResultStatus.Succeeded) {
+                updateStatus(`Imported ${terms.length} glossary terms.`, file.name, null, false);
+            } else {
+                updateStatus("Error: Could not save the glossary.", result.error.message, null, true);
             }
-        }
+            renderGlossaryOptions();
+        });
+    } catch (error) {
+        updateStatus("Error: Could not import the glossary.", error.message, null, true);
+    } finally {
+        input.value = "";
     }
-    
-    updateStatus("Writing translations...", `Applying changes...`, 95);
+}
 
-    const newValues = JSON.parse(JSON.stringify(originalValues));
-    for (const cell of cellsToTranslate) {
-        // Only get a value here if the translation was successful. Otherwise, it's null.
-        const translatedText = uniqueTexts.get(cell.text);
-        if (translatedText) {
-            let textToWrite = translatedText;
-            if (typeof textToWrite === 'string' && textToWrite.length > EXCEL_CELL_CHAR_LIMIT) {
-                textToWrite = textToWrite.substring(0, EXCEL_CELL_CHAR_LIMIT);
-            }
-            newValues[cell.row][cell.col] = textToWrite;
-        }
-        // If translatedText is null (because an error occurred), the original value is kept.
+/**
+ * Loads the glossary terms for a run from the glossary sheet or the imported CSV.
+ * @param {Excel.RequestContext} context The request context.
+ * @returns {Promise<object[]>} The glossary terms. Empty if no glossary is used.
+ */
+async function loadGlossary(context) {
+    const settings = getGlossarySettings();
+    if (settings.source === "csv") {
+        return Office.context.document.settings.get("glossaryTerms") || [];
+    }
+    if (settings.source !== "sheet") {
+        return [];
     }
 
-    if (options.mode === 'replace') {
-        range.values = newValues;
-        await context.sync();
-    } else { // 'newSheet'
-        // This robust method ensures new sheet creation is reliable across Excel versions.
-        const sourceSheet = range.worksheet;
-        const worksheets = context.workbook.worksheets;
+    const usedRange = context.workbook.worksheets.getItemOrNullObject(settings.sheetName).getUsedRangeOrNullObject(true);
+    usedRange.load("values");
+    await context.sync();
+    if (usedRange.isNullObject) {
+        throw new Error(`The glossary sheet "${settings.sheetName}" was not found or is empty.`);
+    }
+    return parseGlossaryRows(usedRange.values);
+}
 
-        // 1. Get a snapshot of sheet names BEFORE the copy.
-        worksheets.load("items/name");
-        await context.sync();
-        const existingSheetNames = new Set(worksheets.items.map(s => s.name));
+// --- TOKEN PROTECTION SETTINGS ---
 
-        // 2. Perform the copy operation.
-        sourceSheet.copy("After");
-        await context.sync();
+/**
+ * Reads the token protection settings stored in the document.
+ * @returns {{disabled: string[], custom: string[]}} The ids of switched-off built-in rules and the custom patterns.
+ */
+function getProtectionSettings() {
+    const stored = Office.context.document.settings.get("protectionSettings") || {};
+    return { disabled: stored.disabled || [], custom: stored.custom || [] };
+}
 
-        // 3. Reload the worksheets collection and FIND the new sheet by comparing names.
-        worksheets.load("items/name");
-        await context.sync();
-        
-        let newSheet = null;
-        for (const sheet of worksheets.items) {
-            if (!existingSheetNames.has(sheet.name)) {
-                newSheet = sheet;
-                break;
-            }
-        }
+/**
+ * Shows the built-in protection rules as checkboxes and the custom patterns in the text box.
+ */
+function loadProtectionSettings() {
+    const settings = getProtectionSettings();
+    const listEl = document.getElementById("protection-rule-list");
+    listEl.innerHTML = "";
+    for (const rule of BUILT_IN_RULES) {
+        const row = document.createElement("div");
+        row.className = "checkbox-row";
+        const checkbox = document.createElement("input");
+        checkbox.type = "checkbox";
+        checkbox.id = `protection-rule-${rule.id}`;
+        checkbox.checked = !settings.disabled.includes(rule.id);
+        const label = document.createElement("label");
+        label.htmlFor = checkbox.id;
+        label.textContent = rule.label;
+        row.append(checkbox, label);
+        listEl.appendChild(row);
+    }
+    document.getElementById("protection-custom-input").value = settings.custom.join("\n");
+}
 
-        // 4. If found, write the data to the new sheet.
-        if (newSheet) {
-            const address = range.address;
-            const localAddress = address.includes('!') ? address.substring(address.indexOf('!') + 1) : address;
-            newSheet.getRange(localAddress).values = newValues;
-            newSheet.activate();
-            await context.sync();
+/**
+ * Validates and saves the token protection rules chosen in the task pane.
+ */
+function saveProtectionSettings() {
+    const settings = {
+        disabled: BUILT_IN_RULES.filter((rule) => !document.getElementById(`protection-rule-${rule.id}`).checked).map((rule) => rule.id),
+        custom: document.getElementById("protection-custom-input").value.split("\n").map((line) => line.trim()).filter(Boolean),
+    };
+    try {
+        compileProtectionRules(settings);
+    } catch (error) {
+        updateStatus("Error: Could not save protection rules.", error.message, null, true);
+        return;
+    }
+    Office.context.document.settings.set("protectionSettings", settings);
+    Office.context.document.settings.saveAsync((result) => {
+        if (result.status === Office.AsyncResultStatus.Succeeded) {
+            updateStatus("Protection rules saved.", null, null, false);
         } else {
-            throw new Error("Fatal: Could not find the newly created worksheet after copy operation.");
+            updateStatus("Error: Could not save protection rules.", result.error.message, null, true);
         }
-    }
-    
-    return { totalErrors, firstErrorMessage };
+    });
+}
+
+// --- SCOPE SETTINGS ---
+
+/**
+ * Reads the scope settings stored in the document.
+ * @returns {object} The settings (see `normalizeScopeSettings`).
+ */
+function getScopeSettings() {
+    return normalizeScopeSettings(Office.context.document.settings.get(SCOPE_SETTINGS_KEY) || {});
+}
+
+/**
+ * Shows the saved scope settings in the task pane.
+ */
+function loadScopeSettings() {
+    const settings = getScopeSettings();
+    document.getElementById("scope-visible-only-checkbox").checked = settings.visibleOnly;
+    document.getElementById("scope-include-columns-input").value = settings.includeColumns;
+    document.getElementById("scope-exclude-columns-input").value = settings.excludeColumns;
+    document.getElementById("scope-include-patterns-input").value = settings.includePatterns.join("\n");
+    document.getElementById("scope-exclude-patterns-input").value = settings.excludePatterns.join("\n");
+    document.getElementById("scope-header-rows-input").value = settings.headerRows;
+    document.getElementById("scope-min-length-input").value = settings.minLength;
+    document.getElementById("scope-skip-target-checkbox").checked = settings.skipTargetLanguage;
 }
 
 /**
- * Main function to run translation on the user's selected range.
+ * Validates and saves the scope chosen in the task pane.
  */
-async function runSelectionTranslation() {
-    const options = { apiKey: Office.context.document.settings.get("apiKey"), targetLanguage: document.getElementById("target-language-select").value, model: document.getElementById("model-selection-select").value, mode: document.querySelector('input[name="translation-mode"]:checked').value };
-    document.querySelectorAll("button").forEach(b => b.disabled = true);
+function saveScopeSettings() {
+    const readLines = (id) => document.getElementById(id).value.split("\n").map((line) => line.trim()).filter(Boolean);
+    const settings = normalizeScopeSettings({
+        visibleOnly: document.getElementById("scope-visible-only-checkbox").checked,
+        includeColumns: document.getElementById("scope-include-columns-input").value.trim(),
+        excludeColumns: document.getElementById("scope-exclude-columns-input").value.trim(),
+        includePatterns: readLines("scope-include-patterns-input"),
+        excludePatterns: readLines("scope-exclude-patterns-input"),
+        headerRows: document.getElementById("scope-header-rows-input").value,
+        minLength: document.getElementById("scope-min-length-input").value,
+        skipTargetLanguage: document.getElementById("scope-skip-target-checkbox").checked,
+    });
     try {
-        await Excel.run(async (context) => {
-            const selectedRange = context.workbook.getSelectedRange();
-            const result = await translateRange(context, selectedRange, options);
-            if (result.totalErrors > 0) {
-                updateStatus(`${result.totalErrors} cells could not be translated.`, result.firstErrorMessage, 100, true);
-            } else {
-                updateStatus("Selection translated successfully!", null, 100, false);
-            }
-        });
+        compileScope(settings);
     } catch (error) {
-        updateStatus("An unexpected error occurred.", `${error.name}: ${error.message}`, 100, true);
-        console.error(JSON.stringify(error, null, 2));
-    } finally {
-        document.querySelectorAll("button").forEach(b => b.disabled = false);
+        updateStatus("Error: Could not save the scope.", error.message, null, true);
+        return;
     }
+    Office.context.document.settings.set(SCOPE_SETTINGS_KEY, settings);
+    Office.context.document.settings.saveAsync((result) => {
+        if (result.status === Office.AsyncResultStatus.Succeeded) {
+            updateStatus("Scope saved.", null, null, false);
+        } else {
+            updateStatus("Error: Could not save the scope.", result.error.message, null, true);
+        }
+    });
 }
 
 /**
- * Main function to run translation on all sheets in the workbook.
+ * Counts the cells and characters a translation of the selection (every area of it) would send, without sending anything.
  */
-async function runWorkbookTranslation() {
-    const options = { apiKey: Office.context.document.settings.get("apiKey"), targetLanguage: document.getElementById("target-language-select").value, model: document.getElementById("model-selection-select").value, mode: document.querySelector('input[name="translation-mode"]:checked').value };
-    document.querySelectorAll("button").forEach(b => b.disabled = true);
-    let totalWorkbookErrors = 0;
-    let firstOverallErrorMessage = null;
-
+async function runScopeCount() {
+    const options = { ...getTranslationOptions(), dryRun: true, plan: createTranslationPlan() };
     try {
         await Excel.run(async (context) => {
-            const worksheets = context.workbook.worksheets;
-            worksheets.load("items/name");
-            await context.sync();
-            const originalSheets = [...worksheets.items];
-            for (let i = 0; i < originalSheets.length; i++) {
-                const sheet = originalSheets[i];
-                if (options.mode === 'replace') { sheet.activate(); }
-                const progress = ((i + 1) / originalSheets.length) * 100;
-                updateStatus(`Processing sheet ${i + 1}/${originalSheets.length}: '${sheet.name}'`, null, progress);
-                try {
-                    const usedRange = sheet.getUsedRange(true);
-                    const result = await translateRange(context, usedRange, options);
-                    totalWorkbookErrors += result.totalErrors;
-                    if (result.firstErrorMessage && !firstOverallErrorMessage) {
-                        firstOverallErrorMessage = result.firstErrorMessage;
-                    }
-                } catch (error) {
-                    if (error.code === "ItemNotFound") { console.log(`Sheet '${sheet.name}' is empty. Skipping.`); } 
-                    else { throw error; }
-                }
-            }
+            for (const range of await getSelectedAreas(context)) { await translateRange(context, range, options); }
+            showPlanCount(countPlan(options.plan, options), "Nothing was sent.", null);
         });
-        if (totalWorkbookErrors > 0) {
-            updateStatus(`Workbook translation completed with ${totalWorkbookErrors} errors.`, firstOverallErrorMessage, 100, true);
-        } else {
-            updateStatus("Entire workbook translated successfully!", null, 100, false);
-        }
     } catch (error) {
-        updateStatus("An unexpected error occurred.", `${error.name}: ${error.message}`, 100, true);
-        console.error(JSON.stringify(error, null, 2));
-    } finally {
-        document.querySelectorAll("button").forEach(b => b.disabled = false);
+        updateStatus("Error: Could not count the cells.", error.message, null, true);
     }
 }
 
 /**
- * Translates the name of the currently active sheet.
+ * Detects the language of every text cell of the selection (every area of it) that is in the scope, and shows how many
+ * cells are in each language. Formula cells are left out. Detected languages are kept for the session,
+ * so a detection run before a translation costs nothing extra.
  */
-async function runTranslateSheetName() {
-    const options = { apiKey: Office.context.document.settings.get("apiKey"), targetLanguage: document.getElementById("target-language-select").value, model: document.getElementById("model-selection-select").value };
-    document.querySelectorAll("button").forEach(b => b.disabled = true);
+async function runLanguageMix() {
+    const options = getTranslationOptions();
+    const mixEl = document.getElementById("language-mix-text");
+    setBusy(true);
     try {
         await Excel.run(async (context) => {
-            updateStatus("Translating sheet name...", null, 20);
-            const sheet = context.workbook.worksheets.getActiveWorksheet();
-            sheet.load('name');
-            const worksheets = context.workbook.worksheets;
-            worksheets.load('items/name');
+            updateStatus("Reading data from sheet...", null, 0);
+            const cellCounts = new Map();
+            const areas = (await getSelectedAreas(context)).map((range) => {
+                range.load("rowCount, columnCount");
+                const firstRow = range.getRow(0);
+                firstRow.load("values");
+                return { range, firstRow };
+            });
             await context.sync();
-            const existingNames = worksheets.items.map(s => s.name.toLowerCase());
-            const sheetName = sheet.name;
-            let translatedSheetName;
-
-            if (translationCache.has(sheetName)) {
-                translatedSheetName = translationCache.get(sheetName);
-            } else {
-                const translatedNameArray = await callGeminiBatch([sheetName], options.apiKey, options.targetLanguage, options.model);
-                const firstResult = translatedNameArray[0];
-                if (typeof firstResult === 'string' && firstResult.startsWith("API Error")) {
-                    throw new Error(firstResult);
+            for (const { range, firstRow } of areas) {
+                for await (const { rowOffset, loaded } of readRowBlocks(context, range.rowCount, range.columnCount, (rowOffset, rowCount) => loadSourceBlock(range, rowOffset, rowCount, options.scope))) {
+                    const { block, view } = loaded;
+                    const filter = createScopeFilter(block, options.scope, { rowOffset, headers: firstRow.values[0], view });
+                    block.values.forEach((row, i) => row.forEach((value, j) => {
+                        if (typeof value !== 'string' || value.trim() === "" || isFormula(block.formulas[i][j]) || !filter.acceptsCell(i, j)) { return; }
+                        cellCounts.set(value, (cellCounts.get(value) || 0) + 1);
+                    }));
                 }
-                translatedSheetName = firstResult;
-                translationCache.set(sheetName, translatedSheetName);
             }
-            
-            let finalName = translatedSheetName.replace(/[:\\/?*[\]]/g, '').substring(0, 31);
-            if (sheet.name.toLowerCase() !== finalName.toLowerCase()) {
-                const uniqueName = await getUniqueSheetName(finalName, existingNames);
-                sheet.name = uniqueName;
+            if (cellCounts.size === 0) {
+                mixEl.textContent = "";
+                updateStatus("There are no text cells in the selection.", null, null, false);
+                return;
             }
-            await context.sync();
-            updateStatus("Active sheet name translated!", null, 100);
+
+            const languages = await translationEngine.detectTextLanguages(Array.from(cellCounts.keys()), options, 10);
+            const counts = new Map();
+            let failedCells = 0;
+            for (const [text, cells] of cellCounts) {
+                const code = languages.get(text);
+                if (typeof code !== "string") { failedCells += cells; continue; }
+                const key = code.trim() || UNDETERMINED_CODE;
+                counts.set(key, (counts.get(key) || 0) + cells);
+            }
+            const lines = describeLanguageMix(counts);
+            if (failedCells > 0) { lines.push(`Not detected (API error): ${failedCells.toLocaleString()} cells`); }
+            mixEl.textContent = lines.join("\n");
+            const firstError = Array.from(languages.values()).find((code) => code instanceof Error);
+            updateStatus(`Detected ${counts.size} ${counts.size === 1 ? "language" : "languages"} in the selection.`, firstError ? firstError.message : null, 100, Boolean(firstError));
         });
     } catch (error) {
-        updateStatus("Error translating sheet name.", `${error.name}: ${error.message}`, 100, true);
-        console.error(JSON.stringify(error, null, 2));
+        updateStatus("Error: Could not detect the languages.", error.message, null, true);
     } finally {
-        document.querySelectorAll("button").forEach(b => b.disabled = false);
+        setBusy(false);
     }
 }
 
 /**
- * Generates a unique sheet name by appending a number if the name already exists.
- * @param {string} baseName The desired new name for the sheet.
- * @param {string[]} existingNames An array of existing sheet names.
- * @returns {string} A unique sheet name.
+ * Reads the prompt profiles saved in the document.
+ * @returns {{active: string, profiles: object[]}}
  */
-async function getUniqueSheetName(baseName, existingNames) {
-    let finalName = baseName;
-    let counter = 1;
-    while (existingNames.includes(finalName.toLowerCase())) {
-        const suffix = `_${counter}`;
-        finalName = (baseName.length > 31 - suffix.length) ? baseName.substring(0, 31 - suffix.length) + suffix : baseName + suffix;
-        counter++;
+function getPromptProfileSettings() {
+    return normalizePromptProfiles(Office.context.document.settings.get(PROMPT_PROFILES_KEY) || {});
+}
+
+/**
+ * Returns the prompt profile used for translations.
+ * @returns {object} The active profile (see prompts.js).
+ */
+function getActivePromptProfile() {
+    const settings = getPromptProfileSettings();
+    return settings.profiles.find((profile) => profile.name === settings.active);
+}
+
+/**
+ * Lists the saved prompt profiles and shows the active one in the task pane.
+ */
+function renderPromptProfiles() {
+    const settings = getPromptProfileSettings();
+    const select = document.getElementById("profile-select");
+    select.innerHTML = "";
+    for (const profile of settings.profiles) {
+        const option = document.createElement("option");
+        option.value = profile.name;
+        option.textContent = profile.name;
+        select.appendChild(option);
+    }
+    select.value = settings.active;
+    const profile = getActivePromptProfile();
+    document.getElementById("profile-name-input").value = profile.name;
+    document.getElementById("profile-domain-input").value = profile.domain;
+    document.getElementById("profile-audience-input").value = profile.audience;
+    document.getElementById("profile-formality-select").value = profile.formality;
+    document.getElementById("profile-tone-input").value = profile.tone;
+    document.getElementById("profile-rules-input").value = profile.styleRules;
+    document.getElementById("profile-context-checkbox").checked = profile.sendContext;
+}
+
+/**
+ * Fills the address options of the prompt profile form.
+ */
+function renderFormalityOptions() {
+    document.getElementById("profile-formality-select").innerHTML = Object.entries(FORMALITY_OPTIONS)
+        .map(([value, option]) => `<option value="${value}">${option.label}</option>`)
+        .join("");
+}
+
+/**
+ * Saves the prompt profiles to the document and shows them again.
+ * @param {{active: string, profiles: object[]}} settings The profiles.
+ * @param {string} message The status shown once they are saved.
+ */
+function storePromptProfiles(settings, message) {
+    Office.context.document.settings.set(PROMPT_PROFILES_KEY, settings);
+    renderPromptProfiles();
+    Office.context.document.settings.saveAsync((result) => {
+        if (result.status === Office.AsyncResultStatus.Succeeded) {
+            updateStatus(message, null, null, false);
+        } else {
+            updateStatus("Error: Could not save the prompt profiles.", result.error.message, null, true);
+        }
+    });
+}
+
+/**
+ * Makes the profile chosen in the list the active one.
+ */
+function selectPromptProfile() {
+    const settings = getPromptProfileSettings();
+    storePromptProfiles({ ...settings, active: document.getElementById("profile-select").value }, `Using the prompt profile "${document.getElementById("profile-select").value}".`);
+}
+
+/**
+ * Saves the profile in the form under its name and makes it the active one. A new name adds a profile;
+ * renaming the active profile keeps a copy under the old name.
+ */
+function savePromptProfile() {
+    const profile = normalizePromptProfile({
+        name: document.getElementById("profile-name-input").value,
+        domain: document.getElementById("profile-domain-input").value.trim(),
+        audience: document.getElementById("profile-audience-input").value.trim(),
+        formality: document.getElementById("profile-formality-select").value,
+        tone: document.getElementById("profile-tone-input").value.trim(),
+        styleRules: document.getElementById("profile-rules-input").value.trim(),
+        sendContext: document.getElementById("profile-context-checkbox").checked,
+    });
+    const settings = getPromptProfileSettings();
+    const profiles = settings.profiles.filter((existing) => existing.name !== profile.name);
+    storePromptProfiles({ active: profile.name, profiles: [...profiles, profile] }, `Prompt profile "${profile.name}" saved.`);
+}
+
+/**
+ * Deletes the active prompt profile. Deleting the last one leaves an empty "Default" profile.
+ */
+function deletePromptProfile() {
+    const settings = getPromptProfileSettings();
+    const profiles = settings.profiles.filter((profile) => profile.name !== settings.active);
+    storePromptProfiles({ active: profiles.length > 0 ? profiles[0].name : "", profiles }, `Prompt profile "${settings.active}" deleted.`);
+}
+
+// --- RATE LIMIT SETTINGS ---
+
+/**
+ * Reads the rate limits saved for a provider and model.
+ * @param {{providerId: string, model: string}} settings The provider settings.
+ * @returns {{tier?: string, requestsPerMinute?: number, tokensPerMinute?: number, concurrency?: number}}
+ */
+function getSavedRateLimits(settings) {
+    const stored = Office.context.document.settings.get("rateLimitSettings") || {};
+    return stored[getEngineId(settings)] || {};
+}
+
+/**
+ * Returns the rate limits to use with a provider and model.
+ * @param {{providerId: string, endpoint: string, model: string}} settings The provider settings.
+ * @returns {{tier: string, requestsPerMinute: number, tokensPerMinute: number, concurrency: number}}
+ */
+function getRateLimits(settings) {
+    return resolveRateLimits(getDefaultRateLimitTier(settings), getSavedRateLimits(settings));
+}
+
+/**
+ * Shows the rate limits of the active provider and model.
+ * @param {{providerId: string, endpoint: string, model: string}} settings The provider settings.
+ */
+function loadRateLimitSettings(settings) {
+    const selectEl = document.getElementById("rate-limit-tier-select");
+    selectEl.innerHTML = "";
+    const defaultTier = RATE_LIMIT_TIERS[getDefaultRateLimitTier(settings)];
+    selectEl.add(new Option(`Automatic (${defaultTier.label})`, "auto"));
+    for (const [id, tier] of Object.entries(RATE_LIMIT_TIERS)) {
+        selectEl.add(new Option(tier.label, id));
+    }
+    selectEl.add(new Option("Custom", "custom"));
+    const saved = getSavedRateLimits(settings);
+    selectEl.value = saved.tier || "auto";
+    renderRateLimitFields();
+}
+
+/**
+ * Fills the limit fields from the chosen tier. Only the "Custom" tier can be edited.
+ */
+function renderRateLimitFields() {
+    const settings = getActiveProviderSettings();
+    const tier = document.getElementById("rate-limit-tier-select").value;
+    const saved = getSavedRateLimits(settings);
+    const limits = resolveRateLimits(getDefaultRateLimitTier(settings), tier === "custom" ? { ...getRateLimits(settings), ...saved, tier } : { tier });
+    const fields = { "rate-limit-rpm-input": limits.requestsPerMinute, "rate-limit-tpm-input": limits.tokensPerMinute, "rate-limit-concurrency-input": limits.concurrency };
+    for (const [id, value] of Object.entries(fields)) {
+        const input = document.getElementById(id);
+        input.value = value;
+        input.disabled = tier !== "custom";
+    }
+}
+
+/**
+ * Saves the rate limits for the active provider and model.
+ */
+function saveRateLimitSettings() {
+    const settings = getActiveProviderSettings();
+    const tier = document.getElementById("rate-limit-tier-select").value;
+    const entry = { tier };
+    if (tier === "custom") {
+        entry.requestsPerMinute = Number(document.getElementById("rate-limit-rpm-input").value);
+        entry.tokensPerMinute = Number(document.getElementById("rate-limit-tpm-input").value);
+        entry.concurrency = Number(document.getElementById("rate-limit-concurrency-input").value);
+        const invalid = [entry.requestsPerMinute, entry.tokensPerMinute].some((value) => !Number.isFinite(value) || value < 0)
+            || !Number.isInteger(entry.concurrency) || entry.concurrency < 1 || entry.concurrency > MAX_CONCURRENCY;
+        if (invalid) {
+            updateStatus("Error: Could not save rate limits.", `Limits must be 0 or more, and parallel requests between 1 and ${MAX_CONCURRENCY}.`, null, true);
+            return;
+        }
+    }
+    const stored = Office.context.document.settings.get("rateLimitSettings") || {};
+    stored[getEngineId(settings)] = entry;
+    Office.context.document.settings.set("rateLimitSettings", stored);
+    Office.context.document.settings.saveAsync((result) => {
+        if (result.status === Office.AsyncResultStatus.Succeeded) {
+            updateStatus("Rate limits saved.", null, null, false);
+        } else {
+            updateStatus("Error: Could not save rate limits.", result.error.message, null, true);
+        }
+    });
+}
+
+// --- TRANSLATION MEMORY MANAGEMENT ---
+
+/**
+ * Lists the translation memory entries matching the search box, with controls to edit or delete each one.
+ */
+function renderMemoryEntries() {
+    const query = document.getElementById("memory-search-input").value;
+    const { total, results } = searchEntries(query, MEMORY_PAGE_SIZE);
+    const listEl = document.getElementById("memory-entry-list");
+    listEl.innerHTML = "";
+
+    document.getElementById("memory-summary").textContent = query
+        ? `${total} of ${getMemorySize()} entries match.`
+        : `${getMemorySize()} entries stored.`;
+
+    for (const entry of results) {
+        const id = getEntryId(entry);
+        const item = document.createElement("li");
+        item.className = "memory-entry";
+
+        const sourceEl = document.createElement("div");
+        sourceEl.className = "memory-source";
+        sourceEl.textContent = entry.source;
+
+        const metaEl = document.createElement("div");
+        metaEl.className = "memory-meta";
+        metaEl.textContent = `${entry.targetLanguage} · ${entry.engine}${entry.approved ? " · approved" : ""}`;
+
+        const targetInput = document.createElement("input");
+        targetInput.type = "text";
+        targetInput.value = entry.target;
+
+        const saveButton = document.createElement("button");
+        saveButton.className = "button button-secondary memory-action";
+        saveButton.textContent = "Save";
+        saveButton.onclick = () => {
+            if (updateEntry(id, targetInput.value)) {
+                updateStatus("Translation memory entry updated.", entry.source, null, false);
+            } else {
+                updateStatus("Error: Could not update the translation memory.", null, null, true);
+            }
+            renderMemoryEntries();
+        };
+
+        const deleteButton = document.createElement("button");
+        deleteButton.className = "button button-secondary memory-action";
+        deleteButton.textContent = "Delete";
+        deleteButton.onclick = () => {
+            deleteEntry(id);
+            renderMemoryEntries();
+        };
+
+        item.append(sourceEl, metaEl, targetInput, saveButton, deleteButton);
+        listEl.appendChild(item);
+    }
+}
+
+/**
+ * Imports a TMX file chosen in the file picker into the translation memory.
+ */
+async function importMemoryFile() {
+    const input = document.getElementById("memory-import-input");
+    const file = input.files && input.files[0];
+    if (!file) { return; }
+    try {
+        const count = importTmx(await file.text());
+        updateStatus(`Imported ${count} translations.`, file.name, null, false);
+    } catch (error) {
+        updateStatus("Error: Could not import the TMX file.", error.message, null, true);
+    } finally {
+        input.value = "";
+        renderMemoryEntries();
+    }
+}
+
+/**
+ * Offers a text file for download.
+ * @param {string} fileName The file name.
+ * @param {string} text The file contents.
+ * @param {string} type The MIME type.
+ */
+function downloadFile(fileName, text, type) {
+    const blob = new Blob([text], { type });
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+/**
+ * Downloads the entire translation memory as a TMX file.
+ */
+function exportMemoryFile() {
+    downloadFile("translation-memory.tmx", exportTmx(), "application/x-tmx+xml");
+    updateStatus(`Exported ${getMemorySize()} translations.`, null, null, false);
+}
+
+/**
+ * Deletes every entry in the translation memory after confirmation.
+ */
+function clearMemory() {
+    const button = document.getElementById("memory-clear-button");
+    // window.confirm is not available in Office add-ins, so the button asks twice instead.
+    if (button.dataset.confirm !== "true") {
+        button.dataset.confirm = "true";
+        button.textContent = "Click again to delete all";
+        setTimeout(() => {
+            button.dataset.confirm = "";
+            button.textContent = "Clear Memory";
+        }, 4000);
+        return;
+    }
+    clearTranslationMemory();
+    button.dataset.confirm = "";
+    button.textContent = "Clear Memory";
+    renderMemoryEntries();
+    updateStatus("Translation memory cleared.", null, null, false);
+}
+
+// --- RESOURCE FILES ---
+
+/**
+ * Imports an XLIFF, PO or JSON file chosen in the file picker into a new resource sheet.
+ */
+async function importResourceFileFromPicker() {
+    const input = document.getElementById("resource-import-input");
+    const file = input.files && input.files[0];
+    if (!file) { return; }
+    setBusy(true);
+    try {
+        const text = await file.text();
+        const result = await Excel.run((context) => importResourceFile(context, file.name, text));
+        updateStatus(`Imported ${result.count} strings (${RESOURCE_FORMAT_LABELS[result.format]}) into the sheet "${result.sheetName}".`, "Translate the sheet to fill its Target column, then export it.", null, false);
+    } catch (error) {
+        updateStatus("Error: Could not import the resource file.", error.message, null, true);
+    } finally {
+        input.value = "";
+        setBusy(false);
+        renderHistoryRuns();
+        renderQaFlags();
+    }
+}
+
+/**
+ * Downloads the active resource sheet in the format it was imported from.
+ */
+async function exportActiveResourceSheet() {
+    setBusy(true);
+    try {
+        const file = await Excel.run(async (context) => {
+            const sheet = context.workbook.worksheets.getActiveWorksheet();
+            sheet.load("id");
+            await context.sync();
+            return exportResourceSheet(context, sheet);
+        });
+        downloadFile(file.fileName, file.text, "application/octet-stream");
+        updateStatus(`Exported ${file.fileName} with ${file.count} translated strings.`, null, null, false);
+    } catch (error) {
+        updateStatus("Error: Could not export the resource file.", error.message, null, true);
+    } finally {
+        setBusy(false);
+        renderHistoryRuns();
+        renderQaFlags();
+    }
+}
+
+// --- REVIEW BEFORE WRITING ---
+
+/**
+ * Lets the user check the proposed changes before they are written. Entries can be edited, accepted or
+ * rejected; only accepted ones are kept. Edited text translations are stored in the translation memory
+ * as approved, so later runs reuse the corrected wording.
+ * @param {{original: any, formula: any, source?: string, proposed?: string}[]} changes The proposed changes.
+ *     Changes without `source` (e.g. new column headers) are not reviewed and always kept.
+ * @param {object} options The translation options (see `translateRange`).
+ * @param {function(object): string} getAddress Returns the cell address shown for a change.
+ * @returns {Promise<object[]>} The accepted changes, with edits applied.
+ * @throws {Error} An error recognized by `isJobCancelled` if the job was cancelled during the review.
+ */
+async function reviewChanges(changes, options, getAddress) {
+    const reviewable = changes.filter((change) => change.source !== undefined);
+    if (reviewable.length === 0) { return changes; }
+
+    const items = reviewable.map((change) => ({
+        change,
+        address: getAddress(change),
+        isFormula: isFormula(change.original),
+        text: change.proposed,
+        status: "pending",
+    }));
+    updateStatus(`Review ${items.length} proposed translation(s).`, "Nothing is written until you click \"Write Accepted\".", null, false);
+    const write = await new Promise((resolve) => {
+        activeReview = { items, page: 0, resolve };
+        document.getElementById("review-section").style.display = "block";
+        showReviewPage(0);
+    });
+    await waitAtBatchBoundary(showPauseStatus);
+    if (!write) { return changes.filter((change) => change.source === undefined); }
+
+    const engine = getEngineId(options.provider);
+    const rejected = new Set();
+    let edited = 0;
+    for (const item of items) {
+        if (item.status !== "accepted" || item.text.trim() === "") {
+            rejected.add(item.change);
+            continue;
+        }
+        if (item.text === item.change.proposed) { continue; }
+        if (item.isFormula) {
+            item.change.formula = item.text;
+        } else {
+            const text = item.text.length > EXCEL_CELL_CHAR_LIMIT ? item.text.substring(0, EXCEL_CELL_CHAR_LIMIT) : item.text;
+            item.change.formula = toConstantFormula(text);
+            item.change.proposed = text;
+            storeTranslation(item.change.source, text, options.targetLanguage, engine, true);
+            edited++;
+        }
+    }
+    if (edited > 0) { saveTranslationMemory(); }
+    return changes.filter((change) => !rejected.has(change));
+}
+
+/**
+ * Shows one page of the review list.
+ * @param {number} page The zero-based page number.
+ */
+function showReviewPage(page) {
+    const review = activeReview;
+    if (!review) { return; }
+    const pageCount = Math.ceil(review.items.length / REVIEW_PAGE_SIZE);
+    review.page = Math.max(0, Math.min(page, pageCount - 1));
+    const listEl = document.getElementById("review-entry-list");
+    listEl.innerHTML = "";
+
+    for (const item of review.items.slice(review.page * REVIEW_PAGE_SIZE, (review.page + 1) * REVIEW_PAGE_SIZE)) {
+        const entryEl = document.createElement("li");
+        entryEl.className = `memory-entry review-entry review-${item.status}`;
+
+        const addressEl = document.createElement("div");
+        addressEl.className = "memory-meta";
+        addressEl.textContent = item.isFormula ? `${item.address} · formula` : item.address;
+
+        const sourceEl = document.createElement("div");
+        sourceEl.className = "memory-source";
+        sourceEl.textContent = item.change.source;
+
+        const targetInput = document.createElement("textarea");
+        targetInput.rows = 2;
+        targetInput.value = item.text;
+        // Editing an entry accepts it.
+        targetInput.oninput = () => {
+            item.text = targetInput.value;
+            setReviewStatus(item, entryEl, "accepted");
+        };
+
+        const acceptButton = document.createElement("button");
+        acceptButton.className = "button button-secondary memory-action review-control";
+        acceptButton.textContent = "Accept";
+        acceptButton.onclick = () => setReviewStatus(item, entryEl, "accepted");
+
+        const rejectButton = document.createElement("button");
+        rejectButton.className = "button button-secondary memory-action review-control";
+        rejectButton.textContent = "Reject";
+        rejectButton.onclick = () => setReviewStatus(item, entryEl, "rejected");
+
+        entryEl.append(addressEl, sourceEl, targetInput, acceptButton, rejectButton);
+        listEl.appendChild(entryEl);
+    }
+
+    document.getElementById("review-page-text").textContent = `Page ${review.page + 1} of ${pageCount}`;
+    document.getElementById("review-prev-button").disabled = review.page === 0;
+    document.getElementById("review-next-button").disabled = review.page >= pageCount - 1;
+    updateReviewSummary();
+}
+
+/**
+ * Changes the decision for a review entry.
+ * @param {object} item The review entry.
+ * @param {HTMLElement} entryEl The list element showing it.
+ * @param {string} status "accepted" or "rejected".
+ */
+function setReviewStatus(item, entryEl, status) {
+    item.status = status;
+    entryEl.className = `memory-entry review-entry review-${status}`;
+    updateReviewSummary();
+}
+
+/**
+ * Accepts every entry that was not rejected.
+ */
+function acceptAllReviewItems() {
+    if (!activeReview) { return; }
+    activeReview.items.forEach((item) => { if (item.status === "pending") { item.status = "accepted"; } });
+    showReviewPage(activeReview.page);
+}
+
+/**
+ * Shows how many entries were accepted and rejected so far.
+ */
+function updateReviewSummary() {
+    const items = activeReview.items;
+    const accepted = items.filter((item) => item.status === "accepted").length;
+    const rejected = items.filter((item) => item.status === "rejected").length;
+    document.getElementById("review-summary").textContent = `${items.length} proposed · ${accepted} accepted · ${rejected} rejected. Entries that are not accepted are not written.`;
+    document.getElementById("review-write-button").textContent = `Write Accepted (${accepted})`;
+}
+
+/**
+ * Ends the review in progress.
+ * @param {boolean} write True to write the accepted entries, false to write nothing.
+ */
+function finishReview(write) {
+    const review = activeReview;
+    if (!review) { return; }
+    activeReview = null;
+    document.getElementById("review-section").style.display = "none";
+    document.getElementById("review-entry-list").innerHTML = "";
+    review.resolve(write);
+}
+
+// --- CORE TRANSLATION LOGIC ---
+
+/**
+ * The main translation engine. It reads a range, checks the cache, calls the API for new text,
+ * processes results, and writes them back to the sheet.
+ * @param {Excel.RequestContext} context The request context.
+ * @param {Excel.Range} range The Excel range to process.
+ * @param {object} options An object containing provider, targetLanguage(s), mode, overwriteExisting, useMemory, translateFormulaText, review, qualityChecks, qualityScoring, protectionRules, scope, and glossary.
+ *     With `dryRun`, the texts in scope are only added to `options.plan` (see `createTranslationPlan`); nothing is sent or written.
+ *     With `pretranslated` (a map of target language to translations, see `runWorkbookJob`), those translations are used as they are.
+ *     With `outputSheet` in "Translate to New Sheet" mode, the cells are written to that copy instead of a new one (see `translateAreas`).
+ *     The range is read and written in blocks of rows (see `readRowBlocks`), so very large ranges stay within the Office.js payload limits.
+ * @returns {Promise<{totalErrors: number, firstErrorMessage: string|null, glossaryViolations: number, firstGlossaryMessage: string|null, qaFlagged?: number, copiedSheet?: Excel.Worksheet}>} The error and glossary violation counts with the first message of each, and the number of cells flagged by the quality checks.
+ *     In "Translate to New Sheet" mode, the copy is returned in `copiedSheet`.
+ */
+async function translateRange(context, range, options) {
+    if (options.mode !== 'multiTarget' && !options.targetLanguage) {
+        throw new Error("Choose a target language.");
+    }
+    updateStatus("Reading data from sheet...", null, 0);
+    range.load(["address", "rowIndex", "columnIndex", "rowCount", "columnCount", "worksheet"]);
+    await context.sync();
+
+    // A sheet imported from a resource file always fills its Target column.
+    if (getResourceFile(range.worksheet.id)) {
+        return translateResourceRows(context, range, options);
+    }
+    if (options.mode === 'besideSource' || options.mode === 'multiTarget') {
+        return translateIntoColumns(context, range, options);
+    }
+
+    // The range is read in blocks of rows. Only the cells to translate are kept, with their original content.
+    const firstRow = range.getRow(0);
+    firstRow.load("values");
+    await context.sync();
+    const headers = options.textContexts ? await readColumnHeaders(context, range) : null;
+    const describePlace = (i, j) => {
+        if (!headers) { return ""; }
+        if (range.rowIndex + i === headers.rowIndex) { return "a column header"; }
+        return headers.headers[j] ? `column "${headers.headers[j]}"` : "";
+    };
+    const cellsToTranslate = [];
+    const uniqueTexts = new Set();
+    let skippedCells = 0;
+
+    const blocks = readRowBlocks(context, range.rowCount, range.columnCount, (rowOffset, rowCount) => loadSourceBlock(range, rowOffset, rowCount, options.scope));
+    for await (const { rowOffset, rowCount, index, count, loaded } of blocks) {
+        if (count > 1) { reportBlockProgress(rowOffset, rowCount, range.rowCount, index / count); }
+        const { block, view } = loaded;
+        const filter = createScopeFilter(block, options.scope, { rowOffset, headers: firstRow.values[0], view });
+        for (let i = 0; i < rowCount; i++) {
+            for (let j = 0; j < range.columnCount; j++) {
+                const cellValue = block.values[i][j];
+                const cellFormula = block.formulas[i][j];
+                const row = rowOffset + i;
+                if (isFormula(cellFormula)) {
+                    // Formula cells are never replaced by values. At most, their text literals are translated.
+                    if (!options.translateFormulaText) { continue; }
+                    const allLiterals = extractFormulaLiterals(cellFormula);
+                    if (allLiterals.length === 0) { continue; }
+                    // Literals outside the scope stay as they are; the others in the same formula are still translated.
+                    const literals = filter.acceptsCell(i, j) ? allLiterals.filter((literal) => filter.acceptsText(literal.text, options.targetLanguage)) : [];
+                    if (literals.length === 0) { skippedCells++; continue; }
+                    for (const literal of literals) {
+                        uniqueTexts.add(literal.text);
+                        addTextContext(options.textContexts, literal.text, describePlace(row, j), range.worksheet.name);
+                    }
+                    cellsToTranslate.push({ row, col: j, formula: cellFormula, original: cellFormula, literals });
+                } else if (typeof cellValue === 'string' && cellValue.trim() !== "") {
+                    if (!filter.acceptsCell(i, j) || !filter.acceptsText(cellValue, options.targetLanguage)) { skippedCells++; continue; }
+                    uniqueTexts.add(cellValue);
+                    addTextContext(options.textContexts, cellValue, describePlace(row, j), range.worksheet.name);
+                    cellsToTranslate.push({ row, col: j, text: cellValue, original: cellFormula });
+                }
+            }
+        }
+    }
+
+    const plan = options.dryRun ? options.plan : createTranslationPlan();
+    addToPlan(plan, options.targetLanguage, uniqueTexts, { cells: cellsToTranslate.length, skipped: skippedCells });
+    if (options.dryRun || cellsToTranslate.length === 0) {
+        return createRunResult();
+    }
+    await announcePlan(plan, options);
+
+    const { translations, details, ...result } = await translationEngine.translateTexts(Array.from(uniqueTexts), options, 10, 80);
+
+    updateStatus("Writing translations...", `Applying changes...`, 95);
+
+    // Only the translated cells are written, so formulas, numbers and dates elsewhere in the range stay untouched.
+    let changes = [];
+    for (const cell of cellsToTranslate) {
+        // Texts already in the target language are left in place (see `translateTexts`).
+        if (cell.formula) {
+            if (cell.literals.every((literal) => isSkippedText(details, literal.text))) { continue; }
+            const newFormula = replaceFormulaLiterals(cell.formula, cell.literals, (text) => translations.get(text));
+            if (newFormula) { changes.push({ row: cell.row, col: cell.col, original: cell.formula, formula: newFormula, source: cell.formula, proposed: newFormula }); }
+            continue;
+        }
+        // Only get a value here if the translation was successful. Otherwise, it's null.
+        const translatedText = translations.get(cell.text);
+        if (translatedText && !isSkippedText(details, cell.text)) {
+            let textToWrite = translatedText;
+            if (typeof textToWrite === 'string' && textToWrite.length > EXCEL_CELL_CHAR_LIMIT) {
+                textToWrite = textToWrite.substring(0, EXCEL_CELL_CHAR_LIMIT);
+            }
+            changes.push({ row: cell.row, col: cell.col, original: cell.original, formula: toConstantFormula(textToWrite), source: cell.text, proposed: textToWrite });
+        }
+        // If translatedText is null (because an error occurred), the original value is kept.
+    }
+
+    // Logs every cell for the run report once it is known where the translations went. Failed cells
+    // can be retried where they are; `outputSheet` is null if nothing was written.
+    const logCells = (outputSheet) => {
+        if (!options.runLog) { return; }
+        const written = new Map(changes.map((change) => [`${change.row},${change.col}`, change]));
+        const sheet = outputSheet || range.worksheet;
+        for (const cell of cellsToTranslate) {
+            const outcome = getTextOutcome(cell.formula ? cell.literals.map((literal) => literal.text) : [cell.text], details);
+            if (!outcome) { continue; }
+            const change = written.get(`${cell.row},${cell.col}`);
+            const retry = outputSheet ? { language: options.targetLanguage, kind: cell.formula ? "formula" : "text", expected: change ? change.formula : cell.original } : null;
+            logTranslatedCell(options, sheet, getCellAddress(range.rowIndex + cell.row, range.columnIndex + cell.col), cell.formula || cell.text, outcome, change, retry);
+        }
+    };
+
+    if (options.review) {
+        const sheetName = range.worksheet.name;
+        changes = await reviewChanges(changes, options, (change) => `${sheetName}!${getCellAddress(range.rowIndex + change.row, range.columnIndex + change.col)}`);
+        if (changes.length === 0) {
+            logCells(options.mode === 'replace' ? range.worksheet : null);
+            return result;
+        }
+        updateStatus("Writing translations...", `Applying changes...`, 95);
+    }
+
+    // Formula cells are not checked for quality: their literals are fragments, not whole texts.
+    const writtenTexts = changes
+        .filter((change) => !isFormula(change.original))
+        .map((change) => ({ rowIndex: range.rowIndex + change.row, columnIndex: range.columnIndex + change.col, source: change.source, translation: change.proposed }));
+
+    const format = getScriptFormat(options.targetLanguage, options);
+    if (options.mode === 'replace') {
+        await writeChangesInBlocks(context, range, changes, { format, history: options.history, sheetId: range.worksheet.id, rowIndex: range.rowIndex, columnIndex: range.columnIndex });
+        logCells(range.worksheet);
+        result.qaFlagged = await checkTranslationQuality(context, range.worksheet, writtenTexts, options);
+    } else if (options.outputSheet) { // 'newSheet', for another area of a selection already copied
+        const localAddress = range.address.includes('!') ? range.address.substring(range.address.indexOf('!') + 1) : range.address;
+        await writeChangesInBlocks(context, options.outputSheet.getRange(localAddress), changes, { format });
+        logCells(options.outputSheet);
+        result.qaFlagged = await checkTranslationQuality(context, options.outputSheet, writtenTexts, options);
+    } else { // 'newSheet'
+        // This robust method ensures new sheet creation is reliable across Excel versions.
+        const sourceSheet = range.worksheet;
+        const worksheets = context.workbook.worksheets;
+
+        // 1. Get a snapshot of sheet names BEFORE the copy.
+        worksheets.load("items/name");
+        await context.sync();
+        const existingSheetNames = new Set(worksheets.items.map(s => s.name));
+
+        // 2. Perform the copy operation.
+        sourceSheet.copy("After");
+        await context.sync();
+
+        // 3. Reload the worksheets collection and FIND the new sheet by comparing names.
+        worksheets.load("items/name, items/id");
+        await context.sync();
+        
+        let newSheet = null;
+        for (const sheet of worksheets.items) {
+            if (!existingSheetNames.has(sheet.name)) {
+                newSheet = sheet;
+                break;
+            }
+        }
+
+        // 4. If found, write the data to the new sheet.
+        if (newSheet) {
+            if (options.history) { recordCreatedSheet(options.history, newSheet.id); }
+            result.copiedSheet = newSheet;
+            const address = range.address;
+            const localAddress = address.includes('!') ? address.substring(address.indexOf('!') + 1) : address;
+            const targetRange = newSheet.getRange(localAddress);
+            writeSheetReadingOrder(newSheet, format);
+            await writeChangesInBlocks(context, targetRange, changes, { format });
+            newSheet.activate();
+            await context.sync();
+            // The copy keeps every cell where it was, so the positions carry over.
+            logCells(newSheet);
+            result.qaFlagged = await checkTranslationQuality(context, newSheet, writtenTexts, options);
+        } else {
+            throw new Error("Fatal: Could not find the newly created worksheet after copy operation.");
+        }
+    }
+    
+    return result;
+}
+
+/**
+ * Fills translation columns instead of replacing the source text (the "Insert Next to Source" and
+ * "Multiple Languages" modes). The first row of the range is the header row. Rows that already have a
+ * translation are skipped unless `options.overwriteExisting` is set.
+ * @param {Excel.RequestContext} context The request context.
+ * @param {Excel.Range} range The range to process, with its position and size loaded. It is read in blocks of rows, keeping
+ *     only the source texts; the translation columns are read and written in blocks too.
+ * @param {object} options The translation options (see `translateRange`), plus targetLanguages and overwriteExisting.
+ * @returns {Promise<{totalErrors: number, firstErrorMessage: string|null, glossaryViolations: number, firstGlossaryMessage: string|null}>}
+ */
+async function translateIntoColumns(context, range, options) {
+    const languageNames = options.mode === 'multiTarget' ? options.targetLanguages : [options.targetLanguage];
+    if (languageNames.length === 0) {
+        throw new Error("Choose at least one target language.");
+    }
+    const result = createRunResult();
+    if (range.rowCount < 2) { return result; } // Only a header row
+    const sheet = range.worksheet;
+    const firstRow = range.getRow(0);
+    firstRow.load("values");
+    await context.sync();
+    const headers = firstRow.values[0];
+
+    // Read the range in blocks of rows. Only the source texts below the header row are kept, with
+    // whether the scope's cell filters let them through.
+    const sourceCells = []; // {row, col, text, accepted}, in row-major order
+    const sourceBlocks = readRowBlocks(context, range.rowCount, range.columnCount, (rowOffset, rowCount) => loadSourceBlock(range, rowOffset, rowCount, options.scope));
+    for await (const { rowOffset, rowCount, index, count, loaded } of sourceBlocks) {
+        if (count > 1) { reportBlockProgress(rowOffset, rowCount, range.rowCount, index / count); }
+        const { block, view } = loaded;
+        const filter = createScopeFilter(block, options.scope, { rowOffset, headers, view });
+        block.values.forEach((row, i) => row.forEach((value, j) => {
+            if (rowOffset + i > 0 && isSourceText(value, block.formulas[i][j])) { // Below the header row
+                sourceCells.push({ row: rowOffset + i, col: j, text: value, accepted: filter.acceptsCell(i, j) });
+            }
+        }));
+    }
+
+    const acceptsText = createTextFilter(options.scope);
+    const languages = languageNames.map((language) => ({ language, code: toLanguageCode(language) }));
+    const columns = await prepareTranslationColumns(context, range, {
+        mode: options.mode,
+        languages,
+        headers,
+        textColumns: new Set(sourceCells.map((cell) => cell.col)),
+        history: options.history,
+        acceptsColumn: createColumnFilter(options.scope, headers, range.columnIndex),
+        dryRun: options.dryRun,
+    });
+    if (columns.length === 0) { return result; }
+
+    // Read the translation columns that were already there, so rows that are already translated can be skipped.
+    // New columns, and the columns a dry run would have inserted, are empty.
+    const existingFormulas = columns.map((column) => (column.isNew ? null : []));
+    const existingColumns = columns.map((_, c) => c).filter((c) => existingFormulas[c]);
+    if (existingColumns.length > 0) {
+        const loadExisting = (rowOffset, rowCount) => existingColumns.map((c) => {
+            const blockRange = sheet.getRangeByIndexes(range.rowIndex + rowOffset, columns[c].column, rowCount, 1);
+            blockRange.load("formulas");
+            return blockRange;
+        });
+        for await (const { loaded: blockRanges } of readRowBlocks(context, range.rowCount, existingColumns.length, loadExisting)) {
+            existingColumns.forEach((c, k) => blockRanges[k].formulas.forEach((row) => existingFormulas[c].push(row[0])));
+        }
+    }
+    const getExistingFormula = (c, i) => (existingFormulas[c] ? existingFormulas[c][i] : "");
+
+    for (let l = 0; l < languages.length; l++) {
+        const { language } = languages[l];
+        const progressStart = 10 + (l / languages.length) * 85;
+        const pending = []; // [column index, row, source text] for the cells that still need a translation
+        const uniqueTexts = new Set();
+        let skippedCells = 0;
+        columns.forEach((column, c) => {
+            if (column.language !== language) { return; }
+            const header = String(headers[column.sourceCol]).trim();
+            for (const cell of sourceCells) {
+                if (cell.col !== column.sourceCol) { continue; }
+                if (!options.overwriteExisting && getExistingFormula(c, cell.row) !== "") { continue; }
+                if (!cell.accepted || !acceptsText(cell.text, language)) { skippedCells++; continue; }
+                pending.push([c, cell.row, cell.text]);
+                uniqueTexts.add(cell.text);
+                addTextContext(options.textContexts, cell.text, header ? `column "${header}"` : "", sheet.name);
+            }
+        });
+
+        const plan = options.dryRun ? options.plan : createTranslationPlan();
+        addToPlan(plan, language, uniqueTexts, { cells: pending.length, skipped: skippedCells });
+        if (options.dryRun) { continue; }
+        updateStatus(`Translating into ${language}...`, null, progressStart);
+        if (pending.length > 0) { await announcePlan(plan, options, `Translating into ${language}...`, progressStart); }
+        const { translations, details, ...languageResult } = await translationEngine.translateTexts(Array.from(uniqueTexts), { ...options, targetLanguage: language }, progressStart, 85 / languages.length);
+        addRunResult(result, languageResult);
+
+        const changesByColumn = new Map();
+        columns.forEach((column, c) => {
+            if (column.language === language && column.isNew) {
+                changesByColumn.set(c, [{ row: 0, col: 0, original: "", formula: toConstantFormula(column.header) }]);
+            }
+        });
+        for (const [c, i, source] of pending) {
+            const translatedText = getColumnTranslation(translations, details, source);
+            if (translatedText === null) { continue; } // Failed cells stay empty and are filled by the next run.
+            if (!changesByColumn.has(c)) { changesByColumn.set(c, []); }
+            changesByColumn.get(c).push({ row: i, col: 0, original: getExistingFormula(c, i), formula: toConstantFormula(translatedText), source, proposed: translatedText });
+        }
+
+        if (options.review) {
+            // One review per language, across all of its columns. New headers are always written.
+            const columnOf = new Map();
+            for (const [c, changes] of changesByColumn) { changes.forEach((change) => columnOf.set(change, c)); }
+            const sheetName = sheet.name;
+            const kept = new Set(await reviewChanges([...columnOf.keys()], { ...options, targetLanguage: language },
+                (change) => `${sheetName}!${getCellAddress(range.rowIndex + change.row, columns[columnOf.get(change)].column)}`));
+            for (const [c, changes] of changesByColumn) { changesByColumn.set(c, changes.filter((change) => kept.has(change))); }
+        }
+
+        updateStatus("Writing translations...", `Applying ${language} changes...`, progressStart + 85 / languages.length);
+        const format = getScriptFormat(language, options);
+        for (const [c, changes] of changesByColumn) {
+            if (changes.length === 0) { continue; }
+            changes.sort((a, b) => a.row - b.row);
+            // The header cell is written with its column but keeps its format.
+            const columnRange = sheet.getRangeByIndexes(range.rowIndex, columns[c].column, range.rowCount, 1);
+            await writeChangesInBlocks(context, columnRange, changes, { format, history: options.history, sheetId: sheet.id, rowIndex: range.rowIndex, columnIndex: columns[c].column },
+                (change) => change.source !== undefined);
+        }
+
+        const writtenTexts = [];
+        for (const [c, changes] of changesByColumn) {
+            for (const change of changes) {
+                if (change.source === undefined || isSkippedText(details, change.source)) { continue; } // The header, or a copied text already in the language
+                writtenTexts.push({ rowIndex: range.rowIndex + change.row, columnIndex: columns[c].column, source: change.source, translation: change.proposed });
+            }
+        }
+        if (options.runLog) {
+            const written = new Map();
+            for (const [c, changes] of changesByColumn) { changes.forEach((change) => written.set(`${c},${change.row}`, change)); }
+            for (const [c, i, source] of pending) {
+                const outcome = getTextOutcome([source], details);
+                if (!outcome) { continue; }
+                logTranslatedCell(options, sheet, getCellAddress(range.rowIndex + i, columns[c].column), source, outcome, written.get(`${c},${i}`),
+                    { language, kind: "text", expected: getExistingFormula(c, i) });
+            }
+        }
+        result.qaFlagged += await checkTranslationQuality(context, sheet, writtenTexts, { ...options, targetLanguage: language });
+    }
+    return result;
+}
+
+/**
+ * Fills the Target column of a sheet imported from a resource file (see resources.js) for the rows of
+ * `range`. Rows that already have a translation are kept unless `options.overwriteExisting` is set.
+ * @param {Excel.RequestContext} context The request context.
+ * @param {Excel.Range} range The range to process, with its position and size loaded.
+ * @param {object} options The translation options (see `translateRange`).
+ * @returns {Promise<{totalErrors: number, firstErrorMessage: string|null, glossaryViolations: number, firstGlossaryMessage: string|null, qaFlagged?: number}>}
+ */
+async function translateResourceRows(context, range, options) {
+    const sheet = range.worksheet;
+    const firstRow = Math.max(1, range.rowIndex); // Row 0 is the header row
+    const rowCount = range.rowIndex + range.rowCount - firstRow;
+    if (rowCount <= 0) { return createRunResult(); }
+
+    // Only the text filters apply: the Key, Source and Target columns are the same on every resource sheet.
+    // The rows are read in blocks; only the rows to translate are kept.
+    const acceptsText = createTextFilter(options.scope);
+    const pending = []; // {row, source, expected}, `row` relative to `firstRow`
+    const uniqueTexts = new Set();
+    let skippedCells = 0;
+    const loadResourceBlock = (rowOffset, blockRowCount) => {
+        const getColumn = (column) => sheet.getRangeByIndexes(firstRow + rowOffset, column, blockRowCount, 1);
+        const sourceBlock = getColumn(RESOURCE_SOURCE_COLUMN);
+        sourceBlock.load("values");
+        const targetBlock = getColumn(RESOURCE_TARGET_COLUMN);
+        targetBlock.load("formulas");
+        // The key of a string (e.g. "menu.file.open") tells the model where it is used.
+        const keyBlock = getColumn(RESOURCE_KEY_COLUMN);
+        keyBlock.load("values");
+        return { sourceBlock, targetBlock, keyBlock };
+    };
+    for await (const { rowOffset, rowCount: blockRowCount, loaded } of readRowBlocks(context, rowCount, 3, loadResourceBlock)) {
+        const { sourceBlock, targetBlock, keyBlock } = loaded;
+        for (let k = 0; k < blockRowCount; k++) {
+            const source = sourceBlock.values[k][0];
+            if (typeof source !== 'string' || source.trim() === "") { continue; }
+            if (!options.overwriteExisting && targetBlock.formulas[k][0] !== "") { continue; }
+            if (!acceptsText(source, options.targetLanguage)) { skippedCells++; continue; }
+            pending.push({ row: rowOffset + k, source, expected: targetBlock.formulas[k][0] });
+            uniqueTexts.add(source);
+            addTextContext(options.textContexts, source, keyBlock.values[k][0] ? `string key "${keyBlock.values[k][0]}"` : "", sheet.name);
+        }
+    }
+    const plan = options.dryRun ? options.plan : createTranslationPlan();
+    addToPlan(plan, options.targetLanguage, uniqueTexts, { cells: pending.length, skipped: skippedCells });
+    if (options.dryRun || pending.length === 0) { return createRunResult(); }
+    await announcePlan(plan, options);
+
+    const { translations, details, ...result } = await translationEngine.translateTexts(Array.from(uniqueTexts), options, 10, 80);
+    let changes = [];
+    for (const { row, source, expected } of pending) {
+        const translatedText = getColumnTranslation(translations, details, source);
+        if (translatedText === null) { continue; } // Failed rows stay empty and are filled by the next run.
+        changes.push({ row, col: 0, original: expected, formula: toConstantFormula(translatedText), source, proposed: translatedText });
+    }
+    if (options.review) {
+        changes = await reviewChanges(changes, options, (change) => `${sheet.name}!${getCellAddress(firstRow + change.row, RESOURCE_TARGET_COLUMN)}`);
+    }
+    if (changes.length > 0) {
+        updateStatus("Writing translations...", `Applying changes...`, 95);
+        const targetRange = sheet.getRangeByIndexes(firstRow, RESOURCE_TARGET_COLUMN, rowCount, 1);
+        await writeChangesInBlocks(context, targetRange, changes,
+            { format: getScriptFormat(options.targetLanguage, options), history: options.history, sheetId: sheet.id, rowIndex: firstRow, columnIndex: RESOURCE_TARGET_COLUMN });
+    }
+    if (options.runLog) {
+        const written = new Map(changes.map((change) => [change.row, change]));
+        for (const { row, source, expected } of pending) {
+            const outcome = getTextOutcome([source], details);
+            if (!outcome) { continue; }
+            logTranslatedCell(options, sheet, getCellAddress(firstRow + row, RESOURCE_TARGET_COLUMN), source, outcome, written.get(row),
+                { language: options.targetLanguage, kind: "text", expected });
+        }
+    }
+    if (changes.length === 0) { return result; }
+    setResourceTargetLanguage(sheet.id, toLanguageCode(options.targetLanguage));
+    result.qaFlagged = await checkTranslationQuality(context, sheet,
+        changes.filter((change) => !isSkippedText(details, change.source)).map((change) => ({ rowIndex: firstRow + change.row, columnIndex: RESOURCE_TARGET_COLUMN, source: change.source, translation: change.proposed })), options);
+    return result;
+}
+
+/**
+ * Translates the texts of charts, shapes, notes and the other objects chosen in `options.objectKinds`
+ * on one worksheet (see objects.js). They go through the same pipeline as cell values; the scope's
+ * text filters apply, its cell filters do not. With `options.dryRun`, the texts are only added to `options.plan`.
+ * @param {Excel.RequestContext} context The request context.
+ * @param {Excel.Worksheet} sheet The worksheet, with its id and name loaded.
+ * @param {object} options The translation options (see `translateRange`).
+ * @returns {Promise<{totalErrors: number, firstErrorMessage: string|null, glossaryViolations: number, firstGlossaryMessage: string|null, qaFlagged: number, skippedObjects: number, firstSkippedMessage: string|null}>}
+ *     Objects that could not be written count as errors. Objects that could not be read are counted in `skippedObjects`.
+ */
+async function translateSheetObjects(context, sheet, options) {
+    updateStatus(`Reading objects on '${sheet.name}'...`, null, null);
+    const { entries, skipped } = await collectObjectTexts(context, sheet, options.objectKinds);
+    const result = createRunResult({ skippedObjects: skipped.length });
+    result.firstSkippedMessage = skipped[0] || null;
+    const acceptsText = createTextFilter(options.scope);
+    const plainTexts = new Set();
+    const codedTexts = new Set(); // Header and footer texts, whose codes are protected like tokens
+    for (const entry of entries) {
+        for (const text of entry.texts) {
+            if (text.trim() === "" || !acceptsText(text, options.targetLanguage)) { continue; }
+            (entry.codes ? codedTexts : plainTexts).add(text);
+            addTextContext(options.textContexts, text, entry.label, sheet.name);
+        }
+    }
+    if (options.dryRun) {
+        addToPlan(options.plan, options.targetLanguage, plainTexts, { objects: entries.length });
+        addToPlan(options.plan, options.targetLanguage, codedTexts, { bySheet: true });
+        return result;
+    }
+    if (plainTexts.size + codedTexts.size === 0) { return result; }
+
+    const translations = new Map();
+    const details = new Map();
+    for (const [texts, textOptions] of [[plainTexts, options], [codedTexts, { ...options, protectionRules: [...options.protectionRules, FORMAT_CODE_RULE] }]]) {
+        if (texts.size === 0) { continue; }
+        const { translations: part, details: partDetails, ...partResult } = await translationEngine.translateTexts(Array.from(texts), textOptions, 90, 5);
+        part.forEach((translation, text) => translations.set(text, translation));
+        partDetails.forEach((detail, text) => details.set(text, detail));
+        addRunResult(result, partResult);
+    }
+
+    updateStatus("Writing translations...", `Applying changes to objects on '${sheet.name}'...`, 95);
+    const outcome = await writeObjectTexts(context, entries, (text) => translations.get(text) || null);
+    result.totalErrors += outcome.failed;
+    result.firstErrorMessage = result.firstErrorMessage || outcome.firstErrorMessage;
+
+    // Objects are listed in the run report by their label. They cannot be retried on their own.
+    if (options.runLog) {
+        for (const entry of entries) {
+            const texts = entry.texts.filter((text) => details.has(text));
+            const textOutcome = getTextOutcome(texts, details);
+            if (!textOutcome) { continue; }
+            logRunItem(options.runLog, {
+                sheetId: sheet.id,
+                sheetName: sheet.name,
+                address: entry.label,
+                source: texts.join("\n"),
+                translation: texts.map((text) => translations.get(text) || "").join("\n"),
+                error: outcome.errors.get(entry) || textOutcome.error,
+                cached: textOutcome.cached,
+                retry: null,
+            });
+        }
+    }
+    return result;
+}
+
+/**
+ * Runs the quality checks on the text cells a run wrote and flags the ones that fail.
+ * @param {Excel.RequestContext} context The request context.
+ * @param {Excel.Worksheet} sheet The worksheet the cells were written to, with `id` loaded.
+ * @param {{rowIndex: number, columnIndex: number, source: string, translation: string}[]} cells The written cells, by worksheet position.
+ * @param {object} options The translation options (see `translateRange`).
+ * @returns {Promise<number>} The number of flagged cells.
+ */
+async function checkTranslationQuality(context, sheet, cells, options) {
+    if (!options.qualityChecks || cells.length === 0) { return 0; }
+    updateStatus("Checking translation quality...", `${cells.length} cells`, null);
+    const problems = cells.map((cell) => checkTranslation(cell.source, cell.translation, options.targetLanguage));
+    if (options.qualityScoring) {
+        const grades = await gradeTranslations(cells, options);
+        cells.forEach((cell, index) => {
+            const problem = describeModelScore(grades.get(`${cell.source}\u0000${cell.translation}`));
+            if (problem) { problems[index].push(problem); }
+        });
+    }
+
+    const flagged = cells.map((cell, index) => ({ ...cell, problems: problems[index] })).filter((cell) => cell.problems.length > 0);
+    await flagCells(context, sheet, flagged);
+    if (flagged.length > 0) {
+        renderQaFlags();
+        document.getElementById("qa-details").open = true;
+    }
+    return flagged.length;
+}
+
+/**
+ * Asks the model to grade every distinct translation. Translations that could not be graded are left out.
+ * @param {{source: string, translation: string}[]} cells The written cells.
+ * @param {object} options The translation options (see `translateRange`).
+ * @returns {Promise<Map<string, {score: number, issue: string}>>} The grades, keyed by source and translation.
+ */
+async function gradeTranslations(cells, options) {
+    const pairs = new Map();
+    for (const cell of cells) { pairs.set(`${cell.source}\u0000${cell.translation}`, { source: cell.source, translation: cell.translation }); }
+    const keys = Array.from(pairs.keys());
+    const grades = new Map();
+    for (let i = 0; i < keys.length; i += QA_BATCH_SIZE) {
+        const batchKeys = keys.slice(i, i + QA_BATCH_SIZE);
+        updateStatus("Checking translation quality...", `Grading ${Math.min(i + QA_BATCH_SIZE, keys.length)} of ${keys.length} translations...`, null);
+        const results = await callProviderScoring(batchKeys.map((key) => pairs.get(key)), options.provider, {
+            targetLanguage: options.targetLanguage,
+            limiter: options.limiter,
+            onRetry: (message) => updateStatus("Checking translation quality...", message, null),
+        });
+        results.forEach((grade, index) => {
+            // Errors come back as messages; a translation that could not be graded is simply not flagged.
+            if (grade && typeof grade === "object") { grades.set(batchKeys[index], grade); }
+        });
+        await waitAtBatchBoundary(showPauseStatus);
+    }
+    return grades;
+}
+
+/**
+ * Sums up how the texts of one cell or object fared, for the run report.
+ * @param {string[]} texts The texts of the cell or object.
+ * @param {Map<string, {error: string|null, cached: boolean, skipped?: boolean}>} details The details returned by `translateTexts`.
+ * @returns {{error: string|null, cached: boolean}|null} The first error and whether every text came from the translation
+ *     memory, or null if none of the texts was looked up or sent (e.g. it is nothing but protected tokens or already
+ *     in the target language).
+ */
+function getTextOutcome(texts, details) {
+    const found = texts.map((text) => details.get(text)).filter((detail) => detail && !detail.skipped);
+    if (found.length === 0) { return null; }
+    const failed = found.find((detail) => detail.error);
+    return { error: failed ? failed.error : null, cached: found.every((detail) => detail.cached) };
+}
+
+/**
+ * Returns the text to write into a translation column or a resource row for a source text, or null if its
+ * translation failed. Texts with nothing to translate (only protected tokens, such as a SKU or a URL) are
+ * copied as they are, so their cells are filled and not sent again by the next run.
+ * @param {Map<string, string|null>} translations The translations returned by `translateTexts`.
+ * @param {Map<string, {error: string|null}>} details The details returned by `translateTexts`.
+ * @param {string} text The source text.
+ * @returns {string|null}
+ */
+function getColumnTranslation(translations, details, text) {
+    const detail = details.get(text);
+    if (detail && detail.error) { return null; }
+    const translatedText = translations.get(text) || text;
+    return translatedText.length > EXCEL_CELL_CHAR_LIMIT ? translatedText.substring(0, EXCEL_CELL_CHAR_LIMIT) : translatedText;
+}
+
+/**
+ * Returns true if a text was kept because it is already in the target language (see `translateTexts`).
+ * Such texts are not written in place and not checked for quality.
+ * @param {Map<string, {skipped?: boolean}>} details The details returned by `translateTexts`.
+ * @param {string} text The text.
+ * @returns {boolean}
+ */
+function isSkippedText(details, text) {
+    const detail = details.get(text);
+    return Boolean(detail && detail.skipped);
+}
+
+/**
+ * Queues the read of one block of rows of a source range: its values and formulas, and its visible cells
+ * if the scope leaves hidden cells alone (see `loadVisibleView`).
+ * @param {Excel.Range} range The source range.
+ * @param {number} rowOffset The first row of the block, relative to the range.
+ * @param {number} rowCount The number of rows of the block.
+ * @param {object} scope The compiled scope.
+ * @returns {{block: Excel.Range, view: Excel.RangeView|null}}
+ */
+function loadSourceBlock(range, rowOffset, rowCount, scope) {
+    const block = range.getRow(rowOffset).getResizedRange(rowCount - 1, 0);
+    block.load("values, formulas, rowIndex, columnIndex");
+    return { block, view: loadVisibleView(block, scope) };
+}
+
+/**
+ * Shows which rows of a large range are being read, within the first 10% of the progress bar.
+ * @param {number} rowOffset The first row of the block, relative to the range.
+ * @param {number} rowCount The number of rows of the block.
+ * @param {number} totalRows The number of rows of the range.
+ * @param {number} share The share of the range read so far, from 0 to 1.
+ */
+function reportBlockProgress(rowOffset, rowCount, totalRows, share) {
+    updateStatus("Reading data from sheet...", `Rows ${(rowOffset + 1).toLocaleString()} to ${(rowOffset + rowCount).toLocaleString()} of ${totalRows.toLocaleString()}`, share * 10);
+}
+
+/**
+ * Writes the changed cells of a range block by block (see `getChangeBlocks`), one sync per block. Each block
+ * is snapshotted for the run history before it is written, together with the formats that change (see formatting.js).
+ * @param {Excel.RequestContext} context The request context.
+ * @param {Excel.Range} targetRange The range the row/column indexes of the changes refer to.
+ * @param {object[]} changes The changed cells, in row-major order (see `writeCellChanges`).
+ * @param {{format: object|null, history?: object, sheetId?: string, rowIndex?: number, columnIndex?: number}} target The format
+ *     (see `getScriptFormat`) and, for runs that can be reverted, the history run with the sheet and position of `targetRange`.
+ * @param {function(object): boolean} [isFormatted] Which changes get the format; by default all of them.
+ * @returns {Promise<void>}
+ */
+async function writeChangesInBlocks(context, targetRange, changes, target, isFormatted = () => true) {
+    for (const block of getChangeBlocks(changes)) {
+        const formatted = block.filter(isFormatted);
+        const cellFormats = loadCellFormats(targetRange, formatted, target.format);
+        if (cellFormats) {
+            // eslint-disable-next-line office-addins/no-context-sync-in-loop -- The formats of one block are read per sync, like its cells.
+            await context.sync();
+            prepareScriptFormat(cellFormats, target.format);
+        }
+        if (target.history) {
+            await recordSnapshot(context, target.history, target.sheetId, target.rowIndex, target.columnIndex, block);
+        }
+        writeCellChanges(targetRange, block);
+        writeScriptFormat(targetRange, formatted);
+        // eslint-disable-next-line office-addins/no-context-sync-in-loop -- One sync per block keeps each request within the payload limits.
+        await context.sync();
+    }
+}
+
+/**
+ * Adds a translated cell to the run report (see report.js), if the run keeps one.
+ * @param {object} options The translation options, with `runLog`.
+ * @param {Excel.Worksheet} sheet The worksheet the translation went to, with `id` and `name` loaded.
+ * @param {string} address The address of the cell the translation went to.
+ * @param {string} source The source text, or the formula whose literals were translated.
+ * @param {{error: string|null, cached: boolean}} outcome How its texts fared (see `getTextOutcome`).
+ * @param {{proposed: string}|undefined} change The change written to the cell, or undefined if nothing was written.
+ * @param {{language: string, kind: string, expected: string}|null} retry How to send the cell again if it failed, or null if it cannot be retried.
+ */
+function logTranslatedCell(options, sheet, address, source, outcome, change, retry) {
+    logRunItem(options.runLog, {
+        sheetId: sheet.id,
+        sheetName: sheet.name,
+        address,
+        source,
+        translation: change ? change.proposed : "",
+        error: outcome.error || (change ? null : "Rejected in review."),
+        cached: outcome.cached,
+        retry: outcome.error ? retry : null,
+    });
+}
+
+/**
+ * Creates an empty plan. A plan collects what a run would translate, per target language, so it can
+ * be counted before anything is sent and, for workbook runs, translated in one pass across all sheets.
+ * @returns {{cells: number, objects: number, skipped: number, texts: Map<string, Set<string>>, sheetTexts: Map<string, Set<string>>}}
+ *     `texts` are translated up front; `sheetTexts` need options of their own (e.g. header codes) and are
+ *     translated sheet by sheet. Both are counted.
+ */
+function createTranslationPlan() {
+    return { cells: 0, objects: 0, skipped: 0, texts: new Map(), sheetTexts: new Map() };
+}
+
+/**
+ * Adds the texts of one range or sheet to a plan.
+ * @param {object} plan The plan (see `createTranslationPlan`). Updated in place.
+ * @param {string} language The target language.
+ * @param {Iterable<string>} texts The unique texts.
+ * @param {{cells?: number, objects?: number, skipped?: number, bySheet?: boolean}} counts The number of cells and objects
+ *     to translate and of cells with text that the scope leaves out. `bySheet` adds the texts to `sheetTexts`.
+ */
+function addToPlan(plan, language, texts, counts) {
+    plan.cells += counts.cells || 0;
+    plan.objects += counts.objects || 0;
+    plan.skipped += counts.skipped || 0;
+    const target = counts.bySheet ? plan.sheetTexts : plan.texts;
+    if (!target.has(language)) { target.set(language, new Set()); }
+    for (const text of texts) { target.get(language).add(text); }
+}
+
+/**
+ * Counts what a plan would send. Texts found in the translation memory are not sent, so they are
+ * left out of the characters and batches.
+ * @param {object} plan The plan (see `createTranslationPlan`).
+ * @param {object} options The translation options (see `translateRange`).
+ * @returns {{cells: number, objects: number, texts: number, remembered: number, characters: number, skipped: number, batches: string[][]}}
+ */
+function countPlan(plan, options) {
+    const engine = getEngineId(options.provider);
+    const count = { cells: plan.cells, objects: plan.objects, texts: 0, remembered: 0, characters: 0, skipped: plan.skipped, batches: [] };
+    for (const texts of [plan.texts, plan.sheetTexts]) {
+        for (const [language, languageTexts] of texts) {
+            const toSend = [];
+            for (const text of languageTexts) {
+                if (options.useMemory && lookupTranslation(text, language, engine) !== undefined) {
+                    count.remembered++;
+                } else {
+                    toSend.push(text);
+                    count.characters += text.length;
+                }
+            }
+            count.texts += languageTexts.size;
+            count.batches.push(...splitIntoBatches(toSend));
+        }
+    }
+    return count;
+}
+
+/**
+ * Describes a count in one line, e.g. "120 cells to translate: 80 unique texts, 4,200 characters to send."
+ * @param {{cells: number, objects: number, texts: number, characters: number}} count The count (see `countPlan`).
+ * @returns {string}
+ */
+function describePlanCount(count) {
+    const objects = count.objects > 0 ? ` and ${count.objects.toLocaleString()} objects` : "";
+    return `${count.cells.toLocaleString()} cells${objects} to translate: ${count.texts.toLocaleString()} unique texts, ${count.characters.toLocaleString()} characters to send.`;
+}
+
+/**
+ * Shows how many cells and characters are about to be sent.
+ * @param {object} count The count (see `countPlan`).
+ * @param {string} [note] A line to add below the count.
+ * @param {number} [progress] The progress percentage to show.
+ */
+function showPlanCount(count, note, progress = 5) {
+    const details = [
+        count.remembered > 0 ? `${count.remembered.toLocaleString()} of the texts are already in the translation memory.` : null,
+        count.skipped > 0 ? `${count.skipped.toLocaleString()} cells with text are outside the scope and skipped.` : null,
+        note,
+    ].filter(Boolean).join("\n");
+    updateStatus(describePlanCount(count), details || null, progress);
+}
+
+/**
+ * Shows the count of a range before its texts are sent and gives the user a moment to read it.
+ * Workbook runs showed the count of the whole run before they started, so nothing is shown for them.
+ * @param {object} plan The plan of the range (see `createTranslationPlan`).
+ * @param {object} options The translation options (see `translateRange`).
+ * @param {string} [note] A line to add below the count.
+ * @param {number} [progress] The progress percentage to show.
+ * @returns {Promise<void>}
+ */
+async function announcePlan(plan, options, note, progress) {
+    if (options.pretranslated) { return; }
+    showPlanCount(countPlan(plan, options), note, progress);
+    await sleep(1000);
+}
+
+/**
+ * Shows the outcome of a run in the status bar: API errors and glossary violations, or the success message.
+ * Cells flagged by the quality checks were written, and objects that could not be read were left as they are, so
+ * they are mentioned without turning the message into an error.
+ * @param {{totalErrors: number, firstErrorMessage: string|null, glossaryViolations: number, firstGlossaryMessage: string|null, qaFlagged?: number, skippedObjects?: number, firstSkippedMessage?: string|null}} result The run result.
+ * @param {string} successMessage The message to show when nothing went wrong.
+ */
+function reportRunResult(result, successMessage) {
+    const problems = [];
+    if (result.totalErrors > 0) {
+        problems.push(`${result.totalErrors} cells could not be translated.`);
+    }
+    if (result.glossaryViolations > 0) {
+        problems.push(`${result.glossaryViolations} cells broke glossary rules and were left unchanged.`);
+    }
+    const qaNote = result.qaFlagged > 0 ? `${result.qaFlagged} cells were flagged by the quality checks. Use "Next Flagged Cell" to go through them.` : null;
+    const skippedNote = result.skippedObjects > 0 ? `${result.skippedObjects} objects could not be read and were left as they are. ${result.firstSkippedMessage}` : null;
+    if (problems.length === 0) {
+        updateStatus(successMessage, [qaNote, skippedNote].filter(Boolean).join("\n") || null, 100, false);
+        return;
+    }
+    const details = [result.firstErrorMessage, result.firstGlossaryMessage, qaNote, skippedNote].filter(Boolean).join("\n");
+    updateStatus(problems.join(" "), details, 100, true);
+}
+
+/**
+ * Reads the choices made in the task pane that shape a run.
+ * Languages are given by name; known codes and names typed in any case are turned into the listed name.
+ * @returns {{targetLanguage: string, targetLanguages: string[], sourceLanguage: string, detectLanguages: boolean, mode: string, overwriteExisting: boolean, useMemory: boolean, translateFormulaText: boolean, rtlLayout: boolean, scriptFonts: boolean, review: boolean, qualityChecks: boolean, qualityScoring: boolean, reportSheet: boolean, objectKinds: string[]}}
+ *     `sourceLanguage` is empty if the model is to recognize it.
+ */
+function readTranslationChoices() {
+    const otherTargets = document.getElementById("multi-target-other-input").value.split(",").map(resolveLanguageName).filter(Boolean);
+    const checkedTargets = Array.from(document.querySelectorAll('#multi-target-list input:checked')).map((input) => input.value);
+    return {
+        targetLanguage: resolveLanguageName(document.getElementById("target-language-input").value),
+        targetLanguages: Array.from(new Set([...checkedTargets, ...otherTargets])),
+        sourceLanguage: resolveLanguageName(document.getElementById("source-language-input").value),
+        detectLanguages: document.getElementById("detect-language-checkbox").checked,
+        mode: document.querySelector('input[name="translation-mode"]:checked').value,
+        overwriteExisting: document.getElementById("overwrite-existing-checkbox").checked,
+        useMemory: document.getElementById("use-memory-checkbox").checked,
+        translateFormulaText: document.getElementById("translate-formula-text-checkbox").checked,
+        rtlLayout: document.getElementById("rtl-layout-checkbox").checked,
+        scriptFonts: document.getElementById("script-font-checkbox").checked,
+        review: document.getElementById("review-checkbox").checked,
+        qualityChecks: document.getElementById("quality-checks-checkbox").checked,
+        qualityScoring: document.getElementById("quality-scoring-checkbox").checked,
+        reportSheet: document.getElementById("report-sheet-checkbox").checked,
+        objectKinds: Array.from(document.querySelectorAll('#object-kind-list input:checked')).map((input) => input.value),
+    };
+}
+
+/**
+ * Saves the task pane choices to the document, so ribbon commands and the next session use them.
+ */
+function saveTranslationChoices() {
+    Office.context.document.settings.set("translationChoices", readTranslationChoices());
+    Office.context.document.settings.saveAsync((result) => {
+        if (result.status !== Office.AsyncResultStatus.Succeeded) {
+            console.error("Could not save the translation choices:", result.error.message);
+        }
+    });
+}
+
+/**
+ * Shows the choices saved in the document in the task pane. Choices that are not saved keep their defaults.
+ */
+function loadTranslationChoices() {
+    const stored = Office.context.document.settings.get("translationChoices");
+    if (!stored) { return; }
+    if (stored.targetLanguage) { document.getElementById("target-language-input").value = stored.targetLanguage; }
+    const targetLanguages = stored.targetLanguages || [];
+    document.querySelectorAll('#multi-target-list input').forEach((input) => { input.checked = targetLanguages.includes(input.value); });
+    const listed = new Set(LANGUAGES.map((language) => language.name));
+    document.getElementById("multi-target-other-input").value = targetLanguages.filter((language) => !listed.has(language)).join(", ");
+    document.getElementById("source-language-input").value = stored.sourceLanguage || "";
+    document.getElementById("detect-language-checkbox").checked = Boolean(stored.detectLanguages);
+    const modeInput = document.querySelector(`input[name="translation-mode"][value="${stored.mode}"]`);
+    if (modeInput) { modeInput.checked = true; }
+    document.getElementById("overwrite-existing-checkbox").checked = Boolean(stored.overwriteExisting);
+    document.getElementById("use-memory-checkbox").checked = stored.useMemory !== false;
+    document.getElementById("translate-formula-text-checkbox").checked = Boolean(stored.translateFormulaText);
+    document.getElementById("rtl-layout-checkbox").checked = stored.rtlLayout !== false;
+    document.getElementById("script-font-checkbox").checked = Boolean(stored.scriptFonts);
+    document.getElementById("review-checkbox").checked = Boolean(stored.review);
+    document.getElementById("quality-checks-checkbox").checked = Boolean(stored.qualityChecks);
+    document.getElementById("quality-scoring-checkbox").checked = Boolean(stored.qualityScoring);
+    document.getElementById("report-sheet-checkbox").checked = Boolean(stored.reportSheet);
+    document.querySelectorAll('#object-kind-list input').forEach((input) => { input.checked = (stored.objectKinds || []).includes(input.value); });
+}
+
+/**
+ * Collects the provider settings and the choices made in the task pane for a translation run.
+ * @returns {{provider: object, limiter: object, targetLanguage: string, targetLanguages: string[], mode: string, overwriteExisting: boolean, useMemory: boolean, translateFormulaText: boolean, protectionRules: RegExp[], scope: object, promptProfile: object, textContexts?: Map}}
+ *     `textContexts` collects where each text occurs (see prompts.js), unless the active profile sends no context.
+ */
+function getTranslationOptions() {
+    const provider = getActiveProviderSettings();
+    const promptProfile = getActivePromptProfile();
+    return {
+        provider,
+        limiter: createRateLimiter(getRateLimits(provider)),
+        ...readTranslationChoices(),
+        protectionRules: compileProtectionRules(getProtectionSettings()),
+        scope: compileScope(getScopeSettings()),
+        promptProfile,
+        textContexts: promptProfile.sendContext ? new Map() : undefined,
+    };
+}
+
+/**
+ * Names the target language(s) of a run, e.g. for the history list.
+ * @param {{mode: string, targetLanguage: string, targetLanguages: string[]}} options The translation options.
+ * @returns {string}
+ */
+function describeTargetLanguages(options) {
+    return options.mode === 'multiTarget' ? options.targetLanguages.join(", ") : options.targetLanguage;
+}
+
+/**
+ * Shows the options that belong to the chosen translation mode.
+ */
+function updateModeOptions() {
+    const mode = document.querySelector('input[name="translation-mode"]:checked').value;
+    const isMultiTarget = mode === 'multiTarget';
+    document.getElementById("single-target-options").style.display = isMultiTarget ? "none" : "block";
+    document.getElementById("multi-target-options").style.display = isMultiTarget ? "block" : "none";
+    document.getElementById("column-mode-options").style.display = mode === 'besideSource' || isMultiTarget ? "block" : "none";
+}
+
+/**
+ * Fills the list of languages offered while typing a target or source language.
+ */
+function renderLanguageOptions() {
+    document.getElementById("language-options").innerHTML = LANGUAGES
+        .map((language) => `<option value="${language.name}">${language.code}</option>`)
+        .join("");
+}
+
+/**
+ * Lists the target languages as checkboxes for the "Multiple Languages" mode.
+ */
+function renderMultiTargetOptions() {
+    const listEl = document.getElementById("multi-target-list");
+    listEl.innerHTML = "";
+    for (const language of LANGUAGES) {
+        const row = document.createElement("div");
+        row.className = "checkbox-row";
+        row.dataset.search = `${language.name} ${language.code}`.toLowerCase();
+        const input = document.createElement("input");
+        input.type = "checkbox";
+        input.id = `multi-target-${language.code}`;
+        input.value = language.name;
+        input.addEventListener("change", saveTranslationChoices);
+        const label = document.createElement("label");
+        label.htmlFor = input.id;
+        label.textContent = `${language.name} (${language.code})`;
+        row.appendChild(input);
+        row.appendChild(label);
+        listEl.appendChild(row);
+    }
+}
+
+/**
+ * Shows only the target languages whose name or code contains the filter text. Hidden languages stay chosen.
+ */
+function filterMultiTargetOptions() {
+    const filter = document.getElementById("multi-target-filter-input").value.trim().toLowerCase();
+    document.querySelectorAll('#multi-target-list .checkbox-row').forEach((row) => {
+        row.style.display = row.dataset.search.includes(filter) ? "" : "none";
+    });
+}
+
+/**
+ * Lists the kinds of sheet objects as checkboxes for "Translate All Sheets".
+ */
+function renderObjectKindOptions() {
+    const listEl = document.getElementById("object-kind-list");
+    listEl.innerHTML = "";
+    for (const kind of OBJECT_KINDS) {
+        const row = document.createElement("div");
+        row.className = "checkbox-row";
+        const input = document.createElement("input");
+        input.type = "checkbox";
+        input.id = `object-kind-${kind.id}`;
+        input.value = kind.id;
+        input.addEventListener("change", saveTranslationChoices);
+        const label = document.createElement("label");
+        label.htmlFor = input.id;
+        label.textContent = kind.label;
+        row.appendChild(input);
+        row.appendChild(label);
+        listEl.appendChild(row);
+    }
+}
+
+/**
+ * Returns the areas of the user's selection. A Ctrl+click selection has several areas; hosts without
+ * ExcelApi 1.9 only know the active one.
+ * @param {Excel.RequestContext} context The request context.
+ * @returns {Promise<Excel.Range[]>}
+ */
+async function getSelectedAreas(context) {
+    if (!Office.context.requirements.isSetSupported("ExcelApi", "1.9")) { return [context.workbook.getSelectedRange()]; }
+    const areas = context.workbook.getSelectedRanges().areas;
+    areas.load("items/address");
+    await context.sync();
+    return areas.items;
+}
+
+/**
+ * Translates the areas of a multi-area selection as one run: every area is read first, so each text is
+ * sent once, and then the areas are written one after the other. In "Translate to New Sheet" mode they
+ * all go to the same copy.
+ * @param {Excel.RequestContext} context The request context.
+ * @param {Excel.Range[]} areas The areas of the selection.
+ * @param {object} options The translation options (see `translateRange`).
+ * @returns {Promise<object>} The run result (see `createRunResult`).
+ */
+async function translateAreas(context, areas, options) {
+    const result = createRunResult();
+    const planOptions = { ...options, dryRun: true, plan: createTranslationPlan() };
+    for (const area of areas) { await translateRange(context, area, planOptions); }
+    options.pretranslated = await translatePlan(planOptions.plan, options, result);
+    for (let i = 0; i < areas.length; i++) {
+        await waitAtBatchBoundary(showPauseStatus);
+        updateStatus(`Processing area ${i + 1}/${areas.length}`, null, 80 + ((i + 1) / areas.length) * 20);
+        const areaResult = await translateRange(context, areas[i], options);
+        addRunResult(result, areaResult);
+        options.outputSheet = options.outputSheet || areaResult.copiedSheet;
+    }
+    return result;
+}
+
+/**
+ * Translates the user's selected range (every area of it), or the used range of the active sheet.
+ * @param {string} area "selection" or "sheet".
+ */
+async function runRangeTranslation(area) {
+    const options = getTranslationOptions();
+    options.history = beginHistoryRun(`${area === "sheet" ? "Active sheet" : "Selection"} → ${describeTargetLanguages(options)}`);
+    options.runLog = createRunLog(options.history.label, getEngineId(options.provider));
+    startJob({ label: options.history.label, options });
+    setBusy(true, true);
+    try {
+        await Excel.run(async (context) => {
+            options.glossary = await loadGlossary(context);
+            const ranges = area === "sheet" ? [context.workbook.worksheets.getActiveWorksheet().getUsedRange(true)] : await getSelectedAreas(context);
+            const result = ranges.length > 1 ? await translateAreas(context, ranges, options) : await translateRange(context, ranges[0], options);
+            reportRunResult(result, area === "sheet" ? "Sheet translated successfully!" : "Selection translated successfully!");
+        });
+    } catch (error) {
+        if (area === "sheet" && error.code === "ItemNotFound") {
+            updateStatus("The active sheet is empty.", null, null, false);
+        } else if (isJobCancelled(error)) {
+            updateStatus("Translation cancelled.", "Translations already written stay in place and can be reverted under History.", null, false);
+        } else {
+            updateStatus("An unexpected error occurred.", `${error.name}: ${error.message}`, 100, true);
+            console.error(JSON.stringify(error, null, 2));
+        }
+    } finally {
+        await saveHistoryRun(options.history);
+        await finishRunLog(options);
+        endJob(false);
+        setBusy(false);
+        renderMemoryEntries();
+        renderHistoryRuns();
+        renderQaFlags();
+        renderFailedCells();
+    }
+}
+
+/**
+ * Main function to run translation on all sheets in the workbook.
+ */
+function runWorkbookTranslation() {
+    return runWorkbookJob(null);
+}
+
+/**
+ * Translates all sheets of the workbook as a job that can be paused, cancelled and resumed.
+ * @param {object|null} checkpoint The checkpoint of an interrupted job to continue, or null for a new job.
+ */
+async function runWorkbookJob(checkpoint) {
+    const options = checkpoint ? { ...getTranslationOptions(), ...checkpoint.options } : getTranslationOptions();
+    const label = `All sheets → ${describeTargetLanguages(options)}`;
+    options.history = beginHistoryRun(checkpoint ? `${label} (resumed)` : label);
+    options.runLog = createRunLog(options.history.label, getEngineId(options.provider));
+    const savedOptions = Object.fromEntries(JOB_OPTION_KEYS.map((key) => [key, options[key]]));
+    const job = startJob({ label, options: savedOptions, history: options.history, persistent: true, checkpoint });
+    setBusy(true);
+    document.getElementById("interrupted-job-box").style.display = "none";
+    const workbookResult = createRunResult();
+    let keepCheckpoint = false;
+    let started = true;
+
+    try {
+        await Excel.run(async (context) => {
+            options.glossary = await loadGlossary(context);
+            const glossarySettings = getGlossarySettings();
+            const worksheets = context.workbook.worksheets;
+            worksheets.load("items/name, items/id");
+            await context.sync();
+            // The glossary sheet holds the rules, the history sheet the revert snapshots and the report sheets
+            // the logs of earlier runs; none of them is translated.
+            // A resumed job also skips the sheets it finished and the translated copies it created.
+            const skippedIds = new Set([...job.checkpoint.sheetsDone, ...job.checkpoint.createdSheets]);
+            const originalSheets = worksheets.items.filter((sheet) => sheet.name !== HISTORY_SHEET_NAME && sheet.name !== FAILURES_SHEET_NAME && !isReportSheet(sheet.id) && !skippedIds.has(sheet.id)
+                && !(glossarySettings.source === "sheet" && sheet.name.toLowerCase() === glossarySettings.sheetName.toLowerCase()));
+
+            // Plan the run: read every sheet first, so each text is sent once for the whole workbook
+            // and batches are filled across sheet boundaries.
+            const planOptions = { ...options, dryRun: true, plan: createTranslationPlan() };
+            for (let i = 0; i < originalSheets.length; i++) {
+                updateStatus(`Planning: reading sheet ${i + 1}/${originalSheets.length}: '${originalSheets[i].name}'`, null, (i / originalSheets.length) * 10);
+                await translateSheet(context, originalSheets[i], planOptions);
+            }
+            const count = countPlan(planOptions.plan, options);
+            if (checkpoint || count.batches.length === 0) {
+                showPlanCount(count, checkpoint ? "Resuming the interrupted job." : null, 10);
+            } else if (!await confirmPlan(count, options)) {
+                started = false;
+                return;
+            }
+            setBusy(true, true);
+            options.pretranslated = await translatePlan(planOptions.plan, options, workbookResult);
+
+            // Write the sheets. Their texts are translated already, except header and footer texts.
+            for (let i = 0; i < originalSheets.length; i++) {
+                await waitAtBatchBoundary(showPauseStatus);
+                const sheet = originalSheets[i];
+                if (options.mode === 'replace') { sheet.activate(); }
+                const progress = 80 + ((i + 1) / originalSheets.length) * 20;
+                updateStatus(`Processing sheet ${i + 1}/${originalSheets.length}: '${sheet.name}'`, null, progress);
+                addRunResult(workbookResult, await translateSheet(context, sheet, options));
+                markSheetDone(sheet.id, options.history.createdSheets);
+            }
+        });
+        if (started) {
+            reportRunResult(workbookResult, "Entire workbook translated successfully!");
+        } else {
+            updateStatus("Translation not started.", null, null, false);
+        }
+    } catch (error) {
+        if (isJobCancelled(error)) {
+            updateStatus("Translation cancelled.", `${job.checkpoint.sheetsDone.length} sheets were finished. Their translations stay in place and can be reverted under History.`, null, false);
+        } else {
+            // The checkpoint is kept, so the job can be resumed once the problem is fixed.
+            keepCheckpoint = true;
+            updateStatus("An unexpected error occurred.", `${error.name}: ${error.message}`, 100, true);
+            console.error(JSON.stringify(error, null, 2));
+        }
+    } finally {
+        await saveHistoryRun(options.history);
+        await finishRunLog(options);
+        endJob(keepCheckpoint);
+        setBusy(false);
+        renderMemoryEntries();
+        renderHistoryRuns();
+        renderQaFlags();
+        renderFailedCells();
+        renderInterruptedJob();
     }
-    return finalName;
 }
 
-// --- API CALL ---
+/**
+ * Translates the cells and the chosen objects of one sheet for a workbook run. Objects are translated
+ * where the cell translations went: in place, or in the sheet's copy. A dry run reads them from the sheet itself.
+ * @param {Excel.RequestContext} context The request context.
+ * @param {Excel.Worksheet} sheet The worksheet, with its name loaded.
+ * @param {object} options The translation options (see `translateRange`).
+ * @returns {Promise<object>} The run result of the sheet (see `createRunResult`).
+ */
+async function translateSheet(context, sheet, options) {
+    const result = createRunResult();
+    let objectSheet = options.mode === 'replace' || (options.dryRun && options.mode === 'newSheet') ? sheet : null;
+    try {
+        const cellResult = await translateRange(context, sheet.getUsedRange(true), options);
+        addRunResult(result, cellResult);
+        objectSheet = objectSheet || cellResult.copiedSheet || null;
+    } catch (error) {
+        if (error.code === "ItemNotFound") { console.log(`Sheet '${sheet.name}' has no cell values.`); }
+        else { throw error; }
+    }
+    if (objectSheet && options.objectKinds.length > 0) {
+        objectSheet.load("id, name");
+        await context.sync();
+        addRunResult(result, await translateSheetObjects(context, objectSheet, options));
+    }
+    return result;
+}
 
 /**
- * Calls the Google AI API with a batch of texts and handles retries for rate limiting.
- * @param {string[]} texts An array of unique strings to be translated.
- * @param {string} apiKey The user's Google AI API key.
- * @param {string} targetLanguage The language to translate the texts into.
- * @param {string} modelName The AI model to use.
- * @param {number} progress The current progress percentage for status updates.
- * @returns {Promise<string[]>} A promise that resolves to an array of translated strings or error messages.
+ * Translates the texts of a workbook plan, one pass per target language.
+ * @param {object} plan The plan (see `createTranslationPlan`).
+ * @param {object} options The translation options (see `translateRange`).
+ * @param {object} result The run result. Errors and glossary violations are added to it.
+ * @returns {Promise<Map<string, {translations: Map<string, string|null>, details: Map<string, object>}>>} The translations and their
+ *     details (see `translateTexts`) by target language, for `options.pretranslated`.
  */
-async function callGeminiBatch(texts, apiKey, targetLanguage, modelName, progress) {
-    const endpoint = `https://generativelanguage.googleapis.com/v1beta/models/${modelName}:generateContent?key=${apiKey}`;
-    const prompt = `You are a translation API. Your only function is to translate text. Translate each string in the following JSON array to ${targetLanguage}. Detect the source language. Your response MUST BE ONLY a valid JSON array of strings containing the translations in the exact same order. Do not include any other text, markdown, or explanations. Input: ${JSON.stringify(texts)}`;
-    const requestBody = { "contents": [{ "parts": [{ "text": prompt }] }] };
-    
-    const MAX_RETRIES = 3;
-    let attempt = 0;
-    
-    while (attempt < MAX_RETRIES) {
-        try {
-            const response = await fetch(endpoint, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(requestBody) });
-
-            if (response.status === 429) {
-                attempt++;
-                if (attempt >= MAX_RETRIES) { return texts.map(() => `API Error: Rate limit exceeded after ${MAX_RETRIES} retries.`); }
-                const delay = Math.pow(2, attempt) * 1000;
-                const waitMessage = `Rate limit hit. Waiting ${delay / 1000}s before retrying... (Attempt ${attempt}/${MAX_RETRIES})`;
-                updateStatus("Translating...", waitMessage, progress, false);
-                await sleep(delay);
-                continue; // Retry the request
+async function translatePlan(plan, options, result) {
+    const pretranslated = new Map();
+    const languages = Array.from(plan.texts.keys());
+    for (let l = 0; l < languages.length; l++) {
+        const language = languages[l];
+        const span = 70 / languages.length;
+        const { translations, details, ...languageResult } = await translationEngine.translateTexts(Array.from(plan.texts.get(language)), { ...options, targetLanguage: language }, 10 + l * span, span);
+        addRunResult(result, languageResult);
+        pretranslated.set(language, { translations, details });
+    }
+    return pretranslated;
+}
+
+/**
+ * Formats a duration for the run estimate, e.g. "about 40 seconds" or "about 2.5 hours".
+ * @param {number} seconds The duration.
+ * @returns {string}
+ */
+function formatDuration(seconds) {
+    if (seconds < 90) { return `about ${Math.max(1, Math.round(seconds))} seconds`; }
+    if (seconds < 90 * 60) { return `about ${Math.round(seconds / 60)} minutes`; }
+    return `about ${(seconds / 3600).toFixed(1)} hours`;
+}
+
+/**
+ * Shows the estimate of a workbook run and waits until the user starts or cancels it.
+ * @param {object} count The count of the run (see `countPlan`).
+ * @param {object} options The translation options (see `translateRange`).
+ * @returns {Promise<boolean>} True if the run should start.
+ */
+async function confirmPlan(count, options) {
+    updateStatus("Estimating the run...", describePlanCount(count), 10);
+    const ratio = await measureCharsPerToken(count.batches.flat(), options.provider);
+    const estimate = estimateRun(count.batches, ratio, options.provider, getRateLimits(options.provider));
+    let cost;
+    if (estimate.cost === null) {
+        cost = "Cost: unknown for this server.";
+    } else if (estimate.cost === 0) {
+        cost = "Cost: none (local server or free tier).";
+    } else {
+        cost = `Estimated cost: ${estimate.cost < 0.01 ? "less than $0.01" : `about $${estimate.cost.toFixed(2)}`} with ${options.provider.model} (list price).`;
+    }
+    const lines = [
+        describePlanCount(count),
+        count.remembered > 0 ? `${count.remembered.toLocaleString()} of the texts are taken from the translation memory.` : null,
+        `About ${estimate.requests.toLocaleString()} requests and ${(estimate.inputTokens + estimate.outputTokens).toLocaleString()} tokens (${estimate.inputTokens.toLocaleString()} in, ${estimate.outputTokens.toLocaleString()} out)${estimate.measured ? "" : ", estimated from the character count"}.`,
+        `Expected time: ${formatDuration(estimate.seconds)}.`,
+        cost,
+        options.detectLanguages ? `Language detection sends the new texts once more first, in about ${count.batches.length.toLocaleString()} more requests.` : null,
+    ];
+    updateStatus("Review the estimate and start the translation.", null, null, false);
+    const box = document.getElementById("plan-box");
+    document.getElementById("plan-summary").textContent = lines.filter(Boolean).join("\n");
+    box.style.display = "block";
+    box.scrollIntoView({ behavior: "smooth", block: "nearest" });
+    return new Promise((resolve) => { resolvePlanConfirmation = resolve; });
+}
+
+/**
+ * Answers the confirmation shown by `confirmPlan`.
+ * @param {boolean} start True to start the run.
+ */
+function finishPlanConfirmation(start) {
+    const resolve = resolvePlanConfirmation;
+    if (!resolve) { return; }
+    resolvePlanConfirmation = null;
+    document.getElementById("plan-box").style.display = "none";
+    resolve(start);
+}
+
+/**
+ * Offers to resume a workbook job that was interrupted, e.g. because the task pane was closed.
+ */
+function renderInterruptedJob() {
+    const checkpoint = getInterruptedJob();
+    const box = document.getElementById("interrupted-job-box");
+    if (!checkpoint) {
+        box.style.display = "none";
+        return;
+    }
+    document.getElementById("interrupted-job-text").textContent =
+        `"${checkpoint.label}" (started ${new Date(checkpoint.startedAt).toLocaleString()}) was interrupted after ${checkpoint.sheetsDone.length} sheets and ${checkpoint.batchesDone} batches.`;
+    box.style.display = "block";
+}
+
+/**
+ * Continues the interrupted workbook job where it stopped.
+ */
+async function runResumeInterruptedJob() {
+    const checkpoint = getInterruptedJob();
+    if (!checkpoint) { return; }
+    // If the task pane was closed mid-run, that part of the run is not in the history list yet.
+    if (checkpoint.history) { await saveHistoryRun(checkpoint.history); }
+    await runWorkbookJob(checkpoint);
+}
+
+/**
+ * Drops the interrupted workbook job. Translations it already wrote stay in place.
+ */
+async function discardInterruptedJobAndRefresh() {
+    const checkpoint = getInterruptedJob();
+    if (checkpoint && checkpoint.history) { await saveHistoryRun(checkpoint.history); }
+    discardInterruptedJob();
+    renderInterruptedJob();
+    renderHistoryRuns();
+    updateStatus("The interrupted job was discarded.", "Translations it already wrote stay in place and can be reverted under History.", null, false);
+}
+
+/**
+ * Pauses the running job, or continues it if it is paused.
+ */
+function togglePause() {
+    const job = getActiveJob();
+    if (!job) { return; }
+    if (job.paused) {
+        resumeJob();
+    } else {
+        pauseJob();
+        updateStatus("Pausing after the current batch...", null, null, false);
+    }
+    document.getElementById("pause-button").textContent = job.paused ? "Continue" : "Pause";
+}
+
+/**
+ * Cancels the running job after the current batch.
+ */
+function cancelRunningJob() {
+    if (!getActiveJob()) { return; }
+    cancelJob();
+    document.getElementById("cancel-button").disabled = true;
+    if (activeReview) { finishReview(false); }
+    updateStatus("Cancelling after the current batch...", null, null, false);
+}
+
+/**
+ * Shows in the status bar that the job is waiting at a batch boundary.
+ * @param {boolean} paused True when the job starts waiting, false when it continues.
+ */
+function showPauseStatus(paused) {
+    const job = getActiveJob();
+    if (paused) {
+        const detail = job && job.persistent ? "Click \"Continue\" to go on. You can also close the task pane and resume the job later." : "Click \"Continue\" to go on.";
+        updateStatus("Paused.", detail, null, false);
+    } else {
+        updateStatus("Continuing...", null, null, false);
+    }
+}
+
+/**
+ * Disables the task pane's buttons while a run is in progress.
+ * @param {boolean} busy True while a run is in progress.
+ * @param {boolean} [showJobControls] True to show the Pause and Cancel buttons.
+ */
+function setBusy(busy, showJobControls = false) {
+    isBusy = busy;
+    document.querySelectorAll("button:not(.job-control):not(.review-control)").forEach(b => b.disabled = busy);
+    document.getElementById("job-controls").style.display = busy && showJobControls ? "flex" : "none";
+    document.querySelectorAll(".job-control").forEach(b => b.disabled = false);
+    document.getElementById("pause-button").textContent = "Pause";
+}
+
+/**
+ * Stores a finished run so it can be reverted. Also runs after a failed translation, since
+ * the cells written before the failure must stay revertable.
+ * @param {object} run The run started with `beginHistoryRun`.
+ */
+async function saveHistoryRun(run) {
+    try {
+        await Excel.run((context) => finishHistoryRun(context, run));
+    } catch (error) {
+        console.error("Could not save the translation history:", error);
+    }
+}
+
+/**
+ * Reverts the newest translation run. If cells were edited since, the first click only warns and
+ * a second click restores them anyway.
+ */
+async function runRevertLastTranslation() {
+    setBusy(true);
+    try {
+        await Excel.run(async (context) => {
+            updateStatus("Checking the last translation...", null, 20);
+            const check = await revertLastRun(context, { dryRun: true, overwriteEdited: true });
+            if (!check.run) {
+                updateStatus("There is no translation to revert.", null, null, false);
+                return;
+            }
+            if (check.edited > 0 && pendingRevertRunId !== check.run.id) {
+                pendingRevertRunId = check.run.id;
+                updateStatus(`${check.edited} cells were edited after "${check.run.label}".`, "Click \"Revert Last Translation\" again to restore them anyway.", null, true);
+                return;
+            }
+
+            pendingRevertRunId = null;
+            updateStatus(`Reverting "${check.run.label}"...`, null, 60);
+            const result = await revertLastRun(context, { overwriteEdited: true });
+            const details = [`${result.restored} cells restored`];
+            if (result.deletedColumns > 0) { details.push(`${result.deletedColumns} translation columns deleted`); }
+            if (result.deletedSheets > 0) { details.push(`${result.deletedSheets} translated sheets deleted`); }
+            if (result.missing > 0) { details.push(`${result.missing} cells skipped because their sheet no longer exists`); }
+            updateStatus(`Reverted "${check.run.label}".`, `${details.join(", ")}.`, 100, result.missing > 0);
+        });
+    } catch (error) {
+        updateStatus("Error reverting the translation.", `${error.name}: ${error.message}`, 100, true);
+        console.error(JSON.stringify(error, null, 2));
+    } finally {
+        setBusy(false);
+        renderHistoryRuns();
+        renderQaFlags();
+    }
+}
+
+/**
+ * Lists the translation runs that can be reverted, newest first.
+ */
+function renderHistoryRuns() {
+    const runs = getHistoryRuns();
+    const listEl = document.getElementById("history-run-list");
+    listEl.innerHTML = "";
+    for (const run of [...runs].reverse()) {
+        const item = document.createElement("li");
+        const changes = [];
+        if (run.cellCount > 0) { changes.push(`${run.cellCount} cells`); }
+        if (run.insertedColumns && run.insertedColumns.length > 0) { changes.push(`${run.insertedColumns.length} new columns`); }
+        if (run.createdSheets.length > 0) { changes.push(`${run.createdSheets.length} new sheets`); }
+        item.textContent = `${new Date(run.timestamp).toLocaleString()} · ${run.label} · ${changes.join(", ")}`;
+        listEl.appendChild(item);
+    }
+    document.getElementById("revert-button").disabled = runs.length === 0;
+}
+
+/**
+ * Finishes the report of a run: adds the report sheet if the user asked for one and keeps the failed
+ * cells for "Retry Failed Cells". Like the history, this also runs after a failed or cancelled run.
+ * @param {object} options The translation options, with `runLog` and `reportSheet`.
+ */
+async function finishRunLog(options) {
+    try {
+        await Excel.run(async (context) => {
+            if (options.reportSheet && options.runLog.items.length > 0) {
+                const sheetName = await writeReportSheet(context, options.runLog);
+                console.log(`Run report written to '${sheetName}'.`);
             }
+            await saveFailedCells(context, options.runLog);
+        });
+    } catch (error) {
+        console.error("Could not save the run report:", error);
+    }
+}
+
+/**
+ * Shows how many cells failed in the last run.
+ */
+function renderFailedCells() {
+    const summary = getFailedCellSummary();
+    document.getElementById("failed-cells-text").textContent = summary
+        ? `${summary.count} cells failed in "${summary.label}".`
+        : "No failed cells in the last run.";
+    document.getElementById("retry-failed-button").disabled = !summary || isBusy;
+}
+
+/**
+ * Sends the cells that failed in the last run again, as a run of its own that can be reverted.
+ */
+async function runRetryFailedCells() {
+    const summary = getFailedCellSummary();
+    if (!summary) { return; }
+    const options = getTranslationOptions();
+    options.history = beginHistoryRun(`Retry failed cells of "${summary.label}"`);
+    options.runLog = createRunLog(options.history.label, getEngineId(options.provider));
+    startJob({ label: options.history.label, options });
+    setBusy(true, true);
+    try {
+        await Excel.run(async (context) => {
+            options.glossary = await loadGlossary(context);
+            updateStatus("Reading the failed cells...", null, 5);
+            const result = await retryFailedCells(context, await loadFailedCells(context), options);
+            reportRunResult(result, result.skipped > 0
+                ? `Failed cells translated. ${result.skipped} cells were skipped because they were edited since the run or their sheet was deleted.`
+                : "Failed cells translated successfully!");
+        });
+    } catch (error) {
+        if (isJobCancelled(error)) {
+            updateStatus("Translation cancelled.", "Translations already written stay in place and can be reverted under History.", null, false);
+        } else {
+            updateStatus("An unexpected error occurred.", `${error.name}: ${error.message}`, 100, true);
+            console.error(JSON.stringify(error, null, 2));
+        }
+    } finally {
+        await saveHistoryRun(options.history);
+        await finishRunLog(options);
+        endJob(false);
+        setBusy(false);
+        renderMemoryEntries();
+        renderHistoryRuns();
+        renderQaFlags();
+        renderFailedCells();
+    }
+}
 
-            const data = await response.json();
-            if (!response.ok) {
-                const errorMessage = data?.error?.message || JSON.stringify(data);
-                if (errorMessage.toLowerCase().includes("request payload size")) { return texts.map(() => `API Error: Request size is too large.`); }
-                return texts.map(() => `API Error: ${response.status} - ${errorMessage}`);
+/**
+ * Translates failed cells again and writes them where the run left them: the sheet, copy or
+ * translation column the run wrote to. A cell that no longer holds what the run left in it was
+ * edited since, and is skipped.
+ * @param {Excel.RequestContext} context The request context.
+ * @param {{sheetId: string, address: string, language: string, kind: string, expected: string, source: string}[]} items The failed cells (see `loadFailedCells`).
+ * @param {object} options The translation options (see `translateRange`), with `runLog`.
+ * @returns {Promise<object>} The run result (see `createRunResult`), with the number of cells `skipped` because they were edited
+ *     or their sheet was deleted.
+ */
+async function retryFailedCells(context, items, options) {
+    const result = createRunResult();
+    const sheets = new Map();
+    for (const item of items) {
+        if (sheets.has(item.sheetId)) { continue; }
+        const sheet = context.workbook.worksheets.getItemOrNullObject(item.sheetId);
+        sheet.load("id, name");
+        sheets.set(item.sheetId, sheet);
+    }
+    await context.sync();
+
+    // Cells whose sheet was deleted are dropped; the others are read to see whether they were edited.
+    const cells = items.filter((item) => !sheets.get(item.sheetId).isNullObject).map((item) => {
+        const sheet = sheets.get(item.sheetId);
+        const range = sheet.getRange(item.address);
+        range.load("formulas");
+        return { item, sheet, range, position: parseCellAddress(item.address) };
+    });
+    await context.sync();
+    result.skipped = items.length - cells.length;
+
+    const pending = [];
+    for (const cell of cells) {
+        if (String(cell.range.formulas[0][0]) === cell.item.expected) {
+            pending.push(cell);
+            continue;
+        }
+        result.skipped++;
+        logRunItem(options.runLog, {
+            sheetId: cell.sheet.id, sheetName: cell.sheet.name, address: cell.item.address, source: cell.item.source,
+            translation: "", error: "Edited since the run; skipped.", cached: false, retry: null,
+        });
+    }
+
+    const languages = Array.from(new Set(pending.map((cell) => cell.item.language)));
+    for (let l = 0; l < languages.length; l++) {
+        const language = languages[l];
+        const languageOptions = { ...options, targetLanguage: language };
+        const progressStart = 10 + (l / languages.length) * 85;
+        const group = pending.filter((cell) => cell.item.language === language);
+        // A formula is sent again with all of its literals; those translated before come back as they are.
+        group.forEach((cell) => { cell.texts = cell.item.kind === "formula" ? extractFormulaLiterals(cell.item.expected) : null; });
+        const uniqueTexts = new Set();
+        for (const cell of group) {
+            for (const text of cell.texts ? cell.texts.map((literal) => literal.text) : [cell.item.source]) {
+                uniqueTexts.add(text);
+                addTextContext(options.textContexts, text, "", cell.sheet.name);
             }
+        }
+        updateStatus(`Translating ${group.length} failed cells into ${language}...`, null, progressStart);
+        const { translations, details, ...languageResult } = await translationEngine.translateTexts(Array.from(uniqueTexts), languageOptions, progressStart, 85 / languages.length);
+        addRunResult(result, languageResult);
 
-            if (!data.candidates || data.candidates.length === 0) {
-                const finishReason = data.promptFeedback?.blockReason || "Safety Filter";
-                return texts.map(() => `Blocked: ${finishReason}`);
+        let changes = [];
+        for (const cell of group) {
+            const { rowIndex, columnIndex } = cell.position;
+            const base = { row: rowIndex, col: columnIndex, original: cell.item.expected, cell };
+            if (cell.texts) {
+                const newFormula = replaceFormulaLiterals(cell.item.expected, cell.texts, (text) => translations.get(text));
+                if (newFormula) { changes.push({ ...base, formula: newFormula, source: cell.item.expected, proposed: newFormula }); }
+                continue;
             }
+            let translatedText = translations.get(cell.item.source);
+            if (!translatedText) { continue; }
+            if (translatedText.length > EXCEL_CELL_CHAR_LIMIT) { translatedText = translatedText.substring(0, EXCEL_CELL_CHAR_LIMIT); }
+            changes.push({ ...base, formula: toConstantFormula(translatedText), source: cell.item.source, proposed: translatedText });
+        }
+        if (options.review) {
+            changes = await reviewChanges(changes, languageOptions, (change) => `${change.cell.sheet.name}!${change.cell.item.address}`);
+        }
+
+        updateStatus("Writing translations...", `Applying ${language} changes...`, progressStart + 85 / languages.length);
+        for (const sheet of sheets.values()) {
+            const sheetChanges = changes.filter((change) => change.cell.sheet === sheet).sort((a, b) => a.row - b.row || a.col - b.col);
+            if (sheetChanges.length === 0) { continue; }
+            // Positions are worksheet indexes, so they are taken relative to A1.
+            const origin = sheet.getRange("A1");
+            await writeChangesInBlocks(context, origin, sheetChanges, { format: getScriptFormat(language, languageOptions), history: options.history, sheetId: sheet.id, rowIndex: 0, columnIndex: 0 });
+            const writtenTexts = sheetChanges
+                .filter((change) => !change.cell.texts && !isSkippedText(details, change.source))
+                .map((change) => ({ rowIndex: change.row, columnIndex: change.col, source: change.source, translation: change.proposed }));
+            result.qaFlagged += await checkTranslationQuality(context, sheet, writtenTexts, languageOptions);
+        }
+
+        const written = new Map(changes.map((change) => [change.cell, change]));
+        for (const cell of group) {
+            const outcome = getTextOutcome(cell.texts ? cell.texts.map((literal) => literal.text) : [cell.item.source], details);
+            if (!outcome) { continue; }
+            const change = written.get(cell);
+            logTranslatedCell(options, cell.sheet, cell.item.address, cell.item.source, outcome, change,
+                { language, kind: cell.item.kind, expected: change ? change.formula : cell.item.expected });
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Shows the model scoring option only while the quality checks are switched on.
+ */
+function updateQualityOptions() {
+    const enabled = document.getElementById("quality-checks-checkbox").checked;
+    document.getElementById("quality-scoring-row").style.display = enabled ? "flex" : "none";
+}
+
+/**
+ * Shows how many cells are flagged and which one "Next Flagged Cell" showed last.
+ * @param {string} [sheetName] The name of the sheet of the shown cell, if known.
+ */
+function renderQaFlags(sheetName) {
+    const flags = getQaFlags();
+    const textEl = document.getElementById("qa-flag-text");
+    if (flags.length === 0) {
+        qaFlagPosition = -1;
+        textEl.textContent = "No flagged cells. Turn on \"Check translation quality\" to flag suspicious translations.";
+    } else if (qaFlagPosition >= 0 && qaFlagPosition < flags.length) {
+        const flag = flags[qaFlagPosition];
+        textEl.textContent = `${qaFlagPosition + 1} of ${flags.length} · ${sheetName ? `${sheetName}!` : ""}${flag.address}: ${flag.problems.join(" ")}`;
+    } else {
+        textEl.textContent = `${flags.length} flagged cells.`;
+    }
+    document.getElementById("qa-next-button").disabled = flags.length === 0;
+    document.getElementById("qa-clear-button").disabled = flags.length === 0;
+}
+
+/**
+ * Selects the next flagged cell, starting again at the first one after the last.
+ */
+async function goToNextFlaggedCell() {
+    const flags = getQaFlags();
+    if (flags.length === 0) { return; }
+    qaFlagPosition = (qaFlagPosition + 1) % flags.length;
+    const flag = flags[qaFlagPosition];
+    try {
+        const sheetName = await Excel.run(async (context) => {
+            const sheet = context.workbook.worksheets.getItemOrNullObject(flag.sheetId);
+            sheet.load("name");
+            await context.sync();
+            if (sheet.isNullObject) { throw new Error("The sheet of this flagged cell was deleted."); }
+            sheet.activate();
+            sheet.getRange(flag.address).select();
+            await context.sync();
+            return sheet.name;
+        });
+        renderQaFlags(sheetName);
+    } catch (error) {
+        renderQaFlags();
+        updateStatus(`Error: ${error.message}`, null, null, true);
+    }
+}
+
+/**
+ * Removes the highlight and notes of all flagged cells.
+ */
+async function runClearQaFlags() {
+    setBusy(true);
+    try {
+        const outcome = await Excel.run((context) => clearQaFlags(context));
+        if (outcome.failedNotes > 0) {
+            updateStatus(`${outcome.cleared} quality flags cleared. ${outcome.failedNotes} of their notes could not be deleted.`, outcome.firstErrorMessage, null, true);
+        } else {
+            updateStatus(`${outcome.cleared} quality flags cleared.`, null, null, false);
+        }
+    } catch (error) {
+        updateStatus(`Error: ${error.message}`, null, null, true);
+        console.error(JSON.stringify(error, null, 2));
+    } finally {
+        setBusy(false);
+        renderHistoryRuns();
+        renderQaFlags();
+    }
+}
+
+/**
+ * Translates the name of the currently active sheet.
+ */
+async function runTranslateSheetName() {
+    const options = getTranslationOptions();
+    setBusy(true);
+    try {
+        await Excel.run(async (context) => {
+            if (!options.targetLanguage) { throw new Error("Choose a target language."); }
+            updateStatus("Translating sheet name...", null, 20);
+            const sheet = context.workbook.worksheets.getActiveWorksheet();
+            sheet.load('name');
+            const worksheets = context.workbook.worksheets;
+            worksheets.load('items/name');
+            await context.sync();
+            const existingNames = worksheets.items.map(s => s.name.toLowerCase());
+            const sheetName = sheet.name;
+            const engine = getEngineId(options.provider);
+            let translatedSheetName = options.useMemory ? lookupTranslation(sheetName, options.targetLanguage, engine) : undefined;
 
-            let responseText = data.candidates[0].content.parts[0].text;
-            responseText = responseText.trim().replace(/^```json\s*/, '').replace(/```$/, '');
-
-            try {
-                const parsed = JSON.parse(responseText);
-                if (Array.isArray(parsed) && parsed.length === texts.length) { return parsed; }
-                if (texts.length === 1 && typeof parsed === 'string') { return [parsed]; }
-                throw new Error("Mismatched length or invalid type");
-            } catch (e) {
-                const jsonMatch = responseText.match(/\[.*\]/s);
-                if (jsonMatch) {
-                    try { return JSON.parse(jsonMatch[0]); } catch (e2) { console.error("Failed to parse extracted JSON:", jsonMatch[0]); }
+            if (translatedSheetName === undefined) {
+                const glossaryTerms = findRelevantTerms(await loadGlossary(context), [sheetName], options.targetLanguage);
+                const translatedNameArray = await translationEngine.translateBatch([sheetName], options, 20, glossaryTerms);
+                const firstResult = translatedNameArray[0];
+                if (isTranslationError(firstResult)) {
+                    throw new Error(firstResult);
+                }
+                translatedSheetName = firstResult;
+                if (options.useMemory) {
+                    storeTranslation(sheetName, translatedSheetName, options.targetLanguage, engine);
+                    saveTranslationMemory();
                 }
-                return texts.map(() => "API Error: Invalid format from AI.");
             }
-        } catch (error) {
-            return texts.map(() => `Network Error: ${error.message}`);
-        }
+            
+            let finalName = translatedSheetName.replace(/[:\\/?*[\]]/g, '').substring(0, 31);
+            if (sheet.name.toLowerCase() !== finalName.toLowerCase()) {
+                const uniqueName = await getUniqueSheetName(finalName, existingNames);
+                sheet.name = uniqueName;
+            }
+            await context.sync();
+            updateStatus("Active sheet name translated!", null, 100);
+        });
+    } catch (error) {
+        updateStatus("Error translating sheet name.", `${error.name}: ${error.message}`, 100, true);
+        console.error(JSON.stringify(error, null, 2));
+    } finally {
+        setBusy(false);
+        renderMemoryEntries();
+    }
+}
+
+/**
+ * Generates a unique sheet name by appending a number if the name already exists.
+ * @param {string} baseName The desired new name for the sheet.
+ * @param {string[]} existingNames An array of existing sheet names.
+ * @returns {string} A unique sheet name.
+ */
+async function getUniqueSheetName(baseName, existingNames) {
+    let finalName = baseName;
+    let counter = 1;
+    while (existingNames.includes(finalName.toLowerCase())) {
+        const suffix = `_${counter}`;
+        finalName = (baseName.length > 31 - suffix.length) ? baseName.substring(0, 31 - suffix.length) + suffix : baseName + suffix;
+        counter++;
+    }
+    return finalName;
+}
+
+// --- RIBBON COMMANDS ---
+
+/**
+ * Runs a task pane action for a ribbon or context menu command and returns its final status.
+ * The action uses the choices last made in the task pane. With "Review translations before writing"
+ * on, the task pane is opened so the translations can be reviewed there.
+ * @param {function(): Promise<void>} run The action.
+ * @returns {Promise<{message: string, detail: string|null, isError: boolean}>} What to tell the user.
+ */
+async function runCommand(run) {
+    await prepareApiKeys();
+    if (isBusy) {
+        return { message: "A translation is already running.", detail: "Wait until it has finished, or pause or cancel it in the task pane.", isError: true };
+    }
+    const validationError = validateProviderSettings(getActiveProviderSettings());
+    if (validationError) {
+        return { message: "The translation provider is not set up yet.", detail: `${validationError} Click "Start Translator" to set it up.`, isError: true };
     }
-    return texts.map(() => `API Error: Failed after all retries.`);
-}
\ No newline at end of file
+    if (document.getElementById("review-checkbox").checked) {
+        await Office.addin.showAsTaskpane();
+    }
+    await run();
+    return { ...lastStatus };
+}
+
+// --- CUSTOM FUNCTIONS ---
+
+/**
+ * Returns the provider and rate limiter used by the custom functions. They always use the saved
+ * provider settings, whatever is chosen in the task pane. All their requests share one limiter,
+ * which is only replaced when the provider, model or limits change, so every recalculation is paced together.
+ * @returns {{provider: object, limiter: object}}
+ * @throws {Error} If the provider settings are incomplete.
+ */
+function getFunctionProvider() {
+    const provider = getActiveProviderSettings();
+    const validationError = validateProviderSettings(provider);
+    if (validationError) { throw new Error(validationError); }
+    const limits = getRateLimits(provider);
+    const key = `${getEngineId(provider)}\u0000${JSON.stringify(limits)}`;
+    if (!functionLimiter || functionLimiter.key !== key) {
+        functionLimiter = { key, limiter: createRateLimiter(limits) };
+    }
+    return { provider, limiter: functionLimiter.limiter };
+}
+
+/**
+ * Answers the =AI.TRANSLATE calls collected for one language pair. They go through the same pipeline as
+ * task pane runs (translation memory, token protection, batching), but in the background.
+ * @param {string[]} texts The unique texts to translate.
+ * @param {{targetLanguage: string, sourceLanguage: string}} languages The languages, as names or codes.
+ * @returns {Promise<Map<string, string|Error>>} The translation of each text, or the reason it failed.
+ */
+async function translateForFunctions(texts, languages) {
+    await prepareApiKeys();
+    const options = {
+        ...getFunctionProvider(),
+        targetLanguage: fromLanguageCode(languages.targetLanguage),
+        sourceLanguage: languages.sourceLanguage ? fromLanguageCode(languages.sourceLanguage) : "",
+        useMemory: true,
+        protectionRules: compileProtectionRules(getProtectionSettings()),
+        promptProfile: getActivePromptProfile(),
+        background: true,
+    };
+    const result = await translationEngine.translateTexts(texts, options, 0, 0);
+    const failure = new Error(result.firstErrorMessage || result.firstGlossaryMessage || "The text could not be translated.");
+    return new Map(texts.map((text) => {
+        const translation = result.translations.get(text);
+        if (translation !== null) { return [text, translation]; }
+        // Texts that are nothing but protected tokens are not sent, and stay as they are.
+        return [text, maskText(text, options.protectionRules).hasTranslatableText ? failure : text];
+    }));
+}
+
+/**
+ * Answers the =AI.DETECTLANGUAGE calls collected so far.
+ * @param {string[]} texts The unique texts to identify.
+ * @returns {Promise<Map<string, string|Error>>} The language code of each text, or the reason it failed.
+ */
+async function detectForFunctions(texts) {
+    if (texts.every((text) => hasDetectedLanguage(text))) { return translationEngine.detectTextLanguages(texts, {}); }
+    await prepareApiKeys();
+    return translationEngine.detectTextLanguages(texts, { ...getFunctionProvider(), background: true });
+}
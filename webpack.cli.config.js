@@ -0,0 +1,28 @@
+/* eslint-disable no-undef */
+
+const path = require("path");
+
+// Bundles the command-line tool and the mock server for Node. The task pane modules use imports without
+// file extensions, which Node cannot resolve on its own. exceljs stays an ordinary dependency.
+module.exports = (env, options) => ({
+  target: "node",
+  devtool: options.mode === "development" ? "source-map" : false,
+  entry: {
+    translate: "./src/cli/translate.js",
+    mockserver: "./src/cli/mockserver.js",
+  },
+  output: {
+    path: path.resolve(__dirname, "dist/cli"),
+    filename: "[name].js",
+    clean: true,
+  },
+  resolve: {
+    extensions: [".js"],
+  },
+  externals: {
+    exceljs: "commonjs exceljs",
+  },
+  optimization: {
+    minimize: false,
+  },
+});
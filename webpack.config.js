@@ -19,10 +19,10 @@ module.exports = async (env, options) => {
     entry: {
       polyfill: ["core-js/stable", "regenerator-runtime/runtime"],
       taskpane: ["./src/taskpane/taskpane.js", "./src/taskpane/taskpane.html"],
-      commands: "./src/commands/commands.js",
+      notification: "./src/commands/notification.js",
     },
     output: {
-      clean: true,
+      clean: { keep: /^cli[\\/]/ }, // The command-line tool is built by webpack.cli.config.js
     },
     resolve: {
       extensions: [".html", ".js"],
@@ -62,6 +62,10 @@ module.exports = async (env, options) => {
             from: "assets/*",
             to: "assets/[name][ext][query]",
           },
+          {
+            from: "src/taskpane/functions.json",
+            to: "functions.json",
+          },
           {
             from: "manifest*.xml",
             to: "[name]" + "[ext]",
@@ -76,9 +80,9 @@ module.exports = async (env, options) => {
         ],
       }),
       new HtmlWebpackPlugin({
-        filename: "commands.html",
-        template: "./src/commands/commands.html",
-        chunks: ["polyfill", "commands"],
+        filename: "notification.html",
+        template: "./src/commands/notification.html",
+        chunks: ["polyfill", "notification"],
       }),
     ],
     devServer: {